@@ -105,30 +105,50 @@ class DataTableApp {
   }
   
   async handleFileInput(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
     
-    this.currentFile = file;
+    const append = document.getElementById('appendFiles').checked;
+    const label = files.length === 1 ? files[0].name : `${files.length} files`;
+    this.currentFile = files[0];
     
     try {
       // Initialize DataTable if needed
       await this.initializeDataTable();
       
-      this.showLoading(`Loading ${file.name}...`);
-      
-      await this.dataTable.loadData(file);
+      this.showLoading(`${append ? 'Appending' : 'Loading'} ${label}...`);
+      
+      // Lenient CSV loading skips malformed rows and lists them above the table.
+      // Several files are combined into one table, with a column naming each row's file,
+      // and appended files keep filling that column.
+      const source = files.length === 1 ? files[0] : files;
+      const hasSourceColumn = append && this.dataTable.getSchema().columns.includes('source_file');
+      const result = await this.dataTable.loadData(source, {
+        lenient: true,
+        append,
+        sourceColumn: files.length > 1 || hasSourceColumn
+      });
       
       // Update UI
-      document.getElementById('fileName').textContent = file.name;
+      document.getElementById('fileName').textContent = label;
       this.updateDataLoadedState();
       
       this.hideLoading();
-      this.showNotification(`Successfully loaded ${file.name}`, 'success');
+      if (result.rejects?.count > 0) {
+        this.showNotification(`Loaded ${label}, skipping ${result.rejects.count} malformed rows`, 'warning');
+      } else if (result.appended !== undefined) {
+        this.showNotification(`Appended ${result.appended} rows from ${label}`, 'success');
+      } else {
+        this.showNotification(`Successfully loaded ${label}`, 'success');
+      }
       
     } catch (error) {
       this.hideLoading();
       this.showNotification(`Failed to load file: ${error.message}`, 'error');
       console.error('File loading error:', error);
+    } finally {
+      // Allow picking the same file again, e.g. to append it twice
+      event.target.value = '';
     }
   }
   
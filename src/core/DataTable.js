@@ -2,6 +2,10 @@ import { Coordinator, wasmConnector } from '@uwdata/mosaic-core';
 import { Query } from '@uwdata/mosaic-sql';
 import { signal } from '@preact/signals-core';
 import { DataLoader } from '../data/DataLoader.js';
+import { CloudStorage, getScheme } from '../data/CloudStorage.js';
+import { getFileNameFromURL } from '../data/FormatDetection.js';
+import { isAbortError, throwIfAborted } from '../data/Cancellation.js';
+import { quoteIdentifier } from '../data/Identifiers.js';
 import { PersistenceManager } from '../storage/PersistenceManager.js';
 import { VersionControl } from '../storage/VersionControl.js';
 import { TableRenderer } from './TableRenderer.js';
@@ -29,17 +33,29 @@ export class DataTable {
     
     // State management with signals
     this.tableName = signal(null);
+    this.isView = false; // True when the current table is a view over a remote file
     this.schema = signal({});
+    this.rejects = signal(null); // Rows skipped by a lenient CSV load: { count, errors }
+    this.coercionErrors = signal(null); // Values that did not convert to their schema type: { count, errors }
+    this.columnLabels = signal({}); // Normalized column name -> name as loaded
+    this.sample = signal(null); // Set when the table holds a sample: { method, seed, rowCount, totalRowCount, ... }
+    this.loadedSources = []; // { source, options } of each load into a sampled table, or null if they are not all known
     this.currentSQL = signal('');
     this.queryHistory = [];
     
     // UI components
     this.container = null;
+    this.rejectsNotice = null;
+    this.coercionNotice = null;
+    this.sampleNotice = null;
     this.tableRenderer = null;
     this.visualizations = new Map();
     
     // Managers
     this.dataLoader = new DataLoader(this);
+    this.cloudStorage = options.cloudStorage instanceof CloudStorage
+      ? options.cloudStorage
+      : new CloudStorage(options.cloudStorage);
     this.persistenceManager = null;
     this.versionControl = null;
     this.queryCache = new QueryCache({
@@ -413,6 +429,113 @@ export class DataTable {
     this.log.debug('Persistence initialized');
   }
   
+  /**
+   * Show the rows a lenient load skipped in a collapsible notice above the table
+   * @param {Object|null} rejects - Rejects report from the load result, or null to remove the notice
+   */
+  renderRejectsNotice(rejects) {
+    this.rejectsNotice?.remove();
+    this.rejectsNotice = this.createReportNotice('datatable-rejects', rejects, {
+      summary: (count) => `${count} malformed ${count === 1 ? 'row was' : 'rows were'} skipped`,
+      describe: (error) => [`Line ${error.line}: ${error.reason} `, error.text]
+    });
+  }
+  
+  /**
+   * Show the values that did not convert to their schema type in a collapsible notice above the table
+   * @param {Object|null} coercionErrors - Coercion report from the load result, or null to remove the notice
+   */
+  renderCoercionNotice(coercionErrors) {
+    this.coercionNotice?.remove();
+    this.coercionNotice = this.createReportNotice('datatable-rejects datatable-coercion', coercionErrors, {
+      summary: (count) => `${count} ${count === 1 ? 'row has values' : 'rows have values'} that did not convert and became empty`,
+      describe: (error) => [`Row ${error.row}, ${error.column} (${error.type}): `, error.value]
+    });
+  }
+  
+  /**
+   * Build a collapsible notice listing the problems in a load report and put it above the table
+   * @param {string} className - Class of the notice element
+   * @param {Object|null} report - { count, errors } from the load result, with errorCount when a row
+   *   can have more than one error
+   * @param {Object} text - summary(count) for the heading, describe(error) for a [message, value] pair per problem
+   * @returns {HTMLElement|null} The notice, or null when there is nothing to show
+   */
+  createReportNotice(className, report, { summary: summaryText, describe }) {
+    if (!report || report.count === 0 || !this.container) {
+      return null;
+    }
+    
+    const notice = document.createElement('details');
+    notice.className = className;
+    
+    const summary = document.createElement('summary');
+    summary.textContent = summaryText(report.count);
+    notice.appendChild(summary);
+    
+    const list = document.createElement('ul');
+    for (const error of report.errors) {
+      const [message, value] = describe(error);
+      const item = document.createElement('li');
+      item.textContent = message;
+      
+      const text = document.createElement('code');
+      text.textContent = value;
+      item.appendChild(text);
+      list.appendChild(item);
+    }
+    notice.appendChild(list);
+    
+    // Reports that can list several problems per row count the problems separately
+    const problemCount = report.errorCount ?? report.count;
+    if (report.errors.length < problemCount) {
+      const more = document.createElement('p');
+      more.textContent = `Showing the first ${report.errors.length} of ${problemCount}`;
+      notice.appendChild(more);
+    }
+    
+    this.container.prepend(notice);
+    return notice;
+  }
+  
+  /**
+   * Show that the table holds a sample, with a button to load the full data
+   * @param {Object|null} sample - Sample description, or null to remove the notice
+   */
+  renderSampleNotice(sample) {
+    if (this.sampleNotice) {
+      this.sampleNotice.remove();
+      this.sampleNotice = null;
+    }
+    if (!sample || !this.container) {
+      return;
+    }
+    
+    const notice = document.createElement('div');
+    notice.className = 'datatable-sample';
+    
+    const text = document.createElement('span');
+    text.textContent = `Sample: ${sample.rowCount.toLocaleString()} of ${sample.totalRowCount.toLocaleString()} rows (${sample.method}, seed ${sample.seed})`;
+    notice.appendChild(text);
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Load full data';
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      try {
+        await this.promoteToFullData();
+      } catch (error) {
+        this.log.error('Failed to load the full data:', error);
+        button.disabled = false;
+      }
+    });
+    notice.appendChild(button);
+    
+    this.container.prepend(notice);
+    this.sampleNotice = notice;
+  }
+  
   createContainer() {
     // Clear any existing content (e.g., empty state)
     this.options.container.innerHTML = '';
@@ -427,18 +550,66 @@ export class DataTable {
     this.options.container.appendChild(this.container);
   }
   
+  /**
+   * Load data into DuckDB and render it
+   * @param {File|Blob|string|ArrayBuffer|Array|Object} source - File, URL, storage location read
+   *   by the provider for its scheme ('s3://bucket/key', 'gs://bucket/object', 'az://container/blob',
+   *   'box://<file id>' or one registered with cloudStorage.register), raw text, bytes, row objects,
+   *   column object or Arrow table
+   * @param {Object} options - Load options passed through to DataLoader, e.g. format,
+   *   onProgress, lazy, recordsPath and flatten for JSON sources, and the CSV options of
+   *   DataLoader.loadCSV (delimiter, nullStrings, decimalSeparator, columnTypes, lenient, ...)
+   *   For Excel workbooks, ZIP archives and SQLite databases, sheet, entry and table pick what to load.
+   *   GeoJSON features become rows with a WKT geometry column (geometryColumn, default 'geometry').
+   * @param {string} options.tableName - Name for the new table, e.g. 'sales'; characters other than
+   *   letters, digits and underscores become underscores. Without it a unique name is generated.
+   *   With allTables or allEntries it names the first table; the others get generated names.
+   * @param {string} options.ifExists - When tableName is taken: 'replace' the table (default), 'fail',
+   *   or 'suffix' the name as sales_2, sales_3, ...
+   * @param {AbortSignal} options.signal - Cancels the load; it then rejects with an AbortError and
+   *   leaves no partial table behind
+   * @param {Object} options.headers - Request headers for URL and storage loads, e.g.
+   *   { Authorization: 'Bearer ...' }; lazy Parquet is downloaded instead, as DuckDB cannot send them
+   * @param {string} options.credentials - fetch credentials mode for URL and storage loads: 'omit',
+   *   'same-origin' or 'include' to send cookies to another origin
+   * @param {number} options.retries - Retries for failed downloads (default 3, 0 for none). Network
+   *   errors and HTTP 408, 425, 429 and 5xx are retried after retryDelay ms (default 500), doubled
+   *   each time; downloads that break off resume with a Range request where the server allows it.
+   *   onProgress receives { stage: 'retrying', attempt, retries, delay, error } before each retry
+   *   and { stage: 'resuming', loaded, total } when a download resumes.
+   * @param {boolean} options.append - Insert the rows into the current table instead of creating a
+   *   new one; columns are matched by name and conflicting types are an error
+   * @param {boolean|string} options.sourceColumn - Add a column with each row's file name (source_file,
+   *   or the given name); useful when appending files or loading a FileList into one table
+   * @param {boolean} options.normalizeColumns - Rename columns to unique snake_case names, e.g.
+   *   'Unit Price' to unit_price; headers keep showing the names as loaded
+   * @param {number|string|Object} options.sample - Keep a sample of the rows: a row count (10000),
+   *   a percentage ('1%'), or { size, method: 'reservoir' | 'systematic', seed }. The table shows
+   *   that it is a sample until promoteToFullData loads everything.
+   * @param {Object} options.schema - Column types instead of detected ones, e.g. { zip: 'VARCHAR',
+   *   shipped: { type: 'DATE', format: '%d/%m/%Y' } }. Values that do not convert become NULL and
+   *   are listed in the result's coercionErrors report, which is shown above the table.
+   */
   async loadData(source, options = {}) {
     try {
       // Track data loading
       const loadStartTime = Date.now();
-      const fileName = source instanceof File ? source.name : 'data';
+      const isURL = typeof source === 'string' && getScheme(source) !== null;
+      const fileName = source instanceof File ? source.name : (isURL ? getFileNameFromURL(source) : 'data');
       const fileSize = source instanceof File ? source.size : 0;
       
-      this.log.info('Loading data...');
+      // Appending to nothing is an ordinary load
+      const appendTo = options.append && this.tableName.value ? this.tableName.value : undefined;
+      if (appendTo && this.isView) {
+        throw new Error(`Cannot append to ${appendTo}: it is a view over a remote file`);
+      }
+      
+      this.log.info(appendTo ? `Appending data to ${appendTo}...` : 'Loading data...');
       
       // Setup progress tracking
       const progressOptions = {
         ...options,
+        appendTo,
         onProgress: (progress) => {
           // Emit progress events
           this.emitProgress({
@@ -446,8 +617,15 @@ export class DataTable {
             percent: progress.percent || 0,
             loaded: progress.loaded || 0,
             total: progress.total || 1,
-            fileName,
-            fileSize
+            fileName: progress.file || fileName,
+            fileSize,
+            // 'retrying' events say which retry is next, how long it waits and what failed
+            ...(progress.stage === 'retrying' && {
+              attempt: progress.attempt,
+              retries: progress.retries,
+              delay: progress.delay,
+              error: progress.error
+            })
           });
           
           // Call user-provided progress callback if available
@@ -459,71 +637,25 @@ export class DataTable {
       
       const result = await this.dataLoader.load(source, progressOptions);
       
-      // Update table name and schema
-      this.tableName.value = result.tableName;
-      this.schema.value = result.schema || {};
-      
-      // Track table creation
-      
-      // Ensure container is still in DOM (may have been removed by external code)
-      if (this.container && typeof document !== 'undefined' && document.contains && !document.contains(this.container)) {
-        this.container = null; // Clear stale reference
-      }
-      
-      // Create container if needed
-      if (!this.container) {
-        this.createContainer();
+      // An abort that lands after the table was created still discards it; a committed append stays
+      if (options.signal?.aborted && !appendTo) {
+        await this.dataLoader.discardTable(result.tableName, result.view ? 'VIEW' : 'TABLE');
+        throwIfAborted(options.signal);
       }
       
-      // Create or update table renderer
-      if (this.container) {
-        if (this.tableRenderer) {
-          // Destroy existing renderer before creating new one
-          this.tableRenderer.destroy();
-          this.tableRenderer = null;
-        }
-        
-        // Clear coordinator cache before creating new renderer to prevent stale data
-        if (this.coordinator && this.coordinator.cache) {
-          try {
-            if (typeof this.coordinator.cache.clear === 'function') {
-              this.coordinator.cache.clear();
-              this.log.debug('Coordinator cache cleared before loading new data');
-            }
-          } catch (error) {
-            this.log.warn('Error clearing coordinator cache before loading:', error);
-          }
-        }
-        
-        // Small delay to ensure previous cleanup operations complete
-        await new Promise(resolve => setTimeout(resolve, 25));
-        
-        // Create new table renderer
-        this.tableRenderer = new TableRenderer({
-          table: this.tableName.value,
-          schema: this.schema.value,
-          container: this.container,
-          coordinator: this.coordinator,
-          connection: this.conn // Pass DuckDB connection for direct queries
-        });
-        
-        // Connect TableRenderer to coordinator (this will trigger initialization)
-        if (this.coordinator) {
-          this.coordinator.connect(this.tableRenderer);
-        } else {
-          // If no coordinator, initialize directly
-          await this.tableRenderer.initialize();
-        }
+      // Sources of a sampled table, so it can be loaded again in full. Other sources are not kept,
+      // as they can be whole files, buffers or row arrays; a sample appended to such a table
+      // therefore cannot be promoted.
+      const load = { source, options: { ...options, signal: undefined } };
+      if (!appendTo) {
+        this.loadedSources = result.sample ? [load] : [];
+      } else if (this.sample.value) {
+        this.loadedSources = this.loadedSources && [...this.loadedSources, load];
+      } else {
+        this.loadedSources = result.sample ? null : [];
       }
       
-      // Save to persistence if enabled
-      if (this.persistenceManager) {
-        await this.persistenceManager.saveTable({
-          tableName: this.tableName.value,
-          schema: this.schema.value,
-          timestamp: Date.now()
-        });
-      }
+      await this.showLoadResult(result, appendTo);
       
       // Complete data loading tracking
       const loadTime = Date.now() - loadStartTime;
@@ -532,7 +664,7 @@ export class DataTable {
       
       // Validate that the data was actually loaded correctly
       try {
-        const sampleQuery = `SELECT * FROM ${this.tableName.value} LIMIT 3`;
+        const sampleQuery = `SELECT * FROM ${quoteIdentifier(this.tableName.value)} LIMIT 3`;
         let sampleData = await this.executeSQL(sampleQuery);
         
         // Handle Apache Arrow Table format (same as TableRenderer.queryResult())
@@ -569,11 +701,218 @@ export class DataTable {
       
       return result;
     } catch (error) {
-      this.log.error('Failed to load data:', error);
+      if (isAbortError(error)) {
+        this.log.info('Data load aborted');
+      } else {
+        this.log.error('Failed to load data:', error);
+      }
       throw error;
     }
   }
   
+  /**
+   * Make a load result the current table: update the state and render the table
+   * @param {Object} result - Load result from DataLoader
+   * @param {string} appendTo - Table the rows were appended to, if any
+   */
+  async showLoadResult(result, appendTo = undefined) {
+    // Update table name and schema
+    this.tableName.value = result.tableName;
+    this.schema.value = result.schema || {};
+    this.rejects.value = result.rejects || null;
+    this.coercionErrors.value = result.coercionErrors || null;
+    this.isView = !!result.view;
+    this.columnLabels.value = appendTo
+      ? { ...this.columnLabels.value, ...result.columnLabels }
+      : result.columnLabels || {};
+    this.sample.value = this.updateSample(result, appendTo);
+    
+    // Ensure container is still in DOM (may have been removed by external code)
+    if (this.container && typeof document !== 'undefined' && document.contains && !document.contains(this.container)) {
+      this.container = null; // Clear stale reference
+    }
+    
+    // Create container if needed
+    if (!this.container) {
+      this.createContainer();
+    }
+    
+    // Create or update table renderer
+    if (this.container) {
+      if (this.tableRenderer) {
+        // Destroy existing renderer before creating new one
+        this.tableRenderer.destroy();
+        this.tableRenderer = null;
+      }
+      
+      // Clear coordinator cache before creating new renderer to prevent stale data
+      if (this.coordinator && this.coordinator.cache) {
+        try {
+          if (typeof this.coordinator.cache.clear === 'function') {
+            this.coordinator.cache.clear();
+            this.log.debug('Coordinator cache cleared before loading new data');
+          }
+        } catch (error) {
+          this.log.warn('Error clearing coordinator cache before loading:', error);
+        }
+      }
+      
+      // Small delay to ensure previous cleanup operations complete
+      await new Promise(resolve => setTimeout(resolve, 25));
+      
+      // Create new table renderer
+      this.tableRenderer = new TableRenderer({
+        table: this.tableName.value,
+        schema: this.schema.value,
+        columnLabels: this.columnLabels.value,
+        container: this.container,
+        coordinator: this.coordinator,
+        connection: this.conn // Pass DuckDB connection for direct queries
+      });
+      
+      this.renderRejectsNotice(this.rejects.value);
+      this.renderCoercionNotice(this.coercionErrors.value);
+      this.renderSampleNotice(this.sample.value);
+      
+      // Connect TableRenderer to coordinator (this will trigger initialization)
+      if (this.coordinator) {
+        this.coordinator.connect(this.tableRenderer);
+      } else {
+        // If no coordinator, initialize directly
+        await this.tableRenderer.initialize();
+      }
+    }
+    
+    // Save to persistence if enabled
+    if (this.persistenceManager) {
+      await this.persistenceManager.saveTable({
+        tableName: this.tableName.value,
+        schema: this.schema.value,
+        timestamp: Date.now()
+      });
+    }
+  }
+  
+  /**
+   * Rename the current table; the table view and its column visualizations stay connected
+   * @param {string} newName - New name, sanitized like the tableName load option
+   * @param {Object} options - Rename options
+   * @param {string} options.ifExists - When the name is taken: 'fail' (default), 'replace' the other
+   *   table, or 'suffix' the name as name_2, name_3, ...
+   * @returns {string} The new table name
+   */
+  async renameTable(newName, options = {}) {
+    const tableName = this.tableName.value;
+    if (!tableName) {
+      throw new Error('No table to rename');
+    }
+    
+    const renamed = await this.dataLoader.renameTable(tableName, newName, {
+      relation: this.isView ? 'VIEW' : 'TABLE',
+      ifExists: options.ifExists
+    });
+    if (renamed === tableName) {
+      return renamed;
+    }
+    
+    this.tableName.value = renamed;
+    
+    // The rows are unchanged, so the renderer keeps its data and only queries the new name from now on
+    if (this.tableRenderer) {
+      this.tableRenderer.setTable(renamed);
+    }
+    
+    if (this.persistenceManager) {
+      await this.persistenceManager.saveTable({
+        tableName: renamed,
+        schema: this.schema.value,
+        timestamp: Date.now()
+      });
+    }
+    
+    return renamed;
+  }
+  
+  /**
+   * Replace a sampled table with all of its data. Every source loaded into the table is loaded
+   * again without sampling under a temporary name, which takes the table's name once all of it
+   * has loaded; the sample stays in place if that fails.
+   * @param {Object} options - Load options for the full load, e.g. signal and onProgress
+   * @returns {Object} Load result for the full table
+   */
+  async promoteToFullData(options = {}) {
+    const tableName = this.tableName.value;
+    if (!this.sample.value) {
+      throw new Error('The current table is not a sample');
+    }
+    if (!this.loadedSources) {
+      throw new Error(`Cannot load the full data for ${tableName}: the sample was appended to data that was not sampled, which is not kept for reloading`);
+    }
+    
+    this.log.info(`Loading the full data for ${tableName}...`);
+    
+    const fullOptions = (loadOptions, appendTo) => ({
+      ...loadOptions,
+      ...options,
+      sample: undefined,
+      tableName: undefined,
+      ifExists: undefined,
+      appendTo
+    });
+    const [first, ...appends] = this.loadedSources;
+    
+    let result = await this.dataLoader.load(first.source, fullOptions(first.options, undefined));
+    let columnLabels = result.columnLabels;
+    try {
+      for (const { source, options: loadOptions } of appends) {
+        result = await this.dataLoader.load(source, fullOptions(loadOptions, result.tableName));
+        columnLabels = { ...columnLabels, ...result.columnLabels };
+      }
+      throwIfAborted(options.signal);
+      
+      const renamed = await this.dataLoader.renameTable(result.tableName, tableName, {
+        relation: result.view ? 'VIEW' : 'TABLE',
+        ifExists: 'replace'
+      });
+      result = { ...result, tableName: renamed, columnLabels };
+    } catch (error) {
+      await this.dataLoader.discardTable(result.tableName, result.view ? 'VIEW' : 'TABLE');
+      throw error;
+    }
+    
+    await this.showLoadResult(result);
+    this.loadedSources = [];
+    this.log.info(`Loaded the full data for ${tableName}: ${result.rowCount} rows`);
+    return result;
+  }
+  
+  /**
+   * Work out whether the table holds a sample after a load
+   * @param {Object} result - Load result
+   * @param {string} appendTo - Table the rows were appended to, if any
+   * @returns {Object|null} Sample description; appending to a sample keeps it one, with counts
+   *   that include the appended source
+   */
+  updateSample(result, appendTo) {
+    if (!appendTo) {
+      return result.sample || null;
+    }
+    
+    const current = this.sample.value;
+    if (!current && !result.sample) {
+      return null;
+    }
+    
+    const rowCount = Number(result.rowCount);
+    const totalBefore = current ? current.totalRowCount : rowCount - Number(result.appended);
+    const totalAppended = result.sample ? result.sample.totalRowCount : Number(result.appended);
+    return {
+      ...(current || result.sample),
+      rowCount,
+      totalRowCount: totalBefore + totalAppended
+    };
+  }
+  
   async executeSQL(sql, options = {}) {
     try {
       this.log.debug('Executing SQL:', sql);
@@ -941,7 +1280,7 @@ export class DataTable {
       // Clear table from database
       if (this.tableName.value) {
         this.log.info(`Dropping table: ${this.tableName.value}`);
-        await this.executeSQL(`DROP TABLE IF EXISTS ${this.tableName.value}`);
+        await this.executeSQL(`DROP ${this.isView ? 'VIEW' : 'TABLE'} IF EXISTS ${quoteIdentifier(this.tableName.value)}`);
         
         // Verify table was actually dropped
         try {
@@ -979,7 +1318,16 @@ export class DataTable {
       
       // Reset state
       this.tableName.value = null;
+      this.isView = false;
       this.schema.value = {};
+      this.rejects.value = null;
+      this.coercionErrors.value = null;
+      this.columnLabels.value = {};
+      this.sample.value = null;
+      this.loadedSources = [];
+      this.renderRejectsNotice(null);
+      this.renderCoercionNotice(null);
+      this.renderSampleNotice(null);
       this.currentSQL.value = '';
       this.queryHistory = [];
       
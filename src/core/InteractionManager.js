@@ -1,5 +1,6 @@
 import { signal } from '@preact/signals-core';
 import { Query } from '@uwdata/mosaic-sql';
+import { quoteIdentifier, sqlString } from '../data/Identifiers.js';
 
 export class InteractionManager {
   constructor(options = {}) {
@@ -67,7 +68,7 @@ export class InteractionManager {
   }
   
   generateSQL() {
-    const tableName = this.dataTable?.tableName?.value || 'data';
+    const tableName = quoteIdentifier(this.dataTable?.tableName?.value || 'data');
     const filters = Array.from(this.activeFilters.value.values());
     
     if (filters.length === 0) {
@@ -77,31 +78,32 @@ export class InteractionManager {
     
     // Build WHERE clause
     const whereConditions = filters.map(filter => {
+      const field = quoteIdentifier(filter.field);
       switch (filter.type) {
         case 'range':
           if (Array.isArray(filter.value) && filter.value.length === 2) {
             const [min, max] = filter.value;
-            return `${filter.field} BETWEEN ${min} AND ${max}`;
+            return `${field} BETWEEN ${min} AND ${max}`;
           }
           break;
           
         case 'categorical':
           if (Array.isArray(filter.value)) {
-            const values = filter.value.map(v => `'${v}'`).join(', ');
-            return `${filter.field} IN (${values})`;
+            const values = filter.value.map(sqlString).join(', ');
+            return `${field} IN (${values})`;
           } else {
-            return `${filter.field} = '${filter.value}'`;
+            return `${field} = ${sqlString(filter.value)}`;
           }
           
         case 'temporal':
           if (Array.isArray(filter.value) && filter.value.length === 2) {
             const [start, end] = filter.value;
-            return `${filter.field} BETWEEN '${start}' AND '${end}'`;
+            return `${field} BETWEEN ${sqlString(start)} AND ${sqlString(end)}`;
           }
           break;
           
         case 'text':
-          return `${filter.field} LIKE '%${filter.value}%'`;
+          return `${field} LIKE ${sqlString(`%${filter.value}%`)}`;
           
         default:
           // Custom predicate
@@ -226,4 +228,4 @@ export class InteractionManager {
     // Regenerate SQL to ensure consistency
     this.generateSQL();
   }
-}
\ No newline at end of file
+}
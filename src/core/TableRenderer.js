@@ -1,10 +1,12 @@
 import { MosaicClient, Selection } from '@uwdata/mosaic-core';
-import { Query, asc, desc } from '@uwdata/mosaic-sql';
+import { Query, asc, desc, sql } from '@uwdata/mosaic-sql';
 import { signal } from '@preact/signals-core';
 import { Type } from '@uwdata/flechette';
 import { Histogram } from '../visualizations/Histogram.js';
 import { DateHistogram } from '../visualizations/DateHistogram.js';
 import { ValueCounts } from '../visualizations/ValueCounts.js';
+import { GeometryMap } from '../visualizations/GeometryMap.js';
+import { quoteIdentifier } from '../data/Identifiers.js';
 
 export class TableRenderer extends MosaicClient {
   constructor(options) {
@@ -12,6 +14,7 @@ export class TableRenderer extends MosaicClient {
     
     this.table = options.table;
     this.schema = options.schema;
+    this.columnLabels = options.columnLabels || {}; // Column name -> header text, for renamed columns
     this.container = options.container;
     this.coordinator = options.coordinator;
     this.connection = options.connection; // Direct DuckDB connection for fallback queries
@@ -90,9 +93,12 @@ export class TableRenderer extends MosaicClient {
   
   query(filter = []) {
     // Convert orderBy array to Mosaic SQL format
-    const orderByExprs = this.orderBy.value.map(({ field, order }) => 
-      order === 'DESC' ? desc(field) : asc(field)
-    );
+    const orderByExprs = this.orderBy.value.map(({ field, order }) => {
+      // Mosaic reads a name with dots as table.column, so names that need quoting go in as SQL
+      const quoted = quoteIdentifier(field);
+      const column = quoted === field ? field : sql`${quoted}`;
+      return order === 'DESC' ? desc(column) : asc(column);
+    });
     
     const query = Query
       .from(this.table)
@@ -197,7 +203,11 @@ export class TableRenderer extends MosaicClient {
       
       // Column name
       const columnName = document.createElement('div');
-      columnName.textContent = fieldName;
+      // Renamed columns show their name as loaded, with the SQL name on hover
+      columnName.textContent = this.columnLabels[fieldName] ?? fieldName;
+      if (fieldName in this.columnLabels) {
+        columnName.title = fieldName;
+      }
       columnName.style.fontWeight = 'bold';
       columnName.style.flex = '1';
       headerTop.appendChild(columnName);
@@ -496,11 +506,40 @@ export class TableRenderer extends MosaicClient {
       isDetectedTimestamp: fieldSchema.isDetectedTimestamp,
       detectedTimestampType: fieldSchema.detectedTimestampType,
       timestampFormat: fieldSchema.timestampFormat,
-      originalType: fieldSchema.originalType
+      originalType: fieldSchema.originalType,
+      // Include detected geometry metadata if present
+      isGeometry: this.isGeometryField(fieldSchema),
+      geometryFormat: fieldSchema.geometryFormat
     };
     
     // Check field type and create appropriate visualization
-    if (this.isTemporalField(fieldSchema)) {
+    if (this.isGeometryField(fieldSchema)) {
+      // Create mini map for geometry fields
+      try {
+        const geometryMap = new GeometryMap({
+          table: this.table,
+          column: fieldName,
+          field: mockField,
+          filterBy: this.filterBy,
+          statsDisplay: statsDisplay
+        });
+        
+        // Connect to coordinator
+        if (this.coordinator) {
+          this.coordinator.connect(geometryMap);
+        }
+        
+        // Add to container
+        container.appendChild(geometryMap.node());
+        
+        // Store reference for cleanup
+        this.visualizations.set(fieldName, geometryMap);
+        
+      } catch (error) {
+        console.error(`Failed to create geometry map for ${fieldName}:`, error);
+        this.createPlaceholderViz(container, 'Error');
+      }
+    } else if (this.isTemporalField(fieldSchema)) {
       // Create date histogram for temporal fields
       try {
         const dateHistogram = new DateHistogram({
@@ -648,6 +687,26 @@ export class TableRenderer extends MosaicClient {
     return false;
   }
   
+  /**
+   * Check if field holds geometries (spatial types, or WKT/WKB detected by detectSchema)
+   * @param {Object} fieldSchema - Field schema object
+   * @returns {boolean}
+   */
+  isGeometryField(fieldSchema) {
+    if (!fieldSchema || !fieldSchema.type) return false;
+
+    if (fieldSchema.isGeometry) {
+      return true;
+    }
+
+    // Handle DuckDB spatial extension types
+    if (typeof fieldSchema.type === 'string') {
+      return /^(GEOMETRY|WKB_BLOB|(POINT|LINESTRING|POLYGON|BOX)_2D)/i.test(fieldSchema.type);
+    }
+
+    return false;
+  }
+  
   /**
    * Create placeholder visualization
    * @param {HTMLElement} container - Container element
@@ -792,6 +851,17 @@ export class TableRenderer extends MosaicClient {
     this.requestData();
   }
   
+  /**
+   * Point the table and its column visualizations at a renamed table
+   * @param {string} table - New table name
+   */
+  setTable(table) {
+    this.table = table;
+    this.visualizations.forEach(visualization => {
+      visualization.table = table;
+    });
+  }
+  
   clearData() {
     this.offset = 0;
     this.data = [];
@@ -822,8 +892,7 @@ export class TableRenderer extends MosaicClient {
       // Try direct DuckDB query first (most reliable)
       if (this.connection) {
         
-        // Build SQL query without quotes around table name
-        const sql = `SELECT * FROM ${this.table} LIMIT ${this.limit} OFFSET ${this.offset}`;
+        const sql = `SELECT * FROM ${quoteIdentifier(this.table)} LIMIT ${this.limit} OFFSET ${this.offset}`;
         
         const result = await this.connection.query(sql);
         const data = result.toArray();
@@ -0,0 +1,267 @@
+// ArrowConversion.js - Convert in-memory JavaScript data to Arrow IPC for DuckDB ingestion
+// Supports arrays of row objects, column objects, Apache Arrow / flechette tables and Arrow IPC files
+
+import {
+  Table as FlechetteTable,
+  tableFromArrays,
+  tableToIPC,
+  int32,
+  int64,
+  float64,
+  bool,
+  utf8,
+  timestamp,
+  TimeUnit,
+  Type
+} from '@uwdata/flechette';
+
+/**
+ * Check whether a value looks like an Arrow table (Apache Arrow JS or flechette)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isArrowTable(value) {
+  return !!value &&
+    typeof value === 'object' &&
+    typeof value.getChild === 'function' &&
+    typeof value.numRows === 'number' &&
+    Array.isArray(value.schema?.fields);
+}
+
+/**
+ * Check whether a value is a plain object of column arrays, e.g. { a: [1, 2], b: ['x', 'y'] }
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isColumnObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    return false;
+  }
+
+  const columns = Object.values(value);
+  return columns.length > 0 && columns.every(column => Array.isArray(column) || ArrayBuffer.isView(column));
+}
+
+/**
+ * Convert an array of row objects into column arrays
+ * @param {Array<Object>} rows - Row objects
+ * @returns {Object} Column object keyed by field name, in first-seen key order
+ */
+export function rowsToColumns(rows) {
+  const names = [];
+  const seen = new Set();
+
+  for (const row of rows) {
+    if (!row || typeof row !== 'object') {
+      throw new Error('Row data must be an array of objects');
+    }
+    for (const key of Object.keys(row)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        names.push(key);
+      }
+    }
+  }
+
+  const columns = {};
+  for (const name of names) {
+    columns[name] = rows.map(row => row[name]);
+  }
+  return columns;
+}
+
+/**
+ * Serialize a column object to an Arrow IPC stream with DuckDB-friendly types
+ * @param {Object} columns - Column object keyed by field name
+ * @param {Object} options - Serialization options
+ * @param {Object} options.types - flechette data types for columns that should not be inferred
+ * @returns {Uint8Array} Arrow IPC stream bytes
+ */
+export function columnsToIPC(columns, options = {}) {
+  const declaredTypes = options.types || {};
+  const lengths = new Set(Object.values(columns).map(column => column.length));
+  if (lengths.size > 1) {
+    throw new Error('All columns must have the same length');
+  }
+
+  const data = {};
+  const types = {};
+
+  for (const [name, values] of Object.entries(columns)) {
+    // Typed arrays already carry their type, so let flechette map them directly
+    if (ArrayBuffer.isView(values)) {
+      data[name] = values;
+      continue;
+    }
+
+    if (declaredTypes[name]) {
+      data[name] = values;
+      types[name] = declaredTypes[name];
+      continue;
+    }
+
+    const { type, convert } = inferColumnType(values);
+    data[name] = convert ? values.map(convert) : values;
+    types[name] = type;
+  }
+
+  const table = tableFromArrays(data, { types });
+  return tableToIPC(table, { format: 'stream' });
+}
+
+/**
+ * Serialize an Arrow table to an Arrow IPC stream
+ * @param {Object} table - Apache Arrow JS or flechette table
+ * @returns {Uint8Array} Arrow IPC stream bytes
+ */
+export async function arrowTableToIPC(table) {
+  if (table instanceof FlechetteTable) {
+    return tableToIPC(table, { format: 'stream' });
+  }
+
+  // Apache Arrow JS tables are serialized with their own library to keep every type intact
+  const arrow = await import('apache-arrow');
+  return arrow.tableToIPC(table, 'stream');
+}
+
+/**
+ * Read Arrow IPC data in either the file (Feather v2) or the stream format, re-encoding
+ * each record batch as a standalone IPC stream that DuckDB can insert on its own.
+ * Chunked sources are decoded incrementally in the stream format; the file format keeps
+ * its index at the end, so Apache Arrow reads it fully before the first batch.
+ * @param {Uint8Array|AsyncIterable<Uint8Array>} source - Arrow IPC bytes or chunks of them
+ * @returns {Object} Apache Arrow schema and an async iterator of { ipc, numRows } per record batch
+ */
+export async function readArrowIPCBatches(source) {
+  const arrow = await import('apache-arrow');
+  const reader = await arrow.RecordBatchReader.from(source);
+  await reader.open();
+
+  // The reader releases its schema once iteration finishes, so keep a reference
+  const schema = reader.schema;
+
+  async function* batches() {
+    let batchCount = 0;
+    for await (const batch of reader) {
+      batchCount++;
+      yield {
+        ipc: arrow.RecordBatchStreamWriter.writeAll([batch]).toUint8Array(true),
+        numRows: batch.numRows
+      };
+    }
+
+    // A schema-only source still needs one stream to create the empty table
+    if (batchCount === 0) {
+      yield { ipc: arrow.tableToIPC(new arrow.Table(schema), 'stream'), numRows: 0 };
+    }
+  }
+
+  return { schema, batches: batches() };
+}
+
+/**
+ * Collect Arrow field details that are lost when DuckDB maps fields to column types
+ * @param {Object} schema - Apache Arrow or flechette schema
+ * @returns {Object} Annotations keyed by field name, e.g. { dictionary: true } or { timezone: 'UTC' }
+ */
+export function describeArrowFields(schema) {
+  const annotations = {};
+
+  for (const field of schema.fields) {
+    const annotation = {};
+
+    // DuckDB decodes dictionaries into their value type
+    if (field.type.typeId === Type.Dictionary) {
+      annotation.dictionary = true;
+    }
+
+    // DuckDB stores zoned timestamps as UTC TIMESTAMPTZ, dropping the zone name
+    const valueType = field.type.typeId === Type.Dictionary ? field.type.dictionary : field.type;
+    if (valueType?.typeId === Type.Timestamp && valueType.timezone) {
+      annotation.timezone = valueType.timezone;
+    }
+
+    if (Object.keys(annotation).length > 0) {
+      annotations[field.name] = annotation;
+    }
+  }
+
+  return annotations;
+}
+
+// Helper functions
+
+/**
+ * Infer an Arrow type for a column of JavaScript values
+ * @param {Array} values - Column values (null/undefined are treated as missing)
+ * @returns {Object} Arrow type and optional value converter
+ */
+function inferColumnType(values) {
+  const kinds = new Set();
+  let fitsInt32 = true;
+
+  for (const value of values) {
+    if (value === null || value === undefined) continue;
+
+    if (typeof value === 'number') {
+      if (Number.isInteger(value)) {
+        kinds.add('integer');
+        if (value < -2147483648 || value > 2147483647) {
+          fitsInt32 = false;
+        }
+      } else {
+        kinds.add('float');
+      }
+    } else if (typeof value === 'bigint') {
+      kinds.add('bigint');
+    } else if (typeof value === 'boolean') {
+      kinds.add('boolean');
+    } else if (value instanceof Date) {
+      kinds.add('date');
+    } else if (typeof value === 'string') {
+      kinds.add('string');
+    } else {
+      kinds.add('object');
+    }
+  }
+
+  // Integers and floats mix cleanly; integers too wide for INT32 fall back to DOUBLE
+  if (kinds.size === 0) {
+    return { type: utf8() };
+  }
+  if ([...kinds].every(kind => kind === 'integer' || kind === 'float')) {
+    return { type: kinds.has('float') || !fitsInt32 ? float64() : int32() };
+  }
+  if (kinds.size === 1 && kinds.has('bigint')) {
+    return { type: int64() };
+  }
+  if (kinds.size === 1 && kinds.has('boolean')) {
+    return { type: bool() };
+  }
+  if (kinds.size === 1 && kinds.has('date')) {
+    return { type: timestamp(TimeUnit.MILLISECOND) };
+  }
+
+  // Strings, nested values and mixed columns are stored as text
+  return { type: utf8(), convert: toText };
+}
+
+/**
+ * Convert a value to its text representation for string columns
+ * @param {*} value - Value to convert
+ * @returns {string|null}
+ */
+function toText(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    return JSON.stringify(value, (key, nested) => typeof nested === 'bigint' ? nested.toString() : nested);
+  }
+  return String(value);
+}
@@ -0,0 +1,336 @@
+// AzureStorage.js - Azure Blob Storage and local emulators such as Azurite
+// Requests to the configured account are authorized with a SAS token, merged into each URL's
+// query, or a bearer token from Microsoft Entra ID; blob URLs of other accounts only carry their
+// own SAS token. Large blobs download as ranged blocks fetched in parallel.
+
+import { detectFormatFromPath } from './FormatDetection.js';
+import { throwIfAborted } from './Cancellation.js';
+import { sendRequest, rangeHeader } from './Retry.js';
+
+// Service version sent with every request; bearer tokens need 2017-11-09 or later
+const API_VERSION = '2021-08-06';
+
+const DEFAULT_BLOCK_SIZE = 8 * 1024 * 1024;
+const DEFAULT_CONCURRENCY = 4;
+
+export class AzureStorage {
+  /**
+   * @param {Object} options - Azure settings
+   * @param {string} options.account - Storage account name, used for az:// locations
+   * @param {string} options.endpoint - Blob service URL (default https://<account>.blob.core.windows.net);
+   *   for Azurite, 'http://127.0.0.1:10000/devstoreaccount1'
+   * @param {string} options.sasToken - Shared access signature, with or without the leading '?'
+   * @param {string|Function} options.token - Bearer token, or a function resolving to one so that
+   *   tokens can be refreshed before they expire
+   * @param {number} options.blockSize - Bytes per ranged request for large blobs (default 8MB)
+   * @param {number} options.concurrency - Blocks downloaded at the same time (default 4)
+   */
+  constructor(options = {}) {
+    this.account = options.account || null;
+    this.endpoint = (options.endpoint || (this.account ? `https://${this.account}.blob.core.windows.net` : ''))
+      .replace(/\/+$/, '');
+    this.sasToken = options.sasToken || null;
+    this.token = options.token || null;
+    this.blockSize = options.blockSize || DEFAULT_BLOCK_SIZE;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  }
+  
+  /**
+   * Check whether a location names an Azure blob
+   * @param {*} location - Load source
+   * @returns {boolean} True for az:// paths, blob service URLs and URLs under the configured endpoint
+   */
+  isLocation(location) {
+    return typeof location === 'string' && (
+      location.startsWith('az://') ||
+      /^https:\/\/[^/]+\.blob\.core\.windows\.net\//.test(location) ||
+      (!!this.endpoint && location.startsWith(`${this.endpoint}/`))
+    );
+  }
+  
+  /**
+   * Split an Azure location into the service URL, container and blob name
+   * @param {string|Object} location - 'az://container/blob', a blob URL (which may carry its own SAS
+   *   token), or { container, blob }
+   * @returns {Object} { endpoint, container, blob, query } with query holding URL parameters to keep
+   */
+  parseLocation(location) {
+    if (typeof location === 'object' && location !== null) {
+      if (!location.container) {
+        throw new Error('Invalid Azure location: a container is required');
+      }
+      return { endpoint: this.requireEndpoint(), container: location.container, blob: location.blob || '', query: '' };
+    }
+    
+    const text = String(location);
+    const path = /^az:\/\/([^/]+)\/?(.*)$/.exec(text);
+    if (path) {
+      return { endpoint: this.requireEndpoint(), container: path[1], blob: path[2], query: '' };
+    }
+    
+    let url;
+    try {
+      url = new URL(text);
+    } catch (error) {
+      throw new Error(`Invalid Azure location: ${location} (expected az://container/blob or a blob URL)`);
+    }
+    
+    // Emulators put the account in the path, like the configured endpoint
+    const base = this.endpoint && text.startsWith(`${this.endpoint}/`) ? this.endpoint : url.origin;
+    const [container, ...blob] = url.pathname.slice(new URL(base).pathname.replace(/\/$/, '').length + 1).split('/');
+    if (!container) {
+      throw new Error(`Invalid Azure location: ${location} (no container)`);
+    }
+    return {
+      endpoint: base,
+      container: decodeURIComponent(container),
+      blob: blob.map(decodeURIComponent).join('/'),
+      query: url.search
+    };
+  }
+  
+  /**
+   * Build an authorized request for a container or blob. The configured SAS token and bearer
+   * token are only sent to the configured endpoint; URLs of other accounts keep just the SAS token
+   * they carry themselves.
+   * @param {Object} target - { endpoint, container, blob, query } from parseLocation
+   * @param {Object} params - Extra query parameters, e.g. { restype: 'container', comp: 'list' }
+   * @returns {Object} { url, headers }
+   */
+  async authorize({ endpoint, container, blob = '', query = '' }, params = {}) {
+    const path = [container, ...(blob ? blob.split('/') : [])].map(encodeURIComponent).join('/');
+    const url = new URL(`${endpoint}/${path}`);
+    const configured = !!this.endpoint && endpoint === this.endpoint;
+    
+    // The configured SAS token, a token already in the URL, then the request's own parameters
+    for (const source of [configured ? this.sasToken : null, query]) {
+      for (const [name, value] of new URLSearchParams(source || '')) {
+        url.searchParams.set(name, value);
+      }
+    }
+    for (const [name, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null && value !== '') {
+        url.searchParams.set(name, String(value));
+      }
+    }
+    
+    const headers = { 'x-ms-version': API_VERSION };
+    const token = !configured ? null : typeof this.token === 'function' ? await this.token() : this.token;
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    
+    return { url: url.toString(), headers };
+  }
+  
+  /**
+   * List the blobs and virtual folders under a prefix, one page at a time
+   * @param {string|Object} location - 'az://container/prefix/', a container URL, or { container, blob }
+   *   with the prefix as blob
+   * @param {Object} options - Listing options
+   * @param {string} options.delimiter - Groups names into folders (default '/'; '' lists every blob)
+   * @param {number} options.maxResults - Page size (default 5000, the service maximum)
+   * @param {string} options.continuationToken - nextToken from the previous page
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Object} { container, prefix, folders: [{ prefix, name }], files: [{ key, name, size,
+   *   lastModified, etag, contentType, format }], nextToken } with nextToken null on the last page
+   */
+  async list(location, options = {}) {
+    const target = this.parseLocation(location);
+    const { container, blob: prefix } = target;
+    const { delimiter = '/', maxResults = 5000, continuationToken, signal } = options;
+    
+    const { url, headers } = await this.authorize({ ...target, blob: '' }, {
+      restype: 'container',
+      comp: 'list',
+      prefix,
+      delimiter,
+      maxresults: maxResults,
+      marker: continuationToken
+    });
+    const response = await this.send(url, { headers, signal }, `list az://${container}/${prefix}`);
+    const document = new DOMParser().parseFromString(await response.text(), 'application/xml');
+    const text = (parent, tag) => parent.getElementsByTagName(tag)[0]?.textContent ?? null;
+    
+    const folders = Array.from(document.getElementsByTagName('BlobPrefix'), node => {
+      const folder = text(node, 'Name');
+      return { prefix: folder, name: folder.slice(prefix.length).replace(/\/$/, '') };
+    });
+    
+    const files = Array.from(document.getElementsByTagName('Blob'), node => {
+      const key = text(node, 'Name');
+      const name = key.split('/').pop();
+      return {
+        key,
+        name,
+        size: Number(text(node, 'Content-Length')),
+        lastModified: text(node, 'Last-Modified') ? new Date(text(node, 'Last-Modified')) : null,
+        etag: text(node, 'Etag')?.replace(/"/g, '') ?? null,
+        contentType: text(node, 'Content-Type'),
+        format: detectFormatFromPath(name)
+      };
+    });
+    
+    return {
+      container,
+      prefix,
+      folders,
+      files,
+      nextToken: text(document, 'NextMarker') || null
+    };
+  }
+  
+  /**
+   * Get a URL DuckDB can read the blob from with range requests, for lazy loading
+   * @param {string|Object} location - 'az://container/blob', a blob URL, or { container, blob }
+   * @returns {Object|null} { url, details: { container, blob } } with the URL authorized by SAS, or
+   *   null with bearer tokens, which DuckDB cannot send
+   */
+  async resolveURL(location) {
+    if (this.token) {
+      return null;
+    }
+    const target = this.parseLocation(location);
+    const { url } = await this.authorize(target);
+    return { url, details: { container: target.container, blob: target.blob } };
+  }
+  
+  /**
+   * Read a blob, or a byte range of it. Whole blobs are downloaded in parallel blocks.
+   * @param {string|Object} location - 'az://container/blob', a blob URL, or { container, blob }
+   * @param {Object} options - { range: { start, end }, headers, credentials, onProgress, signal } with
+   *   an inclusive end; headers are added to the requests and credentials is the fetch mode
+   * @returns {Object} { response, name, details: { container, blob } }
+   */
+  async read(location, options = {}) {
+    const target = this.parseLocation(location);
+    if (!target.blob) {
+      throw new Error(`Invalid Azure location: az://${target.container}/ names a container, not a blob`);
+    }
+    const details = { container: target.container, blob: target.blob };
+    
+    if (!options.range) {
+      const { bytes, name, contentType } = await this.download(target, options);
+      const headers = { 'Content-Length': String(bytes.length), ...(contentType && { 'Content-Type': contentType }) };
+      return { response: new Response(bytes, { headers }), name, details };
+    }
+    
+    const { url, headers } = await this.authorize(target);
+    const response = await this.send(url, {
+      headers: { ...options.headers, ...headers, ...rangeHeader(options.range) },
+      credentials: options.credentials,
+      signal: options.signal
+    }, `read az://${target.container}/${target.blob}`);
+    
+    return { response, name: target.blob.split('/').pop(), details };
+  }
+  
+  /**
+   * Download a blob. Blobs larger than one block are fetched as ranged blocks in parallel, each
+   * pinned to the blob's ETag so that a blob changing mid-download fails instead of mixing versions.
+   * @param {string|Object} location - 'az://container/blob', a blob URL, or { container, blob }
+   * @param {Object} options - Download options
+   * @param {Function} options.onProgress - Receives { loaded, total, percent, stage: 'downloading' }
+   * @param {Object} options.headers - Headers to add to the requests
+   * @param {string} options.credentials - fetch credentials mode
+   * @param {AbortSignal} options.signal - Aborts every pending request
+   * @returns {Object} { bytes, name, contentType }
+   */
+  async download(location, options = {}) {
+    const { onProgress = () => {}, signal } = options;
+    const target = this.parseLocation(location);
+    if (!target.blob) {
+      throw new Error(`Invalid Azure location: az://${target.container}/ names a container, not a blob`);
+    }
+    const action = `download az://${target.container}/${target.blob}`;
+    const { url, headers: authorization } = await this.authorize(target);
+    const headers = { ...options.headers, ...authorization };
+    const { credentials } = options;
+    
+    const head = await this.send(url, { method: 'HEAD', headers, credentials, signal }, action);
+    const total = Number(head.headers.get('content-length')) || 0;
+    const etag = head.headers.get('etag');
+    const contentType = head.headers.get('content-type');
+    const name = target.blob.split('/').pop();
+    
+    const bytes = new Uint8Array(total);
+    const ranges = [];
+    for (let start = 0; start < total; start += this.blockSize) {
+      ranges.push([start, Math.min(start + this.blockSize, total) - 1]);
+    }
+    
+    // A failed block stops the others, as does the caller's signal
+    const controller = new AbortController();
+    const stop = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', stop, { once: true });
+    
+    let loaded = 0;
+    let next = 0;
+    const worker = async () => {
+      while (next < ranges.length) {
+        const [start, end] = ranges[next++];
+        const response = await this.send(url, {
+          headers: { ...headers, ...rangeHeader({ start, end }), ...(etag && { 'If-Match': etag }) },
+          credentials,
+          signal: controller.signal
+        }, action);
+        
+        const block = new Uint8Array(await response.arrayBuffer());
+        if (response.status !== 206 || block.length !== end - start + 1) {
+          throw new Error(`Failed to ${action}: expected bytes ${start}-${end}, got HTTP ${response.status} with ${block.length} bytes`);
+        }
+        bytes.set(block, start);
+        
+        loaded += block.length;
+        onProgress({
+          loaded,
+          total,
+          percent: Math.round((loaded / total) * 100),
+          stage: 'downloading'
+        });
+      }
+    };
+    
+    try {
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, ranges.length) }, () =>
+        worker().catch(error => {
+          controller.abort(error);
+          throw error;
+        })
+      ));
+    } catch (error) {
+      throwIfAborted(signal);
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', stop);
+    }
+    
+    return { bytes, name, contentType };
+  }
+  
+  /**
+   * Send a request and check its status
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch options
+   * @param {string} action - What the request does, for error messages
+   * @returns {Response}
+   */
+  async send(url, init, action) {
+    return sendRequest(url, init, action, async response => {
+      // The error code header also covers HEAD requests, which have no error body
+      const code = response.headers.get('x-ms-error-code');
+      return code ? `: ${code}` : '';
+    });
+  }
+  
+  /**
+   * Get the blob service URL for az:// locations
+   * @returns {string}
+   */
+  requireEndpoint() {
+    if (!this.endpoint) {
+      throw new Error('Azure locations need an account or endpoint setting');
+    }
+    return this.endpoint;
+  }
+}
@@ -0,0 +1,232 @@
+// BoxStorage.js - Files in Box, browsed by folder and downloaded through the Box API
+// Requests carry a bearer token from a token provider: the app's own function or string, or the
+// built-in OAuth2 PKCE client. A refused token is refreshed once before the request fails.
+
+import { OAuth2PKCE } from './OAuth2PKCE.js';
+import { detectFormatFromPath } from './FormatDetection.js';
+import { sendRequest, rangeHeader } from './Retry.js';
+
+const BOX_AUTHORIZE_URL = 'https://account.box.com/api/oauth2/authorize';
+const BOX_TOKEN_URL = 'https://api.box.com/oauth2/token';
+const BOX_API_URL = 'https://api.box.com/2.0';
+
+// Fields requested for folder items, so listings show sizes and dates without extra requests
+const ITEM_FIELDS = 'type,id,name,size,modified_at,etag';
+
+export class BoxStorage {
+  /**
+   * @param {Object} options - Box settings
+   * @param {string|Function} options.token - Access token, or a token provider called with
+   *   { forceRefresh } that resolves to one; use this when the app handles sign-in itself
+   * @param {string} options.clientId - Box app client ID, for the built-in OAuth2 PKCE sign-in
+   * @param {string} options.clientSecret - Box app client secret, if the app requires it
+   * @param {string} options.redirectUri - Redirect URI registered for the Box app
+   * @param {Object} options.tokens - Saved OAuth tokens, see OAuth2PKCE
+   * @param {Function} options.onTokens - Called with refreshed OAuth tokens, to save them
+   * @param {string} options.apiUrl - Box API base URL (default https://api.box.com/2.0)
+   * @param {string} options.authorizeUrl - OAuth authorization endpoint
+   * @param {string} options.tokenUrl - OAuth token endpoint
+   */
+  constructor(options = {}) {
+    this.apiUrl = (options.apiUrl || BOX_API_URL).replace(/\/+$/, '');
+    this.token = options.token || null;
+    this.auth = options.clientId
+      ? new OAuth2PKCE({
+        clientId: options.clientId,
+        clientSecret: options.clientSecret,
+        redirectUri: options.redirectUri,
+        authorizeUrl: options.authorizeUrl || BOX_AUTHORIZE_URL,
+        tokenUrl: options.tokenUrl || BOX_TOKEN_URL,
+        tokens: options.tokens,
+        onTokens: options.onTokens
+      })
+      : null;
+  }
+  
+  /**
+   * Start signing in to Box with OAuth2 PKCE
+   * @param {Object} options - { state } to use instead of a random one
+   * @returns {Object} { url, state, codeVerifier }; send the user to url
+   */
+  async beginAuthorization(options = {}) {
+    return this.requireAuth().beginAuthorization(options);
+  }
+  
+  /**
+   * Finish signing in with the redirect Box sent the user back with
+   * @param {string|Object} redirect - The redirect URL, or { code, state }
+   * @param {Object} pending - { state, codeVerifier } from beginAuthorization, after a full-page redirect
+   * @returns {Object} Tokens
+   */
+  async completeAuthorization(redirect, pending = undefined) {
+    return this.requireAuth().completeAuthorization(redirect, pending);
+  }
+  
+  /**
+   * Get an access token from the configured token provider
+   * @param {Object} options - { forceRefresh: true } after Box refused the current token
+   * @returns {string}
+   */
+  async getAccessToken(options = {}) {
+    if (typeof this.token === 'function') {
+      return this.token(options);
+    }
+    if (this.token) {
+      return this.token;
+    }
+    if (this.auth) {
+      return this.auth.getAccessToken(options);
+    }
+    throw new Error('Box requests need a token or a clientId to sign in with');
+  }
+  
+  /**
+   * Get a Box file or folder ID from a location
+   * @param {string|number|Object} location - ID, 'box://<id>', or an item from list() with an id
+   * @returns {string}
+   */
+  parseLocation(location) {
+    const id = typeof location === 'object' && location !== null
+      ? location.id
+      : String(location).replace(/^box:\/\//, '').replace(/\/+$/, '');
+    
+    if (!/^\d+$/.test(String(id))) {
+      throw new Error(`Invalid Box location: ${typeof location === 'object' ? id : location} (expected a numeric ID or box://<id>)`);
+    }
+    return String(id);
+  }
+  
+  /**
+   * List the files and subfolders of a folder, one page at a time
+   * @param {string|number|Object} folder - Folder ID, 'box://<id>' or a folder item; '0' is the root
+   * @param {Object} options - Listing options
+   * @param {number} options.limit - Page size (default 1000, the Box maximum)
+   * @param {string} options.continuationToken - nextToken from the previous page
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Object} { folderId, folders: [{ id, name }], files: [{ id, key, name, size,
+   *   lastModified, etag, format }], nextToken } with nextToken null on the last page
+   */
+  async list(folder = '0', options = {}) {
+    const folderId = this.parseLocation(folder);
+    const { limit = 1000, continuationToken, signal } = options;
+    const offset = Number(continuationToken) || 0;
+    
+    const response = await this.request(
+      `/folders/${folderId}/items?fields=${ITEM_FIELDS}&limit=${limit}&offset=${offset}`,
+      { signal },
+      `list Box folder ${folderId}`
+    );
+    const { entries = [], total_count: totalCount = 0 } = await response.json();
+    
+    const folders = entries
+      .filter(entry => entry.type === 'folder')
+      .map(entry => ({ id: entry.id, name: entry.name }));
+    
+    // Web links and other item types cannot be loaded
+    const files = entries
+      .filter(entry => entry.type === 'file')
+      .map(entry => ({
+        id: entry.id,
+        key: `box://${entry.id}`,
+        name: entry.name,
+        size: entry.size ?? null,
+        lastModified: entry.modified_at ? new Date(entry.modified_at) : null,
+        etag: entry.etag ?? null,
+        format: detectFormatFromPath(entry.name)
+      }));
+    
+    const next = offset + entries.length;
+    return {
+      folderId,
+      folders,
+      files,
+      nextToken: entries.length > 0 && next < totalCount ? String(next) : null
+    };
+  }
+  
+  /**
+   * Read a file, or a byte range of it
+   * @param {string|number|Object} file - File ID, 'box://<id>' or a file item
+   * @param {Object} options - { range: { start, end }, headers, credentials, signal } with an
+   *   inclusive end; headers are added to the content request and credentials is the fetch mode
+   * @returns {Object} { response, name, details: { boxFileId } }
+   */
+  async read(file, options = {}) {
+    const { response, name } = await this.download(file, options);
+    return { response, name, details: { boxFileId: this.parseLocation(file) } };
+  }
+  
+  /**
+   * Start downloading a file
+   * @param {string|number|Object} file - File ID, 'box://<id>' or a file item
+   * @param {Object} options - { range: { start, end }, headers, credentials, signal } with an inclusive end
+   * @returns {Object} { response, name } with the content response still to be read
+   */
+  async download(file, options = {}) {
+    const fileId = this.parseLocation(file);
+    const action = `download Box file ${fileId}`;
+    
+    // Listing items already carry the name; otherwise it is looked up for format detection
+    const name = typeof file === 'object' && file.name
+      ? file.name
+      : (await (await this.request(`/files/${fileId}?fields=name`, { signal: options.signal }, action)).json()).name;
+    
+    // Box answers with a redirect to a short-lived download URL, which fetch follows
+    const response = await this.request(`/files/${fileId}/content`, {
+      headers: { ...options.headers, ...rangeHeader(options.range) },
+      credentials: options.credentials,
+      signal: options.signal
+    }, action);
+    return { response, name };
+  }
+  
+  /**
+   * Send an authorized GET request to the Box API, refreshing the token once if it is refused
+   * @param {string} path - API path with query, e.g. '/folders/0/items'
+   * @param {Object} options - { headers, credentials, signal }
+   * @param {string} action - What the request does, for error messages
+   * @returns {Response}
+   */
+  async request(path, options = {}, action = 'request Box') {
+    for (const forceRefresh of [false, true]) {
+      const token = await this.getAccessToken({ forceRefresh });
+      try {
+        return await sendRequest(`${this.apiUrl}${path}`, {
+          headers: { ...options.headers, Authorization: `Bearer ${token}` },
+          credentials: options.credentials,
+          signal: options.signal
+        }, action, describeBoxError);
+      } catch (error) {
+        // A fixed token cannot be refreshed, so only providers get a second try
+        const refreshable = !!this.auth || typeof this.token === 'function';
+        if (error.status !== 401 || forceRefresh || !refreshable) {
+          throw error;
+        }
+      }
+    }
+  }
+  
+  /**
+   * Get the built-in OAuth client
+   * @returns {OAuth2PKCE}
+   */
+  requireAuth() {
+    if (!this.auth) {
+      throw new Error('Box sign-in needs a clientId');
+    }
+    return this.auth;
+  }
+}
+
+// Helper functions
+
+/**
+ * Get the detail of a failed Box API response for its error message
+ * @param {Response} response - Failed response
+ * @returns {string} e.g. ': not_found - Not Found', or ''
+ */
+async function describeBoxError(response) {
+  // Box errors are JSON: { code: 'not_found', message: 'Not Found', ... }
+  const error = await response.json().catch(() => ({}));
+  return error.code ? `: ${error.code}${error.message ? ` - ${error.message}` : ''}` : '';
+}
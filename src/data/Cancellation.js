@@ -0,0 +1,56 @@
+// Cancellation.js - AbortSignal helpers for data loads
+// Aborted loads reject with a DOMException named 'AbortError', the same error fetch uses
+
+/**
+ * Check whether an error comes from an aborted operation
+ * @param {*} error - Caught error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Create the error an aborted load rejects with
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} The signal's reason if it is already an AbortError, otherwise a new one
+ */
+export function createAbortError(signal) {
+  const reason = signal?.reason;
+  if (isAbortError(reason)) {
+    return reason;
+  }
+  return new DOMException(typeof reason === 'string' ? reason : 'The data load was aborted', 'AbortError');
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal|undefined} signal - Signal to check
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError(signal);
+  }
+}
+
+/**
+ * Settle with a promise, or reject as soon as the signal aborts. The underlying work is not
+ * interrupted; callers clean up after it once it settles.
+ * @param {Promise} promise - Work in progress
+ * @param {AbortSignal|undefined} signal - Signal to follow
+ * @returns {Promise} Result of the promise
+ */
+export function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(createAbortError(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
@@ -1,31 +1,254 @@
-// Placeholder for CloudStorage functionality
+// CloudStorage.js - Load data from cloud object storage
+// Storage providers are registered by URI scheme, so DataTable.loadData('s3://bucket/key.csv')
+// reads through the provider for s3://. Built in are S3 (s3://), Google Cloud Storage (gs://),
+// Azure Blob Storage (az://) and Box (box://); apps can register providers for their own schemes.
+import { S3Storage } from './S3Storage.js';
+import { GCSStorage } from './GCSStorage.js';
+import { AzureStorage } from './AzureStorage.js';
+import { BoxStorage } from './BoxStorage.js';
+
+// Schemes the data loader fetches itself
+const RESERVED_SCHEMES = ['http', 'https'];
+
 export class CloudStorage {
+  /**
+   * @param {Object} options - Storage settings
+   * @param {Object} options.s3 - S3 settings: region, credentials, endpoint, forcePathStyle, expiresIn
+   * @param {Object} options.gcs - Google Cloud Storage settings: token, apiUrl
+   * @param {Object} options.azure - Azure settings: account, endpoint, sasToken, token, blockSize, concurrency
+   * @param {Object} options.box - Box settings: token (or token provider), or clientId and redirectUri
+   *   for OAuth2 PKCE sign-in
+   * @param {Object} options.providers - Providers for custom schemes, e.g. { warehouse: provider }
+   */
   constructor(options = {}) {
     this.options = options;
+    this.s3 = new S3Storage(options.s3);
+    this.gcs = new GCSStorage(options.gcs);
+    this.azure = new AzureStorage(options.azure);
+    this.box = new BoxStorage(options.box);
+    
+    this.providers = new Map([
+      ['s3', this.s3],
+      ['gs', this.gcs],
+      ['az', this.azure],
+      ['box', this.box]
+    ]);
+    for (const [scheme, provider] of Object.entries(options.providers || {})) {
+      this.register(scheme, provider);
+    }
   }
   
-  async loadFromS3(presignedUrl) {
-    // TODO: Implement S3 loading
-    // S3 loading implementation pending for Phase 2
-    return fetch(presignedUrl);
+  /**
+   * Register a storage provider for a URI scheme, replacing any provider it had
+   * @param {string} scheme - Scheme without '://', e.g. 'warehouse' for 'warehouse://sales/2024'
+   * @param {Object} provider - Provider with these methods, each taking the location as given:
+   *   read(location, { range: { start, end }, onProgress, signal }) resolves to a Response, or to
+   *     { response, name, details } with the file name for format detection and fields to add to
+   *     the load result; without a range it reads the whole file
+   *   list(location, options) (optional) resolves to { folders, files, nextToken }
+   *   resolveURL(location, { expiresIn }) (optional) resolves to { url, details } with a URL DuckDB
+   *     can read with range requests and no headers, for lazy Parquet, or to null when there is
+   *     none; expiresIn is the lifetime in seconds the load asked for, for presigned URLs
+   *   isLocation(location) (optional) claims other locations too, such as https URLs of the service
+   *   Providers authenticate their own requests, e.g. by signing them or adding a bearer token.
+   * @returns {CloudStorage} This storage, for chaining
+   */
+  register(scheme, provider) {
+    const name = String(scheme).toLowerCase().replace(/:\/\/$/, '');
+    if (!/^[a-z][a-z0-9+.-]*$/.test(name) || RESERVED_SCHEMES.includes(name)) {
+      throw new Error(`Invalid storage scheme: ${scheme}`);
+    }
+    if (typeof provider?.read !== 'function') {
+      throw new Error(`Invalid storage provider for ${name}://: a read(location, options) method is required`);
+    }
+    
+    this.providers.set(name, provider);
+    return this;
   }
   
-  async loadFromAzure(blobUrl, sasToken) {
-    // TODO: Implement Azure Blob loading
-    // Azure Blob loading implementation pending for Phase 2
-    const urlWithSAS = `${blobUrl}?${sasToken}`;
-    return fetch(urlWithSAS);
+  /**
+   * Remove the provider for a URI scheme
+   * @param {string} scheme - Scheme without '://'
+   * @returns {boolean} True if a provider was removed
+   */
+  unregister(scheme) {
+    return this.providers.delete(String(scheme).toLowerCase());
   }
   
-  async loadFromGCS(signedUrl) {
-    // TODO: Implement Google Cloud Storage loading
-    // GCS loading implementation pending for Phase 2
-    return fetch(signedUrl);
+  /**
+   * Get the provider registered for a URI scheme
+   * @param {string} scheme - Scheme without '://'
+   * @returns {Object|null}
+   */
+  getProvider(scheme) {
+    return this.providers.get(String(scheme).toLowerCase()) || null;
   }
   
-  async loadFromBox(config) {
-    // TODO: Implement Box loading with OAuth
-    // Box loading implementation pending for Phase 2
-    throw new Error('Box loading not implemented yet');
+  /**
+   * Find the provider that reads a location
+   * @param {*} location - Load source
+   * @returns {Object|null} Provider for the location's scheme, or one that claims the location
+   */
+  providerFor(location) {
+    if (typeof location !== 'string') {
+      return null;
+    }
+    
+    const scheme = getScheme(location);
+    if (scheme && this.providers.has(scheme)) {
+      return this.providers.get(scheme);
+    }
+    for (const provider of this.providers.values()) {
+      if (typeof provider.isLocation === 'function' && provider.isLocation(location)) {
+        return provider;
+      }
+    }
+    return null;
   }
-}
\ No newline at end of file
+  
+  /**
+   * List the files and folders at a location with its provider
+   * @param {string} location - Location URI, e.g. 's3://bucket/prefix/' or 'box://0'
+   * @param {Object} options - Provider listing options, e.g. continuationToken and signal
+   * @returns {Object} { folders, files, nextToken } and provider-specific fields
+   */
+  async list(location, options = {}) {
+    const provider = this.requireProvider(location);
+    if (typeof provider.list !== 'function') {
+      throw new Error(`The storage provider for ${location} does not support listing`);
+    }
+    return provider.list(location, options);
+  }
+  
+  /**
+   * Read a file, or a byte range of it, with its provider
+   * @param {string} location - Location URI
+   * @param {Object} options - { range: { start, end }, onProgress, signal } with an inclusive end
+   * @returns {Object} { response, name, details }
+   */
+  async read(location, options = {}) {
+    const result = await this.requireProvider(location).read(location, options);
+    return result instanceof Response ? { response: result } : result;
+  }
+  
+  /**
+   * Get the provider for a location, failing without one
+   * @param {string} location - Location URI
+   * @returns {Object}
+   */
+  requireProvider(location) {
+    const provider = this.providerFor(location);
+    if (!provider) {
+      const scheme = getScheme(location);
+      throw new Error(scheme
+        ? `No storage provider is registered for ${scheme}:// locations`
+        : `No storage provider reads ${location}`);
+    }
+    return provider;
+  }
+  
+  /**
+   * List the files and folders under an S3 prefix, to choose what to load
+   * @param {string|Object} location - 's3://bucket/prefix/' or { bucket, key }
+   * @param {Object} options - delimiter, maxKeys, continuationToken and signal
+   * @returns {Object} { bucket, prefix, folders, files, nextToken }
+   */
+  async listS3(location, options = {}) {
+    return this.s3.list(location, options);
+  }
+  
+  /**
+   * Load an S3 object into a table, with this storage's credentials. The object is read with
+   * signed requests; lazy: true reads Parquet in place through a presigned URL.
+   * @param {string|Object} location - 's3://bucket/key', { bucket, key }, or a presigned URL
+   * @param {DataTable} dataTable - Table to load into
+   * @param {Object} options - DataTable.loadData options, plus expiresIn for presigned URLs
+   * @returns {Object} Load result
+   */
+  async loadFromS3(location, dataTable, options = {}) {
+    if (typeof location === 'string' && /^https?:\/\//.test(location)) {
+      const { expiresIn, ...loadOptions } = options;
+      return dataTable.loadData(location, loadOptions);
+    }
+    const source = typeof location === 'string' ? location : `s3://${location.bucket}/${location.key}`;
+    return dataTable.loadData(source, { ...options, cloudStorage: this });
+  }
+  
+  /**
+   * List the blobs and folders under an Azure container prefix, to choose what to load
+   * @param {string|Object} location - 'az://container/prefix/', a container URL, or { container, blob }
+   * @param {Object} options - delimiter, maxResults, continuationToken and signal
+   * @returns {Object} { container, prefix, folders, files, nextToken }
+   */
+  async listAzure(location, options = {}) {
+    return this.azure.list(location, options);
+  }
+  
+  /**
+   * Load an Azure blob into a table, with this storage's credentials
+   * @param {string|Object} location - 'az://container/blob', a blob URL, or { container, blob }
+   * @param {DataTable} dataTable - Table to load into
+   * @param {Object} options - DataTable.loadData options
+   * @returns {Object} Load result
+   */
+  async loadFromAzure(location, dataTable, options = {}) {
+    const source = typeof location === 'string' ? location : `az://${location.container}/${location.blob}`;
+    return dataTable.loadData(source, { ...options, cloudStorage: this });
+  }
+  
+  /**
+   * List the objects and folders under a Cloud Storage prefix, to choose what to load
+   * @param {string|Object} location - 'gs://bucket/prefix/' or { bucket, key }
+   * @param {Object} options - delimiter, maxResults, continuationToken and signal
+   * @returns {Object} { bucket, prefix, folders, files, nextToken }
+   */
+  async listGCS(location, options = {}) {
+    return this.gcs.list(location, options);
+  }
+  
+  /**
+   * Load a Cloud Storage object into a table, with this storage's token
+   * @param {string|Object} location - 'gs://bucket/object', { bucket, key }, or a signed URL
+   * @param {DataTable} dataTable - Table to load into
+   * @param {Object} options - DataTable.loadData options
+   * @returns {Object} Load result
+   */
+  async loadFromGCS(location, dataTable, options = {}) {
+    if (typeof location === 'string' && /^https?:\/\//.test(location)) {
+      return dataTable.loadData(location, options);
+    }
+    const source = typeof location === 'string' ? location : `gs://${location.bucket}/${location.key}`;
+    return dataTable.loadData(source, { ...options, cloudStorage: this });
+  }
+  
+  /**
+   * List the files and subfolders of a Box folder, to choose what to load
+   * @param {string|number|Object} folder - Folder ID ('0' for the root), 'box://<id>' or a folder item
+   * @param {Object} options - limit, continuationToken and signal
+   * @returns {Object} { folderId, folders, files, nextToken }
+   */
+  async listBox(folder = '0', options = {}) {
+    return this.box.list(folder, options);
+  }
+  
+  /**
+   * Load a Box file into a table, with this storage's token provider
+   * @param {string|number|Object} file - File ID, 'box://<id>' or a file item from listBox
+   * @param {DataTable} dataTable - Table to load into
+   * @param {Object} options - DataTable.loadData options
+   * @returns {Object} Load result
+   */
+  async loadFromBox(file, dataTable, options = {}) {
+    return dataTable.loadData(`box://${this.box.parseLocation(file)}`, { ...options, cloudStorage: this });
+  }
+}
+
+/**
+ * Get the URI scheme of a location
+ * @param {string} location - Location such as 's3://bucket/key'
+ * @returns {string|null} Lowercase scheme, or null for text that is not a URI
+ */
+export function getScheme(location) {
+  // Raw CSV or JSON text has line breaks or spaces, so text with '://' in it is not taken for a location
+  return /^([a-z][a-z0-9+.-]*):\/\/\S*$/i.exec(location)?.[1].toLowerCase() ?? null;
+}
@@ -0,0 +1,68 @@
+// Compression.js - Decompress gzip, zstd and raw DEFLATE data
+// Uses the platform DecompressionStream where it supports the format, otherwise bundled decoders
+
+import { gunzipSync, inflateSync } from 'fflate';
+import { decompress as zstdDecompress } from 'fzstd';
+
+// Bundled decoders for platforms (or formats) without DecompressionStream support
+const FALLBACK_DECODERS = {
+  'gzip': gunzipSync,
+  'deflate-raw': inflateSync,
+  'zstd': zstdDecompress
+};
+
+/**
+ * Decompress a complete buffer
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @param {string} format - 'gzip', 'zstd' or 'deflate-raw'
+ * @returns {Uint8Array} Decompressed bytes
+ */
+export async function decompress(bytes, format) {
+  const fallback = FALLBACK_DECODERS[format];
+  if (!fallback) {
+    throw new Error(`Unsupported compression format: ${format}`);
+  }
+
+  if (supportsDecompressionStream(format)) {
+    return decompressWithStream(bytes, format);
+  }
+  return fallback(bytes);
+}
+
+// Helper functions
+
+/**
+ * Check whether the platform DecompressionStream handles a format
+ * @param {string} format - Compression format
+ * @returns {boolean}
+ */
+function supportsDecompressionStream(format) {
+  if (typeof DecompressionStream === 'undefined') {
+    return false;
+  }
+
+  // Unsupported formats (zstd in most browsers) throw from the constructor
+  try {
+    new DecompressionStream(format);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Decompress a buffer with DecompressionStream
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @param {string} format - Compression format
+ * @returns {Uint8Array} Decompressed bytes
+ */
+async function decompressWithStream(bytes, format) {
+  const stream = new DecompressionStream(format);
+  const writer = stream.writable.getWriter();
+
+  // Corrupt data rejects these writes too; the readable side reports the same error
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  return new Uint8Array(await new Response(stream.readable).arrayBuffer());
+}
@@ -1,5 +1,59 @@
 // DataLoader for handling various data formats
 import { detectSchema, getRowCount, getTableInfo } from './DuckDBHelpers.js';
+import {
+  detectFormatFromPath,
+  detectFormatFromContentType,
+  sniffFormat,
+  resolveFormat,
+  isCompressionFormat,
+  stripCompressionExtension,
+  getFileNameFromURL,
+  SNIFF_LENGTH
+} from './FormatDetection.js';
+import {
+  isArrowTable,
+  isColumnObject,
+  rowsToColumns,
+  columnsToIPC,
+  arrowTableToIPC,
+  readArrowIPCBatches,
+  describeArrowFields
+} from './ArrowConversion.js';
+import { extractJSONRecords, flattenRecord, toNDJSON } from './JSONRecords.js';
+import { openWorkbook, readSheetRows, sheetToColumns } from './ExcelWorkbook.js';
+import { readZipEntries, extractZipEntry } from './ZipArchive.js';
+import { decompress } from './Compression.js';
+import { RecordSplitter, splitFirstRecord, csvReadOptions, countNewlines } from './DelimitedText.js';
+import { isAbortError, throwIfAborted, abortable } from './Cancellation.js';
+import { decodeText, resolveEncoding, createTextDecoder } from './TextEncoding.js';
+import { mergeSchemas, getSourceColumnName } from './SchemaMerge.js';
+import { readGeoJSONFeatures, featuresToRecords } from './Geometry.js';
+import {
+  quoteIdentifier,
+  sqlString,
+  sanitizeTableName,
+  validateIfExists,
+  suffixTableName,
+  normalizeColumnNames
+} from './Identifiers.js';
+import { parseSampleOption, sampleQuery, coversAllRows } from './Sampling.js';
+import { parseSchemaOverride, textColumnTypes, coercionExpression, coercionFailure } from './SchemaOverride.js';
+import { getScheme } from './CloudStorage.js';
+import { DEFAULT_RETRIES, sendRequest, rangeHeader, isRetryable, retryDelay, wait } from './Retry.js';
+
+// Slice size for reading large files, and the amount of CSV text inserted per batch
+const STREAM_CHUNK_SIZE = 1024 * 1024;
+const CSV_BATCH_SIZE = 16 * 1024 * 1024;
+
+// Malformed rows listed in a lenient CSV load's rejects report; the count covers all of them
+const MAX_REPORTED_REJECTS = 1000;
+
+// DuckDB table functions that can read a registered File handle without loading it into memory
+const FILE_HANDLE_READERS = {
+  parquet: (fileName) => `parquet_scan('${fileName}')`,
+  json: (fileName) => `read_json_auto('${fileName}')`,
+  ndjson: (fileName) => `read_json_auto('${fileName}', format='newline_delimited')`
+};
 
 export class DataLoader {
   constructor(dataTable) {
@@ -8,8 +62,19 @@ export class DataLoader {
       ['csv', this.loadCSV.bind(this)],
       ['tsv', this.loadTSV.bind(this)],
       ['json', this.loadJSON.bind(this)],
-      ['parquet', this.loadParquet.bind(this)]
+      ['ndjson', this.loadNDJSON.bind(this)],
+      ['geojson', this.loadGeoJSON.bind(this)],
+      ['parquet', this.loadParquet.bind(this)],
+      ['arrow', this.loadArrow.bind(this)],
+      ['xlsx', this.loadExcel.bind(this)],
+      ['sqlite', this.loadSQLite.bind(this)],
+      ['gzip', this.loadCompressed.bind(this)],
+      ['zstd', this.loadCompressed.bind(this)],
+      ['zip', this.loadZip.bind(this)]
     ]);
+    
+    // Pending or completed load of DuckDB's sqlite extension
+    this.sqliteExtension = null;
   }
   
   generateUniqueTableName(baseFileName = 'data') {
@@ -28,102 +93,464 @@ export class DataLoader {
     return tableName;
   }
   
+  /**
+   * Load a source into a new table, or append it to one
+   * @param {*} source - Files, URL, storage location, raw data, buffer or Arrow table
+   * @param {Object} options - Load options
+   * @param {string} options.tableName - Name for the new table, checked against existing tables with
+   *   options.ifExists. With allTables or allEntries it names the first table, which is the main
+   *   result; the others are named after their SQLite table or ZIP entry.
+   * @returns {Object} Load result
+   */
   async load(source, options = {}) {
+    throwIfAborted(options.signal);
+    
+    if (options.appendTo) {
+      return this.appendToTable(options.appendTo, source, options);
+    }
+    
+    // Requested names are sanitized and checked against existing tables before anything is read
+    if (options.tableName) {
+      options = { ...options, tableName: await this.resolveTableName(options.tableName, options.ifExists) };
+    }
+    
+    // Checked before loading, so a bad sample or schema option does not cost a full load
+    const sample = options.sample ? parseSampleOption(options.sample) : null;
+    const columnTypes = options.schema ? parseSchemaOverride(options.schema) : null;
+    if (columnTypes) {
+      // CSV readers keep the columns as text, so no leading zeros are lost before they are converted
+      options = { ...options, textColumns: textColumnTypes(columnTypes) };
+    }
+    
+    let result = await this.loadSource(source, options);
+    if (sample) {
+      result = await this.sampleTable(result, sample, options);
+    }
+    if (columnTypes) {
+      result = await this.coerceColumns(result, columnTypes);
+    }
+    return options.normalizeColumns ? this.normalizeColumns(result) : result;
+  }
+  
+  /**
+   * Load a source with the loader for its type
+   * @param {*} source - Files, URL, raw data, buffer or Arrow table
+   * @param {Object} options - Load options
+   * @returns {Object} Load result
+   */
+  async loadSource(source, options = {}) {
     // Detect source type
-    if (source instanceof File) {
+    if (isFileList(source)) {
+      return this.loadFiles(source, options);
+    } else if (source instanceof File || (typeof Blob !== 'undefined' && source instanceof Blob)) {
       return this.loadFile(source, options);
     } else if (typeof source === 'string') {
-      if (source.startsWith('http://') || source.startsWith('https://')) {
+      // Storage locations such as s3:// go to the provider for their scheme, which can also claim
+      // http(s) URLs, e.g. Azure blob URLs under a configured emulator endpoint
+      const provider = this.getCloudStorage(options)?.providerFor(source);
+      const scheme = getScheme(source);
+      if (provider) {
+        return this.loadFromStorage(source, provider, options);
+      } else if (scheme && scheme !== 'http' && scheme !== 'https') {
+        throw new Error(this.getCloudStorage(options)
+          ? `No storage provider is registered for ${scheme}:// locations`
+          : `Loading ${scheme}:// locations needs cloud storage settings`);
+      } else if (source.startsWith('http://') || source.startsWith('https://')) {
         return this.loadURL(source, options);
       } else {
         // Assume it's raw data
         return this.loadRawData(source, options);
       }
-    } else if (source instanceof ArrayBuffer) {
+    } else if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
       return this.loadArrayBuffer(source, options);
+    } else if (Array.isArray(source) || isArrowTable(source) || isColumnObject(source)) {
+      return this.loadRawData(source, options);
     }
     
     throw new Error('Unsupported data source type');
   }
   
   async loadFile(file, options = {}) {
-    const format = options.format || this.detectFormat(file.name);
+    const fileName = file.name || options.filename || 'data';
+    
+    // Use streaming for large files (>10MB)
+    const useStreaming = file.size > 10 * 1024 * 1024 && options.streaming !== false;
+    
+    // Streaming only needs the leading bytes for format detection
+    let arrayBuffer = null;
+    let head;
+    if (useStreaming && typeof file.slice === 'function') {
+      head = await file.slice(0, SNIFF_LENGTH).arrayBuffer();
+    } else {
+      arrayBuffer = await file.arrayBuffer();
+      head = arrayBuffer;
+    }
+    throwIfAborted(options.signal);
+    
+    const format = options.format || this.requireFormat(this.detectFormat(fileName, head), fileName, head);
     
-    this.dataTable.log.info(`Loading ${format} file: ${file.name} (${(file.size / 1024 / 1024).toFixed(1)}MB)`);
+    this.dataTable.log.info(`Loading ${format} file: ${fileName} (${(file.size / 1024 / 1024).toFixed(1)}MB)`);
     
     const loader = this.supportedFormats.get(format);
     if (!loader) {
       throw new Error(`Unsupported format: ${format}`);
     }
     
-    // Use streaming for large files (>10MB)
-    const useStreaming = file.size > 10 * 1024 * 1024 && options.streaming !== false;
-    
     if (useStreaming) {
       this.dataTable.log.info('Using streaming mode for large file');
       return this.loadFileStreaming(file, format, loader, options);
     } else {
-      const arrayBuffer = await file.arrayBuffer();
-      return loader(arrayBuffer, { ...options, filename: file.name });
+      return loader(arrayBuffer, { ...options, filename: fileName });
     }
   }
   
-  async loadFileStreaming(file, format, loader, options = {}) {
-    const chunkSize = 1024 * 1024; // 1MB chunks
-    const totalChunks = Math.ceil(file.size / chunkSize);
-    let processedChunks = 0;
-    
-    this.dataTable.log.info(`Streaming ${file.name} in ${totalChunks} chunks`);
+  /**
+   * Load several files with the same kind of data into one table, e.g. monthly exports picked
+   * from a folder. Each file is loaded on its own, then the tables are unioned by column name:
+   * columns missing from a file are NULL for its rows, and incompatible types are an error.
+   * @param {FileList|Array<File>} files - Files to combine
+   * @param {Object} options - Load options applied to every file
+   * @param {boolean|string} options.sourceColumn - Add a column with each row's file name;
+   *   true names it source_file, a string names it explicitly
+   * @returns {Object} Load result for the combined table, with the name, format and row count of each file
+   */
+  async loadFiles(files, options = {}) {
+    const fileList = Array.from(files);
+    if (fileList.length === 0) {
+      throw new Error('No files to load');
+    }
     
-    // Progress callback
+    const sourceColumn = getSourceColumnName(options.sourceColumn);
+    const tableName = options.tableName || this.generateUniqueTableName(fileList[0].name.replace(/\.[^.]*$/, ''));
     const onProgress = options.onProgress || (() => {});
     
+    this.dataTable.log.info(`Loading ${fileList.length} files into ${tableName}`);
+    
+    const parts = [];
     try {
-      if (format === 'csv' || format === 'tsv') {
-        return this.loadCSVStreaming(file, options, onProgress);
-      } else {
-        // For non-CSV formats, still load as chunks but process sequentially
-        const chunks = [];
+      for (const [index, file] of fileList.entries()) {
+        throwIfAborted(options.signal);
         
-        for (let i = 0; i < totalChunks; i++) {
-          const start = i * chunkSize;
-          const end = Math.min(start + chunkSize, file.size);
-          const chunk = file.slice(start, end);
-          const arrayBuffer = await chunk.arrayBuffer();
-          chunks.push(new Uint8Array(arrayBuffer));
-          
-          processedChunks++;
-          onProgress({
-            loaded: processedChunks,
-            total: totalChunks,
-            percent: Math.round((processedChunks / totalChunks) * 100)
-          });
+        const result = await this.loadFile(file, {
+          ...options,
+          tableName: this.generateUniqueTableName('part'),
+          onProgress: (progress) => onProgress({ ...progress, file: file.name, fileIndex: index, fileCount: fileList.length })
+        });
+        parts.push({ name: file.name, result });
+      }
+      
+      const schema = mergeSchemas(parts.map(({ name, result }) => ({ name, schema: result.schema })));
+      if (sourceColumn && sourceColumn in schema) {
+        throw new Error(`Cannot add source column ${sourceColumn}: the files already have a column of that name`);
+      }
+      
+      const selects = parts.map(({ name, result }) => (sourceColumn
+        ? `SELECT *, ${sqlString(name)} AS ${quoteIdentifier(sourceColumn)} FROM ${quoteIdentifier(result.tableName)}`
+        : `SELECT * FROM ${quoteIdentifier(result.tableName)}`));
+      
+      await this.runLoadStatement(tableName, () => this.dataTable.conn.query(`
+        CREATE OR REPLACE TABLE ${quoteIdentifier(tableName)} AS
+        ${selects.join('\nUNION ALL BY NAME\n')}
+      `), { signal: options.signal });
+    } catch (error) {
+      // An aborted union is still running, so its inputs are dropped once it finishes
+      const cleanup = this.discardParts(parts);
+      if (!isAbortError(error)) {
+        await cleanup;
+      }
+      throw error;
+    }
+    await this.discardParts(parts);
+    
+    const formats = [...new Set(parts.map(({ result }) => result.format))];
+    const rowCount = await getRowCount(this.dataTable.conn, tableName);
+    
+    this.dataTable.log.info(`Combined ${parts.length} files into ${tableName}: ${rowCount} rows`);
+    
+    return {
+      tableName,
+      schema: await detectSchema(this.dataTable.conn, tableName),
+      rowCount,
+      format: formats.length === 1 ? formats[0] : 'mixed',
+      files: parts.map(({ name, result }) => ({ name, format: result.format, rowCount: result.rowCount }))
+    };
+  }
+  
+  /**
+   * Drop the per-file tables of a multi-file load
+   * @param {Array<Object>} parts - { name, result } per loaded file
+   */
+  async discardParts(parts) {
+    for (const { result } of parts) {
+      await this.discardTable(result.tableName, result.view ? 'VIEW' : 'TABLE');
+    }
+  }
+  
+  /**
+   * Load a source and insert its rows into an existing table, matching columns by name.
+   * Columns the table lacks are added to it; columns the source lacks are NULL for its rows.
+   * The insert runs in a transaction, so a failed or aborted append leaves the table unchanged.
+   * @param {string} targetTable - Table to append to
+   * @param {*} source - Any source accepted by load, including several files
+   * @param {Object} options - Load options for the source
+   * @param {boolean|string} options.sourceColumn - Record each row's file name, as in loadFiles
+   * @returns {Object} Load result for the target table, with the number of rows appended
+   */
+  async appendToTable(targetTable, source, options = {}) {
+    const conn = this.dataTable.conn;
+    const sourceColumn = getSourceColumnName(options.sourceColumn);
+    const sourceName = getSourceName(source, options);
+    
+    const staged = await this.load(source, {
+      ...options,
+      appendTo: undefined,
+      tableName: this.generateUniqueTableName('append')
+    });
+    const relation = staged.view ? 'VIEW' : 'TABLE';
+    
+    try {
+      const targetSchema = await detectSchema(conn, targetTable);
+      
+      // A multi-file source already carries its own source column
+      const stagedSchema = { ...staged.schema };
+      const sourceExpression = sourceColumn && !(sourceColumn in stagedSchema)
+        ? `, ${sqlString(sourceName)} AS ${quoteIdentifier(sourceColumn)}`
+        : '';
+      if (sourceExpression) {
+        stagedSchema[sourceColumn] = { type: 'VARCHAR' };
+      }
+      
+      const merged = mergeSchemas([
+        { name: targetTable, schema: targetSchema },
+        { name: sourceName, schema: stagedSchema }
+      ]);
+      const newColumns = Object.keys(merged).filter(column => !(column in targetSchema));
+      
+      throwIfAborted(options.signal);
+      await conn.query('BEGIN TRANSACTION');
+      
+      const pending = (async () => {
+        for (const column of newColumns) {
+          await conn.query(`ALTER TABLE ${quoteIdentifier(targetTable)} ADD COLUMN ${quoteIdentifier(column)} ${merged[column]}`);
         }
-        
-        // Combine all chunks
-        const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
-        const combined = new Uint8Array(totalLength);
-        let offset = 0;
-        
-        for (const chunk of chunks) {
-          combined.set(chunk, offset);
-          offset += chunk.length;
+        await conn.query(`INSERT INTO ${quoteIdentifier(targetTable)} BY NAME SELECT *${sourceExpression} FROM ${quoteIdentifier(staged.tableName)}`);
+      })();
+      
+      try {
+        await abortable(pending, options.signal);
+        await conn.query('COMMIT');
+      } catch (error) {
+        // Statements on a connection run in order, so an aborted insert is rolled back once it finishes
+        const rollback = pending.catch(() => {}).then(() => conn.query('ROLLBACK')).catch(() => {});
+        if (!isAbortError(error)) {
+          await rollback;
         }
-        
-        return loader(combined.buffer, { ...options, filename: file.name, streaming: true });
+        throw error;
+      }
+      
+      if (newColumns.length > 0) {
+        this.dataTable.log.info(`Added columns to ${targetTable}: ${newColumns.join(', ')}`);
+      }
+    } catch (error) {
+      const cleanup = this.discardTable(staged.tableName, relation);
+      if (isAbortError(error)) {
+        throw error;
+      }
+      await cleanup;
+      if (error.message.startsWith('Schema conflict')) {
+        throw error;
+      }
+      throw new Error(`Failed to append to ${targetTable}: ${error.message}`);
+    }
+    await this.discardTable(staged.tableName, relation);
+    
+    const rowCount = await getRowCount(conn, targetTable);
+    this.dataTable.log.info(`Appended ${staged.rowCount} rows to ${targetTable} (${rowCount} rows in total)`);
+    
+    return {
+      tableName: targetTable,
+      schema: await detectSchema(conn, targetTable),
+      rowCount,
+      format: staged.format,
+      appended: staged.rowCount,
+      ...(staged.files && { files: staged.files }),
+      ...(staged.columnLabels && { columnLabels: staged.columnLabels }),
+      ...(staged.sample && { sample: staged.sample }),
+      ...(staged.coercionErrors && { coercionErrors: staged.coercionErrors }),
+      ...(staged.rejects && { rejects: staged.rejects })
+    };
+  }
+  
+  /**
+   * Load a large file without holding all of it in memory. CSV/TSV and Arrow streams are read in
+   * slices and inserted batch by batch; Parquet and JSON are read by DuckDB from the File handle.
+   * Formats that need the whole file at once (Excel, ZIP, compressed files) are read in one go.
+   * @param {File|Blob} file - File to load
+   * @param {string} format - Detected format
+   * @param {Function} loader - In-memory loader for the format, used when it cannot be streamed
+   * @param {Object} options - Load options (onProgress receives byte counts, signal stops reading)
+   * @returns {Object} Load result with tableName, schema and rowCount
+   */
+  async loadFileStreaming(file, format, loader, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const fileName = file.name || options.filename || 'data';
+    
+    this.dataTable.log.info(`Streaming ${fileName} (${format}, ${(file.size / 1024 / 1024).toFixed(1)}MB)`);
+    
+    try {
+      if (format === 'csv' || format === 'tsv') {
+        const delimiter = options.delimiter || (format === 'tsv' ? '\t' : ',');
+        return await this.loadCSVStreaming(file, { ...options, filename: fileName, delimiter }, onProgress);
+      }
+      
+      if (format === 'arrow') {
+        const chunks = this.readFileChunks(file, onProgress, options.signal);
+        const result = await this.loadArrow(chunks, { ...options, filename: fileName });
+        return { ...result, streaming: true };
+      }
+      
+      // Reshaping JSON needs every document in memory, so only plain JSON goes straight to DuckDB,
+      // and only in UTF-8, the one encoding DuckDB reads
+      if (FILE_HANDLE_READERS[format] && !options.recordsPath && !options.flatten && await this.isUTF8Readable(file, format, options)) {
+        return await this.loadFileHandle(file, format, { ...options, filename: fileName });
       }
+      
+      this.dataTable.log.warn(`${format} files cannot be streamed, reading ${fileName} into memory`);
+      const arrayBuffer = await file.arrayBuffer();
+      throwIfAborted(options.signal);
+      return await loader(arrayBuffer, { ...options, filename: fileName });
     } catch (error) {
-      this.dataTable.log.error('Streaming load failed:', error);
+      if (isAbortError(error)) {
+        this.dataTable.log.info(`Streaming load of ${fileName} aborted`);
+      } else {
+        this.dataTable.log.error('Streaming load failed:', error);
+      }
       throw error;
     }
   }
   
-  async loadCSVStreaming(file, options = {}, onProgress = () => {}) {
+  /**
+   * Check whether DuckDB can read a file directly as far as its text encoding goes
+   * @param {File|Blob} file - File to check
+   * @param {string} format - File format
+   * @param {Object} options - Load options (encoding)
+   * @returns {boolean} True for binary formats and UTF-8 text
+   */
+  async isUTF8Readable(file, format, options = {}) {
+    if (format === 'parquet') {
+      return true;
+    }
+    
+    const head = new Uint8Array(await file.slice(0, SNIFF_LENGTH).arrayBuffer());
+    return createTextDecoder(resolveEncoding(head, options.encoding)).encoding === 'utf-8';
+  }
+  
+  /**
+   * Read a file in fixed-size slices, reporting byte-level progress
+   * @param {File|Blob} file - File to read
+   * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Stops reading with an AbortError before the next slice
+   * @returns {AsyncGenerator<Uint8Array>} File contents, one slice at a time
+   */
+  async *readFileChunks(file, onProgress = () => {}, signal = undefined) {
+    for (let offset = 0; offset < file.size; offset += STREAM_CHUNK_SIZE) {
+      throwIfAborted(signal);
+      const end = Math.min(offset + STREAM_CHUNK_SIZE, file.size);
+      yield new Uint8Array(await file.slice(offset, end).arrayBuffer());
+      
+      onProgress({
+        loaded: end,
+        total: file.size,
+        percent: Math.round((end / file.size) * 100),
+        stage: 'processing'
+      });
+    }
+  }
+  
+  /**
+   * Create a table from a registered File handle, letting DuckDB read it in pieces
+   * @param {File|Blob} file - File to load
+   * @param {string} format - One of the FILE_HANDLE_READERS formats
+   * @param {Object} options - Load options (tableName, filename, onProgress, signal)
+   * @returns {Object} Load result with tableName, schema and rowCount
+   */
+  async loadFileHandle(file, format, options = {}) {
+    const onProgress = options.onProgress || (() => {});
     const baseFileName = options.filename ? 
-      options.filename.replace(/\.[^/.]+$/, '') : 
-      file.name.replace(/\.[^/.]+$/, '');
+      options.filename.replace(/\.[^/.]+$/, '') : // Remove extension
+      'data';
+    const tableName = options.tableName || this.generateUniqueTableName(baseFileName);
+    const fileName = `${tableName}.${format === 'parquet' ? 'parquet' : 'json'}`;
+    
+    this.dataTable.log.info(`Reading ${format} file handle into table: ${tableName}`);
+    
+    if (!this.dataTable.db || !this.dataTable.conn) {
+      throw new Error('DuckDB not properly initialized');
+    }
+    
+    onProgress({
+      loaded: 0,
+      total: file.size,
+      percent: 0,
+      stage: 'processing'
+    });
+    
+    try {
+      const { DuckDBDataProtocol } = await import('@duckdb/duckdb-wasm');
+      await this.dataTable.db.registerFileHandle(fileName, file, DuckDBDataProtocol.BROWSER_FILEREADER, true);
+      
+      const sql = `CREATE OR REPLACE TABLE ${quoteIdentifier(tableName)} AS SELECT * FROM ${FILE_HANDLE_READERS[format](fileName)}`;
+      
+      this.dataTable.log.debug(`Executing SQL: ${sql}`);
+      await this.runLoadStatement(tableName, () => this.dataTable.conn.query(sql), {
+        signal: options.signal,
+        files: [fileName]
+      });
+    } catch (duckdbError) {
+      // After an abort the file handle is released once DuckDB has finished with it
+      if (isAbortError(duckdbError)) {
+        throw duckdbError;
+      }
+      await this.dropRegisteredFile(fileName);
+      this.dataTable.log.error('DuckDB operation failed:', duckdbError);
+      throw new Error(`Failed to stream ${format} file: ${duckdbError.message}`);
+    }
+    await this.dropRegisteredFile(fileName);
+    
+    const schema = await detectSchema(this.dataTable.conn, tableName);
+    const rowCount = await getRowCount(this.dataTable.conn, tableName);
+    
+    onProgress({
+      loaded: file.size,
+      total: file.size,
+      percent: 100,
+      stage: 'complete'
+    });
+    
+    return {
+      tableName,
+      schema,
+      rowCount,
+      format,
+      streaming: true
+    };
+  }
+  
+  /**
+   * Stream a CSV/TSV file into DuckDB in batches. Memory use depends on the batch size, not the file size:
+   * each batch is registered, inserted and dropped before the next one is read.
+   * @param {File|Blob} file - File to load
+   * @param {Object} options - Load options (tableName, filename, batchSize in characters, signal) and
+   *   the CSV options of loadCSV, including lenient; sampleSize defaults to -1 so the whole first batch
+   *   decides the types
+   * @param {Function} onProgress - Progress callback receiving bytes read
+   * @returns {Object} Load result with tableName, schema and rowCount
+   */
+  async loadCSVStreaming(file, options = {}, onProgress = () => {}) {
+    const baseFileName = (options.filename || file.name || 'data').replace(/\.[^/.]+$/, '');
     const tableName = options.tableName || this.generateUniqueTableName(baseFileName);
-    const delimiter = options.delimiter || (file.name.endsWith('.tsv') ? '\t' : ',');
+    const delimiter = options.delimiter || (file.name?.endsWith('.tsv') ? '\t' : ',');
+    const batchSize = options.batchSize || CSV_BATCH_SIZE;
     
     this.dataTable.log.info(`Streaming CSV data into table: ${tableName}`);
     
@@ -131,82 +558,135 @@ export class DataLoader {
       throw new Error('DuckDB not properly initialized');
     }
     
-    const chunkSize = 1024 * 1024; // 1MB chunks
-    const totalChunks = Math.ceil(file.size / chunkSize);
-    let processedChunks = 0;
+    const quote = options.quote || '"';
+    const escape = options.escape || quote;
+    
+    // A streaming decoder keeps multi-byte characters that straddle slices intact.
+    // It is created from the first slice, which decides the encoding.
+    let decoder = null;
+    const splitter = new RecordSplitter(quote, escape);
     let header = null;
-    let buffer = '';
-    let isFirstChunk = true;
+    let rowsToSkip = options.skipRows || 0;
+    let columns = null;
+    let batch = '';
+    let batchCount = 0;
     
-    try {
-      for (let i = 0; i < totalChunks; i++) {
-        const start = i * chunkSize;
-        const end = Math.min(start + chunkSize, file.size);
-        const chunk = file.slice(start, end);
-        const text = await chunk.text();
-        
-        buffer += text;
-        const lines = buffer.split('\n');
-        
-        // Keep incomplete line for next chunk
-        buffer = lines.pop() || '';
-        
-        if (isFirstChunk) {
-          // Extract header from first chunk
-          header = lines[0];
-          
-          // Create table with proper schema
-          const fileName = `${tableName}_chunk_0.csv`;
-          const headerData = header + '\n' + (lines.slice(1).join('\n') || '');
-          await this.dataTable.db.registerFileText(fileName, headerData);
-          
-          const sql = `CREATE OR REPLACE TABLE ${tableName} AS SELECT * FROM read_csv_auto('${fileName}', delim='${delimiter}', header=true, auto_detect=true, sample_size=1000)`;
-          await this.dataTable.conn.query(sql);
-          
-          isFirstChunk = false;
-        } else if (lines.length > 0) {
-          // Append subsequent chunks
-          const fileName = `${tableName}_chunk_${i}.csv`;
-          const chunkData = header + '\n' + lines.join('\n');
-          await this.dataTable.db.registerFileText(fileName, chunkData);
-          
-          const sql = `INSERT INTO ${tableName} SELECT * FROM read_csv_auto('${fileName}', delim='${delimiter}', header=true, auto_detect=true)`;
-          await this.dataTable.conn.query(sql);
-        }
-        
-        processedChunks++;
-        onProgress({
-          loaded: processedChunks,
-          total: totalChunks,
-          percent: Math.round((processedChunks / totalChunks) * 100),
-          stage: 'processing'
+    // Lines before the current batch, so rejected rows are reported with their line in the file
+    let linesBefore = 0;
+    const rejects = options.lenient ? { count: 0, errorCount: 0, errors: [] } : null;
+    
+    const insertBatch = async () => {
+      if (batchCount === 1) {
+        const described = await this.dataTable.conn.query(`DESCRIBE ${quoteIdentifier(tableName)}`);
+        columns = Object.fromEntries(described.toArray().map(column => [column.column_name, column.column_type]));
+      }
+      
+      const fileName = `${tableName}_batch_${batchCount}.csv`;
+      await this.dataTable.db.registerFileText(fileName, header + batch);
+      
+      // The first batch decides the column types; later batches are read with exactly those types.
+      // Skipped rows were already removed from the text, so DuckDB must not skip any.
+      const readOptions = { ...options, delimiter, skipRows: 0, sampleSize: options.sampleSize ?? -1 };
+      if (batchCount === 0) {
+        readOptions.columnTypes = await this.csvColumnTypes(fileName, readOptions);
+      }
+      const sql = batchCount === 0 ?
+        `CREATE OR REPLACE TABLE ${quoteIdentifier(tableName)} AS SELECT * FROM read_csv_auto('${fileName}', ${csvReadOptions(readOptions)}${this.csvRejectOptions(tableName, options)})` :
+        `INSERT INTO ${quoteIdentifier(tableName)} SELECT * FROM read_csv('${fileName}', ${csvReadOptions(readOptions, columns)}${this.csvRejectOptions(tableName, options)})`;
+      
+      this.dataTable.log.debug(`Executing SQL: ${sql}`);
+      try {
+        await this.runLoadStatement(tableName, () => this.dataTable.conn.query(sql), {
+          signal: options.signal,
+          files: [fileName]
         });
+      } catch (error) {
+        if (!isAbortError(error)) {
+          await this.dropRegisteredFile(fileName);
+        }
+        throw error;
+      }
+      await this.dropRegisteredFile(fileName);
+      
+      if (rejects) {
+        // Batch files start with the header, which is not part of the batch's lines in the file
+        const batchRejects = await this.collectCSVRejects(tableName, linesBefore - countNewlines(header));
+        rejects.count += batchRejects.count;
+        rejects.errorCount += batchRejects.errorCount;
+        rejects.errors.push(...batchRejects.errors.slice(0, MAX_REPORTED_REJECTS - rejects.errors.length));
       }
+      linesBefore += countNewlines(batch);
       
-      // Process any remaining buffer
-      if (buffer.trim()) {
-        const fileName = `${tableName}_final.csv`;
-        const finalData = header + '\n' + buffer;
-        await this.dataTable.db.registerFileText(fileName, finalData);
+      batchCount++;
+      batch = '';
+    };
+    
+    const addRecords = async (text) => {
+      // Every batch file repeats the header, so find it first: past skipped rows and leading comments
+      while (header === null && text) {
+        let record;
+        [record, text] = splitFirstRecord(text, quote, escape);
         
-        const sql = `INSERT INTO ${tableName} SELECT * FROM read_csv_auto('${fileName}', delim='${delimiter}', header=true, auto_detect=true)`;
-        await this.dataTable.conn.query(sql);
+        if (rowsToSkip > 0) {
+          rowsToSkip--;
+        } else if (options.comment && record.startsWith(options.comment)) {
+          // Comment lines before the header are dropped like skipped rows
+        } else if (options.header === false) {
+          // Without a header the record is the first data row
+          header = '';
+          text = record + text;
+          break;
+        } else {
+          header = record.endsWith('\n') ? record : `${record}\n`;
+        }
+        linesBefore += countNewlines(record);
       }
+      if (header === null) return;
       
+      batch += text;
+      if (batch.length >= batchSize) {
+        await insertBatch();
+      }
+    };
+    
+    try {
+      for await (const chunk of this.readFileChunks(file, onProgress, options.signal)) {
+        decoder ??= createTextDecoder(resolveEncoding(chunk, options.encoding));
+        await addRecords(splitter.push(decoder.decode(chunk, { stream: true })));
+      }
+      await addRecords(splitter.push(decoder ? decoder.decode() : '') + splitter.flush());
+      
+      if (header === null) {
+        throw new Error('the file is empty');
+      }
+      
+      // Insert the last partial batch (or create the table from a header-only file)
+      if (batch || batchCount === 0) {
+        await insertBatch();
+      }
     } catch (error) {
+      // Do not leave a partially inserted table behind; an abort rejects without waiting for the drop
+      const cleanup = this.discardTable(tableName);
+      if (isAbortError(error)) {
+        throw error;
+      }
+      await cleanup;
       this.dataTable.log.error('CSV streaming failed:', error);
-      throw new Error(`Failed to stream CSV data: ${error.message}`);
+      throw new Error(`Failed to stream CSV data: ${error.message}${this.csvErrorHint(error, options)}`);
     }
     
     // Get final schema and row count
     const schema = await detectSchema(this.dataTable.conn, tableName);
     const rowCount = await getRowCount(this.dataTable.conn, tableName);
     
-    this.dataTable.log.info(`CSV streaming completed: ${rowCount} rows, ${Object.keys(schema).length} columns`);
+    this.dataTable.log.info(`CSV streaming completed: ${rowCount} rows, ${Object.keys(schema).length} columns in ${batchCount} batches`);
+    if (rejects?.count > 0) {
+      this.dataTable.log.warn(`Skipped ${rejects.count} malformed CSV rows`);
+    }
     
     onProgress({
-      loaded: totalChunks,
-      total: totalChunks,
+      loaded: file.size,
+      total: file.size,
       percent: 100,
       stage: 'complete'
     });
@@ -216,22 +696,62 @@ export class DataLoader {
       schema,
       rowCount,
       format: 'csv',
-      streaming: true
+      encoding: decoder.encoding,
+      streaming: true,
+      ...(rejects && { rejects })
     };
   }
   
-  detectFormat(path) {
-    const extension = path.split('.').pop().toLowerCase();
-    const formatMap = {
-      'csv': 'csv',
-      'tsv': 'tsv', 
-      'json': 'json',
-      'parquet': 'parquet'
-    };
+  /**
+   * Detect the format of a source from its name and, when available, its content
+   * @param {string} path - File name, path or URL
+   * @param {ArrayBuffer|Uint8Array|null} content - Leading bytes of the content
+   * @returns {string|null} Format name, or null if it cannot be determined
+   */
+  detectFormat(path, content = null) {
+    const declaredFormat = detectFormatFromPath(path);
+    if (!content) {
+      return declaredFormat;
+    }
     
-    return formatMap[extension] || 'csv';
+    const format = resolveFormat(declaredFormat, sniffFormat(content));
+    if (declaredFormat && format && format !== declaredFormat) {
+      this.dataTable.log.warn(`${path} looks like ${format} rather than ${declaredFormat}, loading as ${format}`);
+    }
+    return format;
+  }
+  
+  /**
+   * Ensure a format was detected, otherwise fail with a descriptive error
+   * @param {string|null} format - Detected format
+   * @param {string} name - Source name for the error message
+   * @param {ArrayBuffer|Uint8Array} content - Content that was inspected
+   * @returns {string} The detected format
+   */
+  requireFormat(format, name, content) {
+    if (format) {
+      return format;
+    }
+    
+    if (!content || content.byteLength === 0) {
+      throw new Error(`Cannot load ${name}: the source is empty`);
+    }
+    throw new Error(`Cannot load ${name}: content is not a recognized data format (expected CSV, TSV, JSON or a supported binary format)`);
   }
   
+  /**
+   * Load CSV text. DuckDB detects the dialect and column types; the options below override
+   * what it gets wrong, e.g. European number formats or columns that are empty in the sampled rows.
+   * @param {string|ArrayBuffer|Uint8Array} data - CSV text
+   * @param {Object} options - Load options (tableName, filename, signal) and CSV options: delimiter,
+   *   quote, escape, comment, skipRows, header, nullStrings, decimalSeparator, dateFormat,
+   *   timestampFormat, columnTypes and sampleSize (see csvReadOptions)
+   * @param {boolean} options.lenient - Skip malformed rows instead of failing; they are listed in the
+   *   result's rejects report ({ count, errors: [{ line, column, type, reason, text }] })
+   * @param {string} options.encoding - Character encoding of byte input, e.g. 'windows-1252' or
+   *   'utf-16le' (default: detected; a byte order mark always wins)
+   * @returns {Object} Load result with tableName, schema and rowCount
+   */
   async loadCSV(data, options = {}) {
     const baseFileName = options.filename ? 
       options.filename.replace(/\.[^/.]+$/, '') : // Remove extension
@@ -246,7 +766,11 @@ export class DataLoader {
       throw new Error('DuckDB not properly initialized');
     }
     
-    const text = typeof data === 'string' ? data : new TextDecoder().decode(data);
+    const { text, encoding } = decodeText(data, options.encoding);
+    if (encoding && encoding !== 'utf-8') {
+      this.dataTable.log.info(`Decoded CSV data as ${encoding}`);
+    }
+    let rejects;
     
     try {
       // Register the CSV data as a file in DuckDB's virtual filesystem
@@ -254,15 +778,26 @@ export class DataLoader {
       this.dataTable.log.debug(`Registering CSV file: ${fileName} (${text.length} characters)`);
       await this.dataTable.db.registerFileText(fileName, text);
       
-      // Use DuckDB's read_csv_auto for automatic schema detection
-      const sql = `CREATE OR REPLACE TABLE ${tableName} AS SELECT * FROM read_csv_auto('${fileName}', delim='${delimiter}', header=true, auto_detect=true, sample_size=1000)`;
+      // Use DuckDB's read_csv_auto for automatic schema detection, within the caller's dialect options
+      const columnTypes = await this.csvColumnTypes(fileName, { ...options, delimiter });
+      const readOptions = csvReadOptions({ ...options, delimiter, columnTypes }) + this.csvRejectOptions(tableName, options);
+      const sql = `CREATE OR REPLACE TABLE ${quoteIdentifier(tableName)} AS SELECT * FROM read_csv_auto('${fileName}', ${readOptions})`;
       
       this.dataTable.log.debug(`Executing SQL: ${sql}`);
-      await this.dataTable.conn.query(sql);
+      await this.runLoadStatement(tableName, () => this.dataTable.conn.query(sql), {
+        signal: options.signal,
+        files: [fileName]
+      });
       
+      if (options.lenient) {
+        rejects = await this.collectCSVRejects(tableName);
+      }
     } catch (duckdbError) {
+      if (isAbortError(duckdbError)) {
+        throw duckdbError;
+      }
       this.dataTable.log.error('DuckDB operation failed:', duckdbError);
-      throw new Error(`Failed to load CSV data: ${duckdbError.message}`);
+      throw new Error(`Failed to load CSV data: ${duckdbError.message}${this.csvErrorHint(duckdbError, options)}`);
     }
     
     // Get schema information using DuckDBHelpers
@@ -270,47 +805,175 @@ export class DataLoader {
     const rowCount = await getRowCount(this.dataTable.conn, tableName);
     
     this.dataTable.log.info(`CSV loaded: ${rowCount} rows, ${Object.keys(schema).length} columns`);
+    if (rejects?.count > 0) {
+      this.dataTable.log.warn(`Skipped ${rejects.count} malformed CSV rows`);
+    }
     
     return {
       tableName,
       schema,
       rowCount,
-      format: 'csv'
+      format: 'csv',
+      ...(encoding && { encoding }),
+      ...(rejects && { rejects })
     };
   }
   
+  /**
+   * Get the column types for reading a CSV file: options.columnTypes plus text types for the
+   * columns of the schema option. Only columns the file has are kept, so an unknown schema column
+   * is reported by coerceColumns instead of failing read_csv with a DuckDB error.
+   * @param {string} fileName - Registered CSV file
+   * @param {Object} options - CSV options, with textColumns from textColumnTypes
+   * @returns {Object} Column name -> type for csvReadOptions
+   */
+  async csvColumnTypes(fileName, options = {}) {
+    const { textColumns, ...readOptions } = options;
+    if (!textColumns) {
+      return options.columnTypes;
+    }
+    
+    const described = await this.dataTable.conn.query(`DESCRIBE SELECT * FROM read_csv_auto('${fileName}', ${csvReadOptions(readOptions)})`);
+    const names = new Set(described.toArray().map(column => column.column_name));
+    const known = Object.entries(textColumns).filter(([column]) => names.has(column));
+    return { ...options.columnTypes, ...Object.fromEntries(known) };
+  }
+  
+  /**
+   * Read options that make DuckDB skip malformed rows and store them for the rejects report
+   * @param {string} tableName - Table being loaded; the rejects tables are named after it
+   * @param {Object} options - Load options
+   * @returns {string} Extra read_csv parameters ('' unless options.lenient is set)
+   */
+  csvRejectOptions(tableName, options = {}) {
+    if (!options.lenient) {
+      return '';
+    }
+    return `, ignore_errors=true, store_rejects=true, rejects_table='${tableName}_rejects', rejects_scan='${tableName}_reject_scans'`;
+  }
+  
+  /**
+   * Read the rows DuckDB rejected during a lenient CSV load, then drop its rejects tables
+   * @param {string} tableName - Table that was loaded
+   * @param {number} lineOffset - Added to line numbers, for batches that start further into the file
+   * @returns {Object} { count, errorCount, errors: [{ line, column, type, reason, text }] } where
+   *   count is the rows skipped and errorCount the errors found in them, since one row can have
+   *   several; at most MAX_REPORTED_REJECTS errors are listed
+   */
+  async collectCSVRejects(tableName, lineOffset = 0) {
+    const rejectsTable = `${tableName}_rejects`;
+    const source = quoteIdentifier(rejectsTable);
+    
+    try {
+      // A row is one line of one scanned file
+      const countResult = await this.dataTable.conn.query(
+        `SELECT COUNT(*) AS errors, (SELECT COUNT(*) FROM (SELECT DISTINCT file_id, line FROM ${source})) AS count FROM ${source}`
+      );
+      const counts = countResult.toArray()[0];
+      const count = Number(counts?.count ?? 0);
+      const errorCount = Number(counts?.errors ?? 0);
+      
+      const rows = errorCount === 0 ? [] : (await this.dataTable.conn.query(
+        `SELECT line, column_name, error_type, error_message, csv_line FROM ${quoteIdentifier(rejectsTable)} ORDER BY line LIMIT ${MAX_REPORTED_REJECTS}`
+      )).toArray();
+      
+      return {
+        count,
+        errorCount,
+        errors: rows.map(row => ({
+          line: Number(row.line) + lineOffset,
+          column: row.column_name ?? null,
+          type: row.error_type,
+          reason: row.error_message,
+          text: row.csv_line
+        }))
+      };
+    } finally {
+      await this.discardTable(rejectsTable);
+      await this.discardTable(`${tableName}_reject_scans`);
+    }
+  }
+  
+  /**
+   * Suggest lenient mode when DuckDB failed on a malformed row
+   * @param {Error} error - DuckDB error
+   * @param {Object} options - Load options
+   * @returns {string} Hint to append to the error message, or ''
+   */
+  csvErrorHint(error, options = {}) {
+    return !options.lenient && /CSV Error/i.test(error.message) ?
+      ' (load with lenient: true to skip malformed rows)' :
+      '';
+  }
+  
   async loadTSV(data, options = {}) {
     return this.loadCSV(data, { ...options, delimiter: '\t' });
   }
   
+  /**
+   * Load JSON data, optionally picking the records out of a wrapper object and flattening them
+   * @param {string|ArrayBuffer|Uint8Array} data - JSON text
+   * @param {Object} options - Load options
+   * @param {boolean} options.newlineDelimited - Parse the text as one JSON document per line
+   * @param {string|Array<string>} options.recordsPath - Path to the record array, e.g. 'data' or 'result.items'
+   * @param {boolean} options.flatten - Expand nested objects into dotted column names such as 'user.id'
+   * @param {string} options.encoding - Character encoding of byte input (default: detected)
+   * @returns {Object} Load result with tableName, schema and rowCount
+   */
   async loadJSON(data, options = {}) {
     const baseFileName = options.filename ? 
       options.filename.replace(/\.[^/.]+$/, '') : // Remove extension
       'data';
     const tableName = options.tableName || this.generateUniqueTableName(baseFileName);
+    const newlineDelimited = !!options.newlineDelimited;
+    const reshape = !!(options.recordsPath || options.flatten);
     
-    this.dataTable.log.info(`Loading JSON data into table: ${tableName}`);
+    this.dataTable.log.info(`Loading ${newlineDelimited ? 'NDJSON' : 'JSON'} data into table: ${tableName}`);
     
     // Both worker and direct modes use the same connection now
     if (!this.dataTable.db || !this.dataTable.conn) {
       throw new Error('DuckDB not properly initialized');
     }
     
-    const text = typeof data === 'string' ? data : new TextDecoder().decode(data);
+    let { text, encoding } = decodeText(data, options.encoding);
+    if (encoding && encoding !== 'utf-8') {
+      this.dataTable.log.info(`Decoded JSON data as ${encoding}`);
+    }
     
     try {
+      // Picking and flattening records happens in JavaScript; DuckDB then reads the result as NDJSON
+      if (reshape) {
+        let records = extractJSONRecords(text, { newlineDelimited, recordsPath: options.recordsPath });
+        if (options.flatten) {
+          records = records.map(record => flattenRecord(record));
+        }
+        if (records.length === 0) {
+          throw new Error('JSON data contains no records');
+        }
+        
+        this.dataTable.log.debug(`Reshaped JSON into ${records.length} records`);
+        text = toNDJSON(records);
+      }
+      
       // Register the JSON data as a file in DuckDB's virtual filesystem
       const fileName = `${tableName}.json`;
       this.dataTable.log.debug(`Registering JSON file: ${fileName} (${text.length} characters)`);
       await this.dataTable.db.registerFileText(fileName, text);
       
       // Use DuckDB's read_json_auto for automatic schema detection
-      const sql = `CREATE OR REPLACE TABLE ${tableName} AS SELECT * FROM read_json_auto('${fileName}')`;
+      const readOptions = newlineDelimited || reshape ? ", format='newline_delimited'" : '';
+      const sql = `CREATE OR REPLACE TABLE ${quoteIdentifier(tableName)} AS SELECT * FROM read_json_auto('${fileName}'${readOptions})`;
       
       this.dataTable.log.debug(`Executing SQL: ${sql}`);
-      await this.dataTable.conn.query(sql);
+      await this.runLoadStatement(tableName, () => this.dataTable.conn.query(sql), {
+        signal: options.signal,
+        files: [fileName]
+      });
       
     } catch (duckdbError) {
+      if (isAbortError(duckdbError)) {
+        throw duckdbError;
+      }
       this.dataTable.log.error('DuckDB operation failed:', duckdbError);
       throw new Error(`Failed to load JSON data: ${duckdbError.message}`);
     }
@@ -325,7 +988,61 @@ export class DataLoader {
       tableName,
       schema,
       rowCount,
-      format: 'json'
+      format: newlineDelimited ? 'ndjson' : 'json',
+      ...(encoding && { encoding })
+    };
+  }
+  
+  async loadNDJSON(data, options = {}) {
+    return this.loadJSON(data, { ...options, newlineDelimited: true });
+  }
+  
+  /**
+   * Load GeoJSON with one row per feature: properties become columns and the geometry becomes
+   * a WKT text column, marked in the schema so TableRenderer shows it as a map
+   * @param {string|ArrayBuffer|Uint8Array} data - FeatureCollection, Feature or bare geometry
+   * @param {Object} options - Load options
+   * @param {string} options.geometryColumn - Name of the geometry column (default: 'geometry')
+   * @param {boolean} options.flatten - Flatten nested properties into columns like owner.name
+   * @returns {Object} Load result with the geometry column name
+   */
+  async loadGeoJSON(data, options = {}) {
+    const geometryColumn = options.geometryColumn || 'geometry';
+    const { text, encoding } = decodeText(data, options.encoding);
+    
+    let records;
+    try {
+      const features = readGeoJSONFeatures(JSON.parse(text));
+      records = featuresToRecords(features, geometryColumn);
+    } catch (error) {
+      throw new Error(`Failed to read GeoJSON: ${error.message}`);
+    }
+    if (records.length === 0) {
+      throw new Error('GeoJSON contains no features');
+    }
+    if (options.flatten) {
+      records = records.map(record => flattenRecord(record));
+    }
+    
+    this.dataTable.log.debug(`Read ${records.length} GeoJSON features`);
+    
+    const result = await this.loadJSON(toNDJSON(records), {
+      ...options,
+      newlineDelimited: true,
+      recordsPath: undefined,
+      flatten: undefined,
+      encoding: undefined
+    });
+    
+    return {
+      ...result,
+      schema: {
+        ...result.schema,
+        [geometryColumn]: { ...result.schema[geometryColumn], isGeometry: true, geometryFormat: 'wkt', vizType: 'geometry' }
+      },
+      format: 'geojson',
+      geometryColumn,
+      ...(encoding && { encoding })
     };
   }
   
@@ -353,12 +1070,18 @@ export class DataLoader {
       await this.dataTable.db.registerFileBuffer(fileName, uint8Data);
       
       // Use DuckDB's parquet_scan
-      const sql = `CREATE OR REPLACE TABLE ${tableName} AS SELECT * FROM parquet_scan('${fileName}')`;
+      const sql = `CREATE OR REPLACE TABLE ${quoteIdentifier(tableName)} AS SELECT * FROM parquet_scan('${fileName}')`;
       
       this.dataTable.log.debug(`Executing SQL: ${sql}`);
-      await this.dataTable.conn.query(sql);
+      await this.runLoadStatement(tableName, () => this.dataTable.conn.query(sql), {
+        signal: options.signal,
+        files: [fileName]
+      });
       
     } catch (duckdbError) {
+      if (isAbortError(duckdbError)) {
+        throw duckdbError;
+      }
       this.dataTable.log.error('DuckDB operation failed:', duckdbError);
       throw new Error(`Failed to load Parquet data: ${duckdbError.message}`);
     }
@@ -377,35 +1100,1592 @@ export class DataLoader {
     };
   }
   
-  async loadURL(url, options = {}) {
-    // TODO: Implement URL loading
-    // URL loading implementation pending for Phase 2
-    return { tableName: 'data', schema: {} };
+  /**
+   * Load Arrow IPC data (file/Feather v2 or stream format), inserting one record batch at a time
+   * @param {ArrayBuffer|Uint8Array|AsyncIterable<Uint8Array>} data - Arrow IPC bytes, or chunks of an IPC stream
+   * @param {Object} options - Load options (tableName, filename, signal)
+   * @returns {Object} Load result with tableName, schema and rowCount
+   */
+  async loadArrow(data, options = {}) {
+    const baseFileName = options.filename ? 
+      options.filename.replace(/\.[^/.]+$/, '') : // Remove extension
+      'data';
+    const tableName = options.tableName || this.generateUniqueTableName(baseFileName);
+    
+    this.dataTable.log.info(`Loading Arrow IPC data into table: ${tableName}`);
+    
+    if (!this.dataTable.db || !this.dataTable.conn) {
+      throw new Error('DuckDB not properly initialized');
+    }
+    
+    const source = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    let fieldAnnotations;
+    
+    try {
+      const { schema: arrowSchema, batches } = await readArrowIPCBatches(source);
+      fieldAnnotations = describeArrowFields(arrowSchema);
+      
+      // Arrow inserts cannot replace an existing table, so drop it first to match CREATE OR REPLACE
+      await this.dataTable.conn.query(`DROP TABLE IF EXISTS ${quoteIdentifier(tableName)}`);
+      
+      let batchCount = 0;
+      for await (const { ipc, numRows } of batches) {
+        const create = batchCount === 0;
+        await this.runLoadStatement(
+          tableName,
+          () => this.dataTable.conn.insertArrowFromIPCStream(ipc, { name: tableName, create }),
+          { signal: options.signal }
+        );
+        batchCount++;
+        this.dataTable.log.debug(`Inserted record batch ${batchCount} (${numRows} rows) into ${tableName}`);
+      }
+    } catch (duckdbError) {
+      // Do not leave a partially inserted table behind; an abort rejects without waiting for the drop
+      const cleanup = this.discardTable(tableName);
+      if (isAbortError(duckdbError)) {
+        throw duckdbError;
+      }
+      await cleanup;
+      this.dataTable.log.error('Arrow IPC load failed:', duckdbError);
+      throw new Error(`Failed to load Arrow data: ${duckdbError.message}`);
+    }
+    
+    const detectedSchema = await detectSchema(this.dataTable.conn, tableName);
+    const rowCount = await getRowCount(this.dataTable.conn, tableName);
+    
+    // Keep Arrow details that DuckDB column types do not carry; dictionary columns are categorical
+    const schema = {};
+    for (const [name, column] of Object.entries(detectedSchema)) {
+      const annotation = fieldAnnotations[name];
+      schema[name] = annotation ?
+        { ...column, ...annotation, ...(annotation.dictionary && { vizType: 'categorical' }) } :
+        column;
+    }
+    
+    this.dataTable.log.info(`Arrow IPC loaded: ${rowCount} rows, ${Object.keys(schema).length} columns`);
+    
+    return {
+      tableName,
+      schema,
+      rowCount,
+      format: 'arrow'
+    };
   }
   
-  async loadRawData(data, options = {}) {
-    // TODO: Implement raw data loading
-    // Raw data loading implementation pending for Phase 2
-    return { tableName: 'data', schema: {} };
+  /**
+   * Load one sheet of an Excel workbook. Cells with date formats become DATE, or TIMESTAMP
+   * when any of them has a time part.
+   * @param {ArrayBuffer|Uint8Array} data - .xlsx file contents
+   * @param {Object} options - Load options
+   * @param {string|number|Function} options.sheet - Sheet name, zero-based index, or a (possibly async)
+   *   callback that receives the sheet names and returns one of them (default: first visible sheet)
+   * @param {number|false} options.headerRow - 1-based row holding column names, or false for none (default: 1)
+   * @returns {Object} Load result with tableName, schema, rowCount, the loaded sheet and all sheet names
+   */
+  async loadExcel(data, options = {}) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    
+    let workbook;
+    let sheet;
+    let ipc;
+    try {
+      workbook = await openWorkbook(bytes);
+      sheet = await this.selectSheet(workbook.sheets, options.sheet);
+      
+      this.dataTable.log.info(`Reading sheet "${sheet.name}" (${workbook.sheets.length} sheets in workbook)`);
+      
+      const rows = await readSheetRows(workbook, sheet);
+      const { columns, types } = sheetToColumns(rows, { headerRow: options.headerRow });
+      if (Object.keys(columns).length === 0) {
+        throw new Error(`Sheet "${sheet.name}" is empty`);
+      }
+      
+      ipc = columnsToIPC(columns, { types });
+    } catch (error) {
+      throw new Error(`Failed to read Excel workbook: ${error.message}`);
+    }
+    throwIfAborted(options.signal);
+    
+    const result = await this.loadArrowIPC(ipc, { ...options, format: 'xlsx' });
+    
+    return {
+      ...result,
+      sheet: sheet.name,
+      sheets: workbook.sheets.map(({ name }) => name)
+    };
   }
   
-  async loadArrayBuffer(buffer, options = {}) {
-    // TODO: Implement ArrayBuffer loading
-    // ArrayBuffer loading implementation pending for Phase 2
-    return { tableName: 'data', schema: {} };
+  /**
+   * List the sheets of an Excel workbook
+   * @param {File|Blob|ArrayBuffer|Uint8Array} source - .xlsx file or its contents
+   * @returns {Array<Object>} Sheets in workbook order with name and hidden flag
+   */
+  async listSheets(source) {
+    const buffer = typeof source?.arrayBuffer === 'function' ? await source.arrayBuffer() : source;
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    
+    try {
+      const workbook = await openWorkbook(bytes);
+      return workbook.sheets.map(({ name, hidden }) => ({ name, hidden }));
+    } catch (error) {
+      throw new Error(`Failed to read Excel workbook: ${error.message}`);
+    }
   }
   
   /**
-   * Get comprehensive data profile for the loaded table
-   * @param {string} tableName - Name of the table to profile
-   * @returns {Object} Complete data profile including schema and statistics
+   * Pick the sheet to load from a workbook
+   * @param {Array<Object>} sheets - Sheets from openWorkbook
+   * @param {string|number|Function|undefined} selection - Sheet name, index or selection callback
+   * @returns {Object} Selected sheet
    */
-  async getDataProfile(tableName) {
-    if (!this.dataTable.conn) {
-      throw new Error('No DuckDB connection available');
+  async selectSheet(sheets, selection) {
+    if (sheets.length === 0) {
+      throw new Error('Workbook has no sheets');
     }
     
-    const { getDataProfile } = await import('./DuckDBHelpers.js');
-    return getDataProfile(this.dataTable.conn, tableName);
+    if (typeof selection === 'function') {
+      selection = await selection(sheets.map(({ name }) => name));
+    }
+    
+    if (selection === undefined || selection === null) {
+      return sheets.find(sheet => !sheet.hidden) || sheets[0];
+    }
+    
+    const sheet = typeof selection === 'number' ?
+      sheets[selection] :
+      sheets.find(({ name }) => name === selection) ||
+        sheets.find(({ name }) => name.toLowerCase() === String(selection).toLowerCase());
+    
+    if (!sheet) {
+      throw new Error(`Sheet ${JSON.stringify(selection)} not found. Available sheets: ${sheets.map(({ name }) => name).join(', ')}`);
+    }
+    return sheet;
+  }
+  
+  /**
+   * Import tables from a SQLite database file, either one chosen table or every table.
+   * The database is attached read-only through DuckDB's sqlite extension and detached afterwards.
+   * @param {ArrayBuffer|Uint8Array} data - Database file contents
+   * @param {Object} options - Load options
+   * @param {string|number|Function} options.table - Table name, index in listing order, or a (possibly
+   *   async) callback that receives the table names (default: first table)
+   * @param {boolean} options.allTables - Import every table; the first is returned as the main
+   *   result, named options.tableName if given, and all of them under tables
+   * @returns {Object} Load result with the imported table and the names of all tables in the database
+   */
+  async loadSQLite(data, options = {}) {
+    if (!this.dataTable.db || !this.dataTable.conn) {
+      throw new Error('DuckDB not properly initialized');
+    }
+    
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    
+    return this.withSQLiteDatabase(bytes, async (database) => {
+      const names = await this.querySQLiteTableNames(database);
+      if (names.length === 0) {
+        throw new Error('SQLite database contains no tables');
+      }
+      
+      if (options.allTables) {
+        this.dataTable.log.info(`Importing ${names.length} tables from SQLite database`);
+        
+        const tables = [];
+        try {
+          for (const name of names) {
+            throwIfAborted(options.signal);
+            // The first table takes the requested name; the others are named after their SQLite name
+            const tableName = tables.length === 0 ? options.tableName : undefined;
+            tables.push(await this.importSQLiteTable(database, name, { ...options, tableName }));
+          }
+        } catch (error) {
+          // A failed or aborted import keeps none of the tables it had already imported;
+          // an abort rejects without waiting for the drops
+          const cleanup = Promise.allSettled(tables.map(({ tableName }) => this.discardTable(tableName)));
+          if (!isAbortError(error)) {
+            await cleanup;
+          }
+          throw error;
+        }
+        
+        return {
+          ...tables[0],
+          tables,
+          sourceTables: names
+        };
+      }
+      
+      const name = await this.selectSQLiteTable(names, options.table);
+      if (names.length > 1) {
+        this.dataTable.log.info(`SQLite database has ${names.length} tables, importing ${name}`);
+      }
+      
+      const result = await this.importSQLiteTable(database, name, options);
+      return {
+        ...result,
+        sourceTables: names
+      };
+    });
+  }
+  
+  /**
+   * List the tables of a SQLite database file
+   * @param {File|Blob|ArrayBuffer|Uint8Array} source - Database file or its contents
+   * @returns {Array<Object>} Tables in name order with name and rowCount
+   */
+  async listSQLiteTables(source) {
+    const buffer = typeof source?.arrayBuffer === 'function' ? await source.arrayBuffer() : source;
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    
+    return this.withSQLiteDatabase(bytes, async (database) => {
+      const names = await this.querySQLiteTableNames(database);
+      const tables = [];
+      for (const name of names) {
+        const result = await this.dataTable.conn.query(
+          `SELECT COUNT(*) AS count FROM ${database.alias}.main.${quoteIdentifier(name)}`
+        );
+        tables.push({ name, rowCount: result.toArray()[0].count });
+      }
+      return tables;
+    });
+  }
+  
+  /**
+   * Pick the table to import from a SQLite database
+   * @param {Array<string>} names - Table names
+   * @param {string|number|Function|undefined} selection - Table name, index or selection callback
+   * @returns {string} Selected table name
+   */
+  async selectSQLiteTable(names, selection) {
+    if (typeof selection === 'function') {
+      selection = await selection(names);
+    }
+    
+    if (selection === undefined || selection === null) {
+      return names[0];
+    }
+    
+    const name = typeof selection === 'number' ?
+      names[selection] :
+      names.find(candidate => candidate === selection) ||
+        names.find(candidate => candidate.toLowerCase() === String(selection).toLowerCase());
+    
+    if (!name) {
+      throw new Error(`SQLite table ${JSON.stringify(selection)} not found. Available tables: ${names.join(', ')}`);
+    }
+    return name;
+  }
+  
+  /**
+   * Copy one table of an attached SQLite database into a DuckDB table
+   * @param {Object} database - Attached database from attachSQLite
+   * @param {string} name - SQLite table name
+   * @param {Object} options - Load options (tableName, signal)
+   * @returns {Object} Load result with the SQLite table name
+   */
+  async importSQLiteTable(database, name, options = {}) {
+    const tableName = options.tableName || this.generateUniqueTableName(name);
+    const sql = `CREATE OR REPLACE TABLE ${quoteIdentifier(tableName)} AS SELECT * FROM ${database.alias}.main.${quoteIdentifier(name)}`;
+    
+    this.dataTable.log.debug(`Executing SQL: ${sql}`);
+    try {
+      await this.runLoadStatement(tableName, () => this.dataTable.conn.query(sql), { signal: options.signal });
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      throw new Error(`Failed to import SQLite table ${name}: ${error.message}`);
+    }
+    
+    const schema = await detectSchema(this.dataTable.conn, tableName);
+    const rowCount = await getRowCount(this.dataTable.conn, tableName);
+    
+    this.dataTable.log.info(`SQLite table ${name} imported: ${rowCount} rows, ${Object.keys(schema).length} columns`);
+    
+    return {
+      tableName,
+      schema,
+      rowCount,
+      format: 'sqlite',
+      sourceTable: name
+    };
+  }
+  
+  /**
+   * Attach a SQLite database for the duration of some work, then detach it
+   * @param {Uint8Array} bytes - Database file contents
+   * @param {Function} work - Receives the attached database and returns a promise
+   * @returns {*} Result of the work
+   */
+  async withSQLiteDatabase(bytes, work) {
+    const database = await this.attachSQLite(bytes);
+    
+    let result;
+    try {
+      result = await work(database);
+    } catch (error) {
+      // An aborted import is still running, so the database is detached once it finishes
+      const cleanup = this.detachSQLite(database);
+      if (!isAbortError(error)) {
+        await cleanup;
+      }
+      throw error;
+    }
+    
+    await this.detachSQLite(database);
+    return result;
+  }
+  
+  /**
+   * Register a SQLite database file and attach it read-only
+   * @param {Uint8Array} bytes - Database file contents
+   * @returns {Object} { alias, fileName } of the attached database
+   */
+  async attachSQLite(bytes) {
+    const alias = this.generateUniqueTableName('sqlite');
+    const fileName = `${alias}.sqlite`;
+    
+    await this.dataTable.db.registerFileBuffer(fileName, bytes);
+    try {
+      await this.loadSQLiteExtension();
+      await this.dataTable.conn.query(`ATTACH '${fileName}' AS ${alias} (TYPE SQLITE, READ_ONLY)`);
+    } catch (error) {
+      await this.dropRegisteredFile(fileName);
+      throw new Error(`Failed to open SQLite database: ${error.message}`);
+    }
+    
+    return { alias, fileName };
+  }
+  
+  /**
+   * Load DuckDB's sqlite extension, fetching it on first use; a failed load is retried next time
+   */
+  async loadSQLiteExtension() {
+    this.sqliteExtension ??= (async () => {
+      await this.dataTable.conn.query('INSTALL sqlite');
+      await this.dataTable.conn.query('LOAD sqlite');
+    })().catch(error => {
+      this.sqliteExtension = null;
+      throw error;
+    });
+    return this.sqliteExtension;
+  }
+  
+  /**
+   * Detach a SQLite database and drop its registered file, ignoring failures
+   * @param {Object} database - Attached database from attachSQLite
+   */
+  async detachSQLite(database) {
+    try {
+      await this.dataTable.conn.query(`DETACH ${database.alias}`);
+    } catch (error) {
+      this.dataTable.log.debug(`Could not detach ${database.alias}:`, error.message);
+    }
+    await this.dropRegisteredFile(database.fileName);
+  }
+  
+  /**
+   * List the user tables of an attached SQLite database
+   * @param {Object} database - Attached database from attachSQLite
+   * @returns {Array<string>} Table names in name order, without SQLite's internal tables
+   */
+  async querySQLiteTableNames(database) {
+    const result = await this.dataTable.conn.query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_catalog = '${database.alias}' AND table_type = 'BASE TABLE'
+      ORDER BY table_name
+    `);
+    return result.toArray()
+      .map(row => row.table_name)
+      .filter(name => !name.startsWith('sqlite_'));
+  }
+  
+  /**
+   * Decompress gzip or zstd data and load what is inside. The inner format comes from the
+   * name without its compression extension (data.csv.gz -> data.csv) and the decompressed bytes.
+   * @param {ArrayBuffer|Uint8Array} data - Compressed bytes
+   * @param {Object} options - Load options (filename, tableName, ...)
+   * @returns {Object} Load result of the inner format, plus the compression used
+   */
+  async loadCompressed(data, options = {}) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const name = options.filename || 'data';
+    const compression = [sniffFormat(bytes), detectFormatFromPath(options.filename)].find(isCompressionFormat);
+    
+    if (!compression) {
+      throw new Error(`Cannot load ${name}: unrecognized compression`);
+    }
+    
+    let contents;
+    try {
+      contents = await decompress(bytes, compression);
+    } catch (error) {
+      throw new Error(`Failed to decompress ${name}: ${error.message}`);
+    }
+    throwIfAborted(options.signal);
+    
+    this.dataTable.log.info(`Decompressed ${name} (${compression}): ${bytes.length} -> ${contents.length} bytes`);
+    
+    // The caller's format option named the compressed file, so detect the contents afresh
+    const result = await this.loadArrayBuffer(contents, {
+      ...options,
+      format: undefined,
+      filename: stripCompressionExtension(options.filename)
+    });
+    
+    return {
+      ...result,
+      compression
+    };
+  }
+  
+  /**
+   * Load files from a ZIP archive, either one chosen entry or every loadable entry as its own table
+   * @param {ArrayBuffer|Uint8Array} data - Archive bytes
+   * @param {Object} options - Load options
+   * @param {string|number|Function} options.entry - Entry path or base name, index among loadable entries,
+   *   or a (possibly async) callback that receives the loadable entry paths (default: first loadable entry)
+   * @param {boolean} options.allEntries - Load every loadable entry; the first table is returned
+   *   as the main result, named options.tableName if given, and all of them under tables
+   * @returns {Object} Load result with the loaded entry and the loadable entry paths
+   */
+  async loadZip(data, options = {}) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    
+    let entries;
+    try {
+      entries = readZipEntries(bytes);
+    } catch (error) {
+      throw new Error(`Failed to read ZIP archive: ${error.message}`);
+    }
+    
+    // Workbooks are ZIP archives too, and arrive this way when they have no .xlsx name
+    if (entries.some(entry => entry.name === 'xl/workbook.xml')) {
+      return this.loadExcel(bytes, options);
+    }
+    
+    const loadable = entries.filter(entry => this.supportedFormats.has(this.getZipEntryFormat(entry)));
+    const entryNames = loadable.map(entry => entry.name);
+    
+    if (loadable.length === 0) {
+      throw new Error('ZIP archive contains no loadable files (expected CSV, TSV, JSON, Parquet, Arrow, Excel or SQLite files)');
+    }
+    
+    if (options.allEntries) {
+      this.dataTable.log.info(`Loading ${loadable.length} files from ZIP archive`);
+      
+      const tables = [];
+      try {
+        for (const entry of loadable) {
+          throwIfAborted(options.signal);
+          // The first entry takes the requested name; the others are named after the entry
+          const tableName = tables.length === 0 ? options.tableName : undefined;
+          tables.push(await this.loadZipEntry(bytes, entry, { ...options, tableName }));
+        }
+      } catch (error) {
+        // A failed or aborted archive load keeps none of the entries it had already loaded;
+        // an abort rejects without waiting for the drops
+        const cleanup = Promise.allSettled(tables.map(({ tableName }) => this.discardTable(tableName)));
+        if (!isAbortError(error)) {
+          await cleanup;
+        }
+        throw error;
+      }
+      
+      return {
+        ...tables[0],
+        tables,
+        entries: entryNames
+      };
+    }
+    
+    const entry = await this.selectZipEntry(loadable, options.entry);
+    if (loadable.length > 1) {
+      this.dataTable.log.info(`ZIP archive has ${loadable.length} loadable files, loading ${entry.name}`);
+    }
+    
+    const result = await this.loadZipEntry(bytes, entry, options);
+    return {
+      ...result,
+      entries: entryNames
+    };
+  }
+  
+  /**
+   * List the files in a ZIP archive
+   * @param {File|Blob|ArrayBuffer|Uint8Array} source - Archive file or its contents
+   * @returns {Array<Object>} Entries with name, size and detected format (null if not loadable)
+   */
+  async listZipEntries(source) {
+    const buffer = typeof source?.arrayBuffer === 'function' ? await source.arrayBuffer() : source;
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    
+    let entries;
+    try {
+      entries = readZipEntries(bytes);
+    } catch (error) {
+      throw new Error(`Failed to read ZIP archive: ${error.message}`);
+    }
+    
+    return entries
+      .filter(entry => !entry.name.endsWith('/'))
+      .map(entry => {
+        const format = this.getZipEntryFormat(entry);
+        return {
+          name: entry.name,
+          size: entry.size,
+          format: this.supportedFormats.has(format) ? format : null
+        };
+      });
+  }
+  
+  /**
+   * Work out the format of a ZIP entry from its name, ignoring folders and OS metadata
+   * @param {Object} entry - Entry from readZipEntries
+   * @returns {string|null}
+   */
+  getZipEntryFormat(entry) {
+    const baseName = entry.name.split('/').pop();
+    
+    // Folders, macOS resource forks (__MACOSX/) and hidden files such as .DS_Store
+    if (!baseName || baseName.startsWith('.') || entry.name.startsWith('__MACOSX/')) {
+      return null;
+    }
+    return detectFormatFromPath(baseName);
+  }
+  
+  /**
+   * Pick the entry to load from a ZIP archive
+   * @param {Array<Object>} entries - Loadable entries
+   * @param {string|number|Function|undefined} selection - Entry path, base name, index or selection callback
+   * @returns {Object} Selected entry
+   */
+  async selectZipEntry(entries, selection) {
+    if (typeof selection === 'function') {
+      selection = await selection(entries.map(({ name }) => name));
+    }
+    
+    if (selection === undefined || selection === null) {
+      return entries[0];
+    }
+    
+    const entry = typeof selection === 'number' ?
+      entries[selection] :
+      entries.find(({ name }) => name === selection) ||
+        entries.find(({ name }) => name.split('/').pop() === selection);
+    
+    if (!entry) {
+      throw new Error(`ZIP entry ${JSON.stringify(selection)} not found. Loadable entries: ${entries.map(({ name }) => name).join(', ')}`);
+    }
+    return entry;
+  }
+  
+  /**
+   * Extract a ZIP entry and load it with the loader for its format
+   * @param {Uint8Array} bytes - Archive bytes
+   * @param {Object} entry - Entry from readZipEntries
+   * @param {Object} options - Load options
+   * @returns {Object} Load result with the entry path
+   */
+  async loadZipEntry(bytes, entry, options = {}) {
+    let contents;
+    try {
+      contents = await extractZipEntry(bytes, entry);
+    } catch (error) {
+      throw new Error(`Failed to extract ${entry.name}: ${error.message}`);
+    }
+    
+    const result = await this.loadArrayBuffer(contents, {
+      ...options,
+      format: undefined,
+      entry: undefined,
+      allEntries: undefined,
+      filename: entry.name.split('/').pop()
+    });
+    
+    return {
+      ...result,
+      entry: entry.name
+    };
+  }
+  
+  /**
+   * Load remote Parquet without downloading it, using DuckDB-WASM's HTTP file protocol.
+   * DuckDB then fetches only the footer, row groups and columns each query needs.
+   * @param {string} url - Remote Parquet URL (must allow CORS range requests)
+   * @param {Object} options - Load options; set materialize: false to keep a view over the remote file
+   * @returns {Object} Load result with tableName, schema and rowCount
+   */
+  async loadRemoteParquet(url, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const baseFileName = options.filename ? 
+      options.filename.replace(/\.[^/.]+$/, '') : // Remove extension
+      'data';
+    const tableName = options.tableName || this.generateUniqueTableName(baseFileName);
+    const materialize = options.materialize !== false;
+    
+    this.dataTable.log.info(`Loading remote Parquet into ${materialize ? 'table' : 'view'}: ${tableName}`);
+    
+    if (!this.dataTable.db || !this.dataTable.conn) {
+      throw new Error('DuckDB not properly initialized');
+    }
+    
+    const fileName = `${tableName}.parquet`;
+    
+    onProgress({
+      loaded: 0,
+      total: 1,
+      percent: 0,
+      stage: 'processing'
+    });
+    
+    try {
+      const { DuckDBDataProtocol } = await import('@duckdb/duckdb-wasm');
+      
+      this.dataTable.log.debug(`Registering remote Parquet file: ${fileName} -> ${url}`);
+      await this.dataTable.db.registerFileURL(fileName, url, DuckDBDataProtocol.HTTP, false);
+      
+      // A view keeps every query reading from the remote file; a table copies it into DuckDB once
+      const relation = materialize ? 'TABLE' : 'VIEW';
+      const sql = `CREATE OR REPLACE ${relation} ${quoteIdentifier(tableName)} AS SELECT * FROM parquet_scan('${fileName}')`;
+      
+      this.dataTable.log.debug(`Executing SQL: ${sql}`);
+      await this.runLoadStatement(tableName, () => this.dataTable.conn.query(sql), {
+        signal: options.signal,
+        relation,
+        files: [fileName]
+      });
+      
+      // Once materialized the remote file is no longer needed
+      if (materialize) {
+        await this.dropRegisteredFile(fileName);
+      }
+    } catch (duckdbError) {
+      if (isAbortError(duckdbError)) {
+        throw duckdbError;
+      }
+      this.dataTable.log.error('DuckDB operation failed:', duckdbError);
+      await this.dropRegisteredFile(fileName);
+      throw new Error(`Failed to load remote Parquet data: ${duckdbError.message}`);
+    }
+    
+    const schema = await detectSchema(this.dataTable.conn, tableName);
+    const rowCount = await getRowCount(this.dataTable.conn, tableName);
+    
+    this.dataTable.log.info(`Remote Parquet loaded: ${rowCount} rows, ${Object.keys(schema).length} columns`);
+    
+    onProgress({
+      loaded: 1,
+      total: 1,
+      percent: 100,
+      stage: 'complete'
+    });
+    
+    return {
+      tableName,
+      schema,
+      rowCount,
+      format: 'parquet',
+      remote: true,
+      view: !materialize
+    };
+  }
+  
+  async loadURL(url, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const filename = getFileNameFromURL(url);
+    
+    this.dataTable.log.info(`Loading data from URL: ${url}`);
+    
+    // Lazy mode lets DuckDB read remote Parquet with HTTP range requests instead of downloading it,
+    // but DuckDB's HTTP reader cannot send custom headers
+    if (options.lazy && options.headers) {
+      this.dataTable.log.warn('Lazy loading cannot send custom headers, downloading the data instead');
+    } else if (options.lazy) {
+      const lazyFormat = options.format || detectFormatFromPath(filename) || await this.probeURLFormat(url, options.signal);
+      
+      if (lazyFormat === 'parquet') {
+        const result = await this.loadRemoteParquet(url, { ...options, filename });
+        return {
+          ...result,
+          url
+        };
+      }
+      
+      this.dataTable.log.warn(`Lazy loading is only supported for Parquet, downloading ${lazyFormat || 'unknown'} data instead`);
+    }
+    
+    const { response, bytes } = await this.downloadWithRetry(url, range => this.fetchURL(url, range, options), options);
+    const result = await this.loadDownload(bytes, filename, response.headers.get('content-type'), options);
+    
+    return {
+      ...result,
+      url
+    };
+  }
+  
+  /**
+   * Request a URL with the load's headers and credentials mode
+   * @param {string} url - URL to fetch
+   * @param {Object|null} range - { start } to request the rest of the file from that byte
+   * @param {Object} options - Load options: headers, e.g. { Authorization: 'Bearer ...' },
+   *   credentials ('omit', 'same-origin' or 'include', for cookies on cross-origin requests) and signal
+   * @returns {Response} Successful response
+   */
+  async fetchURL(url, range, options = {}) {
+    const headers = { ...options.headers, ...rangeHeader(range) };
+    return sendRequest(url, {
+      headers,
+      credentials: options.credentials,
+      signal: options.signal
+    }, `fetch ${url}`, async response => (response.statusText ? ` ${response.statusText}` : ''));
+  }
+  
+  /**
+   * Download a file, retrying failed requests with exponential backoff and resuming a download
+   * that broke off with a Range request for the bytes still missing; downloads sent with a
+   * Content-Encoding start over instead. Retries and resumes are reported to onProgress with the
+   * stages 'retrying' and 'resuming'.
+   * @param {string} label - What is downloaded, for log and error messages
+   * @param {Function} open - Sends the request: called with null, or with { start } to resume, and
+   *   resolves to a successful Response; failed responses reject with Retry.httpError errors
+   * @param {Object} options - Load options: retries (default 3; 0 turns retrying off), retryDelay
+   *   (wait before the first retry in ms, doubled for each one after it; default 500),
+   *   onProgress and signal
+   * @returns {Object} { response, bytes } with the response the download started with
+   */
+  async downloadWithRetry(label, open, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const retries = options.retries ?? DEFAULT_RETRIES;
+    const received = { chunks: [], total: 0 };
+    let response = null;
+    
+    for (let attempt = 0; ; attempt++) {
+      const loaded = countBytes(received.chunks);
+      // Range offsets count encoded bytes, but a compressed response is received decoded
+      const resume = loaded > 0 && !response?.headers.get('content-encoding');
+      try {
+        const next = await open(resume ? { start: loaded } : null);
+        
+        if (resume && next.status === 206) {
+          // Mixing bytes of two versions of a file would corrupt it
+          if (!resumesDownload(response, next, loaded)) {
+            await next.body?.cancel?.().catch(() => {});
+            throw new Error(`Failed to download ${label}: the file changed while it was downloading`);
+          }
+          this.dataTable.log.info(`Resuming download of ${label} at byte ${loaded}`);
+          onProgress({
+            loaded,
+            total: received.total,
+            percent: received.total ? Math.min(100, Math.round((loaded / received.total) * 100)) : 0,
+            stage: 'resuming'
+          });
+        } else {
+          // A server without range support, or a compressed download, sends the whole file again
+          if (loaded > 0) {
+            this.dataTable.log.warn(`Cannot resume download of ${label}, starting it over`);
+          }
+          response = next;
+          received.chunks = [];
+          received.total = responseTotal(next);
+        }
+        
+        const bytes = await this.readResponse(next, onProgress, options.signal, received);
+        return { response, bytes };
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= retries) {
+          // Dropped connections surface as bare TypeErrors from the body reader, which name no file
+          throw error instanceof TypeError
+            ? new Error(`Failed to download ${label}: ${error.message}`, { cause: error })
+            : error;
+        }
+        
+        const delay = retryDelay(attempt, options.retryDelay, error);
+        const kept = countBytes(received.chunks);
+        this.dataTable.log.warn(`Download of ${label} failed (${error.message}), retrying in ${delay}ms`);
+        onProgress({
+          loaded: kept,
+          total: received.total,
+          percent: received.total ? Math.min(100, Math.round((kept / received.total) * 100)) : 0,
+          stage: 'retrying',
+          attempt: attempt + 1,
+          retries,
+          delay,
+          error: error.message
+        });
+        await wait(delay, options.signal);
+      }
+    }
+  }
+  
+  /**
+   * Load a downloaded file with the loader for its format
+   * @param {Uint8Array} bytes - File content
+   * @param {string} filename - Name the file was downloaded as
+   * @param {string|null} contentType - Content-Type it was served with
+   * @param {Object} options - Load options
+   * @returns {Object} Load result
+   */
+  async loadDownload(bytes, filename, contentType, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    
+    // Names and headers declare a format, but binary signatures in the content take precedence
+    const declaredFormat = detectFormatFromPath(filename) || detectFormatFromContentType(contentType);
+    const format = options.format ||
+      this.requireFormat(resolveFormat(declaredFormat, sniffFormat(bytes)), filename, bytes);
+    
+    const loader = this.supportedFormats.get(format);
+    if (!loader) {
+      throw new Error(`Unsupported format: ${format}`);
+    }
+    
+    this.dataTable.log.info(`Downloaded ${filename} as ${format} (${(bytes.length / 1024 / 1024).toFixed(1)}MB)`);
+    
+    onProgress({
+      loaded: bytes.length,
+      total: bytes.length,
+      percent: 100,
+      stage: 'processing'
+    });
+    
+    // A charset in Content-Type names the text encoding unless the caller chose one
+    const charset = /;\s*charset="?([^";\s]+)/i.exec(contentType || '')?.[1];
+    const result = await loader(bytes, { ...options, filename, encoding: options.encoding || charset });
+    
+    onProgress({
+      loaded: bytes.length,
+      total: bytes.length,
+      percent: 100,
+      stage: 'complete'
+    });
+    
+    return result;
+  }
+  
+  /**
+   * Load a file through a storage provider, which authorizes the requests for its service
+   * @param {string} location - Location URI, e.g. 's3://bucket/sales.parquet'
+   * @param {Object} provider - Provider registered with CloudStorage for the location
+   * @param {Object} options - Load options; cloudStorage overrides the data table's storage settings
+   * @returns {Object} Load result with the location and the provider's details, e.g. bucket and key
+   */
+  async loadFromStorage(location, provider, options = {}) {
+    this.dataTable.log.info(`Loading data from storage: ${location}`);
+    
+    // DuckDB's HTTP reader cannot send auth headers, so lazy Parquet needs a URL that carries its
+    // own authorization, such as a presigned S3 URL or an Azure SAS URL
+    if (options.lazy && !options.headers && typeof provider.resolveURL === 'function') {
+      const filename = getFileNameFromURL(location);
+      const resolved = (options.format || detectFormatFromPath(filename)) === 'parquet'
+        ? await provider.resolveURL(location, { expiresIn: options.expiresIn })
+        : null;
+      if (resolved) {
+        const result = await this.loadRemoteParquet(resolved.url, { ...options, filename });
+        return {
+          ...result,
+          location,
+          ...resolved.details
+        };
+      }
+    }
+    
+    // Providers read byte ranges, so a download that breaks off resumes where it stopped
+    let name;
+    let details;
+    const { response, bytes } = await this.downloadWithRetry(location, async range => {
+      const read = await provider.read(location, {
+        range,
+        headers: options.headers,
+        credentials: options.credentials,
+        onProgress: range ? undefined : options.onProgress,
+        signal: options.signal
+      });
+      ({ name, details } = read instanceof Response ? {} : read);
+      return read instanceof Response ? read : read.response;
+    }, options);
+    const filename = name || getFileNameFromURL(location);
+    const result = await this.loadDownload(bytes, filename, response.headers.get('content-type'), options);
+    
+    return {
+      ...result,
+      location,
+      ...details
+    };
+  }
+  
+  /**
+   * Get the cloud storage settings for a load
+   * @param {Object} options - Load options, whose cloudStorage takes precedence over the data table's
+   * @returns {CloudStorage|null}
+   */
+  getCloudStorage(options = {}) {
+    return options.cloudStorage || this.dataTable.cloudStorage || null;
+  }
+  
+  /**
+   * Work out the format of a remote file from its first bytes using a range request
+   * @param {string} url - Remote file URL
+   * @param {AbortSignal} signal - Aborts the probe request
+   * @returns {string|null} Sniffed format, or null if the probe failed
+   */
+  async probeURLFormat(url, signal = undefined) {
+    try {
+      const response = await fetch(url, { headers: { Range: 'bytes=0-3' }, signal });
+      if (!response.ok) {
+        return null;
+      }
+      
+      // Servers without range support answer 200 with the full body, so only sniff a 206
+      if (response.status !== 206) {
+        await response.body?.cancel?.();
+        return null;
+      }
+      
+      return sniffFormat(new Uint8Array(await response.arrayBuffer()));
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      this.dataTable.log.debug(`Format probe failed for ${url}:`, error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Read a fetch Response body into memory, reporting byte-level progress
+   * @param {Response} response - Response to consume
+   * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Stops reading with an AbortError and cancels the body
+   * @param {Object} received - { chunks, total } of a download being resumed; chunks read are
+   *   added to chunks, so they are kept if the body breaks off
+   * @returns {Uint8Array} Response body, after the chunks received before
+   */
+  async readResponse(response, onProgress = () => {}, signal = undefined, received = {}) {
+    // A resumed download continues after the chunks already received, toward the full size
+    const chunks = received.chunks || [];
+    let loaded = countBytes(chunks);
+    const total = received.total ?? responseTotal(response);
+    
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      chunks.push(new Uint8Array(await response.arrayBuffer().catch(markBodyError)));
+      loaded = countBytes(chunks);
+      onProgress({
+        loaded,
+        total: loaded,
+        percent: 100,
+        stage: 'downloading'
+      });
+      return concatChunks(chunks, loaded);
+    }
+    
+    const reader = response.body.getReader();
+    
+    while (true) {
+      // fetch aborts the body for its own signal; this also covers bodies that do not follow it
+      if (signal?.aborted) {
+        await reader.cancel().catch(() => {});
+        throwIfAborted(signal);
+      }
+      
+      const { done, value } = await reader.read().catch(markBodyError);
+      if (done) break;
+      
+      chunks.push(value);
+      loaded += value.length;
+      
+      onProgress({
+        loaded,
+        total,
+        percent: total ? Math.min(100, Math.round((loaded / total) * 100)) : 0,
+        stage: 'downloading'
+      });
+    }
+    
+    return concatChunks(chunks, loaded);
+  }
+  
+  /**
+   * Load data that is already in memory
+   * @param {string|Array<Object>|Object} data - Raw CSV/JSON text, an array of row objects,
+   *   a { column: values[] } object, or an Apache Arrow / flechette table
+   * @param {Object} options - Load options (tableName, format for text input)
+   * @returns {Object} Load result with tableName, schema and rowCount
+   */
+  async loadRawData(data, options = {}) {
+    if (typeof data === 'string') {
+      const format = options.format || sniffFormat(new TextEncoder().encode(data.slice(0, SNIFF_LENGTH))) || 'csv';
+      const loader = this.supportedFormats.get(format);
+      if (!loader) {
+        throw new Error(`Unsupported format: ${format}`);
+      }
+      
+      this.dataTable.log.info(`Loading raw ${format} text (${data.length} characters)`);
+      return loader(data, options);
+    }
+    
+    let ipc;
+    let format;
+    try {
+      if (isArrowTable(data)) {
+        format = 'arrow';
+        ipc = await arrowTableToIPC(data);
+      } else if (Array.isArray(data)) {
+        format = 'rows';
+        ipc = columnsToIPC(rowsToColumns(data));
+      } else if (isColumnObject(data)) {
+        format = 'columns';
+        ipc = columnsToIPC(data);
+      } else {
+        throw new Error('Unsupported data source type');
+      }
+    } catch (conversionError) {
+      throw new Error(`Failed to convert raw data: ${conversionError.message}`);
+    }
+    
+    return this.loadArrowIPC(ipc, { ...options, format });
+  }
+  
+  /**
+   * Create a table from an Arrow IPC stream
+   * @param {Uint8Array} ipc - Arrow IPC stream bytes
+   * @param {Object} options - Load options (tableName, filename, format, signal)
+   * @returns {Object} Load result with tableName, schema and rowCount
+   */
+  async loadArrowIPC(ipc, options = {}) {
+    const baseFileName = options.filename ? 
+      options.filename.replace(/\.[^/.]+$/, '') : // Remove extension
+      'data';
+    const tableName = options.tableName || this.generateUniqueTableName(baseFileName);
+    const format = options.format || 'arrow';
+    
+    this.dataTable.log.info(`Loading Arrow data into table: ${tableName}`);
+    
+    if (!this.dataTable.db || !this.dataTable.conn) {
+      throw new Error('DuckDB not properly initialized');
+    }
+    
+    try {
+      // Arrow inserts cannot replace an existing table, so drop it first to match CREATE OR REPLACE
+      await this.dataTable.conn.query(`DROP TABLE IF EXISTS ${quoteIdentifier(tableName)}`);
+      
+      this.dataTable.log.debug(`Inserting Arrow IPC stream into ${tableName} (${ipc.length} bytes)`);
+      await this.runLoadStatement(
+        tableName,
+        () => this.dataTable.conn.insertArrowFromIPCStream(ipc, { name: tableName, create: true }),
+        { signal: options.signal }
+      );
+    } catch (duckdbError) {
+      if (isAbortError(duckdbError)) {
+        throw duckdbError;
+      }
+      this.dataTable.log.error('DuckDB operation failed:', duckdbError);
+      throw new Error(`Failed to load Arrow data: ${duckdbError.message}`);
+    }
+    
+    const schema = await detectSchema(this.dataTable.conn, tableName);
+    const rowCount = await getRowCount(this.dataTable.conn, tableName);
+    
+    this.dataTable.log.info(`Arrow data loaded: ${rowCount} rows, ${Object.keys(schema).length} columns`);
+    
+    return {
+      tableName,
+      schema,
+      rowCount,
+      format
+    };
+  }
+  
+  /**
+   * Load binary content whose format is detected from its leading bytes
+   * @param {ArrayBuffer|ArrayBufferView} buffer - Raw content
+   * @param {Object} options - Load options (format, filename, tableName)
+   * @returns {Object} Load result with tableName, schema and rowCount
+   */
+  async loadArrayBuffer(buffer, options = {}) {
+    const bytes = buffer instanceof Uint8Array ? buffer :
+      ArrayBuffer.isView(buffer) ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength) :
+      new Uint8Array(buffer);
+    const name = options.filename || 'buffer';
+    
+    const format = options.format || this.requireFormat(this.detectFormat(options.filename, bytes), name, bytes);
+    
+    const loader = this.supportedFormats.get(format);
+    if (!loader) {
+      throw new Error(`Unsupported format: ${format}`);
+    }
+    
+    this.dataTable.log.info(`Loading ${format} data from buffer (${(bytes.length / 1024 / 1024).toFixed(1)}MB)`);
+    return loader(bytes, options);
+  }
+  
+  /**
+   * Remove a file from DuckDB's virtual filesystem, ignoring failures
+   * @param {string} fileName - Registered file name
+   */
+  async dropRegisteredFile(fileName) {
+    if (!this.dataTable.db || typeof this.dataTable.db.dropFile !== 'function') {
+      return;
+    }
+    
+    try {
+      await this.dataTable.db.dropFile(fileName);
+    } catch (error) {
+      this.dataTable.log.debug(`Could not drop registered file ${fileName}:`, error.message);
+    }
+  }
+  
+  /**
+   * Turn a requested table name into the name to load into
+   * @param {string} name - Requested name, sanitized with sanitizeTableName
+   * @param {string} ifExists - When a table or view of that name exists: 'replace' it (default),
+   *   which drops it before loading, 'fail', or 'suffix' the name as name_2, name_3, ...
+   * @returns {string} Table name
+   */
+  async resolveTableName(name, ifExists = 'replace') {
+    validateIfExists(ifExists);
+    
+    const tableName = sanitizeTableName(name);
+    if (tableName !== name) {
+      this.dataTable.log.debug(`Table name "${name}" sanitized to ${tableName}`);
+    }
+    
+    const existing = await this.getRelationType(tableName);
+    if (!existing) {
+      return tableName;
+    }
+    if (ifExists === 'replace') {
+      // CREATE OR REPLACE cannot turn a view into a table or a table into a view
+      await this.dataTable.conn.query(`DROP ${existing} ${quoteIdentifier(tableName)}`);
+      this.dataTable.log.info(`Replacing ${existing.toLowerCase()} ${tableName}`);
+      return tableName;
+    }
+    if (ifExists === 'fail') {
+      throw new Error(`Table ${tableName} already exists`);
+    }
+    
+    const suffixed = await suffixTableName(tableName, async (candidate) => (await this.getRelationType(candidate)) !== null);
+    this.dataTable.log.info(`Table ${tableName} already exists, loading into ${suffixed}`);
+    return suffixed;
+  }
+  
+  /**
+   * Find whether a name is taken by a table or a view
+   * @param {string} tableName - Table name; DuckDB compares names case-insensitively
+   * @returns {string|null} 'TABLE', 'VIEW' or null when the name is free
+   */
+  async getRelationType(tableName) {
+    const result = await this.dataTable.conn.query(`
+      SELECT table_type
+      FROM information_schema.tables
+      WHERE table_schema = current_schema() AND lower(table_name) = lower(${sqlString(tableName)})
+      LIMIT 1
+    `);
+    const [row] = result.toArray();
+    if (!row) {
+      return null;
+    }
+    return row.table_type === 'VIEW' ? 'VIEW' : 'TABLE';
+  }
+  
+  /**
+   * Rename a table or view
+   * @param {string} tableName - Current name
+   * @param {string} newName - Requested name, sanitized with sanitizeTableName
+   * @param {Object} options - Rename options
+   * @param {string} options.relation - 'TABLE' or 'VIEW' (default: 'TABLE')
+   * @param {string} options.ifExists - When the new name is taken: 'fail' (default), 'replace' the
+   *   other table, or 'suffix' the name
+   * @returns {string} New table name
+   */
+  async renameTable(tableName, newName, options = {}) {
+    const { relation = 'TABLE', ifExists = 'fail' } = options;
+    validateIfExists(ifExists);
+    
+    let target = sanitizeTableName(newName);
+    if (target === tableName) {
+      return tableName;
+    }
+    
+    // A change of case only is not a collision with the table itself
+    const existing = target.toLowerCase() === tableName.toLowerCase() ? null : await this.getRelationType(target);
+    if (existing && ifExists === 'fail') {
+      throw new Error(`Table ${target} already exists`);
+    }
+    if (existing && ifExists === 'suffix') {
+      target = await suffixTableName(target, async (candidate) => (await this.getRelationType(candidate)) !== null);
+    }
+    
+    const conn = this.dataTable.conn;
+    try {
+      await conn.query('BEGIN TRANSACTION');
+      try {
+        if (existing && ifExists === 'replace') {
+          await conn.query(`DROP ${existing} ${quoteIdentifier(target)}`);
+        }
+        await conn.query(`ALTER ${relation} ${quoteIdentifier(tableName)} RENAME TO ${quoteIdentifier(target)}`);
+        await conn.query('COMMIT');
+      } catch (error) {
+        await conn.query('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    } catch (error) {
+      throw new Error(`Failed to rename ${tableName}: ${error.message}`);
+    }
+    
+    this.dataTable.log.info(`Renamed ${tableName} to ${target}`);
+    return target;
+  }
+  
+  /**
+   * Replace a loaded table with a sample of its rows. A view over a remote file becomes a table
+   * holding the sample, which is read from the file once.
+   * @param {Object} result - Load result with tableName and rowCount
+   * @param {Object} sample - Sample specification from parseSampleOption
+   * @param {Object} options - Load options (signal)
+   * @returns {Object} Load result for the sample, with sample describing it: method, size, unit,
+   *   seed, rowCount and the totalRowCount of the source
+   */
+  async sampleTable(result, sample, options = {}) {
+    const { tableName } = result;
+    const relation = result.view ? 'VIEW' : 'TABLE';
+    // Counts come back from DuckDB as BigInt
+    const rowCount = Number(result.rowCount ?? await getRowCount(this.dataTable.conn, tableName));
+    
+    if (coversAllRows(sample, rowCount)) {
+      this.dataTable.log.info(`Not sampling ${tableName}: its ${rowCount} rows fit in the sample`);
+      return result;
+    }
+    
+    const conn = this.dataTable.conn;
+    const sampleName = this.generateUniqueTableName('sample');
+    try {
+      await this.runLoadStatement(sampleName, () => conn.query(`
+        CREATE TABLE ${quoteIdentifier(sampleName)} AS
+        ${sampleQuery(quoteIdentifier(tableName), sample, rowCount)}
+      `), { signal: options.signal });
+      
+      await conn.query('BEGIN TRANSACTION');
+      try {
+        await conn.query(`DROP ${relation} ${quoteIdentifier(tableName)}`);
+        await conn.query(`ALTER TABLE ${quoteIdentifier(sampleName)} RENAME TO ${quoteIdentifier(tableName)}`);
+        await conn.query('COMMIT');
+      } catch (error) {
+        await conn.query('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    } catch (error) {
+      // A failed load leaves no table behind, sampled or not
+      const cleanup = Promise.all([this.discardTable(sampleName), this.discardTable(tableName, relation)]);
+      if (isAbortError(error)) {
+        throw error;
+      }
+      await cleanup;
+      throw new Error(`Failed to sample ${tableName}: ${error.message}`);
+    }
+    
+    const sampleRowCount = await getRowCount(conn, tableName);
+    this.dataTable.log.info(`Sampled ${sampleRowCount} of ${rowCount} rows into ${tableName} (${sample.method}, seed ${sample.seed})`);
+    
+    const { view, ...loaded } = result;
+    return {
+      ...loaded,
+      rowCount: sampleRowCount,
+      sample: { ...sample, rowCount: Number(sampleRowCount), totalRowCount: rowCount }
+    };
+  }
+  
+  /**
+   * Convert columns to the types of the schema load option. Values that do not convert become
+   * NULL and are reported, and type detection leaves the converted columns alone.
+   * @param {Object} result - Load result with tableName and schema
+   * @param {Object} columns - Column types from parseSchemaOverride
+   * @returns {Object} Load result with the new schema, and a coercionErrors report when values did
+   *   not convert: { count, errors: [{ row, column, value, type }] } where count is the number of
+   *   rows affected and row numbers count from 1
+   */
+  async coerceColumns(result, columns) {
+    const { tableName } = result;
+    
+    // Views cannot change the types of their columns
+    if (result.view) {
+      this.dataTable.log.warn(`Schema not applied to ${tableName}: it is a view`);
+      return result;
+    }
+    
+    const conn = this.dataTable.conn;
+    const table = quoteIdentifier(tableName);
+    const targets = Object.entries(columns).map(([column, target]) => ({
+      column,
+      target,
+      failure: coercionFailure(quoteIdentifier(column), target)
+    }));
+    
+    let coercionErrors = null;
+    let schema;
+    try {
+      const unknown = Object.keys(columns).filter(column => !(column in result.schema));
+      if (unknown.length > 0) {
+        throw new Error(`no column named ${unknown.join(', ')}`);
+      }
+      
+      const countResult = await conn.query(`
+        SELECT COUNT(*) AS count FROM ${table}
+        WHERE ${targets.map(({ failure }) => failure).join(' OR ')}
+      `);
+      const count = Number(countResult.toArray()[0].count);
+      
+      if (count > 0) {
+        const errors = [];
+        for (const { column, target, failure } of targets) {
+          if (errors.length >= MAX_REPORTED_REJECTS) break;
+          
+          const failed = await conn.query(`
+            SELECT rowid + 1 AS row, CAST(${quoteIdentifier(column)} AS VARCHAR) AS value
+            FROM ${table}
+            WHERE ${failure}
+            ORDER BY rowid
+            LIMIT ${MAX_REPORTED_REJECTS - errors.length}
+          `);
+          errors.push(...failed.toArray().map(({ row, value }) => ({ row: Number(row), column, value, type: target.type })));
+        }
+        coercionErrors = { count, errors: errors.sort((a, b) => a.row - b.row) };
+      }
+      
+      await conn.query('BEGIN TRANSACTION');
+      try {
+        for (const { column, target } of targets) {
+          const quoted = quoteIdentifier(column);
+          await conn.query(`ALTER TABLE ${table} ALTER COLUMN ${quoted} SET DATA TYPE ${target.type} USING ${coercionExpression(quoted, target)}`);
+        }
+        await conn.query('COMMIT');
+      } catch (error) {
+        await conn.query('ROLLBACK').catch(() => {});
+        throw error;
+      }
+      
+      schema = await detectSchema(conn, tableName, Object.keys(columns));
+    } catch (error) {
+      // A failed load leaves no table behind
+      await this.discardTable(tableName);
+      throw new Error(`Failed to apply schema to ${tableName}: ${error.message}`);
+    }
+    
+    if (coercionErrors) {
+      this.dataTable.log.warn(`${coercionErrors.count} rows of ${tableName} have values that did not convert to their schema type`);
+    }
+    
+    return {
+      ...result,
+      schema,
+      ...(coercionErrors && { coercionErrors })
+    };
+  }
+  
+  /**
+   * Rename the columns of a loaded table to unique snake_case names, e.g. 'Unit Price' to
+   * unit_price, so they can be used in SQL without quoting
+   * @param {Object} result - Load result with tableName and schema
+   * @returns {Object} Load result with the new column names, and columnLabels mapping each
+   *   renamed column to its name as loaded
+   */
+  async normalizeColumns(result) {
+    // Views cannot rename their columns
+    if (result.view) {
+      this.dataTable.log.warn(`Column names of ${result.tableName} are not normalized: it is a view`);
+      return result;
+    }
+    
+    const columns = normalizeColumnNames(Object.keys(result.schema));
+    const renamed = columns.filter(({ name, original }) => name !== original);
+    if (renamed.length === 0) {
+      return result;
+    }
+    
+    const conn = this.dataTable.conn;
+    const table = quoteIdentifier(result.tableName);
+    try {
+      // One transaction, so a failed rename leaves every column with its loaded name
+      await conn.query('BEGIN TRANSACTION');
+      try {
+        for (const { name, original } of renamed) {
+          await conn.query(`ALTER TABLE ${table} RENAME COLUMN ${quoteIdentifier(original)} TO ${quoteIdentifier(name)}`);
+        }
+        await conn.query('COMMIT');
+      } catch (error) {
+        await conn.query('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    } catch (error) {
+      throw new Error(`Failed to normalize column names of ${result.tableName}, none were renamed: ${error.message}`);
+    }
+    
+    this.dataTable.log.info(`Normalized ${renamed.length} column names of ${result.tableName}`);
+    
+    return {
+      ...result,
+      schema: Object.fromEntries(columns.map(({ name, original }) => [name, result.schema[original]])),
+      columnLabels: Object.fromEntries(renamed.map(({ name, original }) => [name, original]))
+    };
+  }
+  
+  /**
+   * Drop a table or view, ignoring failures
+   * @param {string} tableName - Table to drop
+   * @param {string} relation - 'TABLE' or 'VIEW' (default: 'TABLE')
+   */
+  async discardTable(tableName, relation = 'TABLE') {
+    try {
+      await this.dataTable.conn.query(`DROP ${relation} IF EXISTS ${quoteIdentifier(tableName)}`);
+    } catch (error) {
+      this.dataTable.log.debug(`Could not drop ${tableName}:`, error.message);
+    }
+  }
+  
+  /**
+   * Run a DuckDB statement that creates or fills a table, honoring an abort signal.
+   * DuckDB cannot interrupt a running statement, so an abort rejects right away and the table
+   * and registered files are removed once the statement has finished.
+   * @param {string} tableName - Table the statement writes to
+   * @param {Function} statement - Starts the statement and returns its promise
+   * @param {Object} options - signal, relation ('TABLE' or 'VIEW') and files registered for the statement
+   * @returns {*} Result of the statement
+   */
+  async runLoadStatement(tableName, statement, options = {}) {
+    const { signal, relation = 'TABLE', files = [] } = options;
+    
+    const dropFiles = async () => {
+      for (const fileName of files) {
+        await this.dropRegisteredFile(fileName);
+      }
+    };
+    
+    // Not started yet, so any existing table of that name is left alone
+    if (signal?.aborted) {
+      dropFiles().catch(() => {});
+      throwIfAborted(signal);
+    }
+    
+    const pending = statement();
+    try {
+      return await abortable(pending, signal);
+    } catch (error) {
+      if (isAbortError(error)) {
+        // Statements on a connection run in order, so the cleanup queues behind the running one
+        pending.catch(() => {}).then(async () => {
+          await this.discardTable(tableName, relation);
+          await dropFiles();
+        }).catch(() => {});
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Get comprehensive data profile for the loaded table
+   * @param {string} tableName - Name of the table to profile
+   * @returns {Object} Complete data profile including schema and statistics
+   */
+  async getDataProfile(tableName) {
+    if (!this.dataTable.conn) {
+      throw new Error('No DuckDB connection available');
+    }
+    
+    const { getDataProfile } = await import('./DuckDBHelpers.js');
+    return getDataProfile(this.dataTable.conn, tableName);
+  }
+}
+
+// Helper functions
+
+/**
+ * Check whether a source is a set of files, e.g. from a multi-select or directory file input
+ * @param {*} source - Load source
+ * @returns {boolean}
+ */
+function isFileList(source) {
+  if (typeof FileList !== 'undefined' && source instanceof FileList) {
+    return true;
+  }
+  return Array.isArray(source) && source.length > 0 && source.every(item => item instanceof File);
+}
+
+/**
+ * Name a source for source columns and messages
+ * @param {*} source - Load source
+ * @param {Object} options - Load options
+ * @returns {string} File name, URL file name, or the filename option
+ */
+function getSourceName(source, options = {}) {
+  if (source instanceof File) {
+    return source.name;
+  }
+  if (typeof source === 'string' && /^https?:\/\//.test(source)) {
+    return getFileNameFromURL(source);
+  }
+  return options.filename || 'data';
+}
+
+/**
+ * Get the size of a download from its response headers
+ * @param {Response} response - Download response
+ * @returns {number} Size in bytes, or 0 if unknown
+ */
+function responseTotal(response) {
+  // Content-Length describes the encoded body, so it is only a usable total when uncompressed
+  const contentLength = Number(response.headers.get('content-length'));
+  const isEncoded = !!response.headers.get('content-encoding');
+  return Number.isFinite(contentLength) && contentLength > 0 && !isEncoded ? contentLength : 0;
+}
+
+/**
+ * Check that a ranged response continues a download: it starts at the next byte and has the
+ * ETag and Last-Modified of the response the download started with
+ * @param {Response} first - Response the download started with
+ * @param {Response} next - Response to the Range request
+ * @param {number} start - Bytes already received
+ * @returns {boolean}
+ */
+function resumesDownload(first, next, start) {
+  const rangeStart = /^bytes (\d+)-/.exec(next.headers.get('content-range') || '')?.[1];
+  if (rangeStart !== undefined && Number(rangeStart) !== start) {
+    return false;
+  }
+  return ['etag', 'last-modified'].every(header =>
+    !first.headers.get(header) || !next.headers.get(header) || first.headers.get(header) === next.headers.get(header));
+}
+
+/**
+ * Count the bytes in a list of chunks
+ * @param {Array<Uint8Array>} chunks - Chunks
+ * @returns {number}
+ */
+function countBytes(chunks) {
+  return chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+}
+
+/**
+ * Join chunks into one array
+ * @param {Array<Uint8Array>} chunks - Chunks
+ * @param {number} length - Total bytes in the chunks
+ * @returns {Uint8Array}
+ */
+function concatChunks(chunks, length) {
+  const buffer = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    buffer.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return buffer;
+}
+
+/**
+ * Mark an error from reading a response body retryable, since the connection broke off, and
+ * rethrow it
+ * @param {Error} error - Error the body read rejected with
+ */
+function markBodyError(error) {
+  if (!isAbortError(error)) {
+    error.retryable = true;
   }
-}
\ No newline at end of file
+  throw error;
+}
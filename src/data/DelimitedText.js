@@ -0,0 +1,181 @@
+// DelimitedText.js - Helpers for CSV/TSV text and DuckDB's CSV reader
+// Newlines inside quoted fields belong to the field, so they never end a record
+
+import { sqlString } from './Identifiers.js';
+
+/**
+ * Accumulates decoded text and releases it in pieces that end on a record boundary
+ */
+export class RecordSplitter {
+  /**
+   * @param {string} quote - Quote character used by the file (default: '"')
+   * @param {string} escape - Escape character inside quoted fields (default: same as quote)
+   */
+  constructor(quote = '"', escape = quote) {
+    this.quote = quote;
+    this.escape = escape;
+    this.buffer = '';
+    this.scanned = 0;
+    this.inQuotes = false;
+    this.escaped = false;
+  }
+
+  /**
+   * Add text and take every complete record received so far
+   * @param {string} text - Next piece of decoded text
+   * @returns {string} Complete records including their trailing newline ('' if none is complete yet)
+   */
+  push(text) {
+    this.buffer += text;
+
+    // Only scan new text; the quote state carries over from the previous call
+    const boundary = scanRecordEnds(this.buffer, this.scanned, this, false);
+
+    if (boundary === -1) {
+      this.scanned = this.buffer.length;
+      return '';
+    }
+
+    const complete = this.buffer.slice(0, boundary + 1);
+    this.buffer = this.buffer.slice(boundary + 1);
+    this.scanned = this.buffer.length;
+    return complete;
+  }
+
+  /**
+   * Take whatever is left, e.g. a last record without a trailing newline
+   * @returns {string} Remaining text
+   */
+  flush() {
+    const rest = this.buffer;
+    this.buffer = '';
+    this.scanned = 0;
+    this.inQuotes = false;
+    this.escaped = false;
+    return rest;
+  }
+}
+
+/**
+ * Split the first record (usually the header) from the rest of the text
+ * @param {string} text - Text starting at a record boundary
+ * @param {string} quote - Quote character (default: '"')
+ * @param {string} escape - Escape character inside quoted fields (default: same as quote)
+ * @returns {Array<string>} [first record including its newline, remaining text]
+ */
+export function splitFirstRecord(text, quote = '"', escape = quote) {
+  const boundary = scanRecordEnds(text, 0, { quote, escape, inQuotes: false, escaped: false }, true);
+  return boundary === -1 ? [text, ''] : [text.slice(0, boundary + 1), text.slice(boundary + 1)];
+}
+
+/**
+ * Count the newline characters in text
+ * @param {string} text - Text to scan
+ * @returns {number}
+ */
+export function countNewlines(text) {
+  let count = 0;
+  for (let index = text.indexOf('\n'); index !== -1; index = text.indexOf('\n', index + 1)) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Build the parameter list for DuckDB's read_csv from loader options
+ * @param {Object} options - CSV options
+ * @param {string} options.delimiter - Field separator (default: ',')
+ * @param {string} options.quote - Quote character
+ * @param {string} options.escape - Escape character inside quoted fields
+ * @param {string} options.comment - Prefix of lines to ignore, e.g. '#'
+ * @param {number} options.skipRows - Lines to skip before the header (or the first row)
+ * @param {boolean} options.header - Whether the first row holds column names (default: true)
+ * @param {string|Array<string>} options.nullStrings - Values read as NULL, e.g. ['NA', '\\N']
+ * @param {string} options.decimalSeparator - Decimal separator for numbers, '.' or ','
+ * @param {string} options.dateFormat - strptime format for DATE values, e.g. '%d.%m.%Y'
+ * @param {string} options.timestampFormat - strptime format for TIMESTAMP values
+ * @param {Object} options.columnTypes - Types for some columns, e.g. { zip: 'VARCHAR' }; the rest are detected
+ * @param {number} options.sampleSize - Rows sampled for type detection, -1 for the whole file (default: 1000)
+ * @param {Object} columns - Exact types of every column; replaces detection, skipRows and columnTypes
+ *   when more data is read into an existing table
+ * @returns {string} Comma-separated read_csv parameters
+ */
+export function csvReadOptions(options = {}, columns = null) {
+  const params = [`delim=${sqlString(options.delimiter || ',')}`];
+
+  if (options.quote !== undefined) params.push(`quote=${sqlString(options.quote)}`);
+  if (options.escape !== undefined) params.push(`escape=${sqlString(options.escape)}`);
+  if (options.comment) params.push(`comment=${sqlString(options.comment)}`);
+
+  const skipRows = options.skipRows ?? 0;
+  if (!Number.isInteger(skipRows) || skipRows < 0) {
+    throw new Error(`Invalid skipRows: ${options.skipRows}`);
+  }
+  if (skipRows > 0 && !columns) params.push(`skip=${skipRows}`);
+
+  params.push(`header=${options.header !== false}`);
+
+  if (!columns) {
+    const sampleSize = options.sampleSize ?? 1000;
+    if (!Number.isInteger(sampleSize) || sampleSize < -1 || sampleSize === 0) {
+      throw new Error(`Invalid sampleSize: ${options.sampleSize}`);
+    }
+    params.push('auto_detect=true', `sample_size=${sampleSize}`);
+  }
+
+  if (options.nullStrings !== undefined) {
+    const nullStrings = [].concat(options.nullStrings);
+    params.push(`nullstr=[${nullStrings.map(sqlString).join(', ')}]`);
+  }
+  if (options.decimalSeparator) params.push(`decimal_separator=${sqlString(options.decimalSeparator)}`);
+  if (options.dateFormat) params.push(`dateformat=${sqlString(options.dateFormat)}`);
+  if (options.timestampFormat) params.push(`timestampformat=${sqlString(options.timestampFormat)}`);
+
+  if (columns) {
+    params.push(`columns=${sqlStruct(columns)}`);
+  } else if (options.columnTypes && Object.keys(options.columnTypes).length > 0) {
+    params.push(`types=${sqlStruct(options.columnTypes)}`);
+  }
+
+  return params.join(', ');
+}
+
+// Helper functions
+
+/**
+ * Scan text for newlines that end a record, tracking quotes and escapes
+ * @param {string} text - Text to scan
+ * @param {number} start - Index to start scanning from
+ * @param {Object} state - { quote, escape, inQuotes, escaped }; inQuotes and escaped are updated in place
+ * @param {boolean} firstOnly - Stop at the first record end instead of the last
+ * @returns {number} Index of the record-ending newline, or -1 if there is none
+ */
+function scanRecordEnds(text, start, state, firstOnly) {
+  let boundary = -1;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (state.escaped) {
+      state.escaped = false;
+    } else if (state.inQuotes && char === state.escape && state.escape !== state.quote) {
+      // A distinct escape character (e.g. backslash) protects the next character, quotes included
+      state.escaped = true;
+    } else if (char === state.quote) {
+      state.inQuotes = !state.inQuotes;
+    } else if (char === '\n' && !state.inQuotes) {
+      boundary = i;
+      if (firstOnly) break;
+    }
+  }
+
+  return boundary;
+}
+
+/**
+ * Format a { name: type } map as a DuckDB struct literal
+ * @param {Object} types - Column names and their SQL types
+ * @returns {string}
+ */
+function sqlStruct(types) {
+  return `{${Object.entries(types).map(([name, type]) => `${sqlString(name)}: ${sqlString(type)}`).join(', ')}}`;
+}
@@ -1,13 +1,18 @@
 // DuckDBHelpers.js - Centralized utilities for DuckDB operations
 // Provides schema detection, table introspection, and data profiling utilities
 
+import { isWKT, isWKB } from './Geometry.js';
+import { quoteIdentifier } from './Identifiers.js';
+
 /**
  * Detect and parse table schema from DuckDB
  * @param {Object} dbOrConn - DuckDB database instance or connection
  * @param {string} tableName - Name of the table to analyze
+ * @param {Array<string>} overriddenColumns - Columns whose type was given at load time; they are
+ *   marked typeOverride and not checked for timestamps or geometries
  * @returns {Object} Schema object with column information
  */
-export async function detectSchema(dbOrConn, tableName) {
+export async function detectSchema(dbOrConn, tableName, overriddenColumns = []) {
   // Handle both db.conn and direct conn objects
   const conn = dbOrConn.conn || dbOrConn;
 
@@ -16,7 +21,7 @@ export async function detectSchema(dbOrConn, tableName) {
   }
 
   try {
-    const result = await conn.query(`DESCRIBE ${tableName}`);
+    const result = await conn.query(`DESCRIBE ${quoteIdentifier(tableName)}`);
     const columns = result.toArray();
 
     const baseSchema = columns.reduce((schema, col) => {
@@ -24,19 +29,26 @@ export async function detectSchema(dbOrConn, tableName) {
         type: col.column_type,
         nullable: col.null === 'YES',
         // Infer visualization type for later use
-        vizType: inferVisualizationType(col.column_type)
+        vizType: inferVisualizationType(col.column_type),
+        ...(overriddenColumns.includes(col.column_name) && { typeOverride: true })
       };
       return schema;
     }, {});
 
     // Detect and mark timestamp columns in VARCHAR fields
+    let enhancedSchema = baseSchema;
     try {
-      const enhancedSchema = await detectAndMarkTimestampColumns(dbOrConn, tableName, baseSchema);
-      return enhancedSchema;
+      enhancedSchema = await detectAndMarkTimestampColumns(dbOrConn, tableName, baseSchema);
     } catch (timestampError) {
       console.warn(`Timestamp detection failed for table '${tableName}':`, timestampError.message);
-      // Return base schema if timestamp detection fails
-      return baseSchema;
+    }
+
+    // Detect and mark WKT/WKB geometry stored as text or binary
+    try {
+      return await detectAndMarkGeometryColumns(dbOrConn, tableName, enhancedSchema);
+    } catch (geometryError) {
+      console.warn(`Geometry detection failed for table '${tableName}':`, geometryError.message);
+      return enhancedSchema;
     }
   } catch (error) {
     throw new Error(`Failed to detect schema for table '${tableName}': ${error.message}`);
@@ -59,11 +71,11 @@ export async function getTableInfo(dbOrConn, tableName, sampleSize = 5) {
   
   try {
     // Get row count
-    const countResult = await conn.query(`SELECT COUNT(*) as count FROM ${tableName}`);
+    const countResult = await conn.query(`SELECT COUNT(*) as count FROM ${quoteIdentifier(tableName)}`);
     const rowCount = countResult.toArray()[0].count;
     
     // Get sample data
-    const sampleResult = await conn.query(`SELECT * FROM ${tableName} LIMIT ${sampleSize}`);
+    const sampleResult = await conn.query(`SELECT * FROM ${quoteIdentifier(tableName)} LIMIT ${sampleSize}`);
     const sampleData = sampleResult.toArray();
     
     return {
@@ -91,7 +103,7 @@ export async function getRowCount(dbOrConn, tableName) {
   }
   
   try {
-    const result = await conn.query(`SELECT COUNT(*) as count FROM ${tableName}`);
+    const result = await conn.query(`SELECT COUNT(*) as count FROM ${quoteIdentifier(tableName)}`);
     const rows = result.toArray();
     return rows[0].count;
   } catch (error) {
@@ -115,7 +127,7 @@ export async function getColumnStats(dbOrConn, tableName, columnName) {
   
   try {
     // First get column type
-    const schemaResult = await conn.query(`DESCRIBE ${tableName}`);
+    const schemaResult = await conn.query(`DESCRIBE ${quoteIdentifier(tableName)}`);
     const columns = schemaResult.toArray();
     const column = columns.find(col => col.column_name === columnName);
     
@@ -124,6 +136,7 @@ export async function getColumnStats(dbOrConn, tableName, columnName) {
     }
     
     const columnType = column.column_type.toLowerCase();
+    const quotedColumn = quoteIdentifier(columnName);
     const stats = {
       columnName,
       type: column.column_type,
@@ -134,12 +147,12 @@ export async function getColumnStats(dbOrConn, tableName, columnName) {
     if (isNumericType(columnType)) {
       const numericResult = await conn.query(`
         SELECT 
-          MIN(${columnName}) as min_value,
-          MAX(${columnName}) as max_value,
-          AVG(${columnName}) as avg_value,
-          COUNT(${columnName}) as non_null_count,
-          COUNT(*) - COUNT(${columnName}) as null_count
-        FROM ${tableName}
+          MIN(${quotedColumn}) as min_value,
+          MAX(${quotedColumn}) as max_value,
+          AVG(${quotedColumn}) as avg_value,
+          COUNT(${quotedColumn}) as non_null_count,
+          COUNT(*) - COUNT(${quotedColumn}) as null_count
+        FROM ${quoteIdentifier(tableName)}
       `);
       const numericStats = numericResult.toArray()[0];
       
@@ -156,10 +169,10 @@ export async function getColumnStats(dbOrConn, tableName, columnName) {
     else if (isTextType(columnType)) {
       const categoricalResult = await conn.query(`
         SELECT 
-          COUNT(DISTINCT ${columnName}) as distinct_count,
-          COUNT(${columnName}) as non_null_count,
-          COUNT(*) - COUNT(${columnName}) as null_count
-        FROM ${tableName}
+          COUNT(DISTINCT ${quotedColumn}) as distinct_count,
+          COUNT(${quotedColumn}) as non_null_count,
+          COUNT(*) - COUNT(${quotedColumn}) as null_count
+        FROM ${quoteIdentifier(tableName)}
       `);
       const categoricalStats = categoricalResult.toArray()[0];
       
@@ -174,11 +187,11 @@ export async function getColumnStats(dbOrConn, tableName, columnName) {
     else if (isTemporalType(columnType)) {
       const temporalResult = await conn.query(`
         SELECT 
-          MIN(${columnName}) as min_date,
-          MAX(${columnName}) as max_date,
-          COUNT(${columnName}) as non_null_count,
-          COUNT(*) - COUNT(${columnName}) as null_count
-        FROM ${tableName}
+          MIN(${quotedColumn}) as min_date,
+          MAX(${quotedColumn}) as max_date,
+          COUNT(${quotedColumn}) as non_null_count,
+          COUNT(*) - COUNT(${quotedColumn}) as null_count
+        FROM ${quoteIdentifier(tableName)}
       `);
       const temporalStats = temporalResult.toArray()[0];
       
@@ -212,13 +225,14 @@ export async function getDistinctValues(dbOrConn, tableName, columnName, limit =
   }
   
   try {
+    const quotedColumn = quoteIdentifier(columnName);
     const result = await conn.query(`
       SELECT 
-        ${columnName} as value,
+        ${quotedColumn} as value,
         COUNT(*) as count
-      FROM ${tableName}
-      WHERE ${columnName} IS NOT NULL
-      GROUP BY ${columnName}
+      FROM ${quoteIdentifier(tableName)}
+      WHERE ${quotedColumn} IS NOT NULL
+      GROUP BY ${quotedColumn}
       ORDER BY count DESC
       LIMIT ${limit}
     `);
@@ -307,7 +321,7 @@ export function formatSchemaForUI(schema) {
 /**
  * Detect the best visualization type for a column based on its data type
  * @param {string} columnType - DuckDB column type
- * @returns {string} Visualization type (histogram, categorical, temporal, text)
+ * @returns {string} Visualization type (histogram, categorical, temporal, geometry)
  */
 export function detectColumnType(columnType) {
   return inferVisualizationType(columnType);
@@ -325,6 +339,8 @@ function inferVisualizationType(columnType) {
   
   if (isNumericType(type)) {
     return 'histogram';
+  } else if (isGeometryType(type)) {
+    return 'geometry';
   } else if (isTemporalType(type)) {
     return 'temporal';
   } else if (isBooleanType(type)) {
@@ -361,6 +377,30 @@ function isTemporalType(type) {
   return /^(date|time|timestamp|datetime)/.test(type);
 }
 
+/**
+ * Check if column type is a geometry type of DuckDB's spatial extension
+ * @param {string} type - Column type in lowercase
+ * @returns {boolean}
+ */
+function isGeometryType(type) {
+  return /^(geometry|wkb_blob|(point|linestring|polygon|box)_2d)/.test(type);
+}
+
+/**
+ * Check whether DuckDB's spatial extension is loaded
+ * @param {Object} conn - DuckDB connection
+ * @returns {boolean}
+ */
+async function isSpatialLoaded(conn) {
+  try {
+    const result = await conn.query(`SELECT loaded FROM duckdb_extensions() WHERE extension_name = 'spatial'`);
+    return result.toArray()[0]?.loaded === true;
+  } catch (error) {
+    console.warn('Failed to check for the spatial extension:', error.message);
+    return false;
+  }
+}
+
 /**
  * Check if column type is boolean
  * @param {string} type - Column type in lowercase
@@ -407,10 +447,11 @@ export async function detectTimestampColumn(dbOrConn, tableName, columnName, sam
 
   try {
     // Sample non-null values from the column
+    const quotedColumn = quoteIdentifier(columnName);
     const sampleResult = await conn.query(`
-      SELECT ${columnName}
-      FROM ${tableName}
-      WHERE ${columnName} IS NOT NULL
+      SELECT ${quotedColumn}
+      FROM ${quoteIdentifier(tableName)}
+      WHERE ${quotedColumn} IS NOT NULL
       LIMIT ${sampleSize}
     `);
     const samples = sampleResult.toArray();
@@ -568,8 +609,11 @@ export async function detectAndMarkTimestampColumns(dbOrConn, tableName, schema)
 
   const updatedSchema = { ...schema };
 
-  // Find VARCHAR columns that might contain timestamps
+  // Find VARCHAR columns that might contain timestamps; a type given at load time is kept
   const varcharColumns = Object.entries(schema).filter(([_, columnInfo]) => {
+    if (columnInfo.typeOverride) {
+      return false;
+    }
     const type = typeof columnInfo.type === 'string' ?
       columnInfo.type.toUpperCase() :
       (columnInfo.type?.toString?.().toUpperCase() || '');
@@ -600,4 +644,80 @@ export async function detectAndMarkTimestampColumns(dbOrConn, tableName, schema)
   }
 
   return updatedSchema;
-}
\ No newline at end of file
+}
+
+/**
+ * Detect geometry columns in a table and update schema metadata. Spatial extension types are
+ * geometry by definition; text columns holding WKT and BLOB columns holding WKB are found by
+ * sampling their values, with one query for all candidate columns. WKB and spatial extension
+ * columns are only marked while the spatial extension is loaded, since their map queries need it.
+ * @param {Object} dbOrConn - DuckDB database instance or connection
+ * @param {string} tableName - Name of the table
+ * @param {Object} schema - Existing schema object to update
+ * @param {number} sampleSize - Number of rows to sample, among rows with a value in any candidate
+ *   column (default: 10)
+ * @returns {Object} Updated schema with isGeometry and geometryFormat ('geometry', 'wkt' or 'wkb')
+ */
+export async function detectAndMarkGeometryColumns(dbOrConn, tableName, schema, sampleSize = 10) {
+  if (!schema) {
+    return schema;
+  }
+
+  const conn = dbOrConn.conn || dbOrConn;
+  const updatedSchema = { ...schema };
+  const formats = {};
+  const candidates = [];
+
+  for (const [columnName, columnInfo] of Object.entries(schema)) {
+    const type = String(columnInfo.type?.toString?.() ?? columnInfo.type ?? '').toLowerCase();
+
+    if (isGeometryType(type)) {
+      formats[columnName] = type.startsWith('wkb_blob') ? 'wkb' : 'geometry';
+    } else if (!columnInfo.typeOverride && ((isTextType(type) && !columnInfo.isDetectedTimestamp) || type === 'blob')) {
+      candidates.push({ columnName, format: type === 'blob' ? 'wkb' : 'wkt' });
+    }
+  }
+
+  if (candidates.length > 0) {
+    try {
+      const quotedColumns = candidates.map(({ columnName }) => quoteIdentifier(columnName));
+      const sampleResult = await conn.query(`
+        SELECT ${quotedColumns.join(', ')}
+        FROM ${quoteIdentifier(tableName)}
+        WHERE ${quotedColumns.map(column => `${column} IS NOT NULL`).join(' OR ')}
+        LIMIT ${sampleSize}
+      `);
+      const rows = sampleResult.toArray();
+
+      for (const { columnName, format } of candidates) {
+        const values = rows.map(row => row[columnName]).filter(value => value !== null && value !== undefined);
+        const isGeometry = format === 'wkb' ? isWKB : isWKT;
+
+        // Like timestamps, most sampled values (at least 80%) have to match
+        if (values.length > 0 && values.filter(isGeometry).length / values.length >= 0.8) {
+          formats[columnName] = format;
+        }
+      }
+    } catch (error) {
+      console.warn(`Failed to check geometry values for table ${tableName}:`, error.message);
+    }
+  }
+
+  // WKT is plotted with plain SQL; the other formats need ST_ functions
+  const spatialColumns = Object.keys(formats).filter(columnName => formats[columnName] !== 'wkt');
+  if (spatialColumns.length > 0 && !(await isSpatialLoaded(conn))) {
+    console.warn(`Geometry columns of table '${tableName}' not marked, the spatial extension is not loaded: ${spatialColumns.join(', ')}`);
+    spatialColumns.forEach(columnName => delete formats[columnName]);
+  }
+
+  for (const [columnName, geometryFormat] of Object.entries(formats)) {
+    updatedSchema[columnName] = {
+      ...schema[columnName],
+      isGeometry: true,
+      geometryFormat,
+      vizType: 'geometry'
+    };
+  }
+
+  return updatedSchema;
+}
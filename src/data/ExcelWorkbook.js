@@ -0,0 +1,345 @@
+// ExcelWorkbook.js - Read sheets from Office Open XML (.xlsx) workbooks
+// Parses the workbook parts with DOMParser and converts Excel date serials to dates
+
+import { dateDay, timestamp, TimeUnit } from '@uwdata/flechette';
+import { readZipEntries, extractZipEntry } from './ZipArchive.js';
+
+// Writers differ in namespace prefixes (x:c vs c), so elements are matched by local name only
+const ANY_NAMESPACE = '*';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Built-in number formats that display dates or date-times (ECMA-376 18.8.30)
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 22, 27, 28, 29, 30, 31, 34, 35, 36, 50, 51, 52, 53, 54, 57, 58]);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Day zero of the 1900 system is 1899-12-30, which absorbs Excel's fictitious 1900-02-29
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+
+/**
+ * Open a workbook and read the parts shared by all sheets
+ * @param {Uint8Array} bytes - .xlsx file contents
+ * @returns {Object} Workbook with sheets ({ name, hidden }), shared strings and date styles
+ */
+export async function openWorkbook(bytes) {
+  const entries = new Map(readZipEntries(bytes).map(entry => [entry.name, entry]));
+  const readPart = async (path) => {
+    const entry = entries.get(path);
+    return entry ? new TextDecoder().decode(await extractZipEntry(bytes, entry)) : null;
+  };
+
+  const workbookXML = await readPart('xl/workbook.xml');
+  if (!workbookXML) {
+    throw new Error('Not an Excel workbook: xl/workbook.xml is missing');
+  }
+
+  const workbookDoc = parseXML(workbookXML);
+  const relationships = readRelationships(await readPart('xl/_rels/workbook.xml.rels'));
+
+  const sheets = elements(workbookDoc, 'sheet').map(sheet => ({
+    name: sheet.getAttribute('name'),
+    hidden: !!sheet.getAttribute('state') && sheet.getAttribute('state') !== 'visible',
+    path: resolvePartPath(relationships.get(sheet.getAttributeNS(RELATIONSHIP_NS, 'id') || sheet.getAttribute('r:id')))
+  }));
+
+  const workbookPr = elements(workbookDoc, 'workbookPr')[0];
+  const date1904 = ['1', 'true'].includes(workbookPr?.getAttribute('date1904'));
+
+  return {
+    sheets,
+    date1904,
+    sharedStrings: readSharedStrings(await readPart('xl/sharedStrings.xml')),
+    dateStyles: readDateStyles(await readPart('xl/styles.xml')),
+    readPart
+  };
+}
+
+/**
+ * Read the cell values of a sheet
+ * @param {Object} workbook - Workbook from openWorkbook
+ * @param {Object} sheet - Sheet from workbook.sheets
+ * @returns {Array<Array>} Rows of cell values (string, number, boolean, Date or null), indexed from row 1
+ */
+export async function readSheetRows(workbook, sheet) {
+  const sheetXML = sheet.path ? await workbook.readPart(sheet.path) : null;
+  if (!sheetXML) {
+    throw new Error(`Sheet "${sheet.name}" has no worksheet data`);
+  }
+
+  const rows = [];
+  let nextRow = 0;
+
+  for (const row of elements(parseXML(sheetXML), 'row')) {
+    const rowIndex = row.getAttribute('r') ? Number(row.getAttribute('r')) - 1 : nextRow;
+    nextRow = rowIndex + 1;
+
+    const values = [];
+    let nextColumn = 0;
+
+    for (const cell of elements(row, 'c')) {
+      const reference = cell.getAttribute('r');
+      const columnIndex = reference ? columnIndexFromReference(reference) : nextColumn;
+      nextColumn = columnIndex + 1;
+      values[columnIndex] = readCellValue(cell, workbook);
+    }
+
+    // Sparse rows leave holes; fill them so every missing cell reads as null
+    rows[rowIndex] = Array.from(values, value => value ?? null);
+  }
+
+  return Array.from(rows, row => row || []);
+}
+
+/**
+ * Turn sheet rows into named columns with Arrow types for date columns
+ * @param {Array<Array>} rows - Rows from readSheetRows
+ * @param {Object} options - Conversion options
+ * @param {number|false} options.headerRow - 1-based row holding column names, or false for none (default: 1)
+ * @returns {Object} { columns, types } ready for columnsToIPC
+ */
+export function sheetToColumns(rows, options = {}) {
+  const headerRow = options.headerRow === undefined ? 1 : options.headerRow;
+  const headerIndex = headerRow === false || headerRow === 0 ? -1 : Number(headerRow) - 1;
+
+  if (!Number.isInteger(headerIndex) || headerIndex < -1) {
+    throw new Error(`Invalid headerRow: ${headerRow}`);
+  }
+
+  const header = headerIndex >= 0 ? rows[headerIndex] || [] : [];
+
+  // Rows above the header are titles or notes; blank rows carry no data
+  const dataRows = rows
+    .slice(headerIndex + 1)
+    .filter(row => row.some(value => value !== null && value !== ''));
+
+  const width = dataRows.reduce((max, row) => Math.max(max, row.length), header.length);
+  const names = columnNames(header, width);
+
+  const columns = {};
+  const types = {};
+
+  names.forEach((name, index) => {
+    const values = dataRows.map(row => row[index] ?? null);
+    columns[name] = values;
+
+    const present = values.filter(value => value !== null);
+    if (present.length > 0 && present.every(value => value instanceof Date)) {
+      // Whole-day serials become DATE, anything with a time part becomes TIMESTAMP
+      types[name] = present.every(date => date.getTime() % MS_PER_DAY === 0) ?
+        dateDay() :
+        timestamp(TimeUnit.MILLISECOND);
+    }
+  });
+
+  return { columns, types };
+}
+
+/**
+ * Convert an Excel date serial to a UTC Date
+ * @param {number} serial - Days since the workbook epoch, with the time as a fraction
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+ * @returns {Date}
+ */
+export function excelSerialToDate(serial, date1904 = false) {
+  const epoch = date1904 ? EPOCH_1904 : EPOCH_1900;
+  // Serials before the fictitious 1900-02-29 (serial 60) are one day behind the real calendar
+  const adjusted = !date1904 && serial < 60 ? serial + 1 : serial;
+  // Round to whole milliseconds to drop floating point noise from the fraction
+  return new Date(epoch + Math.round(adjusted * MS_PER_DAY));
+}
+
+// Helper functions
+
+/**
+ * Parse an XML part
+ * @param {string} xml - XML text
+ * @returns {Document}
+ */
+function parseXML(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid XML in workbook');
+  }
+  return doc;
+}
+
+/**
+ * Find descendant elements by local name, whatever namespace prefix the writer used
+ * @param {Document|Element} node - Node to search
+ * @param {string} localName - Element local name
+ * @returns {Array<Element>}
+ */
+function elements(node, localName) {
+  return Array.from(node.getElementsByTagNameNS(ANY_NAMESPACE, localName));
+}
+
+/**
+ * Map relationship ids to their targets
+ * @param {string|null} xml - Relationships part
+ * @returns {Map<string, string>}
+ */
+function readRelationships(xml) {
+  const relationships = new Map();
+  if (!xml) return relationships;
+
+  for (const relationship of elements(parseXML(xml), 'Relationship')) {
+    relationships.set(relationship.getAttribute('Id'), relationship.getAttribute('Target'));
+  }
+  return relationships;
+}
+
+/**
+ * Resolve a relationship target from the workbook part to an archive path
+ * @param {string|undefined} target - Relative (worksheets/sheet1.xml) or absolute (/xl/...) target
+ * @returns {string|null}
+ */
+function resolvePartPath(target) {
+  if (!target) return null;
+  return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+}
+
+/**
+ * Read the shared string table
+ * @param {string|null} xml - sharedStrings.xml contents
+ * @returns {Array<string>}
+ */
+function readSharedStrings(xml) {
+  if (!xml) return [];
+  return elements(parseXML(xml), 'si').map(textContent);
+}
+
+/**
+ * Work out which cell styles display dates
+ * @param {string|null} xml - styles.xml contents
+ * @returns {Set<number>} Indexes into cellXfs whose number format is a date format
+ */
+function readDateStyles(xml) {
+  const dateStyles = new Set();
+  if (!xml) return dateStyles;
+
+  const doc = parseXML(xml);
+  const customDateFormats = new Set(
+    elements(doc, 'numFmt')
+      .filter(numFmt => isDateFormatCode(numFmt.getAttribute('formatCode') || ''))
+      .map(numFmt => Number(numFmt.getAttribute('numFmtId')))
+  );
+
+  const cellXfs = elements(doc, 'cellXfs')[0];
+  if (!cellXfs) return dateStyles;
+
+  elements(cellXfs, 'xf').forEach((xf, index) => {
+    const numFmtId = Number(xf.getAttribute('numFmtId') || 0);
+    if (BUILTIN_DATE_FORMATS.has(numFmtId) || customDateFormats.has(numFmtId)) {
+      dateStyles.add(index);
+    }
+  });
+
+  return dateStyles;
+}
+
+/**
+ * Check whether a custom number format displays a calendar date
+ * @param {string} code - Format code, e.g. 'yyyy-mm-dd hh:mm'
+ * @returns {boolean}
+ */
+function isDateFormatCode(code) {
+  // Ignore quoted literals, escaped characters and bracketed colors/conditions
+  const tokens = code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+  // Durations and times of day (h:mm, mm:ss) stay numeric, only day or year parts make a date
+  return /[dy]/i.test(tokens);
+}
+
+/**
+ * Read the value of a single cell
+ * @param {Element} cell - <c> element
+ * @param {Object} workbook - Workbook from openWorkbook
+ * @returns {string|number|boolean|Date|null}
+ */
+function readCellValue(cell, workbook) {
+  const type = cell.getAttribute('t') || 'n';
+
+  if (type === 'inlineStr') {
+    const inline = elements(cell, 'is')[0];
+    return inline ? textContent(inline) : null;
+  }
+
+  const valueElement = elements(cell, 'v')[0];
+  if (!valueElement) return null;
+  const raw = valueElement.textContent;
+
+  switch (type) {
+    case 's':
+      return workbook.sharedStrings[Number(raw)] ?? null;
+    case 'str':
+      return raw;
+    case 'b':
+      return raw === '1';
+    case 'e':
+      // Error values such as #N/A or #DIV/0! have no data equivalent
+      return null;
+    case 'd':
+      // ISO 8601 date-times without a zone are wall-clock values; keep them in UTC like serials
+      return new Date(/T[^Z+-]*$/.test(raw) ? `${raw}Z` : raw);
+    default: {
+      const number = Number(raw);
+      if (raw === '' || Number.isNaN(number)) return null;
+      return workbook.dateStyles.has(Number(cell.getAttribute('s') || 0)) ?
+        excelSerialToDate(number, workbook.date1904) :
+        number;
+    }
+  }
+}
+
+/**
+ * Concatenate the text runs of a string item, skipping phonetic hints
+ * @param {Element} node - <si> or <is> element
+ * @returns {string}
+ */
+function textContent(node) {
+  return elements(node, 't')
+    .filter(text => text.parentNode?.localName !== 'rPh')
+    .map(text => text.textContent)
+    .join('');
+}
+
+/**
+ * Convert the column letters of a cell reference to a zero-based index
+ * @param {string} reference - Cell reference such as 'C7' or 'AA10'
+ * @returns {number}
+ */
+function columnIndexFromReference(reference) {
+  let index = 0;
+  for (const char of reference.toUpperCase()) {
+    const code = char.charCodeAt(0);
+    if (code < 65 || code > 90) break;
+    index = index * 26 + (code - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Build unique column names from a header row
+ * @param {Array} header - Header cell values
+ * @param {number} width - Number of columns
+ * @returns {Array<string>}
+ */
+function columnNames(header, width) {
+  const used = new Map();
+  const names = [];
+
+  for (let index = 0; index < width; index++) {
+    const value = header[index];
+    let name = value instanceof Date ? value.toISOString().slice(0, 10) : String(value ?? '').trim();
+    if (!name) {
+      name = `column_${index + 1}`;
+    }
+
+    // Repeated headers get a numeric suffix so every column stays addressable
+    const count = used.get(name) || 0;
+    used.set(name, count + 1);
+    names.push(count === 0 ? name : `${name}_${count + 1}`);
+  }
+
+  return names;
+}
@@ -0,0 +1,331 @@
+// FormatDetection.js - Utilities for working out the format of a data source
+// Combines file extensions, HTTP Content-Type headers and content sniffing
+
+import { decodeText } from './TextEncoding.js';
+
+const EXTENSION_FORMATS = {
+  'csv': 'csv',
+  'tsv': 'tsv',
+  'tab': 'tsv',
+  'json': 'json',
+  'geojson': 'geojson',
+  'ndjson': 'ndjson',
+  'jsonl': 'ndjson',
+  'parquet': 'parquet',
+  'pq': 'parquet',
+  'arrow': 'arrow',
+  'arrows': 'arrow',
+  'feather': 'arrow',
+  'ipc': 'arrow',
+  'xlsx': 'xlsx',
+  'sqlite': 'sqlite',
+  'sqlite3': 'sqlite',
+  'db': 'sqlite',
+  'db3': 'sqlite',
+  'zip': 'zip',
+  'gz': 'gzip',
+  'gzip': 'gzip',
+  'zst': 'zstd',
+  'zstd': 'zstd'
+};
+
+const CONTENT_TYPE_FORMATS = {
+  'text/csv': 'csv',
+  'application/csv': 'csv',
+  'text/tab-separated-values': 'tsv',
+  'application/json': 'json',
+  'text/json': 'json',
+  'application/geo+json': 'geojson',
+  'application/x-ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+  'application/jsonlines': 'ndjson',
+  'application/vnd.apache.parquet': 'parquet',
+  'application/x-parquet': 'parquet',
+  'application/vnd.apache.arrow.file': 'arrow',
+  'application/vnd.apache.arrow.stream': 'arrow',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.sqlite3': 'sqlite',
+  'application/x-sqlite3': 'sqlite',
+  'application/zip': 'zip',
+  'application/x-zip-compressed': 'zip',
+  'application/gzip': 'gzip',
+  'application/x-gzip': 'gzip',
+  'application/zstd': 'zstd'
+};
+
+// Leading byte signatures of binary formats, checked in order
+const MAGIC_NUMBERS = [
+  { format: 'parquet', bytes: [0x50, 0x41, 0x52, 0x31] }, // "PAR1"
+  { format: 'arrow', bytes: [0x41, 0x52, 0x52, 0x4f, 0x57, 0x31] }, // "ARROW1" (IPC file)
+  { format: 'arrow', bytes: [0xff, 0xff, 0xff, 0xff] }, // IPC stream continuation marker
+  { format: 'sqlite', bytes: [0x53, 0x51, 0x4c, 0x69, 0x74, 0x65, 0x20, 0x66, 0x6f, 0x72, 0x6d, 0x61, 0x74, 0x20, 0x33, 0x00] }, // "SQLite format 3\0"
+  { format: 'gzip', bytes: [0x1f, 0x8b] },
+  { format: 'zstd', bytes: [0x28, 0xb5, 0x2f, 0xfd] },
+  { format: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { format: 'zip', bytes: [0x50, 0x4b, 0x05, 0x06] } // Empty archive
+];
+
+// Single-file compression wrappers, named by an extra extension (data.csv.gz)
+const COMPRESSION_FORMATS = new Set(['gzip', 'zstd']);
+
+// Formats stored as ZIP archives, which sniff as 'zip' and are told apart by name
+const ZIP_CONTAINER_FORMATS = new Set(['xlsx']);
+
+// Formats identified by magic numbers rather than by looking at text
+const BINARY_FORMATS = new Set([...MAGIC_NUMBERS.map(magic => magic.format), ...ZIP_CONTAINER_FORMATS]);
+
+// A GeoJSON FeatureCollection or Feature announces its type near the start of the document
+const GEOJSON_PATTERN = /^\s*\{[^[]*"type"\s*:\s*"(FeatureCollection|Feature)"/;
+
+// Number of leading bytes inspected when sniffing content
+export const SNIFF_LENGTH = 4096;
+
+/**
+ * Detect format from a file name or URL path extension
+ * @param {string} path - File name, path or URL
+ * @returns {string|null} Format name, or null if the extension is not recognized
+ */
+export function detectFormatFromPath(path) {
+  if (!path) {
+    return null;
+  }
+
+  // Ignore query strings and fragments so URLs like data.csv?raw=1 still resolve
+  const cleanPath = String(path).split(/[?#]/)[0];
+  const lastSegment = cleanPath.split('/').pop();
+
+  if (!lastSegment.includes('.')) {
+    return null;
+  }
+
+  const extension = lastSegment.split('.').pop().toLowerCase();
+  return EXTENSION_FORMATS[extension] || null;
+}
+
+/**
+ * Detect format from an HTTP Content-Type header
+ * @param {string|null} contentType - Content-Type header value
+ * @returns {string|null} Format name, or null if the type is missing or too generic
+ */
+export function detectFormatFromContentType(contentType) {
+  if (!contentType) {
+    return null;
+  }
+
+  // Strip parameters such as "; charset=utf-8"
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  if (CONTENT_TYPE_FORMATS[mimeType]) {
+    return CONTENT_TYPE_FORMATS[mimeType];
+  }
+
+  // Structured syntax suffixes, e.g. application/geo+json
+  if (mimeType.endsWith('+json')) {
+    return 'json';
+  }
+
+  return null;
+}
+
+/**
+ * Detect format by inspecting the leading bytes of the content
+ * @param {ArrayBuffer|Uint8Array} data - Raw content (only the first few KB are inspected)
+ * @returns {string|null} Format name, or null if the content is empty or unrecognized binary
+ */
+export function sniffFormat(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const head = bytes.subarray(0, SNIFF_LENGTH);
+
+  if (head.length === 0) {
+    return null;
+  }
+
+  const magic = MAGIC_NUMBERS.find(({ bytes: signature }) => startsWithBytes(head, signature));
+  if (magic) {
+    return magic.format;
+  }
+
+  // Decode first so UTF-16 and legacy single-byte text are recognized as text too
+  const { text } = decodeText(head);
+  if (!looksLikeText(text)) {
+    return null;
+  }
+
+  const firstChar = text.trimStart().charAt(0);
+
+  if (firstChar === '{' && looksLikeNDJSON(text)) {
+    return 'ndjson';
+  }
+
+  if (firstChar === '[' || firstChar === '{') {
+    return GEOJSON_PATTERN.test(text) ? 'geojson' : 'json';
+  }
+
+  return sniffDelimiter(text) === '\t' ? 'tsv' : 'csv';
+}
+
+/**
+ * Check whether a format is identified by a binary signature
+ * @param {string} format - Format name
+ * @returns {boolean}
+ */
+export function isBinaryFormat(format) {
+  return BINARY_FORMATS.has(format);
+}
+
+/**
+ * Check whether a format is a single-file compression wrapper such as gzip
+ * @param {string} format - Format name
+ * @returns {boolean}
+ */
+export function isCompressionFormat(format) {
+  return COMPRESSION_FORMATS.has(format);
+}
+
+/**
+ * Remove a compression extension from a file name, e.g. data.csv.gz becomes data.csv
+ * @param {string} name - File name
+ * @returns {string} Name of the compressed contents
+ */
+export function stripCompressionExtension(name) {
+  const match = /\.([^./]+)$/.exec(name || '');
+  if (!match || !isCompressionFormat(EXTENSION_FORMATS[match[1].toLowerCase()])) {
+    return name;
+  }
+  return name.slice(0, match.index);
+}
+
+/**
+ * Reconcile the format declared by a name or header with the format sniffed from content.
+ * Binary signatures are trusted over names, so misnamed files still load correctly.
+ * @param {string|null} declaredFormat - Format from the extension or Content-Type
+ * @param {string|null} sniffedFormat - Format from sniffFormat
+ * @returns {string|null} Format to load with, or null if neither source is usable
+ */
+export function resolveFormat(declaredFormat, sniffedFormat) {
+  if (sniffedFormat === 'zip' && ZIP_CONTAINER_FORMATS.has(declaredFormat)) {
+    return declaredFormat;
+  }
+
+  if (isBinaryFormat(sniffedFormat)) {
+    return sniffedFormat;
+  }
+
+  if (!sniffedFormat) {
+    // Unrecognized binary content is only trusted when a binary format was declared for it
+    return isBinaryFormat(declaredFormat) ? declaredFormat : null;
+  }
+
+  // Many .json files actually hold one document per line, or GeoJSON features
+  if (declaredFormat === 'json' && (sniffedFormat === 'ndjson' || sniffedFormat === 'geojson')) {
+    return sniffedFormat;
+  }
+
+  // A text format name is more specific than sniffing (e.g. .tsv with a single column)
+  if (declaredFormat && !isBinaryFormat(declaredFormat)) {
+    return declaredFormat;
+  }
+
+  // Either nothing was declared, or a binary format was declared for what is really text
+  return sniffedFormat;
+}
+
+/**
+ * Extract a file name from a URL, falling back to a generic name
+ * @param {string} url - Source URL
+ * @returns {string} Decoded last path segment
+ */
+export function getFileNameFromURL(url) {
+  try {
+    const { pathname } = new URL(url);
+    const lastSegment = pathname.split('/').filter(Boolean).pop();
+    return lastSegment ? decodeURIComponent(lastSegment) : 'data';
+  } catch (error) {
+    return 'data';
+  }
+}
+
+// Helper functions
+
+/**
+ * Check whether a byte array starts with the given signature
+ * @param {Uint8Array} bytes - Bytes to check
+ * @param {Array<number>} signature - Expected leading bytes
+ * @returns {boolean}
+ */
+function startsWithBytes(bytes, signature) {
+  if (bytes.length < signature.length) {
+    return false;
+  }
+  return signature.every((byte, index) => bytes[index] === byte);
+}
+
+/**
+ * Check whether decoded content looks like text rather than binary data
+ * @param {string} text - Leading content, decoded
+ * @returns {boolean}
+ */
+function looksLikeText(text) {
+  let controlCount = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code === 0x00) {
+      return false;
+    }
+    // Control characters other than tab, newline, form feed and carriage return
+    if (code < 0x20 && code !== 0x09 && code !== 0x0a && code !== 0x0c && code !== 0x0d) {
+      controlCount++;
+    }
+  }
+
+  return text.length > 0 && controlCount / text.length < 0.05;
+}
+
+/**
+ * Check whether JSON text holds one complete object per line
+ * @param {string} text - Leading text of the content
+ * @returns {boolean}
+ */
+function looksLikeNDJSON(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2 || !lines[1].startsWith('{')) {
+    return false;
+  }
+
+  // Pretty-printed documents open with a lone "{", which is not valid JSON by itself
+  try {
+    JSON.parse(lines[0]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Guess the delimiter of delimited text from its first lines
+ * @param {string} text - Leading text of the content
+ * @returns {string} The most consistent delimiter among comma, tab, semicolon and pipe
+ */
+function sniffDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.length > 0).slice(0, 10);
+  const candidates = [',', '\t', ';', '|'];
+
+  let best = ',';
+  let bestScore = 0;
+
+  for (const delimiter of candidates) {
+    const counts = lines.map(line => line.split(delimiter).length - 1);
+    const firstCount = counts[0] || 0;
+
+    // Favor delimiters that appear the same number of times on every line
+    const consistent = counts.every(count => count === firstCount);
+    const score = consistent ? firstCount * 2 : firstCount;
+
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
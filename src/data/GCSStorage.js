@@ -0,0 +1,170 @@
+// GCSStorage.js - Google Cloud Storage through its JSON API
+// Requests carry an OAuth bearer token from the app, e.g. from Google Identity Services; without
+// one, only public buckets can be read.
+
+import { detectFormatFromPath } from './FormatDetection.js';
+import { sendRequest, rangeHeader } from './Retry.js';
+
+const GCS_API_URL = 'https://storage.googleapis.com';
+
+export class GCSStorage {
+  /**
+   * @param {Object} options - Google Cloud Storage settings
+   * @param {string|Function} options.token - OAuth access token, or a function resolving to one
+   * @param {string} options.apiUrl - API base URL (default https://storage.googleapis.com), e.g. a
+   *   local emulator such as fake-gcs-server
+   */
+  constructor(options = {}) {
+    this.token = options.token || null;
+    this.apiUrl = (options.apiUrl || GCS_API_URL).replace(/\/+$/, '');
+  }
+  
+  /**
+   * Split a Cloud Storage location into bucket and object name
+   * @param {string|Object} location - 'gs://bucket/object' or { bucket, key }
+   * @returns {Object} { bucket, key }
+   */
+  parseLocation(location) {
+    if (typeof location === 'object' && location !== null) {
+      if (!location.bucket) {
+        throw new Error('Invalid Cloud Storage location: a bucket is required');
+      }
+      return { bucket: location.bucket, key: location.key || '' };
+    }
+    
+    const match = /^gs:\/\/([^/]+)\/?(.*)$/.exec(String(location));
+    if (!match) {
+      throw new Error(`Invalid Cloud Storage location: ${location} (expected gs://bucket/object)`);
+    }
+    return { bucket: match[1], key: match[2] };
+  }
+  
+  /**
+   * Get a URL DuckDB can read the object from with range requests, for lazy loading
+   * @param {string|Object} location - 'gs://bucket/object' or { bucket, key }
+   * @returns {Object|null} { url, details: { bucket, key } } with the public object URL, or null
+   *   when requests need a token
+   */
+  async resolveURL(location) {
+    if (this.token) {
+      return null;
+    }
+    const { bucket, key } = this.requireObject(location);
+    const url = `${this.apiUrl}/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    return { url, details: { bucket, key } };
+  }
+  
+  /**
+   * Read an object, or a byte range of it
+   * @param {string|Object} location - 'gs://bucket/object' or { bucket, key }
+   * @param {Object} options - { range: { start, end }, headers, credentials, signal } with an
+   *   inclusive end; headers are added to the request and credentials is the fetch mode
+   * @returns {Object} { response, name, details: { bucket, key } }
+   */
+  async read(location, options = {}) {
+    const { bucket, key } = this.requireObject(location);
+    const response = await this.request(
+      `/storage/v1/b/${encodeURIComponent(bucket)}/o/${encodeURIComponent(key)}?alt=media`,
+      {
+        headers: { ...options.headers, ...rangeHeader(options.range) },
+        credentials: options.credentials,
+        signal: options.signal
+      },
+      `read gs://${bucket}/${key}`
+    );
+    return { response, name: key.split('/').pop(), details: { bucket, key } };
+  }
+  
+  /**
+   * List the objects and folders under a prefix, one page at a time
+   * @param {string|Object} location - 'gs://bucket/prefix/' or { bucket, key } with the prefix as key
+   * @param {Object} options - Listing options
+   * @param {string} options.delimiter - Groups names into folders (default '/'; '' lists every object)
+   * @param {number} options.maxResults - Page size (default 1000)
+   * @param {string} options.continuationToken - nextToken from the previous page
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Object} { bucket, prefix, folders: [{ prefix, name }], files: [{ key, name, size,
+   *   lastModified, etag, contentType, format }], nextToken } with nextToken null on the last page
+   */
+  async list(location, options = {}) {
+    const { bucket, key: prefix } = this.parseLocation(location);
+    const { delimiter = '/', maxResults = 1000, continuationToken, signal } = options;
+    
+    const params = new URLSearchParams({ maxResults: String(maxResults) });
+    if (prefix) params.set('prefix', prefix);
+    if (delimiter) params.set('delimiter', delimiter);
+    if (continuationToken) params.set('pageToken', continuationToken);
+    
+    const response = await this.request(
+      `/storage/v1/b/${encodeURIComponent(bucket)}/o?${params}`,
+      { signal },
+      `list gs://${bucket}/${prefix}`
+    );
+    const { items = [], prefixes = [], nextPageToken } = await response.json();
+    
+    return {
+      bucket,
+      prefix,
+      folders: prefixes.map(folder => ({ prefix: folder, name: folder.slice(prefix.length).replace(/\/$/, '') })),
+      files: items
+        .filter(item => !item.name.endsWith('/'))
+        .map(item => {
+          const name = item.name.split('/').pop();
+          return {
+            key: item.name,
+            name,
+            size: Number(item.size),
+            lastModified: item.updated ? new Date(item.updated) : null,
+            etag: item.etag ?? null,
+            contentType: item.contentType ?? null,
+            format: detectFormatFromPath(name)
+          };
+        }),
+      nextToken: nextPageToken || null
+    };
+  }
+  
+  /**
+   * Send a GET request to the JSON API
+   * @param {string} path - API path with query
+   * @param {Object} options - { headers, credentials, signal }
+   * @param {string} action - What the request does, for error messages
+   * @returns {Response}
+   */
+  async request(path, options = {}, action = 'request Cloud Storage') {
+    const token = typeof this.token === 'function' ? await this.token() : this.token;
+    const headers = { ...options.headers, ...(token && { Authorization: `Bearer ${token}` }) };
+    
+    return sendRequest(`${this.apiUrl}${path}`, {
+      headers,
+      credentials: options.credentials,
+      signal: options.signal
+    }, action, describeGCSError);
+  }
+  
+  /**
+   * Parse a location that must name an object
+   * @param {string|Object} location - 'gs://bucket/object' or { bucket, key }
+   * @returns {Object} { bucket, key }
+   */
+  requireObject(location) {
+    const { bucket, key } = this.parseLocation(location);
+    if (!key) {
+      throw new Error(`Invalid Cloud Storage location: gs://${bucket}/ names a bucket, not an object`);
+    }
+    return { bucket, key };
+  }
+}
+
+// Helper functions
+
+/**
+ * Get the detail of a failed JSON API response for its error message
+ * @param {Response} response - Failed response
+ * @returns {string} e.g. ': No such object: datasets/sales.csv', or ''
+ */
+async function describeGCSError(response) {
+  // Errors are JSON: { error: { code: 404, message: 'No such object: ...' } }
+  const { error } = await response.json().catch(() => ({}));
+  return error?.message ? `: ${error.message}` : '';
+}
@@ -0,0 +1,182 @@
+// Geometry.js - GeoJSON features, WKT/WKB geometry values and SQL for their coordinates
+// GeoJSON geometries are stored as WKT text, which DuckDB keeps as VARCHAR and the spatial
+// extension reads with ST_GeomFromText
+
+const WKT_TYPES = {
+  Point: 'POINT',
+  MultiPoint: 'MULTIPOINT',
+  LineString: 'LINESTRING',
+  MultiLineString: 'MULTILINESTRING',
+  Polygon: 'POLYGON',
+  MultiPolygon: 'MULTIPOLYGON',
+  GeometryCollection: 'GEOMETRYCOLLECTION'
+};
+
+// Optional SRID prefix (EWKT), geometry keyword, optional Z/M dimensions, then a coordinate list or EMPTY
+const WKT_PATTERN = /^\s*(SRID=\d+;\s*)?(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)(\s*(Z|M|ZM))?\s*(\(|EMPTY\b)/i;
+
+// First "x y" pair in a WKT string
+const WKT_COORDINATE_PATTERN = '(-?[0-9.]+(?:[eE][-+]?[0-9]+)?)\\s+(-?[0-9.]+(?:[eE][-+]?[0-9]+)?)';
+
+/**
+ * Get the features of a GeoJSON document
+ * @param {Object} document - Parsed GeoJSON: a FeatureCollection, a Feature or a bare geometry
+ * @returns {Array<Object>} Features with geometry, properties and optional id
+ */
+export function readGeoJSONFeatures(document) {
+  if (document?.type === 'FeatureCollection') {
+    if (!Array.isArray(document.features)) {
+      throw new Error('FeatureCollection has no features array');
+    }
+    return document.features;
+  }
+  if (document?.type === 'Feature') {
+    return [document];
+  }
+  if (WKT_TYPES[document?.type]) {
+    return [{ type: 'Feature', geometry: document, properties: {} }];
+  }
+
+  throw new Error('Not a GeoJSON document (expected a FeatureCollection, Feature or geometry)');
+}
+
+/**
+ * Turn GeoJSON features into records, one per feature
+ * @param {Array<Object>} features - Features from readGeoJSONFeatures
+ * @param {string} geometryColumn - Key for the WKT geometry; a property of the same name is replaced
+ * @returns {Array<Object>} Records with the feature id (when it has one), its properties and its geometry
+ */
+export function featuresToRecords(features, geometryColumn = 'geometry') {
+  return features.map((feature, index) => {
+    if (feature?.type !== 'Feature') {
+      throw new Error(`Feature ${index} is not a GeoJSON Feature`);
+    }
+    return {
+      ...(feature.id !== undefined && { id: feature.id }),
+      ...feature.properties,
+      [geometryColumn]: geometryToWKT(feature.geometry)
+    };
+  });
+}
+
+/**
+ * Convert a GeoJSON geometry to Well-Known Text
+ * @param {Object|null} geometry - GeoJSON geometry object
+ * @returns {string|null} WKT, e.g. 'POINT (30 10)', or null for a missing geometry
+ */
+export function geometryToWKT(geometry) {
+  if (geometry === null || geometry === undefined) {
+    return null;
+  }
+
+  const keyword = WKT_TYPES[geometry.type];
+  if (!keyword) {
+    throw new Error(`Unsupported geometry type: ${geometry.type}`);
+  }
+
+  if (geometry.type === 'GeometryCollection') {
+    const members = (geometry.geometries || []).map(geometryToWKT);
+    return members.length === 0 ? `${keyword} EMPTY` : `${keyword} (${members.join(', ')})`;
+  }
+
+  const coordinates = geometry.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length === 0) {
+    return `${keyword} EMPTY`;
+  }
+
+  // A third ordinate is elevation; WKT marks it with Z
+  const dimensions = firstPosition(coordinates).length > 2 ? ' Z' : '';
+  return `${keyword}${dimensions} ${formatCoordinates(geometry.type, coordinates)}`;
+}
+
+/**
+ * Check whether a value is geometry in Well-Known Text (or PostGIS EWKT)
+ * @param {*} value - Column value
+ * @returns {boolean}
+ */
+export function isWKT(value) {
+  return typeof value === 'string' && WKT_PATTERN.test(value);
+}
+
+/**
+ * Check whether a binary value is geometry in Well-Known Binary
+ * @param {Uint8Array} bytes - Column value
+ * @returns {boolean}
+ */
+export function isWKB(bytes) {
+  if (!(bytes instanceof Uint8Array) || bytes.length < 5 || bytes[0] > 1) {
+    return false;
+  }
+
+  // Byte order flag, then the geometry type; ISO WKB adds 1000/2000/3000 for Z/M/ZM
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const type = view.getUint32(1, bytes[0] === 1) & 0x0fffffff;
+  const baseType = type % 1000;
+  // Points need two ordinates; other types at least a count
+  return baseType >= 1 && baseType <= 7 && bytes.length >= (baseType === 1 ? 21 : 9);
+}
+
+/**
+ * Build SQL expressions for a representative point of each geometry, for plotting and filtering
+ * @param {string} column - Quoted column name or expression
+ * @param {string} format - 'wkt' (text), 'wkb' (binary) or 'geometry' (spatial extension type)
+ * @returns {Object} { x, y } SQL expressions; WKT uses its first coordinate, other formats
+ *   the centroid, which needs DuckDB's spatial extension (detectSchema only marks such columns
+ *   while it is loaded)
+ */
+export function geometryPointSQL(column, format) {
+  if (format === 'wkt') {
+    return {
+      x: `TRY_CAST(regexp_extract(${column}, '${WKT_COORDINATE_PATTERN}', 1) AS DOUBLE)`,
+      y: `TRY_CAST(regexp_extract(${column}, '${WKT_COORDINATE_PATTERN}', 2) AS DOUBLE)`
+    };
+  }
+
+  const geometry = format === 'wkb' ? `ST_GeomFromWKB(${column})` : column;
+  return {
+    x: `ST_X(ST_Centroid(${geometry}))`,
+    y: `ST_Y(ST_Centroid(${geometry}))`
+  };
+}
+
+// Helper functions
+
+/**
+ * Find the first position in a nested coordinate array
+ * @param {Array} coordinates - GeoJSON coordinates
+ * @returns {Array<number>} Position
+ */
+function firstPosition(coordinates) {
+  let position = coordinates;
+  while (Array.isArray(position[0])) {
+    position = position[0];
+  }
+  return position;
+}
+
+/**
+ * Format GeoJSON coordinates as a WKT coordinate list
+ * @param {string} type - GeoJSON geometry type
+ * @param {Array} coordinates - GeoJSON coordinates
+ * @returns {string}
+ */
+function formatCoordinates(type, coordinates) {
+  const position = (point) => point.join(' ');
+  const line = (points) => `(${points.map(position).join(', ')})`;
+  const polygon = (rings) => `(${rings.map(line).join(', ')})`;
+
+  switch (type) {
+    case 'Point':
+      return `(${position(coordinates)})`;
+    case 'MultiPoint':
+      return `(${coordinates.map(point => `(${position(point)})`).join(', ')})`;
+    case 'LineString':
+      return line(coordinates);
+    case 'MultiLineString':
+      return polygon(coordinates);
+    case 'Polygon':
+      return polygon(coordinates);
+    default:
+      return `(${coordinates.map(polygon).join(', ')})`;
+  }
+}
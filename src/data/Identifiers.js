@@ -0,0 +1,140 @@
+// Identifiers.js - Table names chosen by users, normalized column names, and identifiers and string
+// literals in generated SQL
+// Names stay readable in SQL: plain identifiers are written as is, anything else is double-quoted
+
+// DuckDB's reserved keywords, which cannot be used as bare identifiers
+const RESERVED_WORDS = new Set([
+  'all', 'analyse', 'analyze', 'and', 'any', 'array', 'as', 'asc', 'asymmetric', 'both', 'case',
+  'cast', 'check', 'collate', 'column', 'constraint', 'create', 'default', 'deferrable', 'desc',
+  'describe', 'distinct', 'do', 'else', 'end', 'except', 'false', 'fetch', 'for', 'foreign', 'from',
+  'grant', 'group', 'having', 'in', 'initially', 'intersect', 'into', 'lateral', 'leading', 'limit',
+  'not', 'null', 'offset', 'on', 'only', 'or', 'order', 'pivot', 'pivot_longer', 'pivot_wider',
+  'placing', 'primary', 'qualify', 'references', 'returning', 'select', 'show', 'some', 'summarize',
+  'symmetric', 'table', 'then', 'to', 'trailing', 'true', 'union', 'unique', 'unpivot', 'using',
+  'variadic', 'when', 'where', 'window', 'with'
+]);
+
+const PLAIN_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// What to do when a requested table name is taken
+const IF_EXISTS_MODES = ['fail', 'replace', 'suffix'];
+
+/**
+ * Quote a table or column name for use in SQL
+ * @param {string} name - Identifier as stored in DuckDB
+ * @returns {string} The name itself when it is a plain, unreserved identifier, otherwise the name
+ *   in double quotes with embedded quotes doubled
+ */
+export function quoteIdentifier(name) {
+  const text = String(name);
+  if (PLAIN_IDENTIFIER.test(text) && !RESERVED_WORDS.has(text.toLowerCase())) {
+    return text;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quote a value as a SQL string literal
+ * @param {*} value - Value to quote
+ * @returns {string} The value as text in single quotes, with embedded quotes doubled
+ */
+export function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Turn a user-supplied name into a table name
+ * @param {string} name - Requested name, e.g. 'Sales 2024 (Q1)'
+ * @returns {string} Name made of letters, digits and underscores, e.g. 'Sales_2024_Q1'. Letters
+ *   outside ASCII are kept; a leading digit gets a 'table_' prefix like generated names.
+ */
+export function sanitizeTableName(name) {
+  const sanitized = String(name ?? '')
+    .trim()
+    .replace(/[^\p{L}\p{N}_]+/gu, '_')
+    .replace(/^_+|_+$/g, '')
+    .replace(/^\p{N}/u, 'table_$&');
+
+  if (!sanitized) {
+    throw new Error(`Invalid table name: "${name}"`);
+  }
+  return sanitized;
+}
+
+/**
+ * Turn a column name into snake_case
+ * @param {string} name - Column name as loaded, e.g. 'Unit Price (USD)' or 'customerID'
+ * @returns {string} Lowercase words joined by underscores, e.g. 'unit_price_usd' or 'customer_id';
+ *   '' when the name has no letters or digits
+ */
+export function toSnakeCase(name) {
+  return String(name ?? '')
+    .trim()
+    // Word boundaries inside camelCase and after acronyms ('HTTPStatus' -> 'HTTP_Status')
+    .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1_$2')
+    .replace(/(\p{Lu})(\p{Lu}\p{Ll})/gu, '$1_$2')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Pick unique snake_case names for the columns of a table
+ * @param {Array<string>} names - Column names in table order
+ * @returns {Array<Object>} { name, original } per column. Columns already in snake_case keep their
+ *   name; the others get theirs with a numeric suffix (_2, _3, ...) while it is taken by another
+ *   column, so the columns can be renamed one by one.
+ */
+export function normalizeColumnNames(names) {
+  const normalized = names.map((original, index) => {
+    const name = toSnakeCase(original);
+    if (!name) {
+      return `column_${index + 1}`;
+    }
+    return /^\p{N}/u.test(name) ? `column_${name}` : name;
+  });
+
+  // DuckDB compares names case-insensitively, so a change of case only is not a new name
+  const keeps = names.map((original, index) => normalized[index] === original.toLowerCase());
+  const taken = new Set(names.map(original => original.toLowerCase()));
+
+  return names.map((original, index) => {
+    if (keeps[index]) {
+      return { name: normalized[index], original };
+    }
+
+    let name = normalized[index];
+    for (let suffix = 2; taken.has(name); suffix++) {
+      name = `${normalized[index]}_${suffix}`;
+    }
+    taken.add(name);
+    return { name, original };
+  });
+}
+
+/**
+ * Check the option choosing what happens when a table name is taken
+ * @param {string} ifExists - 'fail', 'replace' or 'suffix'
+ * @returns {string} The mode
+ */
+export function validateIfExists(ifExists) {
+  if (!IF_EXISTS_MODES.includes(ifExists)) {
+    throw new Error(`Invalid ifExists: ${ifExists} (expected ${IF_EXISTS_MODES.join(', ')})`);
+  }
+  return ifExists;
+}
+
+/**
+ * Find the first free name of the form name_2, name_3, ...
+ * @param {string} name - Taken table name
+ * @param {Function} isTaken - Async check whether a name is taken
+ * @returns {string} Free name
+ */
+export async function suffixTableName(name, isTaken) {
+  for (let suffix = 2; ; suffix++) {
+    const candidate = `${name}_${suffix}`;
+    if (!(await isTaken(candidate))) {
+      return candidate;
+    }
+  }
+}
@@ -0,0 +1,142 @@
+// JSONRecords.js - Reshape JSON documents into flat records before loading them into DuckDB
+// Handles newline-delimited JSON, wrapper objects such as { "data": [...] } and nested objects
+
+/**
+ * Parse JSON text and collect the records to load
+ * @param {string} text - JSON document or newline-delimited JSON
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.newlineDelimited - Treat each non-empty line as its own document
+ * @param {string|Array<string>} options.recordsPath - Dotted path (or key list) to the records
+ *   inside each document, e.g. 'data' or 'response.items'
+ * @returns {Array} Records in document order
+ */
+export function extractJSONRecords(text, options = {}) {
+  const documents = options.newlineDelimited ? parseLines(text) : [parseDocument(text)];
+  const path = normalizePath(options.recordsPath);
+  const records = [];
+
+  for (const parsed of documents) {
+    const value = getPath(parsed, path);
+    if (value === undefined) {
+      throw new Error(`recordsPath "${path.join('.')}" was not found in the JSON document`);
+    }
+
+    // Push one by one: spreading very large arrays overflows the call stack
+    if (Array.isArray(value)) {
+      for (const record of value) records.push(record);
+    } else {
+      records.push(value);
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Expand nested objects into dotted keys, e.g. { user: { id: 1 } } becomes { 'user.id': 1 }.
+ * Arrays and primitive values are kept as they are.
+ * @param {*} record - Record to flatten
+ * @param {string} separator - Separator between key segments (default: '.')
+ * @returns {*} Flattened record, or the input unchanged if it is not a plain object
+ */
+export function flattenRecord(record, separator = '.') {
+  if (!isPlainObject(record)) {
+    return record;
+  }
+
+  const flat = {};
+  const visit = (value, prefix) => {
+    for (const [key, nested] of Object.entries(value)) {
+      const name = prefix ? `${prefix}${separator}${key}` : key;
+      if (isPlainObject(nested) && Object.keys(nested).length > 0) {
+        visit(nested, name);
+      } else {
+        flat[name] = nested;
+      }
+    }
+  };
+
+  visit(record, '');
+  return flat;
+}
+
+/**
+ * Serialize records as newline-delimited JSON
+ * @param {Array} records - Records to serialize
+ * @returns {string} One JSON value per line
+ */
+export function toNDJSON(records) {
+  return records.map(record => JSON.stringify(record)).join('\n');
+}
+
+// Helper functions
+
+/**
+ * Parse a single JSON document, ignoring a leading byte order mark
+ * @param {string} text - JSON text
+ * @returns {*} Parsed value
+ */
+function parseDocument(text) {
+  try {
+    return JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Parse newline-delimited JSON, skipping blank lines
+ * @param {string} text - NDJSON text
+ * @returns {Array} One parsed value per non-empty line
+ */
+function parseLines(text) {
+  const documents = [];
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      documents.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return documents;
+}
+
+/**
+ * Normalize a records path to a list of keys
+ * @param {string|Array<string>|undefined} path - Dotted path or key list
+ * @returns {Array<string>} Keys to follow (empty for the document root)
+ */
+function normalizePath(path) {
+  if (!path) return [];
+  return Array.isArray(path) ? path.map(String) : String(path).split('.').filter(Boolean);
+}
+
+/**
+ * Follow a list of keys into a parsed document
+ * @param {*} value - Parsed JSON value
+ * @param {Array<string>} path - Keys to follow
+ * @returns {*} Value at the path, or undefined if it does not exist
+ */
+function getPath(value, path) {
+  let current = value;
+  for (const key of path) {
+    if (current === null || typeof current !== 'object' || !(key in current)) {
+      return undefined;
+    }
+    current = current[key];
+  }
+  return current;
+}
+
+/**
+ * Check whether a value is a plain JSON object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
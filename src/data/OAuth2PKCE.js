@@ -0,0 +1,198 @@
+// OAuth2PKCE.js - OAuth 2.0 authorization code flow with PKCE for browser apps
+// The app sends the user to the authorization URL and hands the redirect back; the code is then
+// exchanged for tokens, which are refreshed shortly before they expire or when a request is refused.
+
+// Refresh tokens this many seconds before they expire, so requests in flight do not fail
+const DEFAULT_REFRESH_MARGIN = 60;
+
+export class OAuth2PKCE {
+  /**
+   * @param {Object} options - OAuth client settings
+   * @param {string} options.clientId - Client ID registered with the provider
+   * @param {string} options.clientSecret - Client secret, for providers that require one even with PKCE
+   * @param {string} options.redirectUri - Redirect URI registered with the provider
+   * @param {string} options.authorizeUrl - Provider's authorization endpoint
+   * @param {string} options.tokenUrl - Provider's token endpoint
+   * @param {string} options.scope - Space-separated scopes to request
+   * @param {Object} options.tokens - Tokens saved from an earlier session: { accessToken, refreshToken, expiresAt }
+   * @param {Function} options.onTokens - Called with new tokens after each exchange or refresh, to save them
+   * @param {number} options.refreshMargin - Seconds before expiry at which tokens are refreshed (default 60)
+   */
+  constructor(options = {}) {
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret || null;
+    this.redirectUri = options.redirectUri;
+    this.authorizeUrl = options.authorizeUrl;
+    this.tokenUrl = options.tokenUrl;
+    this.scope = options.scope || null;
+    this.refreshMargin = options.refreshMargin ?? DEFAULT_REFRESH_MARGIN;
+    this.onTokens = options.onTokens || (() => {});
+    this.tokens = options.tokens || null;
+    this.pending = null; // { state, codeVerifier } of the authorization in progress
+    this.refreshing = null;
+  }
+  
+  /**
+   * Start an authorization: create a PKCE verifier and the URL to send the user to
+   * @param {Object} options - { state } to use instead of a random one
+   * @returns {Object} { url, state, codeVerifier }; keep state and codeVerifier if the page reloads
+   *   before the redirect comes back
+   */
+  async beginAuthorization(options = {}) {
+    if (!this.clientId || !this.authorizeUrl) {
+      throw new Error('OAuth authorization needs a clientId and an authorizeUrl');
+    }
+    
+    const codeVerifier = randomString(48);
+    const state = options.state || randomString(16);
+    const challenge = base64url(new Uint8Array(
+      await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier))
+    ));
+    
+    const url = new URL(this.authorizeUrl);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.clientId);
+    if (this.redirectUri) url.searchParams.set('redirect_uri', this.redirectUri);
+    if (this.scope) url.searchParams.set('scope', this.scope);
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', challenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    
+    this.pending = { state, codeVerifier };
+    return { url: url.toString(), state, codeVerifier };
+  }
+  
+  /**
+   * Finish an authorization by exchanging the code from the redirect for tokens
+   * @param {string|Object} redirect - The redirect URL, or { code, state }
+   * @param {Object} pending - { state, codeVerifier } from beginAuthorization, when this instance
+   *   did not start the authorization, e.g. after a full-page redirect
+   * @returns {Object} Tokens: { accessToken, refreshToken, expiresAt }
+   */
+  async completeAuthorization(redirect, pending = this.pending) {
+    const params = typeof redirect === 'string'
+      ? Object.fromEntries(new URL(redirect).searchParams)
+      : redirect;
+    
+    if (params.error) {
+      throw new Error(`Authorization failed: ${params.error}${params.error_description ? ` - ${params.error_description}` : ''}`);
+    }
+    if (!pending) {
+      throw new Error('Authorization failed: no authorization is in progress');
+    }
+    // A mismatched state means the redirect was not for this authorization
+    if (params.state !== pending.state) {
+      throw new Error('Authorization failed: state does not match');
+    }
+    if (!params.code) {
+      throw new Error('Authorization failed: no authorization code');
+    }
+    
+    this.pending = null;
+    return this.requestTokens({
+      grant_type: 'authorization_code',
+      code: params.code,
+      redirect_uri: this.redirectUri,
+      code_verifier: pending.codeVerifier
+    });
+  }
+  
+  /**
+   * Get an access token, refreshing it when it is about to expire
+   * @param {Object} options - { forceRefresh: true } after the provider refused the current token
+   * @returns {string} Access token
+   */
+  async getAccessToken(options = {}) {
+    if (!this.tokens) {
+      throw new Error('Not signed in: complete an OAuth authorization first');
+    }
+    
+    const expiring = this.tokens.expiresAt != null && Date.now() >= this.tokens.expiresAt - this.refreshMargin * 1000;
+    if (options.forceRefresh || expiring) {
+      await this.refresh();
+    }
+    return this.tokens.accessToken;
+  }
+  
+  /**
+   * Exchange the refresh token for new tokens; concurrent callers share one request, since
+   * providers such as Box accept each refresh token only once
+   * @returns {Object} Tokens
+   */
+  async refresh() {
+    if (!this.tokens?.refreshToken) {
+      throw new Error('Cannot refresh the access token: no refresh token');
+    }
+    
+    if (!this.refreshing) {
+      this.refreshing = this.requestTokens({
+        grant_type: 'refresh_token',
+        refresh_token: this.tokens.refreshToken
+      }).finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+  
+  /**
+   * Forget the tokens
+   */
+  signOut() {
+    this.tokens = null;
+    this.pending = null;
+  }
+  
+  /**
+   * Post a grant to the token endpoint and keep the tokens it returns
+   * @param {Object} grant - Grant parameters
+   * @returns {Object} Tokens
+   */
+  async requestTokens(grant) {
+    const body = new URLSearchParams({ ...grant, client_id: this.clientId });
+    if (this.clientSecret) {
+      body.set('client_secret', this.clientSecret);
+    }
+    
+    const response = await fetch(this.tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body
+    });
+    const data = await response.json().catch(() => ({}));
+    
+    if (!response.ok || !data.access_token) {
+      const reason = data.error ? `${data.error}${data.error_description ? ` - ${data.error_description}` : ''}` : `HTTP ${response.status}`;
+      throw new Error(`Failed to get an access token: ${reason}`);
+    }
+    
+    this.tokens = {
+      accessToken: data.access_token,
+      // Providers that do not rotate refresh tokens leave them out of refresh responses
+      refreshToken: data.refresh_token || this.tokens?.refreshToken || null,
+      expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null
+    };
+    this.onTokens(this.tokens);
+    return this.tokens;
+  }
+}
+
+// Helper functions
+
+/**
+ * Create a random URL-safe string
+ * @param {number} byteLength - Random bytes to encode
+ * @returns {string}
+ */
+function randomString(byteLength) {
+  return base64url(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+function base64url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
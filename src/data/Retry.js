@@ -0,0 +1,137 @@
+// Retry.js - Requests for remote reads and retries with exponential backoff
+// Network failures, which sendRequest marks as retryable, and HTTP statuses that signal a
+// temporary problem are retried; anything else, such as a 404 or an aborted load, fails at once.
+
+import { createAbortError, isAbortError } from './Cancellation.js';
+
+// Statuses worth retrying: timeouts, rate limits and server or gateway failures
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+export const DEFAULT_RETRIES = 3;
+export const DEFAULT_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 30 * 1000;
+
+/**
+ * Create the error for a failed HTTP response, keeping its status for retry decisions
+ * @param {string} message - Error message
+ * @param {Response} response - Failed response
+ * @returns {Error} Error with status, and retryAfter in seconds when the server sent Retry-After
+ */
+export function httpError(message, response) {
+  const error = new Error(message);
+  error.status = response.status;
+
+  // Retry-After can also be an HTTP date, which is left to the backoff
+  const retryAfter = response.headers.get('retry-after');
+  if (/^\d+$/.test(retryAfter?.trim() ?? '')) {
+    error.retryAfter = Number(retryAfter);
+  }
+  return error;
+}
+
+/**
+ * Create the error for a request that failed without a response, e.g. when fetch() rejects
+ * @param {string} message - Error message
+ * @param {Error} cause - Error fetch rejected with
+ * @returns {Error} Error marked retryable
+ */
+export function retryableError(message, cause) {
+  const error = new Error(message, { cause });
+  error.retryable = true;
+  return error;
+}
+
+/**
+ * Send a request and check its status
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @param {string} action - What the request does, for error messages ('Failed to <action>: ...')
+ * @param {Function} describeError - Gets the detail of a failed response to add to the message,
+ *   e.g. ': NoSuchKey - The specified key does not exist.' (default: none)
+ * @returns {Response} Successful response. Network failures reject with a retryableError, failed
+ *   responses with an httpError and aborts with the AbortError.
+ */
+export async function sendRequest(url, init, action, describeError = null) {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (networkError) {
+    if (isAbortError(networkError)) {
+      throw networkError;
+    }
+    throw retryableError(`Failed to ${action}: ${networkError.message}`, networkError);
+  }
+
+  if (!response.ok) {
+    const detail = describeError ? await describeError(response) : '';
+    if (!response.bodyUsed) {
+      await response.body?.cancel?.().catch(() => {});
+    }
+    throw httpError(`Failed to ${action}: HTTP ${response.status}${detail}`, response);
+  }
+
+  return response;
+}
+
+/**
+ * Build the Range header for a byte range read
+ * @param {Object} range - { start, end } with an inclusive end, which may be left out
+ * @returns {Object} Headers
+ */
+export function rangeHeader(range) {
+  return range ? { Range: `bytes=${range.start}-${range.end ?? ''}` } : {};
+}
+
+/**
+ * Check whether a failed request may succeed when sent again
+ * @param {*} error - Caught error
+ * @returns {boolean} True for retryable HTTP statuses and for errors marked retryable: network
+ *   failures from sendRequest and connections dropped while reading the body
+ */
+export function isRetryable(error) {
+  if (error?.name === 'AbortError') {
+    return false;
+  }
+  if (error?.status) {
+    return RETRYABLE_STATUSES.has(error.status);
+  }
+  return error?.retryable === true;
+}
+
+/**
+ * Get the wait before a retry: the base delay doubled for each earlier retry, or the server's
+ * Retry-After if that is longer, up to 30 seconds
+ * @param {number} attempt - Retries made so far
+ * @param {number} baseDelay - Delay before the first retry in milliseconds
+ * @param {Error} error - Error of the failed attempt
+ * @returns {number} Delay in milliseconds
+ */
+export function retryDelay(attempt, baseDelay = DEFAULT_RETRY_DELAY, error = null) {
+  const backoff = baseDelay * 2 ** attempt;
+  const requested = (error?.retryAfter ?? 0) * 1000;
+  return Math.min(MAX_RETRY_DELAY, Math.max(backoff, requested));
+}
+
+/**
+ * Wait before a retry
+ * @param {number} delay - Milliseconds to wait
+ * @param {AbortSignal} signal - Ends the wait with an AbortError
+ * @returns {Promise}
+ */
+export function wait(delay, signal = undefined) {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
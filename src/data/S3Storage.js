@@ -0,0 +1,226 @@
+// S3Storage.js - Amazon S3 and S3-compatible object storage (MinIO, Ceph, R2, ...)
+// Listing and reads use requests signed with SigV4; presigned URLs let the data loader and DuckDB's
+// HTTP reader fetch private objects like any other URL, e.g. to read Parquet lazily.
+
+import { signRequest, presignUrl, uriEncode } from './SigV4.js';
+import { detectFormatFromPath } from './FormatDetection.js';
+import { sendRequest, rangeHeader } from './Retry.js';
+
+export class S3Storage {
+  /**
+   * @param {Object} options - S3 settings
+   * @param {string} options.region - Bucket region (default 'us-east-1', which MinIO also uses)
+   * @param {Object|Function} options.credentials - { accessKeyId, secretAccessKey, sessionToken },
+   *   or a function resolving to them for short-lived credentials; omit for public buckets
+   * @param {string} options.endpoint - Endpoint of an S3-compatible service, e.g. 'http://localhost:9000'
+   * @param {boolean} options.forcePathStyle - Address buckets as endpoint/bucket/key instead of
+   *   bucket.endpoint/key, as most S3-compatible services need
+   * @param {number} options.expiresIn - Lifetime of presigned URLs in seconds (default one hour)
+   */
+  constructor(options = {}) {
+    this.region = options.region || 'us-east-1';
+    this.credentials = options.credentials || null;
+    this.endpoint = (options.endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+    this.forcePathStyle = !!options.forcePathStyle;
+    this.expiresIn = options.expiresIn || 3600;
+  }
+  
+  /**
+   * Split an S3 location into bucket and key
+   * @param {string|Object} location - 's3://bucket/key' or { bucket, key }
+   * @returns {Object} { bucket, key }
+   */
+  parseLocation(location) {
+    if (typeof location === 'object' && location !== null) {
+      if (!location.bucket) {
+        throw new Error('Invalid S3 location: a bucket is required');
+      }
+      return { bucket: location.bucket, key: location.key || '' };
+    }
+    
+    const match = /^s3:\/\/([^/]+)\/?(.*)$/.exec(String(location));
+    if (!match) {
+      throw new Error(`Invalid S3 location: ${location} (expected s3://bucket/key)`);
+    }
+    return { bucket: match[1], key: match[2] };
+  }
+  
+  /**
+   * Build the URL of a bucket or object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key, or '' for the bucket itself
+   * @returns {string} Unsigned URL
+   */
+  objectURL(bucket, key = '') {
+    const path = key.split('/').map(uriEncode).join('/');
+    
+    // Bucket names with dots do not match the endpoint's TLS certificate as subdomains
+    if (this.forcePathStyle || bucket.includes('.')) {
+      return `${this.endpoint}/${bucket}/${path}`;
+    }
+    
+    const { protocol, host } = new URL(this.endpoint);
+    return `${protocol}//${bucket}.${host}/${path}`;
+  }
+  
+  /**
+   * Get the credentials to sign with
+   * @returns {Object|null} Credentials, or null for anonymous access
+   */
+  async getCredentials() {
+    return typeof this.credentials === 'function' ? this.credentials() : this.credentials;
+  }
+  
+  /**
+   * Get a URL the object can be fetched from without further authentication
+   * @param {string|Object} location - 's3://bucket/key', { bucket, key }, or an http(s) URL, which
+   *   is taken to be presigned already and returned unchanged
+   * @param {Object} options - { expiresIn } to override the presigned URL lifetime
+   * @returns {string} Presigned URL, or the plain object URL without credentials
+   */
+  async presign(location, options = {}) {
+    if (typeof location === 'string' && /^https?:\/\//.test(location)) {
+      return location;
+    }
+    
+    const { bucket, key } = this.parseLocation(location);
+    if (!key) {
+      throw new Error(`Invalid S3 location: s3://${bucket}/ names a bucket, not an object`);
+    }
+    
+    const url = this.objectURL(bucket, key);
+    const credentials = await this.getCredentials();
+    if (!credentials) {
+      return url;
+    }
+    
+    return presignUrl({
+      url,
+      credentials,
+      region: this.region,
+      expiresIn: options.expiresIn || this.expiresIn
+    });
+  }
+  
+  /**
+   * Get a URL DuckDB can read the object from with range requests, for lazy loading
+   * @param {string|Object} location - 's3://bucket/key' or { bucket, key }
+   * @param {Object} options - { expiresIn }
+   * @returns {Object} { url, details: { bucket, key } } with a presigned URL
+   */
+  async resolveURL(location, options = {}) {
+    const { bucket, key } = this.parseLocation(location);
+    return { url: await this.presign(location, options), details: { bucket, key } };
+  }
+  
+  /**
+   * Read an object, or a byte range of it, with a signed request
+   * @param {string|Object} location - 's3://bucket/key' or { bucket, key }
+   * @param {Object} options - { range: { start, end }, headers, credentials, signal } with an
+   *   inclusive end; headers are added to the signed request and credentials is the fetch mode
+   * @returns {Object} { response, name, details: { bucket, key } }
+   */
+  async read(location, options = {}) {
+    const { bucket, key } = this.parseLocation(location);
+    if (!key) {
+      throw new Error(`Invalid S3 location: s3://${bucket}/ names a bucket, not an object`);
+    }
+    
+    const response = await this.request(this.objectURL(bucket, key), {
+      headers: { ...options.headers, ...rangeHeader(options.range) },
+      credentials: options.credentials,
+      signal: options.signal
+    }, `read s3://${bucket}/${key}`);
+    
+    return { response, name: key.split('/').pop(), details: { bucket, key } };
+  }
+  
+  /**
+   * List the objects and folders under a prefix, one page at a time
+   * @param {string|Object} location - 's3://bucket/prefix/' or { bucket, key } with the prefix as key
+   * @param {Object} options - Listing options
+   * @param {string} options.delimiter - Groups keys into folders (default '/'; '' lists every key)
+   * @param {number} options.maxKeys - Page size (default 1000, the S3 maximum)
+   * @param {string} options.continuationToken - nextToken from the previous page
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Object} { bucket, prefix, folders: [{ prefix, name }], files: [{ key, name, size,
+   *   lastModified, etag, format }], nextToken } with nextToken null on the last page
+   */
+  async list(location, options = {}) {
+    const { bucket, key: prefix } = this.parseLocation(location);
+    const { delimiter = '/', maxKeys = 1000, continuationToken, signal } = options;
+    
+    // Encoded by hand: URLSearchParams writes spaces as '+', which S3 reads as a literal plus
+    const query = Object.entries({
+      'list-type': '2',
+      'max-keys': String(maxKeys),
+      prefix,
+      delimiter,
+      'continuation-token': continuationToken
+    }).filter(([, value]) => value).map(([name, value]) => `${name}=${uriEncode(value)}`).join('&');
+    
+    const url = `${this.objectURL(bucket)}?${query}`;
+    const response = await this.request(url, { signal }, `list s3://${bucket}/${prefix}`);
+    const document = new DOMParser().parseFromString(await response.text(), 'application/xml');
+    const text = (parent, tag) => parent.getElementsByTagName(tag)[0]?.textContent ?? null;
+    
+    const folders = Array.from(document.getElementsByTagName('CommonPrefixes'), node => {
+      const folder = text(node, 'Prefix');
+      return { prefix: folder, name: folder.slice(prefix.length).replace(/\/$/, '') };
+    });
+    
+    // Console-created folders are empty objects with a trailing slash
+    const files = Array.from(document.getElementsByTagName('Contents'), node => {
+      const key = text(node, 'Key');
+      const name = key.split('/').pop();
+      return {
+        key,
+        name,
+        size: Number(text(node, 'Size')),
+        lastModified: text(node, 'LastModified') ? new Date(text(node, 'LastModified')) : null,
+        etag: text(node, 'ETag')?.replace(/"/g, '') ?? null,
+        format: detectFormatFromPath(name)
+      };
+    }).filter(file => !file.key.endsWith('/'));
+    
+    return {
+      bucket,
+      prefix,
+      folders,
+      files,
+      nextToken: text(document, 'IsTruncated') === 'true' ? text(document, 'NextContinuationToken') : null
+    };
+  }
+  
+  /**
+   * Send a signed GET request
+   * @param {string} url - Request URL
+   * @param {Object} options - { headers, credentials, signal }; the headers are signed too
+   * @param {string} action - What the request does, for error messages
+   * @returns {Response}
+   */
+  async request(url, options = {}, action = 'request S3') {
+    const credentials = await this.getCredentials();
+    const headers = credentials
+      ? await signRequest({ url, headers: options.headers, credentials, region: this.region })
+      : { ...options.headers };
+    
+    return sendRequest(url, { headers, credentials: options.credentials, signal: options.signal }, action, describeS3Error);
+  }
+}
+
+// Helper functions
+
+/**
+ * Get the detail of a failed S3 response for its error message
+ * @param {Response} response - Failed response
+ * @returns {string} e.g. ': NoSuchKey - The specified key does not exist.', or ''
+ */
+async function describeS3Error(response) {
+  // S3 explains failures in an <Error> document, e.g. NoSuchBucket or SignatureDoesNotMatch
+  const body = await response.text().catch(() => '');
+  const document = body ? new DOMParser().parseFromString(body, 'application/xml') : null;
+  const code = document?.getElementsByTagName('Code')[0]?.textContent;
+  const message = document?.getElementsByTagName('Message')[0]?.textContent;
+  return code ? `: ${code}${message ? ` - ${message}` : ''}` : '';
+}
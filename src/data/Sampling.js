@@ -0,0 +1,94 @@
+// Sampling.js - Load a representative subset of a large source
+// Reservoir sampling picks rows at random; systematic sampling takes every k-th row from a
+// starting row chosen by the seed, keeping the source's order. Both repeat with the same seed.
+
+const SAMPLE_METHODS = ['reservoir', 'systematic'];
+
+// Seeds are drawn from the range DuckDB accepts for REPEATABLE sampling
+const MAX_SEED = 2 ** 31 - 1;
+
+/**
+ * Turn the sample load option into a sample specification
+ * @param {number|string|Object} sample - A row count (10000 or '10000'), a percentage ('5%'), or
+ *   { size, method, seed } with size given either way
+ * @param {string} sample.method - 'reservoir' (default) or 'systematic'
+ * @param {number} sample.seed - Non-negative integer; a random seed is picked without one
+ * @returns {Object} { size, unit, method, seed } with unit 'rows' or 'percent'
+ */
+export function parseSampleOption(sample) {
+  const { size, method = 'reservoir', seed = randomSeed() } = typeof sample === 'object' && sample !== null
+    ? sample
+    : { size: sample };
+
+  if (!SAMPLE_METHODS.includes(method)) {
+    throw new Error(`Invalid sample method: ${method} (expected ${SAMPLE_METHODS.join(', ')})`);
+  }
+  if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+    throw new Error(`Invalid sample seed: ${seed} (expected an integer from 0 to ${MAX_SEED})`);
+  }
+
+  return { ...parseSampleSize(size), method, seed };
+}
+
+/**
+ * Build the query selecting a sample of a table
+ * @param {string} relation - Quoted table or view name
+ * @param {Object} sample - Sample specification from parseSampleOption
+ * @param {number} rowCount - Rows in the table, needed for the step of systematic samples
+ * @returns {string} SELECT statement
+ */
+export function sampleQuery(relation, sample, rowCount) {
+  const { size, unit, method, seed } = sample;
+
+  if (method === 'reservoir') {
+    return `SELECT * FROM ${relation} USING SAMPLE ${size} ${unit === 'rows' ? 'ROWS' : 'PERCENT'} (reservoir, ${seed})`;
+  }
+
+  // Every step-th row; percentages are rounded to a whole step, e.g. 30% takes every 3rd row
+  const step = unit === 'rows'
+    ? Math.max(1, Math.floor(rowCount / size))
+    : Math.max(1, Math.round(100 / size));
+  const limit = unit === 'rows' ? ` LIMIT ${size}` : '';
+  return `SELECT * FROM ${relation} QUALIFY (row_number() OVER () - 1) % ${step} = ${seed % step}${limit}`;
+}
+
+/**
+ * Check whether a sample would keep every row anyway
+ * @param {Object} sample - Sample specification from parseSampleOption
+ * @param {number} rowCount - Rows in the table
+ * @returns {boolean}
+ */
+export function coversAllRows(sample, rowCount) {
+  return sample.unit === 'rows' ? sample.size >= rowCount : sample.size >= 100;
+}
+
+// Helper functions
+
+/**
+ * Parse a sample size
+ * @param {number|string} size - Row count, or a percentage such as '5%' or '0.5%'
+ * @returns {Object} { size, unit }
+ */
+function parseSampleSize(size) {
+  const text = String(size ?? '').trim();
+  const percent = /^(\d+(?:\.\d+)?)\s*%$/.exec(text);
+
+  if (percent) {
+    const value = Number(percent[1]);
+    if (value > 0 && value <= 100) {
+      return { size: value, unit: 'percent' };
+    }
+  } else if (/^\d+$/.test(text) && Number(text) > 0) {
+    return { size: Number(text), unit: 'rows' };
+  }
+
+  throw new Error(`Invalid sample size: ${size} (expected a row count or a percentage such as '10%')`);
+}
+
+/**
+ * Pick a seed, so that a sample taken without one can still be repeated
+ * @returns {number}
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
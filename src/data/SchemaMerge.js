@@ -0,0 +1,87 @@
+// SchemaMerge.js - Combine the schemas of tables loaded into one logical table
+// Columns are matched by name; a column missing from some sources is NULL there, but a column
+// whose types cannot be reconciled (e.g. INTEGER in one file, VARCHAR in another) is a conflict
+
+// Type families DuckDB widens within when it unions columns by name
+const TYPE_FAMILIES = [
+  { family: 'numeric', pattern: /^(tinyint|smallint|integer|int|bigint|hugeint|utinyint|usmallint|uinteger|ubigint|uhugeint|float|real|double|decimal|numeric)\b/ },
+  { family: 'temporal', pattern: /^(date|timestamp|datetime)\b/ },
+  { family: 'boolean', pattern: /^(boolean|bool)\b/ },
+  { family: 'text', pattern: /^(varchar|char|text|string)\b/ }
+];
+
+/**
+ * Merge the schemas of several sources, failing if a column's types conflict
+ * @param {Array<Object>} sources - { name, schema } per source, with schema as returned by detectSchema
+ * @returns {Object} Column name -> type of the first source that has the column
+ */
+export function mergeSchemas(sources) {
+  const merged = {};
+  const origins = {};
+  const conflicts = [];
+
+  for (const { name, schema } of sources) {
+    for (const [column, info] of Object.entries(schema || {})) {
+      const type = info.type;
+
+      if (!(column in merged)) {
+        merged[column] = type;
+        origins[column] = name;
+      } else if (!areTypesCompatible(merged[column], type)) {
+        conflicts.push(`column "${column}" is ${merged[column]} in ${origins[column]} but ${type} in ${name}`);
+      }
+    }
+  }
+
+  if (conflicts.length > 0) {
+    throw new Error(`Schema conflict: ${conflicts.join('; ')}`);
+  }
+
+  return merged;
+}
+
+/**
+ * Check whether two column types can share a column
+ * @param {string} left - DuckDB column type
+ * @param {string} right - DuckDB column type
+ * @returns {boolean}
+ */
+export function areTypesCompatible(left, right) {
+  if (left.toUpperCase() === right.toUpperCase()) {
+    return true;
+  }
+
+  const family = typeFamily(left);
+  return family !== null && family === typeFamily(right);
+}
+
+/**
+ * Resolve the name of the column recording each row's source file
+ * @param {boolean|string} sourceColumn - true for the default name, or the column name to use
+ * @returns {string|null} Column name, or null when no source column was requested
+ */
+export function getSourceColumnName(sourceColumn) {
+  if (!sourceColumn) {
+    return null;
+  }
+  return typeof sourceColumn === 'string' ? sourceColumn : 'source_file';
+}
+
+// Helper functions
+
+/**
+ * Find the family of a column type
+ * @param {string} type - DuckDB column type
+ * @returns {string|null} 'numeric', 'temporal', 'boolean', 'text', or null for other types
+ */
+function typeFamily(type) {
+  const lower = type.toLowerCase();
+
+  // Lists, structs and maps only match their exact type
+  if (/[[\]{}]|^(struct|map|union)\b/.test(lower)) {
+    return null;
+  }
+
+  const match = TYPE_FAMILIES.find(({ pattern }) => pattern.test(lower));
+  return match ? match.family : null;
+}
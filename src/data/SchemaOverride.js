@@ -0,0 +1,70 @@
+// SchemaOverride.js - Column types given at load time instead of detected ones
+// Overridden columns are read as text where the reader allows it, so ZIP codes and IDs keep their
+// leading zeros, and are converted after loading with TRY_CAST: values that do not convert become
+// NULL and are reported instead of failing the load
+
+import { sqlString } from './Identifiers.js';
+
+// A type name with optional parameters and list brackets, e.g. VARCHAR, DECIMAL(10, 2), INTEGER[]
+const TYPE_PATTERN = /^[A-Za-z][A-Za-z0-9_ ]*(\(\s*\d+(\s*,\s*\d+)?\s*\))?(\[\d*\])*$/;
+
+// Types a parse format can produce, since formats are read with strptime
+const FORMAT_TYPE_PATTERN = /^(date|time|timestamp)/i;
+
+/**
+ * Turn the schema load option into column types
+ * @param {Object} schema - Column name -> DuckDB type ('VARCHAR', 'DECIMAL(10,2)') or
+ *   { type, format } with a strptime format for dates and times, e.g. { type: 'DATE', format: '%d.%m.%Y' }
+ * @returns {Object} Column name -> { type, format }
+ */
+export function parseSchemaOverride(schema) {
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    throw new Error('Invalid schema: expected an object mapping column names to types');
+  }
+
+  return Object.fromEntries(Object.entries(schema).map(([column, spec]) => {
+    const { type, format } = typeof spec === 'string' ? { type: spec } : (spec || {});
+    const trimmed = typeof type === 'string' ? type.trim() : '';
+
+    if (!TYPE_PATTERN.test(trimmed)) {
+      throw new Error(`Invalid schema type for ${column}: ${type}`);
+    }
+    if (format !== undefined && (typeof format !== 'string' || !FORMAT_TYPE_PATTERN.test(trimmed))) {
+      throw new Error(`Invalid schema format for ${column}: formats need a DATE, TIME or TIMESTAMP type and a strptime string`);
+    }
+
+    return [column, { type: trimmed.toUpperCase(), ...(format !== undefined && { format }) }];
+  }));
+}
+
+/**
+ * Get the CSV reader types that keep overridden columns as text until they are converted
+ * @param {Object} columns - Column types from parseSchemaOverride
+ * @returns {Object} Column name -> 'VARCHAR', added to the columnTypes of CSV reads for the columns the file has
+ */
+export function textColumnTypes(columns) {
+  return Object.fromEntries(Object.keys(columns).map(column => [column, 'VARCHAR']));
+}
+
+/**
+ * Build the SQL converting a column to its schema type
+ * @param {string} column - Quoted column name
+ * @param {Object} target - { type, format } from parseSchemaOverride
+ * @returns {string} Expression that is NULL where the value does not convert
+ */
+export function coercionExpression(column, { type, format }) {
+  if (format !== undefined) {
+    return `TRY_CAST(TRY_STRPTIME(CAST(${column} AS VARCHAR), ${sqlString(format)}) AS ${type})`;
+  }
+  return `TRY_CAST(${column} AS ${type})`;
+}
+
+/**
+ * Build the SQL condition matching values that do not convert to their schema type
+ * @param {string} column - Quoted column name
+ * @param {Object} target - { type, format } from parseSchemaOverride
+ * @returns {string} Condition; missing values are not failures
+ */
+export function coercionFailure(column, target) {
+  return `(${column} IS NOT NULL AND ${coercionExpression(column, target)} IS NULL)`;
+}
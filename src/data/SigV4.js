@@ -0,0 +1,225 @@
+// SigV4.js - AWS Signature Version 4 for S3 and S3-compatible storage
+// Requests are signed either with an Authorization header or in the query string (a presigned URL),
+// which also lets DuckDB's HTTP reader and plain fetch calls use private objects. Bodies are never
+// hashed: reads send UNSIGNED-PAYLOAD, which S3 accepts for any request over HTTPS.
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+// The longest lifetime S3 allows for a presigned URL, one week
+const MAX_PRESIGN_EXPIRES = 7 * 24 * 60 * 60;
+
+/**
+ * Sign a request with an Authorization header
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full URL, including any query parameters
+ * @param {Object} request.headers - Headers to send and sign, e.g. Range
+ * @param {Object} request.credentials - { accessKeyId, secretAccessKey, sessionToken }
+ * @param {string} request.region - Region, e.g. 'us-east-1'
+ * @param {string} request.service - Service name (default 's3')
+ * @param {string} request.payloadHash - Hex SHA-256 of the body (default UNSIGNED-PAYLOAD)
+ * @param {Date} request.date - Signing time (default now)
+ * @returns {Object} Headers to send, including Authorization and the x-amz-* headers it covers
+ */
+export async function signRequest({
+  method = 'GET',
+  url,
+  headers = {},
+  credentials,
+  region,
+  service = 's3',
+  payloadHash = UNSIGNED_PAYLOAD,
+  date = new Date()
+}) {
+  const { accessKeyId, secretAccessKey, sessionToken } = requireCredentials(credentials);
+  const parsed = new URL(url);
+  const { amzDate, scope } = signingScope(date, region, service);
+
+  const signed = {
+    ...headers,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    ...(sessionToken && { 'x-amz-security-token': sessionToken })
+  };
+
+  // Host is added by the browser, so it is signed but not returned
+  const canonicalHeaders = Object.entries({ host: parsed.host, ...signed })
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+    .sort(([a], [b]) => (a < b ? -1 : 1));
+  const signedHeaders = canonicalHeaders.map(([name]) => name).join(';');
+
+  const canonicalRequest = [
+    method,
+    canonicalPath(parsed.pathname),
+    canonicalQuery(parsed.searchParams),
+    canonicalHeaders.map(([name, value]) => `${name}:${value}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const signature = await sign(canonicalRequest, { secretAccessKey, amzDate, scope, region, service });
+
+  return {
+    ...signed,
+    Authorization: `${ALGORITHM} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+/**
+ * Presign a URL, so that it can be fetched without credentials until it expires
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method (default GET)
+ * @param {string} request.url - Full URL, including any query parameters
+ * @param {Object} request.credentials - { accessKeyId, secretAccessKey, sessionToken }
+ * @param {string} request.region - Region, e.g. 'us-east-1'
+ * @param {string} request.service - Service name (default 's3')
+ * @param {number} request.expiresIn - Lifetime in seconds (default one hour, at most one week)
+ * @param {Date} request.date - Signing time (default now)
+ * @returns {string} Presigned URL
+ */
+export async function presignUrl({
+  method = 'GET',
+  url,
+  credentials,
+  region,
+  service = 's3',
+  expiresIn = 3600,
+  date = new Date()
+}) {
+  const { accessKeyId, secretAccessKey, sessionToken } = requireCredentials(credentials);
+  if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_PRESIGN_EXPIRES) {
+    throw new Error(`Invalid expiresIn: ${expiresIn} (expected 1 to ${MAX_PRESIGN_EXPIRES} seconds)`);
+  }
+
+  const parsed = new URL(url);
+  const { amzDate, scope } = signingScope(date, region, service);
+
+  parsed.searchParams.set('X-Amz-Algorithm', ALGORITHM);
+  parsed.searchParams.set('X-Amz-Credential', `${accessKeyId}/${scope}`);
+  parsed.searchParams.set('X-Amz-Date', amzDate);
+  parsed.searchParams.set('X-Amz-Expires', String(expiresIn));
+  if (sessionToken) {
+    parsed.searchParams.set('X-Amz-Security-Token', sessionToken);
+  }
+  parsed.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+  const canonicalRequest = [
+    method,
+    canonicalPath(parsed.pathname),
+    canonicalQuery(parsed.searchParams),
+    `host:${parsed.host}\n`,
+    'host',
+    UNSIGNED_PAYLOAD
+  ].join('\n');
+
+  const signature = await sign(canonicalRequest, { secretAccessKey, amzDate, scope, region, service });
+
+  // URLSearchParams encodes spaces as '+', which S3 would read back differently than it was signed
+  return `${parsed.origin}${canonicalPath(parsed.pathname)}?${canonicalQuery(parsed.searchParams)}&X-Amz-Signature=${signature}`;
+}
+
+/**
+ * Percent-encode a string the way SigV4 canonical requests expect (RFC 3986 unreserved characters)
+ * @param {string} value - Text to encode
+ * @returns {string}
+ */
+export function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Helper functions
+
+/**
+ * Check that credentials have both keys
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, sessionToken }
+ * @returns {Object} The credentials
+ */
+function requireCredentials(credentials) {
+  if (!credentials?.accessKeyId || !credentials?.secretAccessKey) {
+    throw new Error('Signing needs credentials with an accessKeyId and a secretAccessKey');
+  }
+  return credentials;
+}
+
+/**
+ * Get the timestamp and credential scope for a signing time
+ * @param {Date} date - Signing time
+ * @param {string} region - Region
+ * @param {string} service - Service name
+ * @returns {Object} { amzDate, scope } with amzDate as YYYYMMDDTHHMMSSZ
+ */
+function signingScope(date, region, service) {
+  if (!region) {
+    throw new Error('Signing needs a region');
+  }
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return { amzDate, scope: `${amzDate.slice(0, 8)}/${region}/${service}/aws4_request` };
+}
+
+/**
+ * Encode a URL path for signing; S3 paths are signed as they are sent, encoded once
+ * @param {string} pathname - Path from a URL, already percent-encoded
+ * @returns {string}
+ */
+function canonicalPath(pathname) {
+  return pathname.split('/').map(segment => uriEncode(decodeURIComponent(segment))).join('/') || '/';
+}
+
+/**
+ * Encode and sort query parameters for signing
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {string}
+ */
+function canonicalQuery(params) {
+  return [...params]
+    .map(([name, value]) => [uriEncode(name), uriEncode(value)])
+    .sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
+
+/**
+ * Sign a canonical request with a key derived for its date, region and service
+ * @param {string} canonicalRequest - Canonical request text
+ * @param {Object} context - { secretAccessKey, amzDate, scope, region, service }
+ * @returns {string} Hex signature
+ */
+async function sign(canonicalRequest, { secretAccessKey, amzDate, scope, region, service }) {
+  const stringToSign = [ALGORITHM, amzDate, scope, toHex(await sha256(canonicalRequest))].join('\n');
+
+  let key = new TextEncoder().encode(`AWS4${secretAccessKey}`);
+  for (const part of [amzDate.slice(0, 8), region, service, 'aws4_request']) {
+    key = await hmac(key, part);
+  }
+  return toHex(await hmac(key, stringToSign));
+}
+
+/**
+ * Compute an HMAC-SHA256 with Web Crypto
+ * @param {Uint8Array} key - Key bytes
+ * @param {string} message - Message text
+ * @returns {Uint8Array}
+ */
+async function hmac(key, message) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(message)));
+}
+
+/**
+ * Compute a SHA-256 digest with Web Crypto
+ * @param {string} message - Message text
+ * @returns {Uint8Array}
+ */
+async function sha256(message) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(message)));
+}
+
+/**
+ * Format bytes as lowercase hex
+ * @param {Uint8Array} bytes - Bytes to format
+ * @returns {string}
+ */
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
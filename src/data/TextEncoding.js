@@ -0,0 +1,135 @@
+// TextEncoding.js - Detect and decode the character encoding of text imports
+// A byte order mark decides the encoding; without one, UTF-16 is recognized by its zero bytes,
+// valid UTF-8 stays UTF-8 and anything else is read as Windows-1252 (a superset of Latin-1)
+
+const BYTE_ORDER_MARKS = [
+  { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+// Leading bytes inspected when there is no byte order mark
+const DETECTION_SAMPLE_SIZE = 64 * 1024;
+
+const FALLBACK_ENCODING = 'windows-1252';
+
+/**
+ * Find the encoding announced by a byte order mark
+ * @param {Uint8Array} bytes - Leading bytes of the content
+ * @returns {string|null} 'utf-8', 'utf-16le', 'utf-16be' or null without a byte order mark
+ */
+export function detectBOM(bytes) {
+  const mark = BYTE_ORDER_MARKS.find(({ bytes: signature }) =>
+    bytes.length >= signature.length && signature.every((byte, index) => bytes[index] === byte)
+  );
+  return mark ? mark.encoding : null;
+}
+
+/**
+ * Work out the character encoding of text content
+ * @param {Uint8Array} bytes - Content, or at least its leading bytes
+ * @returns {string} Encoding name understood by TextDecoder
+ */
+export function detectEncoding(bytes) {
+  const bom = detectBOM(bytes);
+  if (bom) {
+    return bom;
+  }
+
+  const sample = bytes.subarray(0, DETECTION_SAMPLE_SIZE);
+  return detectUTF16(sample) || (isValidUTF8(sample) ? 'utf-8' : FALLBACK_ENCODING);
+}
+
+/**
+ * Create a decoder for an encoding, failing clearly on unknown names
+ * @param {string} encoding - Encoding name or label, e.g. 'latin1', 'windows-1252', 'utf-16le'
+ * @returns {TextDecoder} Decoder that drops a leading byte order mark
+ */
+export function createTextDecoder(encoding) {
+  try {
+    return new TextDecoder(encoding);
+  } catch (error) {
+    throw new Error(`Unsupported encoding: ${encoding}`);
+  }
+}
+
+/**
+ * Decode text content, detecting the encoding unless one is given
+ * @param {string|ArrayBuffer|Uint8Array} data - Content; strings are only stripped of a byte order mark
+ * @param {string} encoding - Encoding to use, or 'auto'/undefined to detect it. A byte order mark
+ *   overrides it, since it is unambiguous.
+ * @returns {Object} { text, encoding } where encoding is null for string input
+ */
+export function decodeText(data, encoding = undefined) {
+  if (typeof data === 'string') {
+    return { text: stripBOM(data), encoding: null };
+  }
+
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const decoder = createTextDecoder(resolveEncoding(bytes, encoding));
+
+  return {
+    text: stripBOM(decoder.decode(bytes)),
+    encoding: decoder.encoding
+  };
+}
+
+/**
+ * Pick the encoding for content: its byte order mark, the requested encoding, or a detected one
+ * @param {Uint8Array} bytes - Leading bytes of the content
+ * @param {string} encoding - Requested encoding, or 'auto'/undefined
+ * @returns {string} Encoding name
+ */
+export function resolveEncoding(bytes, encoding = undefined) {
+  const requested = encoding && encoding !== 'auto' ? encoding : null;
+  return detectBOM(bytes) || requested || detectEncoding(bytes);
+}
+
+/**
+ * Remove a leading byte order mark from decoded text
+ * @param {string} text - Decoded text
+ * @returns {string}
+ */
+export function stripBOM(text) {
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+// Helper functions
+
+/**
+ * Recognize UTF-16 without a byte order mark from the zero high bytes of ASCII characters
+ * @param {Uint8Array} sample - Leading bytes
+ * @returns {string|null} 'utf-16le', 'utf-16be' or null
+ */
+function detectUTF16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs < 2) {
+    return null;
+  }
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i + 1 < sample.length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+
+  // Mostly ASCII text puts a zero in every other byte and almost never in the other half
+  if (oddZeros / pairs > 0.4 && evenZeros / pairs < 0.05) return 'utf-16le';
+  if (evenZeros / pairs > 0.4 && oddZeros / pairs < 0.05) return 'utf-16be';
+  return null;
+}
+
+/**
+ * Check whether bytes are valid UTF-8, allowing a character cut off at the end of the sample
+ * @param {Uint8Array} sample - Leading bytes
+ * @returns {boolean}
+ */
+function isValidUTF8(sample) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,101 @@
+// ZipArchive.js - Minimal ZIP reader for archives and container formats such as .xlsx
+// Reads the central directory and inflates entries on demand
+
+import { decompress } from './Compression.js';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// The end record is 22 bytes followed by a comment of up to 65535 bytes
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+/**
+ * List the entries of a ZIP archive
+ * @param {Uint8Array} bytes - Archive bytes
+ * @returns {Array<Object>} Entries with name, method, compressedSize, size and offset
+ */
+export function readZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const endOffset = findEndRecord(view);
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+
+  if (offset === 0xffffffff || entryCount === 0xffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Invalid ZIP archive: corrupt central directory');
+    }
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+
+    entries.push({
+      name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      offset: view.getUint32(offset + 42, true)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Extract the contents of a single archive entry
+ * @param {Uint8Array} bytes - Archive bytes
+ * @param {Object} entry - Entry from readZipEntries
+ * @returns {Uint8Array} Uncompressed entry contents
+ */
+export async function extractZipEntry(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (entry.offset + 30 > view.byteLength || view.getUint32(entry.offset, true) !== LOCAL_FILE_HEADER) {
+    throw new Error(`Invalid ZIP archive: missing header for ${entry.name}`);
+  }
+
+  // The local header repeats the name and may carry a different extra field than the central directory
+  const nameLength = view.getUint16(entry.offset + 26, true);
+  const extraLength = view.getUint16(entry.offset + 28, true);
+  const start = entry.offset + 30 + nameLength + extraLength;
+  const data = bytes.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) {
+    return data;
+  }
+  if (entry.method === 8) {
+    return decompress(data, 'deflate-raw');
+  }
+
+  throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+}
+
+// Helper functions
+
+/**
+ * Locate the end of central directory record by scanning backwards from the end
+ * @param {DataView} view - Archive bytes
+ * @returns {number} Offset of the end record
+ */
+function findEndRecord(view) {
+  const lowest = Math.max(0, view.byteLength - MAX_END_RECORD_SEARCH);
+
+  for (let offset = view.byteLength - 22; offset >= lowest; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+
+  throw new Error('Invalid ZIP archive: end of central directory not found');
+}
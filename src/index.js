@@ -8,6 +8,11 @@ export { QueryCache } from './core/QueryCache.js';
 
 export { DataLoader } from './data/DataLoader.js';
 export { CloudStorage } from './data/CloudStorage.js';
+export { S3Storage } from './data/S3Storage.js';
+export { GCSStorage } from './data/GCSStorage.js';
+export { AzureStorage } from './data/AzureStorage.js';
+export { BoxStorage } from './data/BoxStorage.js';
+export { OAuth2PKCE } from './data/OAuth2PKCE.js';
 export { DataConnector } from './data/DataConnector.js';
 
 export { WorkerConnector } from './connectors/WorkerConnector.js';
@@ -1,5 +1,6 @@
 import { MosaicClient, queryFieldInfo } from '@uwdata/mosaic-core';
 import { Query, count, sql } from '@uwdata/mosaic-sql';
+import { quoteIdentifier } from '../data/Identifiers.js';
 
 /**
  * Base class for column visualizations that extend MosaicClient
@@ -11,6 +12,8 @@ export class ColumnVisualization extends MosaicClient {
     
     this.table = options.table;
     this.column = options.column;
+    // Quoted column name for SQL; Mosaic would read a bare name with dots as table.column
+    this.columnSQL = quoteIdentifier(this.column);
     this.field = options.field;
     this.type = options.type || 'auto';
     
@@ -32,7 +35,7 @@ export class ColumnVisualization extends MosaicClient {
         this.coordinator,
         [{
           table: this.table,
-          column: this.column,
+          column: sql`${this.columnSQL}`,
           stats: ['min', 'max', 'distinct', 'nulls']
         }]
       );
@@ -1,6 +1,7 @@
 import { Type } from '@uwdata/flechette';
 import { Query, count, sql } from '@uwdata/mosaic-sql';
 import { ColumnVisualization } from './ColumnVisualization.js';
+import { quoteIdentifier } from '../data/Identifiers.js';
 import { createDateHistogram } from './utils/HistogramRenderer.js';
 import { createInteractiveHistogram } from './utils/InteractiveHistogram.js';
 import { createInteractionHandler, InteractionHandler } from './utils/InteractionHandler.js';
@@ -155,7 +156,7 @@ export class DateHistogram extends ColumnVisualization {
           is_null: sql`false`
         })
         .where(filter)
-        .where(sql`${this.column} IS NOT NULL`);
+        .where(sql`${this.columnSQL} IS NOT NULL`);
 
       const nullQuery = Query
         .from(this.table)
@@ -166,7 +167,7 @@ export class DateHistogram extends ColumnVisualization {
           is_null: sql`true`
         })
         .where(filter)
-        .where(sql`${this.column} IS NULL`);
+        .where(sql`${this.columnSQL} IS NULL`);
 
       return Query.unionAll(validQuery, nullQuery);
     }
@@ -193,7 +194,7 @@ export class DateHistogram extends ColumnVisualization {
     const binWidth = 24 / numBins; // Hours per bin
 
     // Extract hour and minute as decimal hours (e.g., 14:30 = 14.5)
-    const hourExtract = sql`EXTRACT(hour FROM ${this.column}) + EXTRACT(minute FROM ${this.column}) / 60.0 + EXTRACT(second FROM ${this.column}) / 3600.0`;
+    const hourExtract = sql`EXTRACT(hour FROM ${this.columnSQL}) + EXTRACT(minute FROM ${this.columnSQL}) / 60.0 + EXTRACT(second FROM ${this.columnSQL}) / 3600.0`;
 
     const binQuery = Query
       .from(this.table)
@@ -204,7 +205,7 @@ export class DateHistogram extends ColumnVisualization {
         is_null: sql`false`
       })
       .where(filter)
-      .where(sql`${this.column} IS NOT NULL`)
+      .where(sql`${this.columnSQL} IS NOT NULL`)
       .groupby('x0', 'x1');
 
     const nullQuery = Query
@@ -216,7 +217,7 @@ export class DateHistogram extends ColumnVisualization {
         is_null: sql`true`
       })
       .where(filter)
-      .where(sql`${this.column} IS NULL`);
+      .where(sql`${this.columnSQL} IS NULL`);
 
     return Query.unionAll(binQuery, nullQuery);
   }
@@ -262,7 +263,7 @@ export class DateHistogram extends ColumnVisualization {
           is_null: sql`false`
         })
         .where(filter)
-        .where(sql`${this.column} IS NOT NULL`);
+        .where(sql`${this.columnSQL} IS NOT NULL`);
 
       const nullQuery = Query
         .from(this.table)
@@ -273,13 +274,13 @@ export class DateHistogram extends ColumnVisualization {
           is_null: sql`true`
         })
         .where(filter)
-        .where(sql`${this.column} IS NULL`);
+        .where(sql`${this.columnSQL} IS NULL`);
 
       return Query.unionAll(validQuery, nullQuery);
     }
 
     // Extract seconds from the interval column
-    const columnSeconds = sql`EXTRACT(epoch FROM ${this.column})`;
+    const columnSeconds = sql`EXTRACT(epoch FROM ${this.columnSQL})`;
 
     const binQuery = Query
       .from(this.table)
@@ -290,7 +291,7 @@ export class DateHistogram extends ColumnVisualization {
         is_null: sql`false`
       })
       .where(filter)
-      .where(sql`${this.column} IS NOT NULL`)
+      .where(sql`${this.columnSQL} IS NOT NULL`)
       .groupby('x0', 'x1');
 
     const nullQuery = Query
@@ -302,7 +303,7 @@ export class DateHistogram extends ColumnVisualization {
         is_null: sql`true`
       })
       .where(filter)
-      .where(sql`${this.column} IS NULL`);
+      .where(sql`${this.columnSQL} IS NULL`);
 
     return Query.unionAll(binQuery, nullQuery);
   }
@@ -312,19 +313,19 @@ export class DateHistogram extends ColumnVisualization {
    */
   generateIntervalQueryWithSQL(filter) {
     const numBins = this.targetBins || 20;
-    const columnSeconds = sql`EXTRACT(epoch FROM ${this.column})`;
+    const columnSeconds = sql`EXTRACT(epoch FROM ${this.columnSQL})`;
 
     // Use SQL subqueries to calculate min/max and binning
     const binQuery = Query
       .from(this.table)
       .select({
-        x0: sql`LEAST(floor((${columnSeconds} - (SELECT MIN(${columnSeconds}) FROM ${this.table} WHERE ${this.column} IS NOT NULL)) / ((SELECT MAX(${columnSeconds}) - MIN(${columnSeconds}) FROM ${this.table} WHERE ${this.column} IS NOT NULL) / ${numBins})), ${numBins - 1}) * ((SELECT MAX(${columnSeconds}) - MIN(${columnSeconds}) FROM ${this.table} WHERE ${this.column} IS NOT NULL) / ${numBins}) + (SELECT MIN(${columnSeconds}) FROM ${this.table} WHERE ${this.column} IS NOT NULL)`,
-        x1: sql`(LEAST(floor((${columnSeconds} - (SELECT MIN(${columnSeconds}) FROM ${this.table} WHERE ${this.column} IS NOT NULL)) / ((SELECT MAX(${columnSeconds}) - MIN(${columnSeconds}) FROM ${this.table} WHERE ${this.column} IS NOT NULL) / ${numBins})), ${numBins - 1}) + 1) * ((SELECT MAX(${columnSeconds}) - MIN(${columnSeconds}) FROM ${this.table} WHERE ${this.column} IS NOT NULL) / ${numBins}) + (SELECT MIN(${columnSeconds}) FROM ${this.table} WHERE ${this.column} IS NOT NULL)`,
+        x0: sql`LEAST(floor((${columnSeconds} - (SELECT MIN(${columnSeconds}) FROM ${quoteIdentifier(this.table)} WHERE ${this.columnSQL} IS NOT NULL)) / ((SELECT MAX(${columnSeconds}) - MIN(${columnSeconds}) FROM ${quoteIdentifier(this.table)} WHERE ${this.columnSQL} IS NOT NULL) / ${numBins})), ${numBins - 1}) * ((SELECT MAX(${columnSeconds}) - MIN(${columnSeconds}) FROM ${quoteIdentifier(this.table)} WHERE ${this.columnSQL} IS NOT NULL) / ${numBins}) + (SELECT MIN(${columnSeconds}) FROM ${quoteIdentifier(this.table)} WHERE ${this.columnSQL} IS NOT NULL)`,
+        x1: sql`(LEAST(floor((${columnSeconds} - (SELECT MIN(${columnSeconds}) FROM ${quoteIdentifier(this.table)} WHERE ${this.columnSQL} IS NOT NULL)) / ((SELECT MAX(${columnSeconds}) - MIN(${columnSeconds}) FROM ${quoteIdentifier(this.table)} WHERE ${this.columnSQL} IS NOT NULL) / ${numBins})), ${numBins - 1}) + 1) * ((SELECT MAX(${columnSeconds}) - MIN(${columnSeconds}) FROM ${quoteIdentifier(this.table)} WHERE ${this.columnSQL} IS NOT NULL) / ${numBins}) + (SELECT MIN(${columnSeconds}) FROM ${quoteIdentifier(this.table)} WHERE ${this.columnSQL} IS NOT NULL)`,
         count: count(),
         is_null: sql`false`
       })
       .where(filter)
-      .where(sql`${this.column} IS NOT NULL`)
+      .where(sql`${this.columnSQL} IS NOT NULL`)
       .groupby('x0', 'x1');
 
     const nullQuery = Query
@@ -336,7 +337,7 @@ export class DateHistogram extends ColumnVisualization {
         is_null: sql`true`
       })
       .where(filter)
-      .where(sql`${this.column} IS NULL`);
+      .where(sql`${this.columnSQL} IS NULL`);
 
     return Query.unionAll(binQuery, nullQuery);
   }
@@ -367,7 +368,7 @@ export class DateHistogram extends ColumnVisualization {
           is_null: sql`false`
         })
         .where(filter)
-        .where(sql`${this.column} IS NOT NULL`);
+        .where(sql`${this.columnSQL} IS NOT NULL`);
 
       const nullQuery = Query
         .from(this.table)
@@ -378,7 +379,7 @@ export class DateHistogram extends ColumnVisualization {
           is_null: sql`true`
         })
         .where(filter)
-        .where(sql`${this.column} IS NULL`);
+        .where(sql`${this.columnSQL} IS NULL`);
 
       return Query.unionAll(validQuery, nullQuery);
     }
@@ -387,10 +388,10 @@ export class DateHistogram extends ColumnVisualization {
     let columnEpoch;
     if (this.field && this.field.isDetectedTimestamp) {
       // For detected timestamp columns (VARCHAR with timestamp patterns), try direct casting first
-      columnEpoch = sql`EXTRACT(epoch FROM ${this.column}::TIMESTAMP)`;
+      columnEpoch = sql`EXTRACT(epoch FROM ${this.columnSQL}::TIMESTAMP)`;
     } else {
       // For native temporal columns, use standard casting
-      columnEpoch = sql`EXTRACT(epoch FROM ${this.column}::TIMESTAMP)`;
+      columnEpoch = sql`EXTRACT(epoch FROM ${this.columnSQL}::TIMESTAMP)`;
     }
 
     // Create binned query using JavaScript-calculated values
@@ -403,7 +404,7 @@ export class DateHistogram extends ColumnVisualization {
         is_null: sql`false`
       })
       .where(filter)
-      .where(sql`${this.column} IS NOT NULL`)
+      .where(sql`${this.columnSQL} IS NOT NULL`)
       .groupby('x0', 'x1');
 
     // Query for null values
@@ -416,7 +417,7 @@ export class DateHistogram extends ColumnVisualization {
         is_null: sql`true`
       })
       .where(filter)
-      .where(sql`${this.column} IS NULL`);
+      .where(sql`${this.columnSQL} IS NULL`);
 
     return Query.unionAll(binQuery, nullQuery);
   }
@@ -0,0 +1,332 @@
+import { Query, count, sql } from '@uwdata/mosaic-sql';
+import { clauseIntervals } from '@uwdata/mosaic-core';
+import * as d3 from 'd3';
+import { ColumnVisualization } from './ColumnVisualization.js';
+import { geometryPointSQL } from '../data/Geometry.js';
+
+/**
+ * Mini map for geometry columns (WKT text, WKB blobs or spatial extension geometries)
+ * Bins a representative point of each geometry into a density grid over the bounding box,
+ * and filters other columns with a rectangular brush like Histogram does with its range brush
+ */
+export class GeometryMap extends ColumnVisualization {
+  constructor(options = {}) {
+    super(options);
+
+    this.container.className = 'column-visualization geometry-map-visualization';
+
+    // External stats display element from column header
+    this.statsDisplay = options.statsDisplay || null;
+
+    // Interactive mode flag
+    this.interactive = options.interactive !== false; // Default to interactive
+
+    // Grid resolution and size, matching the other column visualizations
+    this.columns = options.columns || 25;
+    this.rows = options.rows || 10;
+    this.width = 125;
+    this.height = 50;
+
+    // SQL expressions for the x/y coordinates of each geometry
+    const format = this.field?.geometryFormat || 'geometry';
+    this.point = geometryPointSQL(this.columnSQL, format);
+
+    // State
+    this.extent = null;
+    this.selection = null;
+    this.actualTotalCount = 0;
+  }
+
+  /**
+   * Override prepare to find the bounding box of all geometries; min/max field stats are not
+   * defined for geometry types
+   */
+  async prepare() {
+    try {
+      const extentQuery = Query
+        .from(this.table)
+        .select({
+          total_count: count(),
+          x0: sql`MIN(${this.point.x})`,
+          x1: sql`MAX(${this.point.x})`,
+          y0: sql`MIN(${this.point.y})`,
+          y1: sql`MAX(${this.point.y})`
+        });
+
+      const result = await this.coordinator.query(extentQuery);
+      const row = Array.isArray(result) ? result[0] : result.toArray()[0];
+
+      this.totalRowCount = row.total_count;
+      this.extent = row.x0 == null || row.y0 == null ? null : {
+        x: [row.x0, row.x1],
+        y: [row.y0, row.y1]
+      };
+
+      return this;
+    } catch (error) {
+      console.error(`Failed to prepare geometry map for ${this.column}:`, error);
+      // Continue without an extent, so the column shows no geometries instead of failing
+      this.extent = null;
+      return this;
+    }
+  }
+
+  /**
+   * Generate SQL query counting geometries per grid cell, plus geometries without coordinates
+   * @param {Array} filter - Filter expressions to apply
+   * @returns {Query} Grid query for this column with null handling
+   */
+  query(filter = []) {
+    const { x, y } = this.point;
+
+    const nullQuery = Query
+      .from(this.table)
+      .select({
+        cell_col: sql`NULL`,
+        cell_row: sql`NULL`,
+        count: count(),
+        is_null: sql`true`
+      })
+      .where(filter)
+      .where(sql`(${x}) IS NULL OR (${y}) IS NULL`);
+
+    if (!this.extent) {
+      return nullQuery;
+    }
+
+    // A single point (or a vertical/horizontal line of them) still gets a cell width
+    const cellWidth = (this.extent.x[1] - this.extent.x[0]) / this.columns || 1;
+    const cellHeight = (this.extent.y[1] - this.extent.y[0]) / this.rows || 1;
+
+    const cellQuery = Query
+      .from(this.table)
+      .select({
+        cell_col: sql`LEAST(FLOOR((${x} - ${this.extent.x[0]}) / ${cellWidth}), ${this.columns - 1})`,
+        cell_row: sql`LEAST(FLOOR((${y} - ${this.extent.y[0]}) / ${cellHeight}), ${this.rows - 1})`,
+        count: count(),
+        is_null: sql`false`
+      })
+      .where(filter)
+      .where(sql`(${x}) IS NOT NULL AND (${y}) IS NOT NULL`)
+      .groupby('cell_col', 'cell_row');
+
+    return Query.unionAll(cellQuery, nullQuery);
+  }
+
+  /**
+   * Render the density grid from query result data
+   * @param {Object} data - Arrow table or array of cell objects
+   */
+  render(data) {
+    try {
+      const rows = data && typeof data.toArray === 'function' ? data.toArray() : (data || []);
+
+      let nullCount = 0;
+      const cells = [];
+      rows.forEach(cell => {
+        if (cell.is_null === true || cell.cell_col === null) {
+          nullCount = Number(cell.count);
+        } else {
+          cells.push({ col: Number(cell.cell_col), row: Number(cell.cell_row), count: Number(cell.count) });
+        }
+      });
+
+      this.container.innerHTML = '';
+      this.actualTotalCount = Number(this.totalRowCount);
+      this.nullCount = nullCount;
+      this.showTotal();
+
+      if (cells.length === 0) {
+        this.renderEmpty();
+        return;
+      }
+
+      this.container.appendChild(this.renderGrid(cells));
+    } catch (error) {
+      console.error(`Failed to render geometry map for ${this.column}:`, error);
+      this.renderError();
+    }
+  }
+
+  /**
+   * Draw the grid cells, shaded by count, with a 2D brush for selection
+   * @param {Array<Object>} cells - Cells with col, row and count
+   * @returns {SVGElement}
+   */
+  renderGrid(cells) {
+    const cellWidth = this.width / this.columns;
+    const cellHeight = this.height / this.rows;
+    const maxCount = d3.max(cells, cell => cell.count);
+    // Square root shading keeps sparse cells visible next to dense ones
+    const opacity = d3.scaleSqrt().domain([0, maxCount]).range([0.15, 1]);
+
+    const svg = d3.create('svg')
+      .attr('width', this.width)
+      .attr('height', this.height)
+      .attr('viewBox', [0, 0, this.width, this.height])
+      .style('background', '#f3f4f6');
+
+    // Rows grow northwards, so row 0 is drawn at the bottom
+    svg.append('g')
+      .selectAll('rect')
+      .data(cells)
+      .join('rect')
+      .attr('x', cell => cell.col * cellWidth)
+      .attr('y', cell => this.height - (cell.row + 1) * cellHeight)
+      .attr('width', cellWidth)
+      .attr('height', cellHeight)
+      .attr('fill', '#2563eb')
+      .attr('fill-opacity', cell => opacity(cell.count));
+
+    // Hover is tracked on the whole map, since the brush overlay covers the cells
+    const counts = new Map(cells.map(cell => [`${cell.col},${cell.row}`, cell.count]));
+    svg
+      .on('mousemove', (event) => {
+        const [px, py] = d3.pointer(event, svg.node());
+        const col = Math.min(Math.floor(px / cellWidth), this.columns - 1);
+        const row = Math.min(Math.floor((this.height - py) / cellHeight), this.rows - 1);
+        this.showCount(counts.get(`${col},${row}`) || 0);
+      })
+      .on('mouseleave', () => this.showTotal());
+
+    if (this.interactive && this.extent) {
+      const brush = d3.brush()
+        .extent([[0, 0], [this.width, this.height]])
+        .on('end', (event) => {
+          // Only user gestures change the selection, not restoring it below
+          if (event.sourceEvent) {
+            this.handleSelectionChange(event.selection ? this.pixelsToRanges(event.selection) : null);
+          }
+        });
+
+      const brushGroup = svg.append('g')
+        .attr('class', 'brush')
+        .call(brush);
+
+      brushGroup.select('.selection')
+        .style('fill', '#1d4ed8')
+        .style('fill-opacity', 0.2)
+        .style('stroke', '#1d4ed8');
+
+      // Re-renders after other columns filter keep the current selection visible
+      if (this.selection) {
+        brushGroup.call(brush.move, this.rangesToPixels(this.selection));
+      }
+    }
+
+    return svg.node();
+  }
+
+  /**
+   * Convert a brush rectangle to coordinate ranges
+   * @param {Array} selection - [[x0, y0], [x1, y1]] in pixels
+   * @returns {Array} [[xMin, xMax], [yMin, yMax]] in data coordinates
+   */
+  pixelsToRanges([[px0, py0], [px1, py1]]) {
+    const x = d3.scaleLinear().domain([0, this.width]).range(this.extent.x);
+    // Screen y grows downwards, coordinates grow northwards
+    const y = d3.scaleLinear().domain([this.height, 0]).range(this.extent.y);
+    return [
+      [x(px0), x(px1)],
+      [y(py1), y(py0)]
+    ];
+  }
+
+  /**
+   * Convert coordinate ranges to a brush rectangle
+   * @param {Array} ranges - [[xMin, xMax], [yMin, yMax]]
+   * @returns {Array} [[x0, y0], [x1, y1]] in pixels
+   */
+  rangesToPixels([[x0, x1], [y0, y1]]) {
+    const x = d3.scaleLinear().domain(this.extent.x).range([0, this.width]);
+    const y = d3.scaleLinear().domain(this.extent.y).range([this.height, 0]);
+    return [[x(x0), y(y1)], [x(x1), y(y0)]];
+  }
+
+  /**
+   * Apply a brushed area to the shared filter, or clear this column's filter
+   * @param {Array|null} ranges - [[xMin, xMax], [yMin, yMax]] or null
+   */
+  handleSelectionChange(ranges) {
+    this.selection = ranges;
+    if (!this.filterBy) return;
+
+    if (ranges) {
+      this.filterBy.update(clauseIntervals(
+        [sql`${this.point.x}`, sql`${this.point.y}`],
+        ranges,
+        { source: this, clients: new Set([this]) }
+      ));
+    } else {
+      this.filterBy.remove(this);
+    }
+  }
+
+  /**
+   * Show the count of a hovered cell in the stats display
+   * @param {number} cellCount - Geometries in the cell
+   */
+  showCount(cellCount) {
+    if (!this.statsDisplay) return;
+    const percentage = this.actualTotalCount ? (cellCount / this.actualTotalCount) * 100 : 0;
+    this.statsDisplay.textContent = `${cellCount.toLocaleString()} rows (${percentage.toFixed(1)}%)`;
+  }
+
+  /**
+   * Show the total row count, and how many rows have no geometry, in the stats display
+   */
+  showTotal() {
+    if (!this.statsDisplay) return;
+    const missing = this.nullCount ? `, ∅ ${this.nullCount.toLocaleString()}` : '';
+    this.statsDisplay.textContent = `${this.actualTotalCount.toLocaleString()} rows${missing}`;
+  }
+
+  /**
+   * Render state for columns without any coordinates
+   */
+  renderEmpty() {
+    this.container.innerHTML = `
+      <div style="width: 125px; height: 50px; display: flex; align-items: center; justify-content: center; color: #9ca3af; font-size: 11px;">
+        No geometries
+      </div>
+    `;
+  }
+
+  /**
+   * Render error state
+   */
+  renderError() {
+    this.container.innerHTML = `
+      <div style="width: 125px; height: 40px; display: flex; align-items: center; justify-content: center; color: #ef4444; font-size: 11px;">
+        Error
+      </div>
+    `;
+  }
+
+  /**
+   * Check if the geometry map is appropriate for this field
+   * @param {Object} field - Field object with schema metadata
+   * @returns {boolean}
+   */
+  static isApplicable(field) {
+    return !!field?.isGeometry;
+  }
+
+  /**
+   * Get display name for this visualization type
+   * @returns {string}
+   */
+  static getDisplayName() {
+    return 'Map';
+  }
+
+  /**
+   * Clean up resources when visualization is destroyed
+   */
+  destroy() {
+    if (this.selection && this.filterBy) {
+      this.filterBy.remove(this);
+    }
+    super.destroy();
+  }
+}
@@ -55,11 +55,11 @@ export class Histogram extends ColumnVisualization {
         const quartileQuery = Query
           .from(this.table)
           .select({
-            q1: sql`QUANTILE(${this.column}, 0.25)`,
-            q3: sql`QUANTILE(${this.column}, 0.75)`,
-            count: sql`COUNT(${this.column})`
+            q1: sql`QUANTILE(${this.columnSQL}, 0.25)`,
+            q3: sql`QUANTILE(${this.columnSQL}, 0.75)`,
+            count: sql`COUNT(${this.columnSQL})`
           })
-          .where(sql`${this.column} IS NOT NULL`);
+          .where(sql`${this.columnSQL} IS NOT NULL`);
 
         const quartileResult = await this.coordinator.query(quartileQuery);
 
@@ -103,7 +103,7 @@ export class Histogram extends ColumnVisualization {
           is_null: sql`false`
         })
         .where(filter)
-        .where(sql`${this.column} IS NOT NULL`);
+        .where(sql`${this.columnSQL} IS NOT NULL`);
 
       const nullQuery = Query
         .from(this.table)
@@ -114,7 +114,7 @@ export class Histogram extends ColumnVisualization {
           is_null: sql`true`
         })
         .where(filter)
-        .where(sql`${this.column} IS NULL`);
+        .where(sql`${this.columnSQL} IS NULL`);
 
       return Query.unionAll(validQuery, nullQuery);
     }
@@ -148,13 +148,13 @@ export class Histogram extends ColumnVisualization {
     const binQuery = Query
       .from(this.table)
       .select({
-        x0: sql`floor((${this.column} - ${min}) / ${binWidth}) * ${binWidth} + ${min}`,
-        x1: sql`(floor((${this.column} - ${min}) / ${binWidth}) + 1) * ${binWidth} + ${min}`,
+        x0: sql`floor((${this.columnSQL} - ${min}) / ${binWidth}) * ${binWidth} + ${min}`,
+        x1: sql`(floor((${this.columnSQL} - ${min}) / ${binWidth}) + 1) * ${binWidth} + ${min}`,
         count: count(),
         is_null: sql`false`
       })
       .where(filter)
-      .where(sql`${this.column} IS NOT NULL`)
+      .where(sql`${this.columnSQL} IS NOT NULL`)
       .groupby('x0', 'x1');
     
     // Query for null values (includes NULL, NaN, invalid strings, etc.)
@@ -167,7 +167,7 @@ export class Histogram extends ColumnVisualization {
         is_null: sql`true`
       })
       .where(filter)
-      .where(sql`${this.column} IS NULL`);
+      .where(sql`${this.columnSQL} IS NULL`);
     
     // Combine both queries with UNION ALL
     return Query.unionAll(binQuery, nullQuery);
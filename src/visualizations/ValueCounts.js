@@ -62,14 +62,14 @@ export class ValueCounts extends ColumnVisualization {
     const categoryQuery = Query
       .from(this.table)
       .select({
-        value: this.column,
+        value: sql`${this.columnSQL}`,
         count: count(),
         is_null: sql`false`,
         is_unique: sql`false`
       })
       .where(filter)
-      .where(sql`${this.column} IS NOT NULL`)
-      .groupby(this.column);
+      .where(sql`${this.columnSQL} IS NOT NULL`)
+      .groupby(sql`${this.columnSQL}`);
 
     // Query for null values
     const nullQuery = Query
@@ -81,7 +81,7 @@ export class ValueCounts extends ColumnVisualization {
         is_unique: sql`false`
       })
       .where(filter)
-      .where(sql`${this.column} IS NULL`);
+      .where(sql`${this.columnSQL} IS NULL`);
 
     // Combine both queries with UNION ALL
     return Query.unionAll(categoryQuery, nullQuery);
@@ -1,4 +1,6 @@
 import { clauseInterval, clausePoint } from '@uwdata/mosaic-core';
+import { sql } from '@uwdata/mosaic-sql';
+import { quoteIdentifier } from '../../data/Identifiers.js';
 import * as d3 from 'd3';
 
 /**
@@ -22,6 +24,14 @@ export class InteractionHandler {
     this.isSelecting = false;
   }
   
+  /**
+   * Column expression for selection clauses, quoted so names with dots or spaces stay one column
+   * @returns {Object} SQL expression node
+   */
+  columnField() {
+    return sql`${quoteIdentifier(this.column)}`;
+  }
+  
   /**
    * Create an interval selection clause for numeric ranges
    * @param {Array} range - [min, max] range values
@@ -38,7 +48,7 @@ export class InteractionHandler {
     // Ensure proper order
     const orderedRange = min <= max ? [min, max] : [max, min];
     
-    return clauseInterval(this.column, orderedRange, {
+    return clauseInterval(this.columnField(), orderedRange, {
       source: this.client,
       clients: new Set([this.client]),
       pixelSize: options.pixelSize || 1,
@@ -57,7 +67,7 @@ export class InteractionHandler {
       return null;
     }
     
-    return clausePoint(this.column, value, {
+    return clausePoint(this.columnField(), value, {
       source: this.client,
       clients: new Set([this.client]),
       ...options
@@ -69,7 +79,7 @@ export class InteractionHandler {
    * @returns {Object} Selection clause for null values
    */
   createNullClause() {
-    return clausePoint(this.column, null, {
+    return clausePoint(this.columnField(), null, {
       source: this.client,
       clients: new Set([this.client])
     });
@@ -0,0 +1,177 @@
+import { describe, it, expect } from 'vitest';
+import { tableFromArrays, tableFromIPC, dateDay, Type } from '@uwdata/flechette';
+import * as arrow from 'apache-arrow';
+import {
+  isArrowTable,
+  isColumnObject,
+  rowsToColumns,
+  columnsToIPC,
+  arrowTableToIPC,
+  readArrowIPCBatches,
+  describeArrowFields
+} from '../../src/data/ArrowConversion.js';
+
+const fieldTypes = (table) => Object.fromEntries(
+  table.schema.fields.map(field => [field.name, field.type.typeId])
+);
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+describe('ArrowConversion', () => {
+  describe('type guards', () => {
+    it('should recognize flechette and Apache Arrow tables', () => {
+      expect(isArrowTable(tableFromArrays({ a: [1, 2] }))).toBe(true);
+      expect(isArrowTable(arrow.tableFromArrays({ a: new Float64Array([1, 2]) }))).toBe(true);
+      expect(isArrowTable({ a: [1, 2] })).toBe(false);
+      expect(isArrowTable(null)).toBe(false);
+    });
+
+    it('should recognize plain column objects only', () => {
+      expect(isColumnObject({ a: [1, 2], b: new Float64Array(2) })).toBe(true);
+      expect(isColumnObject({ a: [1, 2], b: 'x' })).toBe(false);
+      expect(isColumnObject({})).toBe(false);
+      expect(isColumnObject([[1, 2]])).toBe(false);
+      expect(isColumnObject(new Map([['a', [1]]]))).toBe(false);
+    });
+  });
+
+  describe('rowsToColumns', () => {
+    it('should collect the union of keys in first-seen order', () => {
+      const columns = rowsToColumns([{ a: 1 }, { b: 'x', a: 2 }]);
+
+      expect(Object.keys(columns)).toEqual(['a', 'b']);
+      expect(columns.a).toEqual([1, 2]);
+      expect(columns.b).toEqual([undefined, 'x']);
+    });
+
+    it('should reject non-object rows', () => {
+      expect(() => rowsToColumns([{ a: 1 }, 5])).toThrow('Row data must be an array of objects');
+    });
+  });
+
+  describe('columnsToIPC', () => {
+    it('should infer DuckDB-friendly column types', () => {
+      const ipc = columnsToIPC({
+        id: [1, 2, null],
+        score: [1.5, 2, 3],
+        big: [1, 2, 2 ** 40],
+        count: [1n, 2n, 3n],
+        active: [true, false, null],
+        seen: [new Date('2024-01-01T12:30:00Z'), null, new Date('2024-02-01T00:00:00Z')],
+        name: ['a', null, 'c'],
+        empty: [null, null, null]
+      });
+
+      const table = tableFromIPC(ipc);
+
+      expect(table.numRows).toBe(3);
+      expect(fieldTypes(table)).toEqual({
+        id: Type.Int,
+        score: Type.Float,
+        big: Type.Float,
+        count: Type.Int,
+        active: Type.Bool,
+        seen: Type.Timestamp,
+        name: Type.Utf8,
+        empty: Type.Utf8
+      });
+      expect(table.getChild('id').toArray()).toEqual([1, 2, null]);
+      expect(table.getChild('seen').at(0)).toBe(Date.UTC(2024, 0, 1, 12, 30));
+    });
+
+    it('should store nested and mixed values as text', () => {
+      const table = tableFromIPC(columnsToIPC({
+        tags: [['a', 'b'], { x: 1 }],
+        mixed: [1, 'two']
+      }));
+
+      expect(table.getChild('tags').toArray()).toEqual(['["a","b"]', '{"x":1}']);
+      expect(table.getChild('mixed').toArray()).toEqual(['1', 'two']);
+    });
+
+    it('should use declared types instead of inferring them', () => {
+      const table = tableFromIPC(columnsToIPC(
+        { day: [new Date('2024-01-02T00:00:00Z'), null] },
+        { types: { day: dateDay() } }
+      ));
+
+      expect(fieldTypes(table)).toEqual({ day: Type.Date });
+    });
+
+    it('should reject columns of different lengths', () => {
+      expect(() => columnsToIPC({ a: [1, 2], b: [1] })).toThrow('All columns must have the same length');
+    });
+  });
+
+  describe('arrowTableToIPC', () => {
+    it('should serialize flechette tables', async () => {
+      const ipc = await arrowTableToIPC(tableFromArrays({ a: [1, 2, 3] }));
+      expect(tableFromIPC(ipc).numRows).toBe(3);
+    });
+
+    it('should serialize Apache Arrow tables', async () => {
+      const ipc = await arrowTableToIPC(arrow.tableFromArrays({ a: new Int32Array([1, 2]) }));
+      const table = arrow.tableFromIPC(ipc);
+
+      expect(table.numRows).toBe(2);
+      expect(table.getChild('a').toArray()).toEqual(new Int32Array([1, 2]));
+    });
+  });
+
+  describe('readArrowIPCBatches', () => {
+    const twoBatches = () => new arrow.Table([
+      ...arrow.tableFromArrays({ a: new Int32Array([1, 2]) }).batches,
+      ...arrow.tableFromArrays({ a: new Int32Array([3]) }).batches
+    ]);
+
+    it.each(['file', 'stream'])('should split the %s format into one stream per batch', async (format) => {
+      const { schema, batches } = await readArrowIPCBatches(arrow.tableToIPC(twoBatches(), format));
+      const streams = await collect(batches);
+
+      expect(schema.fields.map(field => field.name)).toEqual(['a']);
+      expect(streams.map(stream => stream.numRows)).toEqual([2, 1]);
+      expect(arrow.tableFromIPC(streams[1].ipc).getChild('a').toArray()).toEqual(new Int32Array([3]));
+    });
+
+    it('should decode chunked IPC streams incrementally', async () => {
+      const bytes = arrow.tableToIPC(twoBatches(), 'stream');
+      async function* chunks() {
+        for (let offset = 0; offset < bytes.length; offset += 100) {
+          yield bytes.subarray(offset, offset + 100);
+        }
+      }
+
+      const { batches } = await readArrowIPCBatches(chunks());
+
+      expect((await collect(batches)).map(stream => stream.numRows)).toEqual([2, 1]);
+    });
+
+    it('should produce a stream for schema-only sources', async () => {
+      const empty = new arrow.Table(new arrow.Schema([new arrow.Field('a', new arrow.Int32())]));
+      const streams = await collect((await readArrowIPCBatches(arrow.tableToIPC(empty, 'file'))).batches);
+
+      expect(streams).toHaveLength(1);
+      expect(arrow.tableFromIPC(streams[0].ipc).schema.fields[0].name).toBe('a');
+    });
+  });
+
+  describe('describeArrowFields', () => {
+    it('should report dictionary encoding and time zones', () => {
+      const table = new arrow.Table({
+        tag: arrow.vectorFromArray(['a', 'b'], new arrow.Dictionary(new arrow.Utf8(), new arrow.Int32())),
+        at: arrow.vectorFromArray([0, 1], new arrow.TimestampMillisecond('UTC')),
+        local: arrow.vectorFromArray([0, 1], new arrow.TimestampMillisecond()),
+        n: arrow.vectorFromArray([1, 2], new arrow.Int32())
+      });
+
+      expect(describeArrowFields(table.schema)).toEqual({
+        tag: { dictionary: true },
+        at: { timezone: 'UTC' }
+      });
+    });
+  });
+});
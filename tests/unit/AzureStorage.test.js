@@ -0,0 +1,321 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { createServer } from 'http';
+import { AzureStorage } from '../../src/data/AzureStorage.js';
+import { CloudStorage } from '../../src/data/CloudStorage.js';
+import { DataLoader } from '../../src/data/DataLoader.js';
+
+vi.mock('../../src/data/DuckDBHelpers.js', () => ({
+  detectSchema: vi.fn().mockResolvedValue({
+    region: { type: 'VARCHAR', nullable: true, vizType: 'categorical' },
+    amount: { type: 'BIGINT', nullable: true, vizType: 'histogram' }
+  }),
+  getRowCount: vi.fn().mockResolvedValue(2n),
+  getTableInfo: vi.fn()
+}));
+
+const ACCOUNT = 'devstoreaccount1';
+const SAS = 'sv=2021-08-06&sp=rl&sig=abc%2Bdef%3D';
+
+// Blobs in the 'data' container of the local Azurite stand-in
+const blobs = {
+  'sales/2023.csv': 'region,amount\nnorth,10\nsouth,20\n',
+  'sales/2024.csv': 'region,amount\neast,30\nwest,40\n',
+  'sales/archive/2022.csv': 'region,amount\nnorth,5\n',
+  'large.csv': 'region,amount\n' + Array.from({ length: 40 }, (_, i) => `r${i},${i}\n`).join('')
+};
+
+/**
+ * Answer a List Blobs request the way Azure and Azurite do
+ */
+function listBlobs(params) {
+  const prefix = params.get('prefix') || '';
+  const delimiter = params.get('delimiter');
+  const maxResults = Number(params.get('maxresults'));
+  const start = Number(params.get('marker') || 0);
+
+  const prefixes = new Set();
+  const names = [];
+  for (const name of Object.keys(blobs).filter(name => name.startsWith(prefix)).sort()) {
+    const rest = name.slice(prefix.length);
+    if (delimiter && rest.includes(delimiter)) {
+      prefixes.add(prefix + rest.slice(0, rest.indexOf(delimiter) + 1));
+    } else {
+      names.push(name);
+    }
+  }
+  const page = names.slice(start, start + maxResults);
+  const more = start + maxResults < names.length;
+
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    `<EnumerationResults ServiceEndpoint="http://127.0.0.1/${ACCOUNT}" ContainerName="data"><Prefix>${prefix}</Prefix><Blobs>` +
+    page.map(name => `<Blob><Name>${name}</Name><Properties><Last-Modified>Fri, 01 Mar 2024 12:00:00 GMT</Last-Modified>` +
+      `<Etag>"0x8DC"</Etag><Content-Length>${blobs[name].length}</Content-Length><Content-Type>text/csv</Content-Type>` +
+      '</Properties></Blob>').join('') +
+    [...prefixes].map(folder => `<BlobPrefix><Name>${folder}</Name></BlobPrefix>`).join('') +
+    `</Blobs><NextMarker>${more ? start + maxResults : ''}</NextMarker></EnumerationResults>`;
+}
+
+describe('AzureStorage', () => {
+  let server;
+  let endpoint;
+  let requests;
+  let etags;
+
+  beforeAll(async () => {
+    // An Azurite-style stand-in: /account/container/blob, authorized by SAS signature or bearer token
+    server = createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const [, account, container, ...rest] = url.pathname.split('/');
+      const name = rest.map(decodeURIComponent).join('/');
+      requests.push({ method: req.method, params: url.searchParams, headers: req.headers });
+
+      const fail = (status, code) => {
+        res.writeHead(status, { 'x-ms-error-code': code });
+        res.end(req.method === 'HEAD' ? undefined : `<Error><Code>${code}</Code></Error>`);
+      };
+
+      const authorized = url.searchParams.get('sig') === 'abc+def=' || req.headers.authorization === 'Bearer entra-token';
+      if (!authorized) return fail(403, 'AuthenticationFailed');
+      if (account !== ACCOUNT || container !== 'data') return fail(404, 'ContainerNotFound');
+
+      if (url.searchParams.get('comp') === 'list') {
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        res.end(listBlobs(url.searchParams));
+        return;
+      }
+      if (!(name in blobs)) return fail(404, 'BlobNotFound');
+
+      const body = Buffer.from(blobs[name]);
+      const etag = etags[name] || '"0x8DC"';
+      if (req.headers['if-match'] && req.headers['if-match'] !== etag) return fail(412, 'ConditionNotMet');
+
+      const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+      if (range) {
+        const [start, end] = [Number(range[1]), Math.min(Number(range[2]), body.length - 1)];
+        res.writeHead(206, { 'Content-Length': end - start + 1, 'Content-Range': `bytes ${start}-${end}/${body.length}`, ETag: etag });
+        res.end(body.subarray(start, end + 1));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Length': body.length, 'Content-Type': 'text/csv', ETag: etag });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/${ACCOUNT}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  let azure;
+
+  beforeEach(() => {
+    requests = [];
+    etags = {};
+    azure = new AzureStorage({ endpoint, sasToken: `?${SAS}` });
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('locations', () => {
+    it('should parse az:// paths, blob URLs and emulator URLs', () => {
+      const cloud = new AzureStorage({ account: 'acme' });
+      expect(cloud.parseLocation('az://data/sales/2024.csv')).toEqual({
+        endpoint: 'https://acme.blob.core.windows.net', container: 'data', blob: 'sales/2024.csv', query: ''
+      });
+      expect(cloud.parseLocation('https://other.blob.core.windows.net/data/Q1%202024.csv?sv=1&sig=x')).toEqual({
+        endpoint: 'https://other.blob.core.windows.net', container: 'data', blob: 'Q1 2024.csv', query: '?sv=1&sig=x'
+      });
+      expect(azure.parseLocation(`${endpoint}/data/sales/2024.csv`)).toMatchObject({ endpoint, container: 'data', blob: 'sales/2024.csv' });
+      expect(() => new AzureStorage().parseLocation('az://data/a.csv')).toThrow('need an account or endpoint');
+    });
+
+    it('should only send the configured credentials to the configured account', async () => {
+      const cloud = new AzureStorage({ account: 'acme', sasToken: SAS, token: async () => 'entra-token' });
+
+      const own = await cloud.authorize(cloud.parseLocation('https://acme.blob.core.windows.net/data/a.csv'));
+      expect(new URL(own.url).searchParams.get('sig')).toBe('abc+def=');
+      expect(own.headers.Authorization).toBe('Bearer entra-token');
+
+      const foreign = await cloud.authorize(cloud.parseLocation('https://other.blob.core.windows.net/data/a.csv'));
+      expect(foreign.url).toBe('https://other.blob.core.windows.net/data/a.csv');
+      expect(foreign.headers).not.toHaveProperty('Authorization');
+
+      // A foreign URL still uses the SAS token it carries
+      const shared = await cloud.authorize(cloud.parseLocation('https://other.blob.core.windows.net/data/a.csv?sv=1&sig=theirs'));
+      expect(new URL(shared.url).searchParams.get('sig')).toBe('theirs');
+    });
+
+    it('should recognize Azure locations', () => {
+      expect(azure.isLocation('az://data/a.csv')).toBe(true);
+      expect(azure.isLocation('https://acme.blob.core.windows.net/data/a.csv')).toBe(true);
+      expect(azure.isLocation(`${endpoint}/data/a.csv`)).toBe(true);
+      expect(azure.isLocation('https://example.com/data/a.csv')).toBe(false);
+    });
+
+    it('should merge SAS tokens into URLs that already have query parameters', async () => {
+      const { url } = await azure.authorize(azure.parseLocation(`${endpoint}/data/a.csv?snapshot=2024-03-01&sig=url-sig`), { comp: 'list' });
+      const params = new URL(url).searchParams;
+
+      expect(params.get('snapshot')).toBe('2024-03-01');
+      expect(params.get('sv')).toBe('2021-08-06');
+      expect(params.get('sig')).toBe('url-sig');
+      expect(params.get('comp')).toBe('list');
+    });
+  });
+
+  describe('list', () => {
+    it('should list blobs and virtual folders under a prefix', async () => {
+      const listing = await azure.list('az://data/sales/');
+
+      expect(requests[0].params.get('restype')).toBe('container');
+      expect(requests[0].headers['x-ms-version']).toBeTruthy();
+      expect(listing.folders).toEqual([{ prefix: 'sales/archive/', name: 'archive' }]);
+      expect(listing.files.map(file => file.name)).toEqual(['2023.csv', '2024.csv']);
+      expect(listing.files[0]).toMatchObject({ key: 'sales/2023.csv', size: 32, etag: '0x8DC', contentType: 'text/csv', format: 'csv' });
+      expect(listing.files[0].lastModified.toISOString()).toBe('2024-03-01T12:00:00.000Z');
+      expect(listing.nextToken).toBeNull();
+    });
+
+    it('should page through long listings with markers', async () => {
+      const first = await azure.list('az://data/', { delimiter: '', maxResults: 3 });
+      const second = await azure.list('az://data/', { delimiter: '', maxResults: 3, continuationToken: first.nextToken });
+
+      expect(first.nextToken).toBe('3');
+      expect(requests[1].params.get('marker')).toBe('3');
+      expect(second.files.map(file => file.key)).toEqual(['sales/archive/2022.csv']);
+      expect(second.nextToken).toBeNull();
+    });
+
+    it('should authorize with a bearer token from a provider', async () => {
+      const token = vi.fn().mockResolvedValue('entra-token');
+      const entra = new AzureStorage({ endpoint, token });
+
+      await entra.list('az://data/');
+
+      expect(token).toHaveBeenCalled();
+      expect(requests[0].params.has('sig')).toBe(false);
+    });
+
+    it('should report service error codes', async () => {
+      await expect(azure.list('az://missing/')).rejects.toThrow('Failed to list az://missing/: HTTP 404: ContainerNotFound');
+      await expect(new AzureStorage({ endpoint }).list('az://data/')).rejects.toThrow('HTTP 403: AuthenticationFailed');
+    });
+  });
+
+  describe('download', () => {
+    it('should download a small blob in one block', async () => {
+      const { bytes, name, contentType } = await azure.download('az://data/sales/2024.csv');
+
+      expect(new TextDecoder().decode(bytes)).toBe(blobs['sales/2024.csv']);
+      expect(name).toBe('2024.csv');
+      expect(contentType).toBe('text/csv');
+      expect(requests.map(request => request.method)).toEqual(['HEAD', 'GET']);
+    });
+
+    it('should download large blobs as parallel ranged blocks pinned to the ETag', async () => {
+      const blocks = new AzureStorage({ endpoint, sasToken: SAS, blockSize: 64, concurrency: 3 });
+      const onProgress = vi.fn();
+
+      const { bytes } = await blocks.download('az://data/large.csv', { onProgress });
+
+      const ranged = requests.filter(request => request.headers.range);
+      expect(new TextDecoder().decode(bytes)).toBe(blobs['large.csv']);
+      expect(ranged).toHaveLength(Math.ceil(blobs['large.csv'].length / 64));
+      expect(ranged.every(request => request.headers['if-match'] === '"0x8DC"')).toBe(true);
+      expect(onProgress).toHaveBeenLastCalledWith({
+        loaded: blobs['large.csv'].length,
+        total: blobs['large.csv'].length,
+        percent: 100,
+        stage: 'downloading'
+      });
+    });
+
+    it('should fail instead of mixing versions when the blob changes mid-download', async () => {
+      const blocks = new AzureStorage({ endpoint, sasToken: SAS, blockSize: 64, concurrency: 1 });
+      const download = blocks.download('az://data/large.csv', {
+        onProgress: () => { etags['large.csv'] = '"0x9AA"'; }
+      });
+
+      await expect(download).rejects.toThrow('Failed to download az://data/large.csv: HTTP 412: ConditionNotMet');
+    });
+
+    it('should reject missing blobs and containers', async () => {
+      await expect(azure.download('az://data/missing.csv')).rejects.toThrow('HTTP 404: BlobNotFound');
+      await expect(azure.download('az://data/')).rejects.toThrow('names a container, not a blob');
+    });
+
+    it('should stop with an AbortError when aborted', async () => {
+      const controller = new AbortController();
+      const blocks = new AzureStorage({ endpoint, sasToken: SAS, blockSize: 64, concurrency: 2 });
+
+      const download = blocks.download('az://data/large.csv', { signal: controller.signal, onProgress: () => controller.abort() });
+
+      await expect(download).rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+
+  describe('loading', () => {
+    let dataLoader;
+
+    beforeEach(() => {
+      dataLoader = new DataLoader({
+        log: { info: vi.fn(), debug: vi.fn(), warn: vi.fn(), error: vi.fn() },
+        options: {},
+        db: { registerFileText: vi.fn().mockResolvedValue(), registerFileURL: vi.fn().mockResolvedValue(), dropFile: vi.fn().mockResolvedValue() },
+        conn: { query: vi.fn().mockResolvedValue({ toArray: () => [] }) },
+        cloudStorage: new CloudStorage({ azure: { endpoint, sasToken: SAS } })
+      });
+    });
+
+    it('should load az:// paths with the data table storage settings', async () => {
+      const onProgress = vi.fn();
+      const result = await dataLoader.load('az://data/sales/2024.csv', { onProgress });
+
+      expect(result).toMatchObject({ format: 'csv', container: 'data', blob: 'sales/2024.csv' });
+      expect(dataLoader.dataTable.db.registerFileText).toHaveBeenCalledWith(expect.any(String), blobs['sales/2024.csv']);
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ stage: 'downloading', loaded: 30 }));
+    });
+
+    it('should route URLs under the emulator endpoint to Azure', async () => {
+      const loadFromStorage = vi.spyOn(dataLoader, 'loadFromStorage');
+
+      await dataLoader.load(`${endpoint}/data/sales/2023.csv`);
+
+      expect(loadFromStorage).toHaveBeenCalledWith(`${endpoint}/data/sales/2023.csv`, dataLoader.dataTable.cloudStorage.azure, {});
+    });
+
+    it('should read Parquet in place with a SAS URL when lazy', async () => {
+      const loadRemoteParquet = vi.spyOn(dataLoader, 'loadRemoteParquet').mockResolvedValue({ tableName: 'sales', view: true });
+
+      const result = await dataLoader.load('az://data/sales.parquet', { lazy: true });
+
+      const url = new URL(loadRemoteParquet.mock.calls[0][0]);
+      expect(url.pathname).toBe(`/${ACCOUNT}/data/sales.parquet`);
+      expect(url.searchParams.get('sig')).toBe('abc+def=');
+      expect(result).toMatchObject({ container: 'data', blob: 'sales.parquet' });
+      expect(requests).toHaveLength(0);
+    });
+
+    it('should load through CloudStorage.loadFromAzure with its own settings', async () => {
+      dataLoader.dataTable.cloudStorage = null;
+      const storage = new CloudStorage({ azure: { endpoint, token: 'entra-token' } });
+      const dataTable = { loadData: vi.fn((source, options) => dataLoader.load(source, options)) };
+
+      const result = await storage.loadFromAzure({ container: 'data', blob: 'sales/2023.csv' }, dataTable);
+
+      expect(dataTable.loadData).toHaveBeenCalledWith('az://data/sales/2023.csv', { cloudStorage: storage });
+      expect(result.blob).toBe('sales/2023.csv');
+      expect(requests[0].headers.authorization).toBe('Bearer entra-token');
+    });
+
+    it('should need storage settings for az:// paths', async () => {
+      dataLoader.dataTable.cloudStorage = null;
+      await expect(dataLoader.load('az://data/sales/2023.csv')).rejects.toThrow('Loading az:// locations needs cloud storage settings');
+    });
+  });
+});
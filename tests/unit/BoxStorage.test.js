@@ -0,0 +1,236 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { BoxStorage } from '../../src/data/BoxStorage.js';
+import { CloudStorage } from '../../src/data/CloudStorage.js';
+import { DataLoader } from '../../src/data/DataLoader.js';
+
+vi.mock('../../src/data/DuckDBHelpers.js', () => ({
+  detectSchema: vi.fn().mockResolvedValue({
+    region: { type: 'VARCHAR', nullable: true, vizType: 'categorical' },
+    amount: { type: 'BIGINT', nullable: true, vizType: 'histogram' }
+  }),
+  getRowCount: vi.fn().mockResolvedValue(2n),
+  getTableInfo: vi.fn()
+}));
+
+const SALES_CSV = 'region,amount\neast,30\nwest,40\n';
+
+// Items in the root folder of the local Box stand-in
+const rootItems = [
+  { type: 'folder', id: '11', name: 'Archive' },
+  { type: 'file', id: '101', name: 'sales.csv', size: SALES_CSV.length, modified_at: '2024-03-01T04:00:00-08:00', etag: '3' },
+  { type: 'file', id: '102', name: 'notes.txt', size: 5, modified_at: '2024-03-02T04:00:00-08:00', etag: '1' },
+  { type: 'web_link', id: '201', name: 'Dashboard' }
+];
+
+describe('BoxStorage', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let validTokens;
+  let refreshTokens;
+  let codeChallenge;
+  let issuedTokens;
+
+  beforeAll(async () => {
+    // A Box stand-in: the OAuth token endpoint, folder items, file info and redirected downloads
+    server = createServer(async (req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const json = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+      requests.push({ path: url.pathname, params: url.searchParams, headers: req.headers });
+
+      if (url.pathname === '/oauth2/token') {
+        let text = '';
+        for await (const chunk of req) text += chunk;
+        const form = new URLSearchParams(text);
+
+        const verified = form.get('grant_type') === 'authorization_code' && form.get('code') === 'box-code' &&
+          createHash('sha256').update(form.get('code_verifier')).digest('base64url') === codeChallenge;
+        const refreshed = form.get('grant_type') === 'refresh_token' && refreshTokens.delete(form.get('refresh_token'));
+        if (!verified && !refreshed) {
+          return json(400, { error: 'invalid_grant', error_description: 'Invalid grant' });
+        }
+
+        const n = ++issuedTokens;
+        validTokens.add(`access-${n}`);
+        refreshTokens.add(`refresh-${n}`);
+        return json(200, { access_token: `access-${n}`, refresh_token: `refresh-${n}`, expires_in: 3600, token_type: 'bearer' });
+      }
+
+      if (url.pathname === '/download/101') {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': SALES_CSV.length });
+        res.end(SALES_CSV);
+        return;
+      }
+
+      const token = req.headers.authorization?.replace(/^Bearer /, '');
+      if (!validTokens.has(token)) {
+        return json(401, { type: 'error', status: 401, code: 'unauthorized', message: 'Unauthorized' });
+      }
+
+      if (url.pathname === '/2.0/folders/0/items') {
+        const offset = Number(url.searchParams.get('offset'));
+        const limit = Number(url.searchParams.get('limit'));
+        return json(200, { total_count: rootItems.length, entries: rootItems.slice(offset, offset + limit), offset, limit });
+      }
+      if (url.pathname === '/2.0/files/101') {
+        return json(200, { type: 'file', id: '101', name: 'sales.csv' });
+      }
+      if (url.pathname === '/2.0/files/101/content') {
+        res.writeHead(302, { Location: `${baseURL}/download/101` });
+        res.end();
+        return;
+      }
+      return json(404, { type: 'error', status: 404, code: 'not_found', message: 'Not Found' });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    validTokens = new Set(['app-token']);
+    refreshTokens = new Set();
+    issuedTokens = 0;
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('tokens', () => {
+    it('should sign in with OAuth2 PKCE and keep refreshing the tokens', async () => {
+      const onTokens = vi.fn();
+      const box = new BoxStorage({
+        clientId: 'box-client',
+        redirectUri: 'https://app.example.com/box',
+        tokenUrl: `${baseURL}/oauth2/token`,
+        apiUrl: `${baseURL}/2.0`,
+        onTokens
+      });
+
+      const { url, state } = await box.beginAuthorization();
+      expect(url).toMatch(/^https:\/\/account\.box\.com\/api\/oauth2\/authorize\?/);
+      codeChallenge = new URL(url).searchParams.get('code_challenge');
+
+      await box.completeAuthorization(`https://app.example.com/box?code=box-code&state=${state}`);
+      await box.list('0');
+      expect(requests.at(-1).headers.authorization).toBe('Bearer access-1');
+
+      // Box revoked the access token: the request is retried once with a refreshed one
+      validTokens.delete('access-1');
+      await box.list('0');
+      expect(requests.at(-1).headers.authorization).toBe('Bearer access-2');
+      expect(onTokens).toHaveBeenLastCalledWith(expect.objectContaining({ accessToken: 'access-2', refreshToken: 'refresh-2' }));
+    });
+
+    it('should use a token supplied by the app', async () => {
+      const box = new BoxStorage({ token: 'app-token', apiUrl: `${baseURL}/2.0` });
+
+      await box.list();
+
+      expect(requests[0].headers.authorization).toBe('Bearer app-token');
+    });
+
+    it('should ask a token provider for a new token when one is refused', async () => {
+      const token = vi.fn(async ({ forceRefresh }) => (forceRefresh ? 'app-token' : 'stale-token'));
+      const box = new BoxStorage({ token, apiUrl: `${baseURL}/2.0` });
+
+      await box.list();
+
+      expect(token.mock.calls.map(([options]) => options)).toEqual([{ forceRefresh: false }, { forceRefresh: true }]);
+      expect(requests).toHaveLength(2);
+    });
+
+    it('should not retry a fixed token that is refused', async () => {
+      const box = new BoxStorage({ token: 'stale-token', apiUrl: `${baseURL}/2.0` });
+
+      await expect(box.list()).rejects.toThrow('Failed to list Box folder 0: HTTP 401: unauthorized - Unauthorized');
+      expect(requests).toHaveLength(1);
+    });
+
+    it('should need a token or a client ID', async () => {
+      await expect(new BoxStorage().list()).rejects.toThrow('Box requests need a token or a clientId');
+      await expect(new BoxStorage({ token: 'app-token' }).beginAuthorization()).rejects.toThrow('Box sign-in needs a clientId');
+    });
+  });
+
+  describe('list', () => {
+    it('should list files and subfolders of a folder', async () => {
+      const box = new BoxStorage({ token: 'app-token', apiUrl: `${baseURL}/2.0` });
+
+      const listing = await box.list('box://0');
+
+      expect(requests[0].params.get('fields')).toContain('size');
+      expect(listing.folders).toEqual([{ id: '11', name: 'Archive' }]);
+      expect(listing.files.map(file => file.name)).toEqual(['sales.csv', 'notes.txt']);
+      expect(listing.files[0]).toMatchObject({ id: '101', key: 'box://101', size: 30, etag: '3', format: 'csv' });
+      expect(listing.files[0].lastModified.toISOString()).toBe('2024-03-01T12:00:00.000Z');
+      expect(listing.nextToken).toBeNull();
+    });
+
+    it('should page through large folders by offset', async () => {
+      const box = new BoxStorage({ token: 'app-token', apiUrl: `${baseURL}/2.0` });
+
+      const first = await box.list('0', { limit: 2 });
+      const second = await box.list('0', { limit: 2, continuationToken: first.nextToken });
+
+      expect(first.nextToken).toBe('2');
+      expect(second.files.map(file => file.id)).toEqual(['102']);
+      expect(second.nextToken).toBeNull();
+    });
+
+    it('should reject invalid IDs and report Box errors', async () => {
+      const box = new BoxStorage({ token: 'app-token', apiUrl: `${baseURL}/2.0` });
+
+      expect(() => box.parseLocation('box://Shared Data')).toThrow('Invalid Box location: box://Shared Data');
+      await expect(box.list('999')).rejects.toThrow('Failed to list Box folder 999: HTTP 404: not_found - Not Found');
+    });
+  });
+
+  describe('loading', () => {
+    let dataLoader;
+    let storage;
+
+    beforeEach(() => {
+      storage = new CloudStorage({ box: { token: 'app-token', apiUrl: `${baseURL}/2.0` } });
+      dataLoader = new DataLoader({
+        log: { info: vi.fn(), debug: vi.fn(), warn: vi.fn(), error: vi.fn() },
+        options: {},
+        db: { registerFileText: vi.fn().mockResolvedValue(), dropFile: vi.fn().mockResolvedValue() },
+        conn: { query: vi.fn().mockResolvedValue({ toArray: () => [] }) },
+        cloudStorage: storage
+      });
+    });
+
+    it('should load box:// files with format detection and progress', async () => {
+      const onProgress = vi.fn();
+      const result = await dataLoader.load('box://101', { onProgress });
+
+      expect(result).toMatchObject({ format: 'csv', boxFileId: '101' });
+      expect(result.tableName).toMatch(/^sales_/);
+      expect(dataLoader.dataTable.db.registerFileText).toHaveBeenCalledWith(expect.any(String), SALES_CSV);
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ stage: 'downloading', loaded: 30, total: 30 }));
+    });
+
+    it('should load listed files through CloudStorage.loadFromBox', async () => {
+      const { files } = await storage.listBox();
+      dataLoader.dataTable.cloudStorage = null;
+      const dataTable = { loadData: vi.fn((source, options) => dataLoader.load(source, options)) };
+
+      const result = await storage.loadFromBox(files[0], dataTable);
+
+      expect(dataTable.loadData).toHaveBeenCalledWith('box://101', { cloudStorage: storage });
+      expect(result.boxFileId).toBe('101');
+    });
+  });
+});
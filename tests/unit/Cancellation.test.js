@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { isAbortError, createAbortError, throwIfAborted, abortable } from '../../src/data/Cancellation.js';
+
+describe('Cancellation', () => {
+  it('should recognize AbortErrors by name', () => {
+    expect(isAbortError(new DOMException('stop', 'AbortError'))).toBe(true);
+    expect(isAbortError(new Error('stop'))).toBe(false);
+    expect(isAbortError(undefined)).toBe(false);
+  });
+
+  it('should reuse the default abort reason', () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    expect(createAbortError(controller.signal)).toBe(controller.signal.reason);
+  });
+
+  it('should wrap other reasons in an AbortError', () => {
+    const controller = new AbortController();
+    controller.abort('Cancelled by user');
+
+    const error = createAbortError(controller.signal);
+    expect(error.name).toBe('AbortError');
+    expect(error.message).toBe('Cancelled by user');
+  });
+
+  it('should only throw once the signal is aborted', () => {
+    const controller = new AbortController();
+
+    expect(() => throwIfAborted(undefined)).not.toThrow();
+    expect(() => throwIfAborted(controller.signal)).not.toThrow();
+
+    controller.abort();
+    expect(() => throwIfAborted(controller.signal)).toThrow(expect.objectContaining({ name: 'AbortError' }));
+  });
+
+  it('should reject a pending promise as soon as the signal aborts', async () => {
+    const controller = new AbortController();
+    const pending = abortable(new Promise(() => {}), controller.signal);
+
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('should pass results and errors through when not aborted', async () => {
+    const controller = new AbortController();
+
+    await expect(abortable(Promise.resolve(42), controller.signal)).resolves.toBe(42);
+    await expect(abortable(Promise.reject(new Error('boom')), controller.signal)).rejects.toThrow('boom');
+    await expect(abortable(Promise.resolve('plain'), undefined)).resolves.toBe('plain');
+  });
+});
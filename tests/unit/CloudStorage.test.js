@@ -0,0 +1,394 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { createServer } from 'http';
+import { CloudStorage } from '../../src/data/CloudStorage.js';
+import { S3Storage } from '../../src/data/S3Storage.js';
+import { DataLoader } from '../../src/data/DataLoader.js';
+
+vi.mock('../../src/data/DuckDBHelpers.js', () => ({
+  detectSchema: vi.fn().mockResolvedValue({
+    region: { type: 'VARCHAR', nullable: true, vizType: 'categorical' },
+    amount: { type: 'BIGINT', nullable: true, vizType: 'histogram' }
+  }),
+  getRowCount: vi.fn().mockResolvedValue(2n),
+  getTableInfo: vi.fn()
+}));
+
+// Objects in the 'datasets' bucket of the local S3 stand-in
+const objects = {
+  'sales/2023.csv': 'region,amount\nnorth,10\nsouth,20\n',
+  'sales/2024.csv': 'region,amount\neast,30\nwest,40\n',
+  'sales/archive/2022.csv': 'region,amount\nnorth,5\n',
+  'sales/archive/': '',
+  'readme.txt': 'Sales data'
+};
+
+const xmlError = (code, message) =>
+  `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`;
+
+/**
+ * Answer a ListObjectsV2 request the way S3 and MinIO do
+ */
+function listObjects(params) {
+  const prefix = params.get('prefix') || '';
+  const delimiter = params.get('delimiter');
+  const maxKeys = Number(params.get('max-keys'));
+  const start = Number(params.get('continuation-token') || 0);
+
+  const keys = Object.keys(objects).filter(key => key.startsWith(prefix)).sort();
+  const prefixes = new Set();
+  const contents = [];
+  for (const key of keys) {
+    const rest = key.slice(prefix.length);
+    if (delimiter && rest.includes(delimiter) && rest.indexOf(delimiter) < rest.length - 1) {
+      prefixes.add(prefix + rest.slice(0, rest.indexOf(delimiter) + 1));
+    } else {
+      contents.push(key);
+    }
+  }
+  const page = contents.slice(start, start + maxKeys);
+  const truncated = start + maxKeys < contents.length;
+
+  return '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' +
+    `<Name>datasets</Name><Prefix>${prefix}</Prefix><KeyCount>${page.length}</KeyCount>` +
+    `<IsTruncated>${truncated}</IsTruncated>` +
+    (truncated ? `<NextContinuationToken>${start + maxKeys}</NextContinuationToken>` : '') +
+    page.map(key => `<Contents><Key>${key}</Key><LastModified>2024-03-01T12:00:00.000Z</LastModified>` +
+      `<ETag>"abc123"</ETag><Size>${Buffer.byteLength(objects[key])}</Size></Contents>`).join('') +
+    [...prefixes].map(folder => `<CommonPrefixes><Prefix>${folder}</Prefix></CommonPrefixes>`).join('') +
+    '</ListBucketResult>';
+}
+
+describe('CloudStorage', () => {
+  let server;
+  let endpoint;
+  let requests;
+
+  beforeAll(async () => {
+    // A MinIO-style stand-in with path-style addressing: /bucket/key
+    server = createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const [, bucket, ...rest] = url.pathname.split('/');
+      const key = decodeURIComponent(rest.join('/'));
+      requests.push({ path: url.pathname, params: url.searchParams, headers: req.headers });
+
+      const signed = req.headers.authorization?.startsWith('AWS4-HMAC-SHA256 Credential=minio/') ||
+        url.searchParams.get('X-Amz-Credential')?.startsWith('minio/');
+      if (!signed) {
+        res.writeHead(403, { 'Content-Type': 'application/xml' });
+        res.end(xmlError('AccessDenied', 'Access Denied.'));
+        return;
+      }
+      if (bucket !== 'datasets') {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        res.end(xmlError('NoSuchBucket', 'The specified bucket does not exist'));
+        return;
+      }
+
+      if (url.searchParams.get('list-type') === '2') {
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        res.end(listObjects(url.searchParams));
+      } else if (key in objects && req.headers.range) {
+        const [, start, end] = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range);
+        const body = objects[key].slice(Number(start), end ? Number(end) + 1 : undefined);
+        res.writeHead(206, { 'Content-Type': 'application/octet-stream', 'Content-Length': Buffer.byteLength(body) });
+        res.end(body);
+      } else if (key in objects) {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': Buffer.byteLength(objects[key]) });
+        res.end(objects[key]);
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        res.end(xmlError('NoSuchKey', 'The specified key does not exist.'));
+      }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  let storage;
+
+  beforeEach(() => {
+    requests = [];
+    storage = new CloudStorage({
+      s3: {
+        endpoint,
+        forcePathStyle: true,
+        credentials: { accessKeyId: 'minio', secretAccessKey: 'minio-secret' }
+      }
+    });
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('S3 locations', () => {
+    it('should parse s3:// URIs and bucket/key objects', () => {
+      const s3 = new S3Storage();
+      expect(s3.parseLocation('s3://datasets/sales/2024.csv')).toEqual({ bucket: 'datasets', key: 'sales/2024.csv' });
+      expect(s3.parseLocation('s3://datasets')).toEqual({ bucket: 'datasets', key: '' });
+      expect(s3.parseLocation({ bucket: 'datasets' })).toEqual({ bucket: 'datasets', key: '' });
+      expect(() => s3.parseLocation('https://example.com/a.csv')).toThrow('Invalid S3 location');
+    });
+
+    it('should address buckets virtual-hosted on AWS and path-style when asked', () => {
+      const aws = new S3Storage({ region: 'eu-west-1' });
+      expect(aws.objectURL('datasets', 'sales/Q1 2024.csv'))
+        .toBe('https://datasets.s3.eu-west-1.amazonaws.com/sales/Q1%202024.csv');
+      expect(aws.objectURL('my.datasets', 'a.csv')).toBe('https://s3.eu-west-1.amazonaws.com/my.datasets/a.csv');
+
+      const minio = new S3Storage({ endpoint: 'http://localhost:9000/', forcePathStyle: true });
+      expect(minio.objectURL('datasets', 'a.csv')).toBe('http://localhost:9000/datasets/a.csv');
+    });
+  });
+
+  describe('listS3', () => {
+    it('should list files and folders under a prefix with a signed request', async () => {
+      const listing = await storage.listS3('s3://datasets/sales/');
+
+      expect(requests[0].headers.authorization).toContain('/us-east-1/s3/aws4_request');
+      expect(requests[0].params.get('prefix')).toBe('sales/');
+      expect(listing.folders).toEqual([{ prefix: 'sales/archive/', name: 'archive' }]);
+      expect(listing.files.map(file => file.name)).toEqual(['2023.csv', '2024.csv']);
+      expect(listing.files[0]).toMatchObject({
+        key: 'sales/2023.csv',
+        size: 32,
+        etag: 'abc123',
+        format: 'csv'
+      });
+      expect(listing.files[0].lastModified.toISOString()).toBe('2024-03-01T12:00:00.000Z');
+      expect(listing.nextToken).toBeNull();
+    });
+
+    it('should page through long listings with continuation tokens', async () => {
+      const keys = [];
+      let continuationToken;
+      do {
+        const page = await storage.listS3({ bucket: 'datasets' }, { delimiter: '', maxKeys: 2, continuationToken });
+        keys.push(...page.files.map(file => file.key));
+        continuationToken = page.nextToken;
+      } while (continuationToken);
+
+      expect(requests).toHaveLength(3);
+      expect(requests[1].params.get('continuation-token')).toBe('2');
+      expect(keys).toEqual(['readme.txt', 'sales/2023.csv', 'sales/2024.csv', 'sales/archive/2022.csv']);
+    });
+
+    it('should report S3 error codes', async () => {
+      await expect(storage.listS3('s3://missing/'))
+        .rejects.toThrow('Failed to list s3://missing/: HTTP 404: NoSuchBucket - The specified bucket does not exist');
+
+      const anonymous = new CloudStorage({ s3: { endpoint, forcePathStyle: true } });
+      await expect(anonymous.listS3('s3://datasets/')).rejects.toThrow('HTTP 403: AccessDenied');
+    });
+
+    it('should resolve credentials from a provider function', async () => {
+      const credentials = vi.fn().mockResolvedValue({ accessKeyId: 'minio', secretAccessKey: 'minio-secret', sessionToken: 'sts' });
+      const refreshed = new CloudStorage({ s3: { endpoint, forcePathStyle: true, credentials } });
+
+      await refreshed.listS3('s3://datasets/');
+
+      expect(credentials).toHaveBeenCalled();
+      expect(requests[0].headers['x-amz-security-token']).toBe('sts');
+    });
+  });
+
+  describe('loadFromS3', () => {
+    let dataLoader;
+    let dataTable;
+
+    beforeEach(() => {
+      dataLoader = new DataLoader({
+        log: { info: vi.fn(), debug: vi.fn(), warn: vi.fn(), error: vi.fn() },
+        options: {},
+        db: { registerFileText: vi.fn().mockResolvedValue(), dropFile: vi.fn().mockResolvedValue() },
+        conn: { query: vi.fn().mockResolvedValue({ toArray: () => [] }) }
+      });
+      dataTable = { loadData: vi.fn((source, options) => dataLoader.load(source, options)) };
+    });
+
+    it('should load s3:// locations through the provider with signed requests', async () => {
+      const onProgress = vi.fn();
+      const result = await storage.loadFromS3({ bucket: 'datasets', key: 'sales/2024.csv' }, dataTable, { onProgress });
+
+      expect(dataTable.loadData).toHaveBeenCalledWith('s3://datasets/sales/2024.csv', { onProgress, cloudStorage: storage });
+      expect(requests.at(-1).headers.authorization).toMatch(/^AWS4-HMAC-SHA256 /);
+
+      expect(result).toMatchObject({ format: 'csv', location: 's3://datasets/sales/2024.csv', bucket: 'datasets', key: 'sales/2024.csv' });
+      expect(result.tableName).toMatch(/^table_2024_/);
+      expect(dataLoader.dataTable.db.registerFileText).toHaveBeenCalledWith(
+        expect.any(String),
+        'region,amount\neast,30\nwest,40\n'
+      );
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ stage: 'downloading', loaded: 30 }));
+    });
+
+    it('should presign lazy Parquet reads with the requested lifetime', async () => {
+      dataLoader.dataTable.db.registerFileURL = vi.fn().mockResolvedValue();
+
+      await storage.loadFromS3('s3://datasets/sales/2024.parquet', dataTable, { lazy: true, expiresIn: 600 });
+
+      const [, url] = dataLoader.dataTable.db.registerFileURL.mock.calls[0];
+      expect(url).toMatch(new RegExp(`^${endpoint}/datasets/sales/2024\\.parquet\\?X-Amz-Algorithm=`));
+      expect(new URL(url).searchParams.get('X-Amz-Expires')).toBe('600');
+    });
+
+    it('should load presigned URLs as they are', async () => {
+      const url = `${endpoint}/datasets/readme.txt?X-Amz-Credential=minio%2Fscope&X-Amz-Signature=abc`;
+      dataTable.loadData = vi.fn().mockResolvedValue({ tableName: 'readme' });
+
+      await storage.loadFromS3(url, dataTable);
+
+      expect(dataTable.loadData).toHaveBeenCalledWith(url, {});
+    });
+
+    it('should refuse to load a bucket', async () => {
+      await expect(storage.loadFromS3('s3://datasets/', dataTable)).rejects.toThrow('names a bucket, not an object');
+    });
+  });
+
+  describe('providers', () => {
+    let dataLoader;
+
+    beforeEach(() => {
+      dataLoader = new DataLoader({
+        log: { info: vi.fn(), debug: vi.fn(), warn: vi.fn(), error: vi.fn() },
+        options: {},
+        db: { registerFileText: vi.fn().mockResolvedValue(), dropFile: vi.fn().mockResolvedValue() },
+        conn: { query: vi.fn().mockResolvedValue({ toArray: () => [] }) },
+        cloudStorage: storage
+      });
+    });
+
+    it('should route s3:// loads to the S3 provider with signed reads', async () => {
+      const result = await dataLoader.load('s3://datasets/sales/2023.csv');
+
+      expect(requests[0].headers.authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=minio\//);
+      expect(result).toMatchObject({ format: 'csv', location: 's3://datasets/sales/2023.csv', bucket: 'datasets', key: 'sales/2023.csv' });
+      expect(dataLoader.dataTable.db.registerFileText).toHaveBeenCalledWith(expect.any(String), objects['sales/2023.csv']);
+    });
+
+    it('should read byte ranges and list through the provider for a scheme', async () => {
+      const { response, name } = await storage.read('s3://datasets/sales/2024.csv', { range: { start: 0, end: 5 } });
+      const listing = await storage.list('s3://datasets/sales/');
+
+      expect(response.status).toBe(206);
+      expect(await response.text()).toBe('region');
+      expect(name).toBe('2024.csv');
+      expect(requests[0].headers['x-amz-content-sha256']).toBe('UNSIGNED-PAYLOAD');
+      expect(listing.files.map(file => file.key)).toEqual(['sales/2023.csv', 'sales/2024.csv']);
+    });
+
+    it('should read Parquet in place with a presigned URL when lazy', async () => {
+      const loadRemoteParquet = vi.spyOn(dataLoader, 'loadRemoteParquet').mockResolvedValue({ tableName: 'sales', view: true });
+
+      const result = await dataLoader.load('s3://datasets/sales.parquet', { lazy: true });
+
+      expect(loadRemoteParquet.mock.calls[0][0]).toMatch(new RegExp(`^${endpoint}/datasets/sales\\.parquet\\?X-Amz-Algorithm=`));
+      expect(result).toMatchObject({ bucket: 'datasets', key: 'sales.parquet' });
+      expect(requests).toHaveLength(0);
+    });
+
+    it('should load custom schemes with a registered provider', async () => {
+      const provider = {
+        read: vi.fn(async location => ({
+          response: new Response('region,amount\nnorth,1\nsouth,2\n', { headers: { 'Content-Type': 'text/csv' } }),
+          name: 'regions.csv',
+          details: { dataset: location.replace('warehouse://', '') }
+        })),
+        list: vi.fn().mockResolvedValue({ folders: [], files: [], nextToken: null })
+      };
+      expect(storage.register('warehouse', provider)).toBe(storage);
+
+      const result = await dataLoader.load('warehouse://sales/regions', { tableName: 'regions' });
+      await storage.list('WAREHOUSE://sales/');
+
+      expect(provider.read).toHaveBeenCalledWith('warehouse://sales/regions', expect.objectContaining({ signal: undefined }));
+      expect(result).toMatchObject({ tableName: 'regions', format: 'csv', dataset: 'sales/regions' });
+      expect(provider.list).toHaveBeenCalledWith('WAREHOUSE://sales/', {});
+      expect(storage.getProvider('warehouse')).toBe(provider);
+    });
+
+    it('should resume provider reads that break off with a byte range read', async () => {
+      const text = 'region,amount\nnorth,1\nsouth,2\n';
+      const bytes = new TextEncoder().encode(text);
+      const read = vi.fn(async (location, { range }) => {
+        if (range) {
+          return new Response(bytes.slice(range.start), { status: 206, headers: { 'Content-Range': `bytes ${range.start}-${bytes.length - 1}/${bytes.length}` } });
+        }
+        // The first read delivers 10 bytes, then the connection drops
+        let pulls = 0;
+        const body = new ReadableStream({
+          pull(controller) {
+            if (pulls++ === 0) {
+              controller.enqueue(bytes.slice(0, 10));
+            } else {
+              controller.error(new TypeError('network error'));
+            }
+          }
+        });
+        return { response: new Response(body, { headers: { 'Content-Length': String(bytes.length) } }), name: 'regions.csv' };
+      });
+      storage.register('warehouse', { read });
+      const onProgress = vi.fn();
+
+      const result = await dataLoader.load('warehouse://regions', { retryDelay: 1, headers: { 'X-Api-Key': 'key' }, onProgress });
+
+      expect(read.mock.calls[1][1]).toMatchObject({ range: { start: 10 }, headers: { 'X-Api-Key': 'key' } });
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ stage: 'retrying', attempt: 1, error: 'network error' }));
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ stage: 'resuming', loaded: 10, total: bytes.length }));
+      expect(result.format).toBe('csv');
+      expect(dataLoader.dataTable.db.registerFileText).toHaveBeenCalledWith(expect.any(String), text);
+    });
+
+    it('should retry S3 reads that fail with a server error', async () => {
+      const fetchSpy = vi.spyOn(globalThis, 'fetch')
+        .mockResolvedValueOnce(new Response(xmlError('SlowDown', 'Please reduce your request rate.'), { status: 503 }));
+
+      const result = await dataLoader.load('s3://datasets/sales/2023.csv', { retryDelay: 1 });
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+      expect(result.key).toBe('sales/2023.csv');
+      fetchSpy.mockRestore();
+    });
+
+    it('should accept providers that read plain responses and providers passed as settings', async () => {
+      const read = vi.fn().mockResolvedValue(new Response('[{"region":"east","amount":3}]'));
+      dataLoader.dataTable.cloudStorage = new CloudStorage({ providers: { 'lake+api': { read } } });
+
+      const result = await dataLoader.load('lake+api://exports/sales.json');
+
+      expect(result).toMatchObject({ format: 'json', location: 'lake+api://exports/sales.json' });
+    });
+
+    it('should reject reserved schemes and providers that cannot read', () => {
+      expect(() => storage.register('https', { read: vi.fn() })).toThrow('Invalid storage scheme: https');
+      expect(() => storage.register('data api', { read: vi.fn() })).toThrow('Invalid storage scheme: data api');
+      expect(() => storage.register('warehouse', { list: vi.fn() })).toThrow('a read(location, options) method is required');
+    });
+
+    it('should report schemes without a provider', async () => {
+      storage.register('warehouse', { read: vi.fn() });
+      expect(storage.unregister('warehouse')).toBe(true);
+
+      await expect(dataLoader.load('warehouse://sales/regions')).rejects.toThrow('No storage provider is registered for warehouse:// locations');
+      storage.register('warehouse', { read: vi.fn() });
+      await expect(storage.list('warehouse://sales/')).rejects.toThrow('does not support listing');
+
+      dataLoader.dataTable.cloudStorage = null;
+      await expect(dataLoader.load('s3://datasets/sales/2023.csv')).rejects.toThrow('Loading s3:// locations needs cloud storage settings');
+    });
+
+    it('should still load raw text that mentions a scheme', async () => {
+      const result = await dataLoader.load('link,amount\ns3://datasets/a.csv,1\n', { format: 'csv' });
+
+      expect(result.format).toBe('csv');
+      expect(requests).toHaveLength(0);
+    });
+  });
+});
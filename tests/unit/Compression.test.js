@@ -0,0 +1,42 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { decompress } from '../../src/data/Compression.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = (name) => new Uint8Array(readFileSync(join(__dirname, '../fixtures', name)));
+const sampleCSV = readFileSync(join(__dirname, '../fixtures/sample.csv'), 'utf8');
+
+describe('Compression', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should decompress gzip data', async () => {
+    const contents = await decompress(fixture('sample.csv.gz'), 'gzip');
+
+    expect(new TextDecoder().decode(contents)).toBe(sampleCSV);
+  });
+
+  it('should decompress zstd data', async () => {
+    const contents = await decompress(fixture('sample.csv.zst'), 'zstd');
+
+    expect(new TextDecoder().decode(contents)).toBe(sampleCSV);
+  });
+
+  it('should fall back to bundled decoders without DecompressionStream', async () => {
+    vi.stubGlobal('DecompressionStream', undefined);
+
+    const contents = await decompress(fixture('sample.csv.gz'), 'gzip');
+
+    expect(new TextDecoder().decode(contents)).toBe(sampleCSV);
+  });
+
+  it('should reject corrupt data and unknown formats', async () => {
+    const corrupt = new Uint8Array([0x1f, 0x8b, 0x08, 0x00, 0xff, 0xff, 0xff]);
+
+    await expect(decompress(corrupt, 'gzip')).rejects.toThrow();
+    await expect(decompress(corrupt, 'brotli')).rejects.toThrow('Unsupported compression format: brotli');
+  });
+});
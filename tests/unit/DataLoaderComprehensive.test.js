@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { DataLoader } from '../../src/data/DataLoader.js';
+import { detectSchema, getRowCount } from '../../src/data/DuckDBHelpers.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -31,6 +32,10 @@ vi.mock('../../src/data/DuckDBHelpers.js', () => ({
   })
 }));
 
+vi.mock('@duckdb/duckdb-wasm', () => ({
+  DuckDBDataProtocol: { BUFFER: 0, BROWSER_FILEREADER: 2, HTTP: 4 }
+}));
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
@@ -40,18 +45,24 @@ describe('DataLoader Comprehensive Tests', () => {
   let mockDb;
   let mockConn;
 
+  // SQL sent to the mock connection, with whitespace collapsed
+  const queries = () => mockConn.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+
   beforeEach(() => {
     // Mock DuckDB connection
     mockConn = {
       query: vi.fn().mockResolvedValue({
         toArray: vi.fn().mockReturnValue([{ count: 10 }])
-      })
+      }),
+      insertArrowFromIPCStream: vi.fn().mockResolvedValue()
     };
 
     // Mock DuckDB instance
     mockDb = {
       registerFileText: vi.fn().mockResolvedValue(),
-      registerFileBuffer: vi.fn().mockResolvedValue()
+      registerFileBuffer: vi.fn().mockResolvedValue(),
+      registerFileHandle: vi.fn().mockResolvedValue(),
+      dropFile: vi.fn().mockResolvedValue()
     };
 
     // Mock DataTable
@@ -59,6 +70,7 @@ describe('DataLoader Comprehensive Tests', () => {
       log: {
         info: vi.fn(),
         debug: vi.fn(),
+        warn: vi.fn(),
         error: vi.fn()
       },
       options: {
@@ -163,9 +175,144 @@ describe('DataLoader Comprehensive Tests', () => {
       );
     });
 
+    it('should keep the default reader options when no CSV options are given', async () => {
+      await dataLoader.loadCSV('a,b\n1,2', { tableName: 'defaults' });
+
+      expect(mockConn.query).toHaveBeenCalledWith(
+        "CREATE OR REPLACE TABLE defaults AS SELECT * FROM read_csv_auto('defaults.csv', delim=',', header=true, auto_detect=true, sample_size=1000)"
+      );
+    });
+
+    it('should pass CSV dialect options through to read_csv', async () => {
+      await dataLoader.loadCSV('# export\nx;y\n1,5;NA', {
+        tableName: 'european',
+        delimiter: ';',
+        comment: '#',
+        nullStrings: ['NA', '\\N'],
+        decimalSeparator: ',',
+        dateFormat: '%d.%m.%Y',
+        columnTypes: { y: 'VARCHAR' },
+        sampleSize: -1
+      });
+
+      expect(mockConn.query).toHaveBeenCalledWith(
+        "CREATE OR REPLACE TABLE european AS SELECT * FROM read_csv_auto('european.csv', delim=';', comment='#', header=true, auto_detect=true, sample_size=-1, nullstr=['NA', '\\N'], decimal_separator=',', dateformat='%d.%m.%Y', types={'y': 'VARCHAR'})"
+      );
+    });
+
+    it('should skip malformed rows in lenient mode and report them', async () => {
+      mockConn.query.mockImplementation(async (sql) => ({
+        toArray: () => {
+          if (sql.startsWith('SELECT COUNT(*)')) return [{ errors: 2n, count: 2n }];
+          if (sql.startsWith('SELECT line')) {
+            return [
+              { line: 3n, column_name: null, error_type: 'TOO MANY COLUMNS', error_message: 'Expected 2 columns, found 3', csv_line: '2,b,extra' },
+              { line: 5n, column_name: 'id', error_type: 'CAST', error_message: 'Could not convert "x" to BIGINT', csv_line: 'x,d' }
+            ];
+          }
+          return [];
+        }
+      }));
+
+      const result = await dataLoader.loadCSV('id,name\n1,a\n2,b,extra\n3,c\nx,d\n', { tableName: 'messy', lenient: true });
+
+      expect(mockConn.query).toHaveBeenCalledWith(
+        "CREATE OR REPLACE TABLE messy AS SELECT * FROM read_csv_auto('messy.csv', delim=',', header=true, auto_detect=true, sample_size=1000, ignore_errors=true, store_rejects=true, rejects_table='messy_rejects', rejects_scan='messy_reject_scans')"
+      );
+      expect(result.rejects).toEqual({
+        count: 2,
+        errorCount: 2,
+        errors: [
+          { line: 3, column: null, type: 'TOO MANY COLUMNS', reason: 'Expected 2 columns, found 3', text: '2,b,extra' },
+          { line: 5, column: 'id', type: 'CAST', reason: 'Could not convert "x" to BIGINT', text: 'x,d' }
+        ]
+      });
+      expect(mockConn.query).toHaveBeenCalledWith('DROP TABLE IF EXISTS messy_rejects');
+      expect(mockConn.query).toHaveBeenCalledWith('DROP TABLE IF EXISTS messy_reject_scans');
+      expect(mockDataTable.log.warn).toHaveBeenCalledWith('Skipped 2 malformed CSV rows');
+    });
+
+    it('should count a line with several errors as one skipped row', async () => {
+      mockConn.query.mockImplementation(async (sql) => ({
+        toArray: () => {
+          if (sql.startsWith('SELECT COUNT(*)')) return [{ errors: 2n, count: 1n }];
+          if (sql.startsWith('SELECT line')) {
+            return [
+              { line: 3n, column_name: 'id', error_type: 'CAST', error_message: 'Could not convert "x" to BIGINT', csv_line: 'x,b,extra' },
+              { line: 3n, column_name: null, error_type: 'TOO MANY COLUMNS', error_message: 'Expected 2 columns, found 3', csv_line: 'x,b,extra' }
+            ];
+          }
+          return [];
+        }
+      }));
+
+      const result = await dataLoader.loadCSV('id,name\n1,a\nx,b,extra\n', { tableName: 'messy', lenient: true });
+
+      expect(mockConn.query).toHaveBeenCalledWith(
+        'SELECT COUNT(*) AS errors, (SELECT COUNT(*) FROM (SELECT DISTINCT file_id, line FROM messy_rejects)) AS count FROM messy_rejects'
+      );
+      expect(result.rejects).toMatchObject({ count: 1, errorCount: 2 });
+      expect(result.rejects.errors.map(error => error.type)).toEqual(['CAST', 'TOO MANY COLUMNS']);
+      expect(mockDataTable.log.warn).toHaveBeenCalledWith('Skipped 1 malformed CSV rows');
+    });
+
+    it('should not report rejects unless lenient', async () => {
+      const result = await dataLoader.loadCSV('a\n1', { tableName: 'strict' });
+
+      expect(result).not.toHaveProperty('rejects');
+      expect(mockConn.query).not.toHaveBeenCalledWith(expect.stringContaining('store_rejects'));
+    });
+
+    it('should suggest lenient mode when a row is malformed', async () => {
+      mockConn.query.mockRejectedValueOnce(new Error('Invalid Input Error: CSV Error on Line: 3'));
+
+      await expect(dataLoader.loadCSV('a,b\n1,2\n3,4,5')).rejects.toThrow(
+        'Failed to load CSV data: Invalid Input Error: CSV Error on Line: 3 (load with lenient: true to skip malformed rows)'
+      );
+    });
+
+    it('should decode legacy and UTF-16 encodings and drop byte order marks', async () => {
+      // 'name\nMüller' in Windows-1252
+      const latin = new Uint8Array([0x6e, 0x61, 0x6d, 0x65, 0x0a, 0x4d, 0xfc, 0x6c, 0x6c, 0x65, 0x72]);
+      const latinResult = await dataLoader.loadCSV(latin, { tableName: 'latin' });
+
+      expect(mockDb.registerFileText).toHaveBeenCalledWith('latin.csv', 'name\nMüller');
+      expect(latinResult.encoding).toBe('windows-1252');
+
+      const utf16 = new Uint8Array([0xff, 0xfe, ...Array.from('id,name\n1,a', char => [char.charCodeAt(0), 0]).flat()]);
+      const utf16Result = await dataLoader.loadCSV(utf16, { tableName: 'wide' });
+
+      expect(mockDb.registerFileText).toHaveBeenCalledWith('wide.csv', 'id,name\n1,a');
+      expect(utf16Result.encoding).toBe('utf-16le');
+    });
+
+    it('should honor an explicit encoding', async () => {
+      const bytes = new TextEncoder().encode('name\nabc');
+
+      await dataLoader.loadCSV(bytes, { tableName: 'koi', encoding: 'koi8-r' });
+      await expect(dataLoader.loadCSV(bytes, { encoding: 'bogus' })).rejects.toThrow('Unsupported encoding: bogus');
+    });
+
+    it('should reject invalid CSV options', async () => {
+      await expect(dataLoader.loadCSV('a\n1', { skipRows: -2 })).rejects.toThrow(
+        'Failed to load CSV data: Invalid skipRows: -2'
+      );
+      expect(mockConn.query).not.toHaveBeenCalled();
+    });
+
   });
 
   describe('JSON Loading Tests', () => {
+    it('should decode JSON in legacy encodings', async () => {
+      // '[{"city":"Zürich"}]' in Windows-1252
+      const bytes = new Uint8Array([...new TextEncoder().encode('[{"city":"Z'), 0xfc, ...new TextEncoder().encode('rich"}]')]);
+
+      const result = await dataLoader.loadJSON(bytes, { tableName: 'cities' });
+
+      expect(mockDb.registerFileText).toHaveBeenCalledWith('cities.json', '[{"city":"Zürich"}]');
+      expect(result.encoding).toBe('windows-1252');
+    });
+
     it('should load JSON array in Direct mode', async () => {
       const jsonData = JSON.stringify([
         { name: 'Alice', age: 30, city: 'NYC' },
@@ -224,9 +371,97 @@ describe('DataLoader Comprehensive Tests', () => {
       );
     });
 
+    it('should read newline-delimited JSON', async () => {
+      const ndjson = '{"level": "info"}\n{"level": "warn"}\n';
+
+      const result = await dataLoader.loadNDJSON(ndjson, { tableName: 'logs' });
+
+      expect(mockConn.query).toHaveBeenCalledWith(
+        "CREATE OR REPLACE TABLE logs AS SELECT * FROM read_json_auto('logs.json', format='newline_delimited')"
+      );
+      expect(result.format).toBe('ndjson');
+    });
+
+    it('should detect .jsonl files and NDJSON content', async () => {
+      const ndjson = '{"a": 1}\n{"a": 2}';
+      const mockFile = (name) => ({
+        name,
+        size: ndjson.length,
+        arrayBuffer: vi.fn().mockResolvedValue(new TextEncoder().encode(ndjson))
+      });
+
+      expect((await dataLoader.loadFile(mockFile('events.jsonl'))).format).toBe('ndjson');
+      expect((await dataLoader.loadFile(mockFile('events.json'))).format).toBe('ndjson');
+    });
+
+    it('should load records from a wrapper key', async () => {
+      const jsonData = JSON.stringify({ meta: { page: 1 }, data: [{ id: 1 }, { id: 2 }] });
+
+      await dataLoader.loadJSON(jsonData, { tableName: 'wrapped', recordsPath: 'data' });
+
+      expect(mockDb.registerFileText).toHaveBeenCalledWith('wrapped.json', '{"id":1}\n{"id":2}');
+      expect(mockConn.query).toHaveBeenCalledWith(expect.stringContaining("format='newline_delimited'"));
+    });
+
+    it('should flatten nested objects into dotted columns', async () => {
+      const jsonData = JSON.stringify([{ id: 1, user: { name: 'Alice', address: { city: 'NYC' } }, tags: ['a'] }]);
+
+      await dataLoader.loadJSON(jsonData, { tableName: 'flat', flatten: true });
+
+      expect(mockDb.registerFileText).toHaveBeenCalledWith(
+        'flat.json',
+        '{"id":1,"user.name":"Alice","user.address.city":"NYC","tags":["a"]}'
+      );
+    });
+
+    it('should report a missing records path', async () => {
+      await expect(
+        dataLoader.loadJSON('{"data": []}', { recordsPath: 'results' })
+      ).rejects.toThrow('Failed to load JSON data: recordsPath "results" was not found in the JSON document');
+      expect(mockDb.registerFileText).not.toHaveBeenCalled();
+    });
+
     // Worker mode removed - JSON loading now uses same connection pattern as Direct mode
   });
 
+  describe('GeoJSON Loading Tests', () => {
+    const places = {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', id: 1, properties: { name: 'Berlin' }, geometry: { type: 'Point', coordinates: [13.4, 52.5] } },
+        { type: 'Feature', id: 2, properties: { name: 'Nowhere' }, geometry: null }
+      ]
+    };
+
+    it('should load features as rows with a WKT geometry column', async () => {
+      const bytes = new TextEncoder().encode(JSON.stringify(places));
+      const file = { name: 'places.geojson', size: bytes.length, arrayBuffer: vi.fn().mockResolvedValue(bytes.buffer) };
+
+      const result = await dataLoader.loadFile(file, { tableName: 'places' });
+
+      expect(mockDb.registerFileText).toHaveBeenCalledWith(
+        'places.json',
+        '{"id":1,"name":"Berlin","geometry":"POINT (13.4 52.5)"}\n{"id":2,"name":"Nowhere","geometry":null}'
+      );
+      expect(result).toMatchObject({ tableName: 'places', format: 'geojson', geometryColumn: 'geometry' });
+      expect(result.schema.geometry).toMatchObject({ isGeometry: true, geometryFormat: 'wkt', vizType: 'geometry' });
+    });
+
+    it('should use a custom geometry column name', async () => {
+      const result = await dataLoader.loadGeoJSON(JSON.stringify(places.features[0]), { tableName: 'city', geometryColumn: 'shape' });
+
+      expect(mockDb.registerFileText).toHaveBeenCalledWith('city.json', '{"id":1,"name":"Berlin","shape":"POINT (13.4 52.5)"}');
+      expect(result.schema.shape.isGeometry).toBe(true);
+    });
+
+    it('should reject documents that are not GeoJSON', async () => {
+      await expect(dataLoader.loadGeoJSON('[{"a": 1}]')).rejects.toThrow('Failed to read GeoJSON: Not a GeoJSON document');
+      await expect(dataLoader.loadGeoJSON('{"type": "FeatureCollection", "features": []}')).rejects.toThrow(
+        'GeoJSON contains no features'
+      );
+    });
+  });
+
   describe('Parquet Loading Tests', () => {
     it('should load Parquet from Uint8Array in Direct mode', async () => {
       const parquetData = new Uint8Array([80, 65, 82, 49]); // Mock Parquet magic bytes
@@ -270,6 +505,72 @@ describe('DataLoader Comprehensive Tests', () => {
     // Worker mode removed - Parquet loading now uses same connection pattern as Direct mode
   });
 
+  describe('Raw Data Loading Tests', () => {
+    it('should load an array of row objects through Arrow IPC', async () => {
+      const rows = [
+        { name: 'Alice', age: 30 },
+        { name: 'Bob', age: 25 }
+      ];
+
+      const result = await dataLoader.load(rows, { tableName: 'rows_table' });
+
+      expect(mockConn.query).toHaveBeenCalledWith('DROP TABLE IF EXISTS rows_table');
+      expect(mockConn.insertArrowFromIPCStream).toHaveBeenCalledWith(
+        expect.any(Uint8Array),
+        { name: 'rows_table', create: true }
+      );
+      expect(result.tableName).toBe('rows_table');
+      expect(result.format).toBe('rows');
+    });
+
+    it('should load a column object', async () => {
+      const result = await dataLoader.load({ x: [1, 2, 3], y: ['a', 'b', 'c'] });
+
+      expect(mockConn.insertArrowFromIPCStream).toHaveBeenCalledTimes(1);
+      expect(result.tableName).toMatch(/data_\d+_\w+/);
+      expect(result.format).toBe('columns');
+    });
+
+    it('should load an Arrow table', async () => {
+      const { tableFromArrays } = await import('@uwdata/flechette');
+
+      const result = await dataLoader.load(tableFromArrays({ value: [1.5, 2.5] }), {
+        tableName: 'arrow_table'
+      });
+
+      expect(mockConn.insertArrowFromIPCStream).toHaveBeenCalledWith(
+        expect.any(Uint8Array),
+        { name: 'arrow_table', create: true }
+      );
+      expect(result.format).toBe('arrow');
+    });
+
+    it('should sniff raw JSON and CSV text', async () => {
+      const jsonResult = await dataLoader.load('[{"a": 1}]', { tableName: 'json_text' });
+      const csvResult = await dataLoader.load('a,b\n1,2', { tableName: 'csv_text' });
+
+      expect(mockDb.registerFileText).toHaveBeenCalledWith('json_text.json', '[{"a": 1}]');
+      expect(mockDb.registerFileText).toHaveBeenCalledWith('csv_text.csv', 'a,b\n1,2');
+      expect(jsonResult.format).toBe('json');
+      expect(csvResult.format).toBe('csv');
+    });
+
+    it('should report conversion errors', async () => {
+      await expect(dataLoader.load([{ a: 1 }, 'not a row'])).rejects.toThrow(
+        'Failed to convert raw data: Row data must be an array of objects'
+      );
+      expect(mockConn.insertArrowFromIPCStream).not.toHaveBeenCalled();
+    });
+
+    it('should wrap DuckDB insert errors', async () => {
+      mockConn.insertArrowFromIPCStream.mockRejectedValue(new Error('Arrow insert failed'));
+
+      await expect(dataLoader.load([{ a: 1 }])).rejects.toThrow(
+        'Failed to load Arrow data: Arrow insert failed'
+      );
+    });
+  });
+
   describe('File Loading Integration', () => {
     it('should detect format from filename and load CSV file', async () => {
       const csvContent = 'name,age\nAlice,30\nBob,25';
@@ -340,6 +641,1058 @@ describe('DataLoader Comprehensive Tests', () => {
     });
   });
 
+  describe('ArrayBuffer Loading Tests', () => {
+    const parquetBytes = () => new Uint8Array([0x50, 0x41, 0x52, 0x31, 0x15, 0x04, 0x00, 0x00]);
+
+    it('should detect Parquet from magic bytes in an ArrayBuffer', async () => {
+      const result = await dataLoader.load(parquetBytes().buffer, { tableName: 'buffer_parquet' });
+
+      expect(result.format).toBe('parquet');
+      expect(mockDb.registerFileBuffer).toHaveBeenCalledWith('buffer_parquet.parquet', expect.any(Uint8Array));
+    });
+
+    it('should detect delimited text in a Uint8Array', async () => {
+      const csvText = 'name,age\nAlice,30';
+
+      const result = await dataLoader.load(new TextEncoder().encode(csvText), { tableName: 'bytes_csv' });
+
+      expect(result.format).toBe('csv');
+      expect(mockDb.registerFileText).toHaveBeenCalledWith('bytes_csv.csv', csvText);
+    });
+
+    it('should respect a view into a larger buffer', async () => {
+      const backing = new Uint8Array(16);
+      backing.set(parquetBytes(), 4);
+
+      const result = await dataLoader.loadArrayBuffer(new DataView(backing.buffer, 4, 8));
+
+      expect(result.format).toBe('parquet');
+    });
+
+    it('should load a Blob through loadFile', async () => {
+      const loadFileSpy = vi.spyOn(dataLoader, 'loadFile');
+      const blob = new Blob(['[{"a": 1}]'], { type: 'application/json' });
+      blob.arrayBuffer = vi.fn().mockResolvedValue(new TextEncoder().encode('[{"a": 1}]'));
+
+      const result = await dataLoader.load(blob);
+
+      expect(loadFileSpy).toHaveBeenCalledWith(blob, {});
+      expect(result.format).toBe('json');
+    });
+
+    it('should load misnamed files by their content', async () => {
+      const mockFile = {
+        name: 'export.csv',
+        size: 8,
+        arrayBuffer: vi.fn().mockResolvedValue(parquetBytes())
+      };
+
+      const result = await dataLoader.loadFile(mockFile);
+
+      expect(result.format).toBe('parquet');
+      expect(mockDataTable.log.warn).toHaveBeenCalledWith(
+        'export.csv looks like parquet rather than csv, loading as parquet'
+      );
+    });
+
+    it('should load text saved with a binary extension as text', async () => {
+      const csvText = 'a,b\n1,2';
+      const mockFile = {
+        name: 'data.parquet',
+        size: csvText.length,
+        arrayBuffer: vi.fn().mockResolvedValue(new TextEncoder().encode(csvText))
+      };
+
+      const result = await dataLoader.loadFile(mockFile);
+
+      expect(result.format).toBe('csv');
+    });
+
+    it('should fail clearly on unrecognized binary content', async () => {
+      const binary = new Uint8Array([0x00, 0x01, 0x02, 0x03, 0xfe, 0x00, 0x10, 0x11]);
+
+      await expect(dataLoader.loadArrayBuffer(binary, { filename: 'blob.bin' })).rejects.toThrow(
+        'Cannot load blob.bin: content is not a recognized data format'
+      );
+      expect(mockDb.registerFileText).not.toHaveBeenCalled();
+    });
+
+    it('should fail clearly on empty buffers', async () => {
+      await expect(dataLoader.loadArrayBuffer(new ArrayBuffer(0))).rejects.toThrow(
+        'Cannot load buffer: the source is empty'
+      );
+    });
+  });
+
+  describe('Arrow IPC Loading Tests', () => {
+    const multiBatchTable = async () => {
+      const arrow = await import('apache-arrow');
+      const first = arrow.tableFromArrays({ id: new Int32Array([1, 2]) });
+      const second = arrow.tableFromArrays({ id: new Int32Array([3]) });
+      return { arrow, table: new arrow.Table([...first.batches, ...second.batches]) };
+    };
+
+    it('should insert each record batch of an Arrow IPC file', async () => {
+      const { arrow, table } = await multiBatchTable();
+
+      const result = await dataLoader.loadArrayBuffer(arrow.tableToIPC(table, 'file'), {
+        tableName: 'arrow_file'
+      });
+
+      expect(result.format).toBe('arrow');
+      expect(mockConn.query).toHaveBeenCalledWith('DROP TABLE IF EXISTS arrow_file');
+      expect(mockConn.insertArrowFromIPCStream.mock.calls.map(([, options]) => options)).toEqual([
+        { name: 'arrow_file', create: true },
+        { name: 'arrow_file', create: false }
+      ]);
+    });
+
+    it('should load Arrow IPC streams from .arrows files', async () => {
+      const { arrow, table } = await multiBatchTable();
+      const mockFile = {
+        name: 'events.arrows',
+        size: 1024,
+        arrayBuffer: vi.fn().mockResolvedValue(arrow.tableToIPC(table, 'stream'))
+      };
+
+      const result = await dataLoader.loadFile(mockFile);
+
+      expect(result.format).toBe('arrow');
+      expect(result.tableName).toMatch(/^events_\d+_\w+$/);
+      expect(mockConn.insertArrowFromIPCStream).toHaveBeenCalledTimes(2);
+    });
+
+    it('should annotate dictionary and time zone columns in the schema', async () => {
+      const arrow = await import('apache-arrow');
+      const { detectSchema } = await import('../../src/data/DuckDBHelpers.js');
+      detectSchema.mockResolvedValueOnce({
+        status: { type: 'VARCHAR', nullable: true, vizType: 'categorical' },
+        code: { type: 'INTEGER', nullable: true, vizType: 'histogram' },
+        seen: { type: 'TIMESTAMP WITH TIME ZONE', nullable: true, vizType: 'temporal' }
+      });
+      const table = new arrow.Table({
+        status: arrow.vectorFromArray(['open', 'closed'], new arrow.Dictionary(new arrow.Utf8(), new arrow.Int32())),
+        code: arrow.vectorFromArray([200, 404], new arrow.Dictionary(new arrow.Int32(), new arrow.Int8())),
+        seen: arrow.vectorFromArray([0, 1000], new arrow.TimestampMillisecond('Europe/Paris'))
+      });
+
+      const result = await dataLoader.loadArrow(arrow.tableToIPC(table, 'file'), { filename: 'log.feather' });
+
+      expect(result.schema).toEqual({
+        status: { type: 'VARCHAR', nullable: true, vizType: 'categorical', dictionary: true },
+        code: { type: 'INTEGER', nullable: true, vizType: 'categorical', dictionary: true },
+        seen: { type: 'TIMESTAMP WITH TIME ZONE', nullable: true, vizType: 'temporal', timezone: 'Europe/Paris' }
+      });
+    });
+
+    it('should drop a partially loaded table when an insert fails', async () => {
+      const { arrow, table } = await multiBatchTable();
+      mockConn.insertArrowFromIPCStream
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('Conversion error'));
+
+      await expect(
+        dataLoader.loadArrow(arrow.tableToIPC(table, 'stream'), { tableName: 'broken' })
+      ).rejects.toThrow('Failed to load Arrow data: Conversion error');
+
+      expect(mockConn.query).toHaveBeenLastCalledWith('DROP TABLE IF EXISTS broken');
+    });
+
+    it('should reject corrupt Arrow data', async () => {
+      const corrupt = new Uint8Array([0x41, 0x52, 0x52, 0x4f, 0x57, 0x31, 0, 0, 1, 2, 3]);
+
+      await expect(dataLoader.loadArrow(corrupt)).rejects.toThrow('Failed to load Arrow data');
+      expect(mockConn.insertArrowFromIPCStream).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Excel Loading Tests', () => {
+    const workbookFile = () => {
+      const bytes = new Uint8Array(readFileSync(join(__dirname, '../fixtures/sample.xlsx')));
+      return { name: 'sales.xlsx', size: bytes.length, arrayBuffer: vi.fn().mockResolvedValue(bytes.buffer) };
+    };
+
+    it('should load the first visible sheet of an .xlsx file', async () => {
+      const result = await dataLoader.loadFile(workbookFile(), { tableName: 'sales' });
+
+      expect(mockConn.insertArrowFromIPCStream).toHaveBeenCalledWith(
+        expect.any(Uint8Array),
+        { name: 'sales', create: true }
+      );
+      expect(result).toMatchObject({
+        tableName: 'sales',
+        format: 'xlsx',
+        sheet: 'Sales',
+        sheets: ['Secret', 'Sales', 'Report']
+      });
+    });
+
+    it('should select sheets by name, index or callback', async () => {
+      expect((await dataLoader.loadFile(workbookFile(), { sheet: 'report', headerRow: 3 })).sheet).toBe('Report');
+      expect((await dataLoader.loadFile(workbookFile(), { sheet: 0 })).sheet).toBe('Secret');
+
+      const chooseSheet = vi.fn(async (names) => names[names.length - 1]);
+      const result = await dataLoader.loadFile(workbookFile(), { sheet: chooseSheet, headerRow: 3 });
+
+      expect(chooseSheet).toHaveBeenCalledWith(['Secret', 'Sales', 'Report']);
+      expect(result.sheet).toBe('Report');
+    });
+
+    it('should list sheets without loading them', async () => {
+      const sheets = await dataLoader.listSheets(workbookFile());
+
+      expect(sheets).toEqual([
+        { name: 'Secret', hidden: true },
+        { name: 'Sales', hidden: false },
+        { name: 'Report', hidden: false }
+      ]);
+      expect(mockConn.query).not.toHaveBeenCalled();
+    });
+
+    it('should report unknown sheets', async () => {
+      await expect(dataLoader.loadFile(workbookFile(), { sheet: 'Budget' })).rejects.toThrow(
+        'Failed to read Excel workbook: Sheet "Budget" not found. Available sheets: Secret, Sales, Report'
+      );
+    });
+  });
+
+  describe('SQLite Loading Tests', () => {
+    const databaseFile = () => {
+      const bytes = new Uint8Array(readFileSync(join(__dirname, '../fixtures/inventory.sqlite')));
+      return { name: 'inventory.db', size: bytes.length, arrayBuffer: vi.fn().mockResolvedValue(bytes.buffer) };
+    };
+
+    beforeEach(() => {
+      mockConn.query.mockImplementation(async (sql) => ({
+        toArray: () => (sql.includes('information_schema.tables') ?
+          [{ table_name: 'order items' }, { table_name: 'products' }, { table_name: 'sqlite_sequence' }] :
+          [{ count: 2 }])
+      }));
+    });
+
+    const attachedAlias = () => mockConn.query.mock.calls
+      .map(([sql]) => sql.match(/^ATTACH '(\w+)\.sqlite' AS (\w+) \(TYPE SQLITE, READ_ONLY\)$/))
+      .find(Boolean)[2];
+
+    it('should import the first table of a database recognized by its header', async () => {
+      const result = await dataLoader.loadFile(databaseFile(), { tableName: 'items' });
+      const alias = attachedAlias();
+
+      expect(mockDb.registerFileBuffer).toHaveBeenCalledWith(`${alias}.sqlite`, expect.any(Uint8Array));
+      expect(mockConn.query).toHaveBeenCalledWith('LOAD sqlite');
+      expect(mockConn.query).toHaveBeenCalledWith(`CREATE OR REPLACE TABLE items AS SELECT * FROM ${alias}.main."order items"`);
+      expect(mockConn.query).toHaveBeenLastCalledWith(`DETACH ${alias}`);
+      expect(mockDb.dropFile).toHaveBeenCalledWith(`${alias}.sqlite`);
+      expect(result).toMatchObject({
+        tableName: 'items',
+        format: 'sqlite',
+        sourceTable: 'order items',
+        sourceTables: ['order items', 'products']
+      });
+    });
+
+    it('should import a chosen table or every table', async () => {
+      const chosen = await dataLoader.loadFile(databaseFile(), { table: 'PRODUCTS' });
+      expect(chosen.sourceTable).toBe('products');
+
+      const all = await dataLoader.loadFile(databaseFile(), { allTables: true, tableName: 'inventory' });
+      expect(all.tables.map(({ sourceTable }) => sourceTable)).toEqual(['order items', 'products']);
+      expect(all.tableName).toBe('inventory');
+      expect(all.tables[1].tableName).toMatch(/^products_/);
+
+      // The extension is only loaded once
+      expect(mockConn.query.mock.calls.filter(([sql]) => sql === 'LOAD sqlite')).toHaveLength(1);
+    });
+
+    it('should drop the tables already imported when a later table fails', async () => {
+      mockConn.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('CREATE') && sql.endsWith('.main.products')) {
+          throw new Error('Conversion Error: malformed value');
+        }
+        return { toArray: () => (sql.includes('information_schema.tables') ? [{ table_name: 'order items' }, { table_name: 'products' }] : [{ count: 2 }]) };
+      });
+
+      await expect(dataLoader.loadFile(databaseFile(), { allTables: true })).rejects.toThrow('Failed to import SQLite table products: Conversion Error');
+
+      const [first] = mockConn.query.mock.calls.map(([sql]) => sql.match(/^CREATE OR REPLACE TABLE (\w+) AS .*"order items"$/)).filter(Boolean);
+      expect(mockConn.query).toHaveBeenCalledWith(`DROP TABLE IF EXISTS ${first[1]}`);
+    });
+
+    it('should reject an aborted import without waiting for the drops', async () => {
+      const controller = new AbortController();
+      const pendingDrops = [];
+      mockConn.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('CREATE') && sql.endsWith('.main.products')) {
+          controller.abort();
+        }
+        if (sql.startsWith('DROP TABLE')) {
+          await new Promise(resolve => pendingDrops.push(resolve));
+        }
+        return { toArray: () => (sql.includes('information_schema.tables') ? [{ table_name: 'order items' }, { table_name: 'products' }] : [{ count: 2 }]) };
+      });
+
+      await expect(
+        dataLoader.loadFile(databaseFile(), { allTables: true, signal: controller.signal })
+      ).rejects.toMatchObject({ name: 'AbortError' });
+
+      const [first] = mockConn.query.mock.calls.map(([sql]) => sql.match(/^CREATE OR REPLACE TABLE (\w+) AS .*"order items"$/)).filter(Boolean);
+      expect(mockConn.query).toHaveBeenCalledWith(`DROP TABLE IF EXISTS ${first[1]}`);
+      pendingDrops.forEach(resolve => resolve());
+    });
+
+    it('should list tables with their row counts', async () => {
+      const tables = await dataLoader.listSQLiteTables(databaseFile());
+
+      expect(tables).toEqual([{ name: 'order items', rowCount: 2 }, { name: 'products', rowCount: 2 }]);
+      expect(mockConn.query).toHaveBeenCalledWith(`SELECT COUNT(*) AS count FROM ${attachedAlias()}.main."order items"`);
+    });
+
+    it('should report unknown tables and detach the database', async () => {
+      await expect(dataLoader.loadFile(databaseFile(), { table: 'customers' })).rejects.toThrow(
+        'SQLite table "customers" not found. Available tables: order items, products'
+      );
+      expect(mockConn.query).toHaveBeenLastCalledWith(`DETACH ${attachedAlias()}`);
+    });
+
+    it('should explain databases that cannot be opened', async () => {
+      mockConn.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('ATTACH')) throw new Error('file is not a database');
+        return { toArray: () => [] };
+      });
+
+      await expect(dataLoader.loadSQLite(new Uint8Array(16))).rejects.toThrow(
+        'Failed to open SQLite database: file is not a database'
+      );
+      expect(mockDb.dropFile).toHaveBeenCalled();
+    });
+  });
+
+  describe('Compressed and Archive Loading Tests', () => {
+    const fixtureFile = (fixtureName, name = fixtureName) => {
+      const bytes = new Uint8Array(readFileSync(join(__dirname, '../fixtures', fixtureName)));
+      return { name, size: bytes.length, arrayBuffer: vi.fn().mockResolvedValue(bytes.buffer) };
+    };
+    const sampleCSV = () => readFileSync(join(__dirname, '../fixtures/sample.csv'), 'utf8');
+
+    it('should decompress .csv.gz files and load the CSV inside', async () => {
+      const result = await dataLoader.loadFile(fixtureFile('sample.csv.gz'));
+
+      expect(result).toMatchObject({ format: 'csv', compression: 'gzip' });
+      expect(result.tableName).toMatch(/^sample_\d+_\w+$/);
+      expect(mockDb.registerFileText).toHaveBeenCalledWith(`${result.tableName}.csv`, sampleCSV());
+    });
+
+    it('should decompress zstd data detected from magic bytes', async () => {
+      const bytes = new Uint8Array(readFileSync(join(__dirname, '../fixtures/sample.csv.zst')));
+
+      const result = await dataLoader.loadArrayBuffer(bytes, { tableName: 'zstd_table' });
+
+      expect(result).toMatchObject({ tableName: 'zstd_table', format: 'csv', compression: 'zstd' });
+      expect(mockDb.registerFileText).toHaveBeenCalledWith('zstd_table.csv', sampleCSV());
+    });
+
+    it('should report corrupt compressed files', async () => {
+      const corrupt = { name: 'broken.csv.gz', size: 6, arrayBuffer: vi.fn().mockResolvedValue(new Uint8Array([0x1f, 0x8b, 8, 0, 1, 2])) };
+
+      await expect(dataLoader.loadFile(corrupt)).rejects.toThrow('Failed to decompress broken.csv.gz');
+    });
+
+    it('should list ZIP entries with their formats', async () => {
+      const entries = await dataLoader.listZipEntries(fixtureFile('exports.zip'));
+
+      expect(entries.map(({ name, format }) => ({ name, format }))).toEqual([
+        { name: 'exports/orders.csv', format: 'csv' },
+        { name: 'exports/customers.json', format: 'json' },
+        { name: 'exports/README.txt', format: null },
+        { name: '__MACOSX/exports/._orders.csv', format: null }
+      ]);
+    });
+
+    it('should load the first loadable ZIP entry by default', async () => {
+      const result = await dataLoader.loadFile(fixtureFile('exports.zip'), { tableName: 'orders' });
+
+      expect(result).toMatchObject({
+        tableName: 'orders',
+        format: 'csv',
+        entry: 'exports/orders.csv',
+        entries: ['exports/orders.csv', 'exports/customers.json']
+      });
+      expect(mockDb.registerFileText).toHaveBeenCalledWith('orders.csv', 'id,total\n1,9.5\n2,12\n');
+    });
+
+    it('should load a chosen ZIP entry by name or callback', async () => {
+      const byName = await dataLoader.loadFile(fixtureFile('exports.zip'), { entry: 'customers.json' });
+      expect(byName).toMatchObject({ format: 'json', entry: 'exports/customers.json' });
+
+      const chooseEntry = vi.fn(names => names[1]);
+      const byCallback = await dataLoader.loadFile(fixtureFile('exports.zip'), { entry: chooseEntry });
+      expect(chooseEntry).toHaveBeenCalledWith(['exports/orders.csv', 'exports/customers.json']);
+      expect(byCallback.entry).toBe('exports/customers.json');
+    });
+
+    it('should load every loadable ZIP entry as its own table', async () => {
+      const result = await dataLoader.loadFile(fixtureFile('exports.zip'), { allEntries: true, tableName: 'exports' });
+
+      expect(result.tables).toHaveLength(2);
+      expect(result.tables.map(table => table.format)).toEqual(['csv', 'json']);
+      expect(result.tables[0].tableName).toBe('exports');
+      expect(result.tables[1].tableName).toMatch(/^customers_\d+_\w+$/);
+      expect(result.tableName).toBe(result.tables[0].tableName);
+    });
+
+    it('should drop the entries already loaded when a later entry fails', async () => {
+      mockConn.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('CREATE') && sql.includes('customers')) {
+          throw new Error('Invalid Input Error: malformed JSON');
+        }
+        return { toArray: () => [] };
+      });
+
+      await expect(dataLoader.loadFile(fixtureFile('exports.zip'), { allEntries: true })).rejects.toThrow('malformed JSON');
+
+      const [orders] = mockConn.query.mock.calls.map(([sql]) => sql.match(/^CREATE OR REPLACE TABLE (orders_\w+)/)).filter(Boolean);
+      expect(mockConn.query).toHaveBeenCalledWith(`DROP TABLE IF EXISTS ${orders[1]}`);
+    });
+
+    it('should recognize workbooks among ZIP buffers without a name', async () => {
+      const bytes = new Uint8Array(readFileSync(join(__dirname, '../fixtures/sample.xlsx')));
+
+      const result = await dataLoader.loadArrayBuffer(bytes);
+
+      expect(result).toMatchObject({ format: 'xlsx', sheet: 'Sales' });
+    });
+
+    it('should report unknown ZIP entries', async () => {
+      await expect(
+        dataLoader.loadFile(fixtureFile('exports.zip'), { entry: 'README.txt' })
+      ).rejects.toThrow('ZIP entry "README.txt" not found. Loadable entries: exports/orders.csv, exports/customers.json');
+    });
+  });
+
+  describe('Streaming Loading Tests', () => {
+    // Minimal File stand-in whose slices are read on demand
+    const sliceableFile = (name, bytes) => ({
+      name,
+      size: bytes.length,
+      slice: vi.fn((start, end) => ({ arrayBuffer: async () => bytes.slice(start, end).buffer })),
+      arrayBuffer: vi.fn(async () => bytes.buffer)
+    });
+
+    it('should route files over 10MB to streaming', async () => {
+      const streamingSpy = vi.spyOn(dataLoader, 'loadFileStreaming').mockResolvedValue({ streaming: true });
+      const head = new TextEncoder().encode('a,b\n1,2\n');
+      const largeFile = { ...sliceableFile('big.csv', head), size: 11 * 1024 * 1024 };
+
+      await dataLoader.loadFile(largeFile);
+
+      expect(streamingSpy).toHaveBeenCalledWith(largeFile, 'csv', expect.any(Function), {});
+      expect(largeFile.arrayBuffer).not.toHaveBeenCalled();
+    });
+
+    it('should insert CSV in bounded batches that each repeat the header', async () => {
+      const header = 'id,name,note\n';
+      let body = '';
+      for (let i = 0; body.length < 2.5 * 1024 * 1024; i++) {
+        body += `${i},naïve café,"line one\nline two"\n`;
+      }
+      const bytes = new TextEncoder().encode(header + body);
+      const onProgress = vi.fn();
+      mockConn.query.mockImplementation(async (sql) => ({
+        toArray: () => sql.startsWith('DESCRIBE') ? [
+          { column_name: 'id', column_type: 'BIGINT' },
+          { column_name: 'name', column_type: 'VARCHAR' },
+          { column_name: 'note', column_type: 'VARCHAR' }
+        ] : []
+      }));
+
+      const result = await dataLoader.loadCSVStreaming(
+        sliceableFile('big.csv', bytes),
+        { tableName: 'big', batchSize: 256 * 1024 },
+        onProgress
+      );
+
+      const batches = mockDb.registerFileText.mock.calls.map(([, text]) => text);
+      // Batches are cut at the end of each 1MB read once they reach batchSize
+      expect(batches).toHaveLength(3);
+      expect(batches.every(text => text.startsWith(header))).toBe(true);
+      expect(batches.map(text => text.slice(header.length)).join('')).toBe(body);
+      expect(mockDb.dropFile).toHaveBeenCalledTimes(batches.length);
+
+      const statements = queries();
+      expect(statements[0]).toBe(
+        "CREATE OR REPLACE TABLE big AS SELECT * FROM read_csv_auto('big_batch_0.csv', delim=',', header=true, auto_detect=true, sample_size=-1)"
+      );
+      // Later batches are read with the types detected from the first one
+      expect(statements[1]).toBe('DESCRIBE big');
+      expect(statements[2]).toBe(
+        "INSERT INTO big SELECT * FROM read_csv('big_batch_1.csv', delim=',', header=true, columns={'id': 'BIGINT', 'name': 'VARCHAR', 'note': 'VARCHAR'})"
+      );
+      expect(statements.filter(sql => sql.startsWith('DESCRIBE'))).toHaveLength(1);
+
+      const progress = onProgress.mock.calls.map(([update]) => update);
+      expect(progress.slice(0, 3).map(update => update.loaded)).toEqual([1048576, 2097152, bytes.length]);
+      expect(progress.every(update => update.total === bytes.length)).toBe(true);
+      expect(progress[progress.length - 1]).toMatchObject({ stage: 'complete', percent: 100 });
+      expect(result).toMatchObject({ tableName: 'big', format: 'csv', streaming: true });
+    });
+
+    it('should drop the partial table when a batch fails', async () => {
+      const bytes = new TextEncoder().encode('a\n' + '1\n'.repeat(600000));
+      mockConn.query
+        .mockResolvedValueOnce({ toArray: () => [] })
+        .mockResolvedValueOnce({ toArray: () => [{ column_name: 'a', column_type: 'INTEGER' }] })
+        .mockRejectedValueOnce(new Error('Could not convert string to INTEGER'));
+
+      await expect(
+        dataLoader.loadCSVStreaming(sliceableFile('bad.csv', bytes), { tableName: 'bad', batchSize: 1024 })
+      ).rejects.toThrow('Failed to stream CSV data: Could not convert string to INTEGER');
+
+      expect(mockConn.query).toHaveBeenLastCalledWith('DROP TABLE IF EXISTS bad');
+    });
+
+    it('should find the header past skipped rows and comments, and honor CSV options', async () => {
+      const text = 'Exported 2024-01-01\n# generated\nid;amount\n1;2,5\n';
+      const bytes = new TextEncoder().encode(text);
+
+      await dataLoader.loadCSVStreaming(sliceableFile('report.csv', bytes), {
+        tableName: 'report',
+        delimiter: ';',
+        skipRows: 1,
+        comment: '#',
+        decimalSeparator: ','
+      });
+
+      expect(mockDb.registerFileText).toHaveBeenCalledWith('report_batch_0.csv', 'id;amount\n1;2,5\n');
+      expect(mockConn.query).toHaveBeenCalledWith(
+        "CREATE OR REPLACE TABLE report AS SELECT * FROM read_csv_auto('report_batch_0.csv', delim=';', comment='#', header=true, auto_detect=true, sample_size=-1, decimal_separator=',')"
+      );
+    });
+
+    it('should report rejected rows with their line in the whole file', async () => {
+      // 'a\n' plus 524287 rows fill the first 1MB slice exactly, so the second batch starts at line 524289
+      const bytes = new TextEncoder().encode('a\n' + '1\n'.repeat(600000));
+      let rejectScans = 0;
+      mockConn.query.mockImplementation(async (sql) => ({
+        toArray: () => {
+          if (sql.startsWith('DESCRIBE')) return [{ column_name: 'a', column_type: 'BIGINT' }];
+          if (sql.startsWith('SELECT COUNT(*)')) {
+            const count = rejectScans++ === 1 ? 1n : 0n;
+            return [{ errors: count, count }];
+          }
+          if (sql.startsWith('SELECT line')) return [{ line: 3n, column_name: 'a', error_type: 'CAST', error_message: 'bad', csv_line: 'x' }];
+          return [];
+        }
+      }));
+
+      const result = await dataLoader.loadCSVStreaming(
+        sliceableFile('lines.csv', bytes),
+        { tableName: 'lines', batchSize: 1024, lenient: true }
+      );
+
+      expect(mockConn.query).toHaveBeenCalledWith(expect.stringMatching(/^INSERT INTO lines .*columns=\{'a': 'BIGINT'\}, ignore_errors=true, store_rejects=true/));
+      expect(result.rejects).toEqual({
+        count: 1,
+        errorCount: 1,
+        errors: [{ line: 524290, column: 'a', type: 'CAST', reason: 'bad', text: 'x' }]
+      });
+    });
+
+    it('should not repeat a header when the file has none', async () => {
+      const bytes = new TextEncoder().encode('1,a\n2,b\n');
+
+      await dataLoader.loadCSVStreaming(sliceableFile('plain.csv', bytes), { tableName: 'plain', header: false });
+
+      expect(mockDb.registerFileText).toHaveBeenCalledWith('plain_batch_0.csv', '1,a\n2,b\n');
+      expect(mockConn.query).toHaveBeenCalledWith(expect.stringContaining('header=false'));
+    });
+
+    it('should decode streamed files in the encoding of their first slice', async () => {
+      const text = 'id,name\n1,Zoë\n';
+      const bytes = new Uint8Array([0xff, 0xfe, ...Array.from(text, char => [char.charCodeAt(0), 0]).flat()]);
+
+      const result = await dataLoader.loadCSVStreaming(sliceableFile('wide.csv', bytes), { tableName: 'wide' });
+
+      expect(mockDb.registerFileText).toHaveBeenCalledWith('wide_batch_0.csv', text);
+      expect(result.encoding).toBe('utf-16le');
+    });
+
+    it('should read non-UTF-8 JSON in memory rather than from the file handle', async () => {
+      const bytes = new Uint8Array([0xff, 0xfe, ...Array.from('[{"a":1}]', char => [char.charCodeAt(0), 0]).flat()]);
+      const loader = vi.fn().mockResolvedValue({ tableName: 'wide' });
+
+      await dataLoader.loadFileStreaming(sliceableFile('wide.json', bytes), 'json', loader);
+
+      expect(mockDb.registerFileHandle).not.toHaveBeenCalled();
+      expect(loader).toHaveBeenCalledWith(expect.any(ArrayBuffer), { filename: 'wide.json' });
+    });
+
+    it('should reject empty files', async () => {
+      await expect(
+        dataLoader.loadCSVStreaming(sliceableFile('empty.csv', new Uint8Array(0)))
+      ).rejects.toThrow('Failed to stream CSV data: the file is empty');
+    });
+
+    it('should let DuckDB read Parquet straight from the file handle', async () => {
+      const file = sliceableFile('big.parquet', new Uint8Array(8));
+      const loader = vi.fn();
+
+      const result = await dataLoader.loadFileStreaming(file, 'parquet', loader, { tableName: 'pq' });
+
+      expect(mockDb.registerFileHandle).toHaveBeenCalledWith('pq.parquet', file, 2, true);
+      expect(mockConn.query).toHaveBeenCalledWith("CREATE OR REPLACE TABLE pq AS SELECT * FROM parquet_scan('pq.parquet')");
+      expect(mockDb.dropFile).toHaveBeenCalledWith('pq.parquet');
+      expect(loader).not.toHaveBeenCalled();
+      expect(file.arrayBuffer).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ format: 'parquet', streaming: true });
+    });
+
+    it('should insert Arrow stream batches as they are read', async () => {
+      const arrow = await import('apache-arrow');
+      const batches = Array.from({ length: 3 }, (_, i) => arrow.tableFromArrays({ id: new Int32Array([i]) }).batches[0]);
+      const file = sliceableFile('events.arrows', arrow.tableToIPC(new arrow.Table(batches), 'stream'));
+
+      const result = await dataLoader.loadFileStreaming(file, 'arrow', vi.fn(), { tableName: 'events' });
+
+      expect(mockConn.insertArrowFromIPCStream).toHaveBeenCalledTimes(3);
+      expect(file.arrayBuffer).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ format: 'arrow', streaming: true });
+    });
+
+    it('should read formats that cannot be streamed in one go', async () => {
+      const file = sliceableFile('book.xlsx', new Uint8Array(8));
+      const loader = vi.fn().mockResolvedValue({ tableName: 'book' });
+
+      await dataLoader.loadFileStreaming(file, 'xlsx', loader);
+
+      expect(mockDataTable.log.warn).toHaveBeenCalledWith('xlsx files cannot be streamed, reading book.xlsx into memory');
+      expect(loader).toHaveBeenCalledWith(expect.any(ArrayBuffer), { filename: 'book.xlsx' });
+    });
+  });
+
+  describe('Multi-file and Append Tests', () => {
+    const month = (name, text) => new File([text], name, { type: 'text/csv' });
+
+    it('should union files by column name into one table', async () => {
+      const files = [month('jan.csv', 'id,amount\n1,9.5'), month('feb.csv', 'id,amount,region\n2,3,EU')];
+      detectSchema
+        .mockResolvedValueOnce({ id: { type: 'BIGINT' }, amount: { type: 'DOUBLE' } })
+        .mockResolvedValueOnce({ id: { type: 'BIGINT' }, amount: { type: 'BIGINT' }, region: { type: 'VARCHAR' } });
+
+      const result = await dataLoader.load(files, { tableName: 'sales', sourceColumn: true });
+
+      const [first, second] = mockConn.query.mock.calls
+        .map(([sql]) => sql.match(/CREATE OR REPLACE TABLE (part_\w+)/)?.[1])
+        .filter(Boolean);
+      expect(queries()).toContain(
+        `CREATE OR REPLACE TABLE sales AS SELECT *, 'jan.csv' AS source_file FROM ${first} UNION ALL BY NAME SELECT *, 'feb.csv' AS source_file FROM ${second}`
+      );
+      expect(mockConn.query).toHaveBeenCalledWith(`DROP TABLE IF EXISTS ${first}`);
+      expect(mockConn.query).toHaveBeenCalledWith(`DROP TABLE IF EXISTS ${second}`);
+      expect(result.tableName).toBe('sales');
+      expect(result.format).toBe('csv');
+      expect(result.files.map(file => file.name)).toEqual(['jan.csv', 'feb.csv']);
+    });
+
+    it('should refuse files with conflicting column types and drop what was loaded', async () => {
+      const files = [month('jan.csv', 'id\n1'), month('feb.csv', 'id\nA-2')];
+      detectSchema
+        .mockResolvedValueOnce({ id: { type: 'BIGINT' } })
+        .mockResolvedValueOnce({ id: { type: 'VARCHAR' } });
+
+      await expect(dataLoader.loadFiles(files, { tableName: 'sales' }))
+        .rejects.toThrow('Schema conflict: column "id" is BIGINT in jan.csv but VARCHAR in feb.csv');
+
+      expect(queries().filter(sql => sql.startsWith('DROP TABLE IF EXISTS part_'))).toHaveLength(2);
+      expect(queries().some(sql => sql.includes('TABLE sales'))).toBe(false);
+    });
+
+    it('should append rows by name and add the columns the table lacks', async () => {
+      detectSchema
+        .mockResolvedValueOnce({ id: { type: 'BIGINT' }, region: { type: 'VARCHAR' } })
+        .mockResolvedValueOnce({ id: { type: 'BIGINT' } });
+
+      const result = await dataLoader.load(month('mar.csv', 'id,region\n3,US'), { appendTo: 'sales', sourceColumn: true });
+
+      const staged = queries().find(sql => sql.includes('TABLE append_')).match(/TABLE (append_\w+)/)[1];
+      const statements = queries().slice(queries().indexOf('BEGIN TRANSACTION'));
+      expect(statements.slice(0, 5)).toEqual([
+        'BEGIN TRANSACTION',
+        'ALTER TABLE sales ADD COLUMN region VARCHAR',
+        'ALTER TABLE sales ADD COLUMN source_file VARCHAR',
+        `INSERT INTO sales BY NAME SELECT *, 'mar.csv' AS source_file FROM ${staged}`,
+        'COMMIT'
+      ]);
+      expect(mockConn.query).toHaveBeenCalledWith(`DROP TABLE IF EXISTS ${staged}`);
+      expect(result.tableName).toBe('sales');
+      expect(result.appended).toBe(10n);
+    });
+
+    it('should roll back a failed append', async () => {
+      detectSchema
+        .mockResolvedValueOnce({ id: { type: 'BIGINT' } })
+        .mockResolvedValueOnce({ id: { type: 'BIGINT' } });
+      mockConn.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('INSERT')) throw new Error('Out of memory');
+        return { toArray: () => [{ count: 1 }] };
+      });
+
+      await expect(dataLoader.appendToTable('sales', 'id\n4')).rejects.toThrow('Failed to append to sales: Out of memory');
+
+      expect(mockConn.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockConn.query).not.toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should not append rows whose types conflict with the table', async () => {
+      detectSchema
+        .mockResolvedValueOnce({ id: { type: 'VARCHAR' } })
+        .mockResolvedValueOnce({ id: { type: 'BIGINT' } });
+
+      await expect(dataLoader.appendToTable('sales', 'id\nx', { filename: 'extra.csv' }))
+        .rejects.toThrow('Schema conflict: column "id" is BIGINT in sales but VARCHAR in extra.csv');
+
+      expect(mockConn.query).not.toHaveBeenCalledWith('BEGIN TRANSACTION');
+    });
+  });
+
+  describe('Table Name Tests', () => {
+    // Tables that exist, as information_schema reports them
+    const withTables = (tables) => mockConn.query.mockImplementation(async (sql) => {
+      const name = sql.match(/lower\('(\w+)'\)/)?.[1];
+      const type = tables[name?.toLowerCase()];
+      return { toArray: () => (sql.includes('information_schema.tables') ? (type ? [{ table_type: type }] : []) : [{ count: 1 }]) };
+    });
+
+    it('should sanitize and quote friendly table names', async () => {
+      const result = await dataLoader.load('a,b\n1,2', { tableName: 'Order Items' });
+      expect(result.tableName).toBe('Order_Items');
+
+      await dataLoader.load('a,b\n1,2', { tableName: 'order' });
+      expect(mockConn.query).toHaveBeenCalledWith(expect.stringContaining('CREATE OR REPLACE TABLE "order" AS'));
+    });
+
+    it('should fail or suffix when the name is taken', async () => {
+      withTables({ sales: 'BASE TABLE', sales_2: 'VIEW' });
+
+      await expect(dataLoader.load('a\n1', { tableName: 'Sales', ifExists: 'fail' })).rejects.toThrow('Table Sales already exists');
+      const result = await dataLoader.load('a\n1', { tableName: 'sales', ifExists: 'suffix' });
+      expect(result.tableName).toBe('sales_3');
+      await expect(dataLoader.load('a\n1', { tableName: 'sales', ifExists: 'skip' })).rejects.toThrow('Invalid ifExists: skip');
+    });
+
+    it('should load under a free name without dropping anything', async () => {
+      withTables({});
+      const result = await dataLoader.load('a\n1', { tableName: 'sales' });
+
+      expect(result.tableName).toBe('sales');
+      expect(queries().some(sql => sql.startsWith('DROP'))).toBe(false);
+    });
+
+    it('should replace a view with a table', async () => {
+      withTables({ sales: 'VIEW' });
+
+      await dataLoader.load('a\n1', { tableName: 'sales' });
+
+      const statements = queries();
+      const drop = statements.indexOf('DROP VIEW sales');
+      expect(drop).toBeGreaterThan(-1);
+      expect(statements.findIndex(sql => sql.startsWith('CREATE OR REPLACE TABLE sales'))).toBeGreaterThan(drop);
+    });
+
+    it('should replace a table with a view', async () => {
+      withTables({ sales: 'BASE TABLE' });
+      mockDb.registerFileURL = vi.fn().mockResolvedValue();
+
+      const result = await dataLoader.load('https://example.com/sales.parquet', { tableName: 'sales', lazy: true, materialize: false });
+
+      const statements = queries();
+      const drop = statements.indexOf('DROP TABLE sales');
+      expect(drop).toBeGreaterThan(-1);
+      expect(statements.findIndex(sql => sql.startsWith('CREATE OR REPLACE VIEW sales'))).toBeGreaterThan(drop);
+      expect(result.view).toBe(true);
+    });
+
+    it('should rename tables and views', async () => {
+      withTables({ sales: 'BASE TABLE' });
+
+      expect(await dataLoader.renameTable('data_1_abc', 'Q1 orders')).toBe('Q1_orders');
+      expect(mockConn.query).toHaveBeenCalledWith('ALTER TABLE data_1_abc RENAME TO Q1_orders');
+
+      expect(await dataLoader.renameTable('remote_1_abc', 'select', { relation: 'VIEW' })).toBe('select');
+      expect(mockConn.query).toHaveBeenCalledWith('ALTER VIEW remote_1_abc RENAME TO "select"');
+    });
+
+    it('should handle taken names when renaming', async () => {
+      withTables({ sales: 'BASE TABLE' });
+
+      await expect(dataLoader.renameTable('data_1_abc', 'sales')).rejects.toThrow('Table sales already exists');
+      expect(await dataLoader.renameTable('data_1_abc', 'sales', { ifExists: 'suffix' })).toBe('sales_2');
+
+      mockConn.query.mockClear();
+      expect(await dataLoader.renameTable('data_1_abc', 'sales', { ifExists: 'replace' })).toBe('sales');
+      expect(mockConn.query.mock.calls.map(([sql]) => sql).slice(1)).toEqual([
+        'BEGIN TRANSACTION',
+        'DROP TABLE sales',
+        'ALTER TABLE data_1_abc RENAME TO sales',
+        'COMMIT'
+      ]);
+
+      // A new case is not a collision with the table itself
+      expect(await dataLoader.renameTable('sales', 'Sales')).toBe('Sales');
+    });
+
+    it('should roll back a failed rename', async () => {
+      mockConn.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('ALTER')) throw new Error('Dependency error');
+        return { toArray: () => [] };
+      });
+
+      await expect(dataLoader.renameTable('sales', 'orders')).rejects.toThrow('Failed to rename sales: Dependency error');
+      expect(mockConn.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('Column Name Normalization Tests', () => {
+    it('should rename columns to snake_case and keep their names as loaded', async () => {
+      const { detectSchema } = await import('../../src/data/DuckDBHelpers.js');
+      detectSchema.mockResolvedValueOnce({
+        'Order ID': { type: 'BIGINT' },
+        unitPrice: { type: 'DOUBLE' },
+        region: { type: 'VARCHAR' }
+      });
+
+      const result = await dataLoader.load('Order ID,unitPrice,region\n1,9.5,EU', { tableName: 'orders', normalizeColumns: true });
+
+      expect(mockConn.query).toHaveBeenCalledWith('ALTER TABLE orders RENAME COLUMN "Order ID" TO order_id');
+      expect(mockConn.query).toHaveBeenCalledWith('ALTER TABLE orders RENAME COLUMN unitPrice TO unit_price');
+      expect(Object.keys(result.schema)).toEqual(['order_id', 'unit_price', 'region']);
+      expect(result.schema.unit_price).toEqual({ type: 'DOUBLE' });
+      expect(result.columnLabels).toEqual({ order_id: 'Order ID', unit_price: 'unitPrice' });
+    });
+
+    it('should roll back every rename when one fails', async () => {
+      mockConn.query.mockImplementation(async (sql) => {
+        if (sql.includes('RENAME COLUMN unitPrice')) throw new Error('Catalog Error: column name conflict');
+        return { toArray: () => [] };
+      });
+
+      await expect(dataLoader.normalizeColumns({ tableName: 'orders', schema: { 'Order ID': {}, unitPrice: {} } }))
+        .rejects.toThrow('Failed to normalize column names of orders, none were renamed: Catalog Error');
+      expect(queries()).toEqual([
+        'BEGIN TRANSACTION',
+        'ALTER TABLE orders RENAME COLUMN "Order ID" TO order_id',
+        'ALTER TABLE orders RENAME COLUMN unitPrice TO unit_price',
+        'ROLLBACK'
+      ]);
+    });
+
+    it('should leave columns alone without the option', async () => {
+      const result = await dataLoader.load('name,age\nAlice,30', { tableName: 'people' });
+
+      expect(mockConn.query).not.toHaveBeenCalledWith(expect.stringContaining('RENAME COLUMN'));
+      expect(result.columnLabels).toBeUndefined();
+    });
+
+    it('should not rename the columns of views', async () => {
+      const result = await dataLoader.normalizeColumns({ tableName: 'remote', view: true, schema: { 'Unit Price': { type: 'DOUBLE' } } });
+
+      expect(result.schema).toEqual({ 'Unit Price': { type: 'DOUBLE' } });
+      expect(mockConn.query).not.toHaveBeenCalled();
+      expect(mockDataTable.log.warn).toHaveBeenCalledWith(expect.stringContaining('it is a view'));
+    });
+  });
+
+  describe('Sampling Tests', () => {
+    it('should replace the loaded table with a sample of its rows', async () => {
+      getRowCount.mockResolvedValueOnce(50000n).mockResolvedValueOnce(1000n);
+
+      const result = await dataLoader.load('id\n1\n2', { tableName: 'sales', sample: { size: 1000, seed: 42 } });
+
+      const sampleTable = queries().find(sql => sql.startsWith('CREATE TABLE sample_')).split(' ')[2];
+      expect(queries()).toContain(`CREATE TABLE ${sampleTable} AS SELECT * FROM sales USING SAMPLE 1000 ROWS (reservoir, 42)`);
+      expect(queries().slice(-4)).toEqual([
+        'BEGIN TRANSACTION',
+        'DROP TABLE sales',
+        `ALTER TABLE ${sampleTable} RENAME TO sales`,
+        'COMMIT'
+      ]);
+      expect(result.tableName).toBe('sales');
+      expect(result.rowCount).toBe(1000n);
+      expect(result.sample).toEqual({ size: 1000, unit: 'rows', method: 'reservoir', seed: 42, rowCount: 1000, totalRowCount: 50000 });
+    });
+
+    it('should turn a view over a remote file into a sampled table', async () => {
+      const sampled = await dataLoader.sampleTable(
+        { tableName: 'remote', view: true, rowCount: 200n, schema: {} },
+        { size: 10, unit: 'percent', method: 'systematic', seed: 3 }
+      );
+
+      expect(queries()).toContain('DROP VIEW remote');
+      expect(queries().some(sql => sql.endsWith('AS SELECT * FROM remote QUALIFY (row_number() OVER () - 1) % 10 = 3'))).toBe(true);
+      expect(sampled.view).toBeUndefined();
+    });
+
+    it('should keep every row when the source fits in the sample', async () => {
+      const result = await dataLoader.load('id\n1\n2', { tableName: 'small', sample: 100 });
+
+      expect(queries().some(sql => sql.includes('USING SAMPLE'))).toBe(false);
+      expect(result.sample).toBeUndefined();
+    });
+
+    it('should check the sample option before loading', async () => {
+      await expect(dataLoader.load('id\n1', { sample: '0%' })).rejects.toThrow('Invalid sample size: 0%');
+      expect(mockConn.query).not.toHaveBeenCalled();
+    });
+
+    it('should drop both tables when sampling fails', async () => {
+      getRowCount.mockResolvedValueOnce(50000n);
+      mockConn.query.mockImplementation(async (sql) => {
+        if (sql.includes('USING SAMPLE')) throw new Error('Out of memory');
+        return { toArray: () => [] };
+      });
+
+      await expect(dataLoader.load('id\n1', { tableName: 'sales', sample: 10 })).rejects.toThrow('Failed to sample sales: Out of memory');
+      expect(queries()).toContain('DROP TABLE IF EXISTS sales');
+    });
+  });
+
+  describe('Schema Override Tests', () => {
+    // DESCRIBE of the CSV read lists these columns
+    const describeColumns = (...names) => mockConn.query.mockImplementation(async (sql) => ({
+      toArray: () => (sql.startsWith('DESCRIBE SELECT') ? names.map(column_name => ({ column_name })) : [{ count: 0 }])
+    }));
+
+    it('should read overridden CSV columns as text and convert them after loading', async () => {
+      describeColumns('zip', 'shipped', 'amount');
+      detectSchema.mockResolvedValueOnce({ zip: { type: 'VARCHAR' }, shipped: { type: 'VARCHAR' }, amount: { type: 'DOUBLE' } });
+
+      await dataLoader.load('zip,shipped,amount\n02134,03/01/2024,9.5', {
+        tableName: 'orders',
+        schema: { zip: 'VARCHAR', shipped: { type: 'DATE', format: '%m/%d/%Y' } }
+      });
+
+      expect(queries().find(sql => sql.startsWith('CREATE OR REPLACE TABLE orders'))).toContain("types={'zip': 'VARCHAR', 'shipped': 'VARCHAR'}");
+      expect(queries()).toContain('ALTER TABLE orders ALTER COLUMN zip SET DATA TYPE VARCHAR USING TRY_CAST(zip AS VARCHAR)');
+      expect(queries()).toContain("ALTER TABLE orders ALTER COLUMN shipped SET DATA TYPE DATE USING TRY_CAST(TRY_STRPTIME(CAST(shipped AS VARCHAR), '%m/%d/%Y') AS DATE)");
+      expect(detectSchema).toHaveBeenLastCalledWith(mockConn, 'orders', ['zip', 'shipped']);
+    });
+
+    it('should report the values that do not convert', async () => {
+      mockConn.query.mockImplementation(async (sql) => {
+        if (sql.includes('COUNT(*) AS count FROM orders')) return { toArray: () => [{ count: 2n }] };
+        if (sql.includes('rowid + 1')) return { toArray: () => (sql.includes('CAST(id AS') ? [{ row: 4n, value: 'n/a' }, { row: 2n, value: '-' }] : []) };
+        return { toArray: () => [] };
+      });
+      const result = await dataLoader.coerceColumns(
+        { tableName: 'orders', schema: { id: { type: 'VARCHAR' }, name: { type: 'VARCHAR' } } },
+        { id: { type: 'INTEGER' }, name: { type: 'VARCHAR' } }
+      );
+
+      expect(result.coercionErrors).toEqual({
+        count: 2,
+        errors: [
+          { row: 2, column: 'id', value: '-', type: 'INTEGER' },
+          { row: 4, column: 'id', value: 'n/a', type: 'INTEGER' }
+        ]
+      });
+      expect(mockDataTable.log.warn).toHaveBeenCalledWith('2 rows of orders have values that did not convert to their schema type');
+    });
+
+    it('should fail and drop the table for unknown columns', async () => {
+      await expect(dataLoader.coerceColumns({ tableName: 'orders', schema: { id: {} } }, { zip: { type: 'VARCHAR' } }))
+        .rejects.toThrow('Failed to apply schema to orders: no column named zip');
+      expect(queries()).toContain('DROP TABLE IF EXISTS orders');
+    });
+
+    it('should report unknown CSV columns by name instead of reading them as text', async () => {
+      describeColumns('zip', 'amount');
+      detectSchema.mockResolvedValueOnce({ zip: { type: 'VARCHAR' }, amount: { type: 'DOUBLE' } });
+
+      await expect(dataLoader.load('zip,amount\n02134,9.5', { tableName: 'orders', schema: { zip: 'VARCHAR', shipped: 'DATE' } }))
+        .rejects.toThrow('Failed to apply schema to orders: no column named shipped');
+      expect(queries().find(sql => sql.startsWith('CREATE OR REPLACE TABLE orders'))).toContain("types={'zip': 'VARCHAR'}");
+      expect(queries()).toContain('DROP TABLE IF EXISTS orders');
+    });
+
+    it('should check the schema option before loading', async () => {
+      await expect(dataLoader.load('id\n1', { schema: { id: 'INT; DROP TABLE x' } })).rejects.toThrow('Invalid schema type for id');
+      expect(mockConn.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Cancellation Tests', () => {
+    it('should not touch DuckDB when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(
+        dataLoader.load('name,age\nAlice,30', { signal: controller.signal })
+      ).rejects.toMatchObject({ name: 'AbortError' });
+
+      expect(mockDb.registerFileText).not.toHaveBeenCalled();
+      expect(mockConn.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject right away and clean up once the running CREATE TABLE finishes', async () => {
+      const controller = new AbortController();
+      let finishStatement;
+      mockConn.query.mockImplementationOnce(() => new Promise(resolve => { finishStatement = resolve; }));
+
+      const loading = dataLoader.loadCSV('name,age\nAlice,30', { tableName: 'people', signal: controller.signal });
+      await vi.waitFor(() => expect(finishStatement).toBeDefined());
+      controller.abort();
+
+      await expect(loading).rejects.toMatchObject({ name: 'AbortError' });
+      expect(mockConn.query).not.toHaveBeenCalledWith('DROP TABLE IF EXISTS people');
+
+      finishStatement({ toArray: () => [] });
+      await vi.waitFor(() => expect(mockDb.dropFile).toHaveBeenCalledWith('people.csv'));
+      expect(mockConn.query).toHaveBeenCalledWith('DROP TABLE IF EXISTS people');
+    });
+
+    it('should stop reading a streamed file and drop the partial table', async () => {
+      const controller = new AbortController();
+      const bytes = new TextEncoder().encode('n\n' + '1\n'.repeat(1500000));
+      const file = {
+        name: 'big.csv',
+        size: bytes.length,
+        slice: vi.fn((start, end) => ({ arrayBuffer: async () => bytes.slice(start, end).buffer }))
+      };
+      const onProgress = () => controller.abort();
+
+      await expect(
+        dataLoader.loadCSVStreaming(file, { tableName: 'partial', batchSize: 1024, signal: controller.signal }, onProgress)
+      ).rejects.toMatchObject({ name: 'AbortError' });
+
+      expect(file.slice).toHaveBeenCalledTimes(1);
+      expect(mockConn.query).toHaveBeenLastCalledWith('DROP TABLE IF EXISTS partial');
+      expect(mockDb.dropFile).toHaveBeenCalledWith('partial_batch_0.csv');
+    });
+
+    it('should keep no tables from an aborted archive load', async () => {
+      const controller = new AbortController();
+      const archive = readFileSync(join(__dirname, '../fixtures/exports.zip'));
+      // Abort while the second entry is being created
+      mockConn.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('CREATE') && mockConn.query.mock.calls.filter(([q]) => q.startsWith('CREATE')).length === 2) {
+          controller.abort();
+        }
+        return { toArray: () => [] };
+      });
+
+      await expect(
+        dataLoader.loadZip(archive, { allEntries: true, signal: controller.signal })
+      ).rejects.toMatchObject({ name: 'AbortError' });
+
+      await vi.waitFor(() => {
+        const created = mockConn.query.mock.calls.map(([sql]) => sql).filter(sql => sql.startsWith('CREATE'));
+        expect(created).toHaveLength(2);
+        for (const sql of created) {
+          expect(mockConn.query).toHaveBeenCalledWith(`DROP TABLE IF EXISTS ${sql.match(/TABLE (\w+)/)[1]}`);
+        }
+      });
+    });
+  });
+
   describe('Error Handling and Edge Cases', () => {
     it('should handle empty data gracefully', async () => {
       const emptyData = '';
@@ -0,0 +1,445 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { gzipSync } from 'zlib';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { DataLoader } from '../../src/data/DataLoader.js';
+
+vi.mock('../../src/data/DuckDBHelpers.js', () => ({
+  detectSchema: vi.fn().mockResolvedValue({
+    name: { type: 'VARCHAR', nullable: true, vizType: 'categorical' },
+    age: { type: 'BIGINT', nullable: true, vizType: 'histogram' }
+  }),
+  getRowCount: vi.fn().mockResolvedValue(10n),
+  getTableInfo: vi.fn()
+}));
+
+vi.mock('@duckdb/duckdb-wasm', () => ({
+  DuckDBDataProtocol: { BUFFER: 0, BROWSER_FILEREADER: 2, HTTP: 4 }
+}));
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const fixture = (name) => readFileSync(join(__dirname, '../fixtures', name));
+
+// Routes served by the local HTTP stand-in: path -> { body, headers, status }
+const largeCSV = 'id,name\n' + Array.from({ length: 5000 }, (_, i) => `${i},name ${i * 7919}`).join('\n') + '\n';
+const routes = {
+  '/data/sample.csv': { body: fixture('sample.csv'), headers: { 'Content-Type': 'text/plain', ETag: '"v1"' } },
+  '/data/encoded.csv': { body: gzipSync(largeCSV), headers: { 'Content-Type': 'text/csv', 'Content-Encoding': 'gzip', ETag: '"v1"' } },
+  '/secure/sample.csv': { body: fixture('sample.csv'), headers: { 'Content-Type': 'text/csv' }, auth: 'Bearer secret' },
+  '/data/sample.parquet': { body: fixture('sample.parquet'), headers: { 'Content-Type': 'application/octet-stream' } },
+  '/api/export': { body: fixture('sample.json'), headers: { 'Content-Type': 'application/json; charset=utf-8' } },
+  '/api/blob': { body: fixture('sample.parquet'), headers: { 'Content-Type': 'application/octet-stream' } },
+  '/api/report': { body: Buffer.from('name\tage\nAlice\t30\nBob\t25\n'), headers: {} },
+  '/legacy.csv': { body: Buffer.from('name\nJosé\n', 'utf8'), headers: { 'Content-Type': 'text/csv; charset=ISO-8859-1' } },
+  '/missing.csv': { body: Buffer.from('Not Found'), headers: {}, status: 404 }
+};
+
+describe('DataLoader URL Loading', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let faults;
+  let dataLoader;
+  let mockDb;
+  let mockConn;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      const path = req.url.split('?')[0];
+      const route = routes[path];
+      requests.push({ path, headers: req.headers });
+      if (!route) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+
+      // Faults queued by a test for the next requests to a path: { status, headers } answers with
+      // an error, drop ends the connection halfway, ignoreRange and headers change the answer
+      const fault = faults[path]?.shift();
+      if (fault?.status) {
+        res.writeHead(fault.status, fault.headers);
+        res.end();
+        return;
+      }
+      if (route.auth && req.headers.authorization !== route.auth) {
+        res.writeHead(401);
+        res.end();
+        return;
+      }
+
+      // Minimal single-range support, as used by format probes and DuckDB's HTTP reader
+      const range = !fault?.ignoreRange && /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+      if (range && !route.status) {
+        const start = Number(range[1]);
+        const end = range[2] ? Math.min(Number(range[2]), route.body.length - 1) : route.body.length - 1;
+        res.writeHead(206, {
+          ...route.headers,
+          ...fault?.headers,
+          'Content-Length': end - start + 1,
+          'Content-Range': `bytes ${start}-${end}/${route.body.length}`
+        });
+        res.end(route.body.subarray(start, end + 1));
+        return;
+      }
+
+      res.writeHead(route.status || 200, {
+        ...route.headers,
+        'Content-Length': route.body.length
+      });
+
+      // Send the body in two writes so the client sees more than one chunk
+      const middle = Math.floor(route.body.length / 2);
+      res.write(route.body.subarray(0, middle));
+      if (fault?.drop) {
+        setTimeout(() => res.destroy(), 20);
+        return;
+      }
+      res.end(route.body.subarray(middle));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    faults = {};
+    mockConn = {
+      query: vi.fn().mockResolvedValue({ toArray: () => [] })
+    };
+    mockDb = {
+      registerFileText: vi.fn().mockResolvedValue(),
+      registerFileBuffer: vi.fn().mockResolvedValue(),
+      registerFileURL: vi.fn().mockResolvedValue(),
+      dropFile: vi.fn().mockResolvedValue()
+    };
+
+    dataLoader = new DataLoader({
+      log: { info: vi.fn(), debug: vi.fn(), warn: vi.fn(), error: vi.fn() },
+      options: {},
+      db: mockDb,
+      conn: mockConn
+    });
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should route http(s) strings to loadURL', async () => {
+    const loadURLSpy = vi.spyOn(dataLoader, 'loadURL');
+
+    await dataLoader.load(`${baseURL}/data/sample.csv`);
+
+    expect(loadURLSpy).toHaveBeenCalledWith(`${baseURL}/data/sample.csv`, {});
+  });
+
+  it('should load CSV detected from the URL extension', async () => {
+    const result = await dataLoader.loadURL(`${baseURL}/data/sample.csv?download=1`);
+
+    expect(result.format).toBe('csv');
+    expect(result.tableName).toMatch(/^sample_\d+_\w+$/);
+    expect(result.url).toBe(`${baseURL}/data/sample.csv?download=1`);
+    expect(mockDb.registerFileText).toHaveBeenCalledWith(
+      `${result.tableName}.csv`,
+      fixture('sample.csv').toString()
+    );
+  });
+
+  it('should detect JSON from the Content-Type header when there is no extension', async () => {
+    const result = await dataLoader.loadURL(`${baseURL}/api/export`);
+
+    expect(result.format).toBe('json');
+    expect(mockConn.query).toHaveBeenCalledWith(expect.stringContaining('read_json_auto'));
+  });
+
+  it('should sniff Parquet magic bytes when headers are generic', async () => {
+    const result = await dataLoader.loadURL(`${baseURL}/api/blob`);
+
+    expect(result.format).toBe('parquet');
+    expect(mockDb.registerFileBuffer).toHaveBeenCalledWith(
+      `${result.tableName}.parquet`,
+      new Uint8Array(fixture('sample.parquet'))
+    );
+  });
+
+  it('should sniff tab-delimited text', async () => {
+    const result = await dataLoader.loadURL(`${baseURL}/api/report`);
+
+    expect(result.format).toBe('csv');
+    expect(mockConn.query).toHaveBeenCalledWith(expect.stringMatching(/delim='\t'/));
+  });
+
+  it('should honor an explicit format option', async () => {
+    const result = await dataLoader.loadURL(`${baseURL}/api/report`, { format: 'csv' });
+
+    expect(result.format).toBe('csv');
+    expect(mockConn.query).toHaveBeenCalledWith(expect.stringMatching(/delim=','/));
+  });
+
+  it('should decode text with the charset from Content-Type', async () => {
+    const result = await dataLoader.loadURL(`${baseURL}/legacy.csv`);
+
+    // The server declares Latin-1, so the UTF-8 bytes of 'é' are read as two characters
+    expect(mockDb.registerFileText).toHaveBeenCalledWith(`${result.tableName}.csv`, 'name\nJosÃ©\n');
+    expect(result.encoding).toBe('windows-1252');
+  });
+
+  it('should report byte-level download progress', async () => {
+    const onProgress = vi.fn();
+    const size = fixture('sample.parquet').length;
+
+    await dataLoader.loadURL(`${baseURL}/data/sample.parquet`, { onProgress });
+
+    const downloads = onProgress.mock.calls
+      .map(([progress]) => progress)
+      .filter(progress => progress.stage === 'downloading');
+
+    expect(downloads.length).toBeGreaterThan(0);
+    expect(downloads.every(progress => progress.total === size)).toBe(true);
+    expect(downloads[downloads.length - 1]).toMatchObject({ loaded: size, percent: 100 });
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ stage: 'complete' }));
+  });
+
+  it('should reject on HTTP errors without creating a table', async () => {
+    await expect(dataLoader.loadURL(`${baseURL}/missing.csv`)).rejects.toThrow(
+      /Failed to fetch .*missing\.csv: HTTP 404/
+    );
+
+    expect(mockConn.query).not.toHaveBeenCalled();
+  });
+
+  describe('Cancellation', () => {
+    it('should reject with an AbortError when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(
+        dataLoader.loadURL(`${baseURL}/data/sample.csv`, { signal: controller.signal })
+      ).rejects.toMatchObject({ name: 'AbortError' });
+
+      expect(mockConn.query).not.toHaveBeenCalled();
+    });
+
+    it('should stop downloading when aborted mid-response', async () => {
+      const controller = new AbortController();
+      const onProgress = vi.fn((progress) => {
+        if (progress.stage === 'downloading') controller.abort();
+      });
+
+      await expect(
+        dataLoader.loadURL(`${baseURL}/data/sample.parquet`, { signal: controller.signal, onProgress })
+      ).rejects.toMatchObject({ name: 'AbortError' });
+
+      expect(onProgress).not.toHaveBeenCalledWith(expect.objectContaining({ stage: 'processing' }));
+      expect(mockDb.registerFileBuffer).not.toHaveBeenCalled();
+    });
+
+    it('should drop the remote view and file once an aborted statement finishes', async () => {
+      const controller = new AbortController();
+      let finishStatement;
+      mockConn.query.mockImplementationOnce(() => new Promise(resolve => { finishStatement = resolve; }));
+
+      const loading = dataLoader.loadURL(`${baseURL}/data/sample.parquet`, {
+        lazy: true,
+        materialize: false,
+        tableName: 'remote_abort',
+        signal: controller.signal
+      });
+      await vi.waitFor(() => expect(finishStatement).toBeDefined());
+      controller.abort();
+
+      await expect(loading).rejects.toMatchObject({ name: 'AbortError' });
+      expect(mockConn.query).not.toHaveBeenCalledWith('DROP VIEW IF EXISTS remote_abort');
+
+      finishStatement();
+      await vi.waitFor(() => expect(mockDb.dropFile).toHaveBeenCalledWith('remote_abort.parquet'));
+      expect(mockConn.query).toHaveBeenCalledWith('DROP VIEW IF EXISTS remote_abort');
+    });
+  });
+
+  describe('Lazy remote Parquet', () => {
+    it('should register the URL with the HTTP protocol instead of downloading', async () => {
+      const url = `${baseURL}/data/sample.parquet`;
+      const result = await dataLoader.loadURL(url, { lazy: true });
+
+      expect(mockDb.registerFileURL).toHaveBeenCalledWith(`${result.tableName}.parquet`, url, 4, false);
+      expect(mockDb.registerFileBuffer).not.toHaveBeenCalled();
+      expect(mockConn.query).toHaveBeenCalledWith(
+        `CREATE OR REPLACE TABLE ${result.tableName} AS SELECT * FROM parquet_scan('${result.tableName}.parquet')`
+      );
+      expect(mockDb.dropFile).toHaveBeenCalledWith(`${result.tableName}.parquet`);
+      expect(result).toMatchObject({ format: 'parquet', remote: true, view: false, url });
+    });
+
+    it('should keep a view over the remote file when materialize is false', async () => {
+      const result = await dataLoader.loadURL(`${baseURL}/data/sample.parquet`, {
+        lazy: true,
+        materialize: false
+      });
+
+      expect(mockConn.query).toHaveBeenCalledWith(
+        expect.stringContaining(`CREATE OR REPLACE VIEW ${result.tableName} AS SELECT * FROM parquet_scan`)
+      );
+      expect(mockDb.dropFile).not.toHaveBeenCalled();
+      expect(result.view).toBe(true);
+    });
+
+    it('should probe the first bytes when the URL has no extension', async () => {
+      const result = await dataLoader.loadURL(`${baseURL}/api/blob`, { lazy: true });
+
+      expect(result.remote).toBe(true);
+      expect(mockDb.registerFileURL).toHaveBeenCalled();
+    });
+
+    it('should fall back to a full download for non-Parquet sources', async () => {
+      const result = await dataLoader.loadURL(`${baseURL}/data/sample.csv`, { lazy: true });
+
+      expect(result.format).toBe('csv');
+      expect(result.remote).toBeUndefined();
+      expect(mockDb.registerFileURL).not.toHaveBeenCalled();
+      expect(mockDb.registerFileText).toHaveBeenCalled();
+    });
+
+    it('should unregister the remote file when the query fails', async () => {
+      mockConn.query.mockRejectedValueOnce(new Error('HTTP GET error'));
+
+      await expect(
+        dataLoader.loadURL(`${baseURL}/data/sample.parquet`, { lazy: true, tableName: 'remote_fail' })
+      ).rejects.toThrow('Failed to load remote Parquet data: HTTP GET error');
+
+      expect(mockDb.dropFile).toHaveBeenCalledWith('remote_fail.parquet');
+    });
+  });
+
+  describe('Headers, retries and resume', () => {
+    const csv = fixture('sample.csv').toString();
+    const stages = (onProgress, stage) => onProgress.mock.calls.map(([progress]) => progress).filter(progress => progress.stage === stage);
+
+    it('should send custom headers and the credentials mode', async () => {
+      const fetchSpy = vi.spyOn(globalThis, 'fetch');
+
+      const result = await dataLoader.loadURL(`${baseURL}/secure/sample.csv`, {
+        headers: { Authorization: 'Bearer secret' },
+        credentials: 'include'
+      });
+
+      expect(result.format).toBe('csv');
+      expect(requests[0].headers.authorization).toBe('Bearer secret');
+      expect(fetchSpy.mock.calls[0][1]).toMatchObject({ credentials: 'include' });
+      fetchSpy.mockRestore();
+    });
+
+    it('should not retry requests the server refuses', async () => {
+      await expect(dataLoader.loadURL(`${baseURL}/secure/sample.csv`, { retryDelay: 1 }))
+        .rejects.toThrow(/HTTP 401/);
+
+      expect(requests).toHaveLength(1);
+    });
+
+    it('should retry temporary failures with exponential backoff', async () => {
+      faults['/data/sample.csv'] = [{ status: 503 }, { status: 429, headers: { 'Retry-After': '0' } }];
+      const onProgress = vi.fn();
+
+      const result = await dataLoader.loadURL(`${baseURL}/data/sample.csv`, { retryDelay: 5, onProgress });
+
+      expect(result.format).toBe('csv');
+      expect(requests).toHaveLength(3);
+      expect(stages(onProgress, 'retrying')).toEqual([
+        expect.objectContaining({ attempt: 1, retries: 3, delay: 5, error: expect.stringContaining('HTTP 503') }),
+        expect.objectContaining({ attempt: 2, retries: 3, delay: 10, error: expect.stringContaining('HTTP 429') })
+      ]);
+      expect(mockDb.registerFileText).toHaveBeenCalledWith(expect.any(String), csv);
+    });
+
+    it('should give up after the last retry', async () => {
+      faults['/data/sample.csv'] = [{ status: 502 }, { status: 502 }];
+
+      await expect(dataLoader.loadURL(`${baseURL}/data/sample.csv`, { retries: 1, retryDelay: 1 }))
+        .rejects.toThrow(/Failed to fetch .*sample\.csv: HTTP 502/);
+      expect(requests).toHaveLength(2);
+    });
+
+    it('should resume a dropped download from the last byte received', async () => {
+      faults['/data/sample.csv'] = [{ drop: true }];
+      const onProgress = vi.fn();
+
+      await dataLoader.loadURL(`${baseURL}/data/sample.csv`, { retryDelay: 1, onProgress });
+
+      const middle = Math.floor(csv.length / 2);
+      expect(requests[1].headers.range).toBe(`bytes=${middle}-`);
+      expect(stages(onProgress, 'resuming')).toEqual([
+        expect.objectContaining({ loaded: middle, total: csv.length })
+      ]);
+      expect(stages(onProgress, 'downloading').at(-1)).toMatchObject({ loaded: csv.length, total: csv.length, percent: 100 });
+      expect(mockDb.registerFileText).toHaveBeenCalledWith(expect.any(String), csv);
+    });
+
+    it('should start over when the server ignores the range', async () => {
+      faults['/data/sample.csv'] = [{ drop: true }, { ignoreRange: true }];
+
+      await dataLoader.loadURL(`${baseURL}/data/sample.csv`, { retryDelay: 1 });
+
+      expect(dataLoader.dataTable.log.warn).toHaveBeenCalledWith(expect.stringContaining('starting it over'));
+      expect(mockDb.registerFileText).toHaveBeenCalledWith(expect.any(String), csv);
+    });
+
+    it('should start a compressed download over instead of resuming it', async () => {
+      faults['/data/encoded.csv'] = [{ drop: true }];
+      const onProgress = vi.fn();
+
+      await dataLoader.loadURL(`${baseURL}/data/encoded.csv`, { retryDelay: 1, onProgress });
+
+      // Bytes were received before the drop, but their count is of decoded bytes
+      expect(stages(onProgress, 'downloading')[0].loaded).toBeGreaterThan(0);
+      expect(requests).toHaveLength(2);
+      expect(requests[1].headers.range).toBeUndefined();
+      expect(stages(onProgress, 'resuming')).toEqual([]);
+      expect(mockDb.registerFileText).toHaveBeenCalledWith(expect.any(String), largeCSV);
+    });
+
+    it('should fail instead of mixing versions of a file that changed', async () => {
+      faults['/data/sample.csv'] = [{ drop: true }, { headers: { ETag: '"v2"' } }];
+
+      await expect(dataLoader.loadURL(`${baseURL}/data/sample.csv`, { retryDelay: 1 }))
+        .rejects.toThrow('the file changed while it was downloading');
+      expect(mockConn.query).not.toHaveBeenCalled();
+    });
+
+    it('should report a dropped download once retries are off', async () => {
+      faults['/data/sample.csv'] = [{ drop: true }];
+
+      await expect(dataLoader.loadURL(`${baseURL}/data/sample.csv`, { retries: 0 }))
+        .rejects.toThrow(/^Failed to download .*sample\.csv: /);
+      expect(requests).toHaveLength(1);
+    });
+
+    it('should stop waiting for a retry when aborted', async () => {
+      faults['/data/sample.csv'] = [{ status: 503 }];
+      const controller = new AbortController();
+      const onProgress = vi.fn(progress => {
+        if (progress.stage === 'retrying') controller.abort();
+      });
+
+      await expect(dataLoader.loadURL(`${baseURL}/data/sample.csv`, { retryDelay: 60000, onProgress, signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect(requests).toHaveLength(1);
+    });
+
+    it('should download lazy Parquet when it needs headers', async () => {
+      const result = await dataLoader.loadURL(`${baseURL}/data/sample.parquet`, { lazy: true, headers: { 'X-Api-Key': 'key' } });
+
+      expect(result.remote).toBeUndefined();
+      expect(mockDb.registerFileURL).not.toHaveBeenCalled();
+      expect(requests[0].headers['x-api-key']).toBe('key');
+    });
+  });
+});
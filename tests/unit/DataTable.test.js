@@ -311,6 +311,161 @@ describe('DataTable', () => {
         fileName: 'test.csv'
       }));
     });
+
+    it('should expose and show the rows a lenient load skipped', async () => {
+      const file = new File(['id\n1\nx'], 'test.csv', { type: 'text/csv' });
+      const rejects = {
+        count: 1,
+        errors: [{ line: 3, column: 'id', type: 'CAST', reason: 'Could not convert "x"', text: 'x' }]
+      };
+      dataTable.dataLoader.load = vi.fn(() => Promise.resolve({ tableName: 'test_csv', schema: {}, rejects }));
+
+      await dataTable.loadData(file, { lenient: true });
+
+      expect(dataTable.rejects.value).toEqual(rejects);
+      const notice = dataTable.container.querySelector('.datatable-rejects');
+      expect(notice.querySelector('summary').textContent).toBe('1 malformed row was skipped');
+      expect(notice.querySelector('li').textContent).toBe('Line 3: Could not convert "x" x');
+
+      await dataTable.clearData();
+
+      expect(dataTable.rejects.value).toBeNull();
+      expect(notice.isConnected).toBe(false);
+    });
+
+    it('should show the values that did not convert to their schema type', async () => {
+      const coercionErrors = { count: 1, errors: [{ row: 2, column: 'id', value: 'n/a', type: 'INTEGER' }] };
+      dataTable.dataLoader.load = vi.fn(() => Promise.resolve({ tableName: 'orders', schema: {}, coercionErrors }));
+
+      await dataTable.loadData('id\n1\nn/a', { schema: { id: 'INTEGER' } });
+
+      expect(dataTable.coercionErrors.value).toEqual(coercionErrors);
+      const notice = dataTable.container.querySelector('.datatable-coercion');
+      expect(notice.querySelector('summary').textContent).toBe('1 row has values that did not convert and became empty');
+      expect(notice.querySelector('li').textContent).toBe('Row 2, id (INTEGER): n/a');
+
+      await dataTable.clearData();
+
+      expect(dataTable.coercionErrors.value).toBeNull();
+      expect(notice.isConnected).toBe(false);
+    });
+
+    it('should discard the table when the load is aborted as it finishes', async () => {
+      const controller = new AbortController();
+      const file = new File(['name\nAlice'], 'test.csv', { type: 'text/csv' });
+
+      dataTable.dataLoader.load = vi.fn(() => {
+        controller.abort();
+        return Promise.resolve({ tableName: 'test_csv', schema: {} });
+      });
+      dataTable.dataLoader.discardTable = vi.fn().mockResolvedValue();
+
+      await expect(dataTable.loadData(file, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+
+      expect(dataTable.dataLoader.discardTable).toHaveBeenCalledWith('test_csv', 'TABLE');
+      expect(dataTable.tableName.value).not.toBe('test_csv');
+    });
+
+    it('should append to the current table when asked to', async () => {
+      const file = new File(['name\nCarol'], 'march.csv', { type: 'text/csv' });
+
+      // Without a current table an append is an ordinary load
+      dataTable.dataLoader.load = vi.fn(() => Promise.resolve({ tableName: 'sales', schema: {} }));
+      await dataTable.loadData(file, { append: true });
+      expect(dataTable.dataLoader.load).toHaveBeenLastCalledWith(file, expect.objectContaining({ appendTo: undefined }));
+
+      dataTable.dataLoader.load = vi.fn(() => Promise.resolve({ tableName: 'sales', schema: {}, appended: 1 }));
+      const result = await dataTable.loadData(file, { append: true, sourceColumn: true });
+
+      expect(dataTable.dataLoader.load).toHaveBeenCalledWith(file, expect.objectContaining({ appendTo: 'sales', sourceColumn: true }));
+      expect(result.appended).toBe(1);
+      expect(dataTable.tableName.value).toBe('sales');
+    });
+
+    it('should refuse to append to a view', async () => {
+      dataTable.tableName.value = 'remote';
+      dataTable.isView = true;
+      dataTable.dataLoader.load = vi.fn();
+
+      await expect(dataTable.loadData('a,b\n1,2', { append: true })).rejects.toThrow('Cannot append to remote');
+      expect(dataTable.dataLoader.load).not.toHaveBeenCalled();
+    });
+
+    it('should rename the current table and keep the renderer on it', async () => {
+      await expect(dataTable.renameTable('orders')).rejects.toThrow('No table to rename');
+
+      dataTable.tableName.value = 'data_1_abc';
+      dataTable.tableRenderer = { setTable: vi.fn(), destroy: vi.fn() };
+      dataTable.dataLoader.renameTable = vi.fn(() => Promise.resolve('Q1_orders'));
+
+      const renamed = await dataTable.renameTable('Q1 orders', { ifExists: 'suffix' });
+
+      expect(dataTable.dataLoader.renameTable).toHaveBeenCalledWith('data_1_abc', 'Q1 orders', { relation: 'TABLE', ifExists: 'suffix' });
+      expect(renamed).toBe('Q1_orders');
+      expect(dataTable.tableName.value).toBe('Q1_orders');
+      expect(dataTable.tableRenderer.setTable).toHaveBeenCalledWith('Q1_orders');
+    });
+
+    it('should show that the table is a sample and load the full data on request', async () => {
+      const file = new File(['id\n1\n2\n3'], 'big.csv', { type: 'text/csv' });
+      const sample = { size: 1, unit: 'rows', method: 'reservoir', seed: 42, rowCount: 1, totalRowCount: 3 };
+      dataTable.dataLoader.load = vi.fn(() => Promise.resolve({ tableName: 'big', schema: {}, rowCount: 1n, sample }));
+
+      await dataTable.loadData(file, { tableName: 'big', sample: { size: 1, seed: 42 } });
+
+      expect(dataTable.sample.value).toEqual(sample);
+      expect(dataTable.loadedSources).toEqual([{ source: file, options: expect.objectContaining({ tableName: 'big' }) }]);
+      const notice = dataTable.container.querySelector('.datatable-sample');
+      expect(notice.querySelector('span').textContent).toBe('Sample: 1 of 3 rows (reservoir, seed 42)');
+
+      dataTable.dataLoader.load = vi.fn(() => Promise.resolve({ tableName: 'big_1_abc', schema: {}, rowCount: 3n }));
+      dataTable.dataLoader.renameTable = vi.fn(() => Promise.resolve('big'));
+
+      const result = await dataTable.promoteToFullData();
+
+      expect(dataTable.dataLoader.load).toHaveBeenCalledWith(file, expect.objectContaining({ sample: undefined, tableName: undefined }));
+      expect(dataTable.dataLoader.renameTable).toHaveBeenCalledWith('big_1_abc', 'big', { relation: 'TABLE', ifExists: 'replace' });
+      expect(result.tableName).toBe('big');
+      expect(dataTable.tableName.value).toBe('big');
+      expect(dataTable.sample.value).toBeNull();
+      expect(dataTable.loadedSources).toEqual([]);
+      expect(notice.isConnected).toBe(false);
+
+      await expect(dataTable.promoteToFullData()).rejects.toThrow('The current table is not a sample');
+    });
+
+    it('should only keep the sources of sampled tables', async () => {
+      const file = new File(['id\n1\n2\n3'], 'big.csv', { type: 'text/csv' });
+      dataTable.dataLoader.load = vi.fn(() => Promise.resolve({ tableName: 'big', schema: {}, rowCount: 3n }));
+
+      await dataTable.loadData(file, { tableName: 'big' });
+      expect(dataTable.loadedSources).toEqual([]);
+
+      // A sample appended to unsampled rows cannot be loaded again in full
+      const sample = { size: 1, unit: 'rows', method: 'reservoir', seed: 42, rowCount: 1, totalRowCount: 3 };
+      dataTable.dataLoader.load = vi.fn(() => Promise.resolve({ tableName: 'big', schema: {}, rowCount: 4n, appended: 1n, sample }));
+      await dataTable.loadData('id\n4\n5\n6', { append: true, sample: 1 });
+
+      expect(dataTable.sample.value).toMatchObject({ rowCount: 4, totalRowCount: 6 });
+      await expect(dataTable.promoteToFullData()).rejects.toThrow('Cannot load the full data for big');
+    });
+
+    it('should keep the sample when the full load fails', async () => {
+      const sample = { size: 1, unit: 'rows', method: 'systematic', seed: 0, rowCount: 1, totalRowCount: 3 };
+      dataTable.dataLoader.load = vi.fn(() => Promise.resolve({ tableName: 'big', schema: {}, rowCount: 1n, sample }));
+      await dataTable.loadData('id\n1\n2\n3', { tableName: 'big', sample: 1 });
+
+      dataTable.dataLoader.load = vi.fn()
+        .mockResolvedValueOnce({ tableName: 'big_1_abc', schema: {}, rowCount: 3n });
+      dataTable.dataLoader.renameTable = vi.fn(() => Promise.reject(new Error('Failed to rename big_1_abc: locked')));
+      dataTable.dataLoader.discardTable = vi.fn().mockResolvedValue();
+
+      await expect(dataTable.promoteToFullData()).rejects.toThrow('locked');
+
+      expect(dataTable.dataLoader.discardTable).toHaveBeenCalledWith('big_1_abc', 'TABLE');
+      expect(dataTable.tableName.value).toBe('big');
+      expect(dataTable.sample.value).toEqual(sample);
+    });
   });
 
   describe('SQL Execution', () => {
@@ -417,6 +572,16 @@ describe('DataTable', () => {
       expect(dataTable.tableRenderer).toBe(null);
     });
 
+    it('should drop a view when the current table is a remote view', async () => {
+      dataTable.isView = true;
+      dataTable.executeSQL = vi.fn(() => Promise.resolve([]));
+      
+      await dataTable.clearData();
+      
+      expect(dataTable.executeSQL).toHaveBeenCalledWith('DROP VIEW IF EXISTS test');
+      expect(dataTable.isView).toBe(false);
+    });
+
     it('should return correct schema information', () => {
       const schema = dataTable.getSchema();
       
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { RecordSplitter, splitFirstRecord, csvReadOptions } from '../../src/data/DelimitedText.js';
+
+describe('DelimitedText', () => {
+  describe('RecordSplitter', () => {
+    it('should only release complete records', () => {
+      const splitter = new RecordSplitter();
+
+      expect(splitter.push('a,b\n1,')).toBe('a,b\n');
+      expect(splitter.push('2\n3')).toBe('1,2\n');
+      expect(splitter.push(',4')).toBe('');
+      expect(splitter.flush()).toBe('3,4');
+    });
+
+    it('should keep quoted newlines inside their record across pushes', () => {
+      const splitter = new RecordSplitter();
+
+      expect(splitter.push('id,note\n1,"first\n')).toBe('id,note\n');
+      expect(splitter.push('line ""quoted"""\n2,')).toBe('1,"first\nline ""quoted"""\n');
+      expect(splitter.flush()).toBe('2,');
+    });
+
+    it('should not end a quoted field at an escaped quote', () => {
+      const splitter = new RecordSplitter('"', '\\');
+
+      expect(splitter.push('1,"say \\')).toBe('');
+      expect(splitter.push('"hi\n"\n2,x\n')).toBe('1,"say \\"hi\n"\n2,x\n');
+    });
+  });
+
+  describe('splitFirstRecord', () => {
+    it('should split off a header that may contain quoted newlines', () => {
+      expect(splitFirstRecord('"a\nb",c\n1,2\n')).toEqual(['"a\nb",c\n', '1,2\n']);
+      expect(splitFirstRecord('a,b')).toEqual(['a,b', '']);
+    });
+  });
+
+  describe('csvReadOptions', () => {
+    it('should default to a detected dialect with a header', () => {
+      expect(csvReadOptions()).toBe("delim=',', header=true, auto_detect=true, sample_size=1000");
+    });
+
+    it('should quote characters and strings for SQL', () => {
+      expect(csvReadOptions({ quote: "'", escape: '\\', skipRows: 2, header: false, nullStrings: 'n/a' })).toBe(
+        "delim=',', quote='''', escape='\\', skip=2, header=false, auto_detect=true, sample_size=1000, nullstr=['n/a']"
+      );
+    });
+
+    it('should read with exact column types instead of detecting them', () => {
+      const options = { delimiter: '\t', skipRows: 3, columnTypes: { id: 'VARCHAR' }, timestampFormat: '%d/%m/%Y %H:%M' };
+
+      expect(csvReadOptions(options, { id: 'VARCHAR', "o'clock": 'TIMESTAMP' })).toBe(
+        "delim='\t', header=true, timestampformat='%d/%m/%Y %H:%M', columns={'id': 'VARCHAR', 'o''clock': 'TIMESTAMP'}"
+      );
+    });
+
+    it('should reject invalid skipRows and sampleSize values', () => {
+      expect(() => csvReadOptions({ skipRows: 1.5 })).toThrow('Invalid skipRows: 1.5');
+      expect(() => csvReadOptions({ sampleSize: 0 })).toThrow('Invalid sampleSize: 0');
+    });
+  });
+});
@@ -8,7 +8,8 @@ import {
   getDistinctValues,
   getDataProfile,
   formatSchemaForUI,
-  detectColumnType
+  detectColumnType,
+  detectAndMarkGeometryColumns
 } from '../../src/data/DuckDBHelpers.js';
 
 describe('DuckDBHelpers', () => {
@@ -69,6 +70,20 @@ describe('DuckDBHelpers', () => {
       });
     });
 
+    it('should keep types given at load time instead of detecting timestamps', async () => {
+      mockConn.query.mockImplementation(async (sql) => ({
+        toArray: () => (sql.startsWith('DESCRIBE')
+          ? [{ column_name: 'code', column_type: 'VARCHAR', null: 'YES' }, { column_name: 'seen', column_type: 'VARCHAR', null: 'YES' }]
+          : [{ code: '2024-01-05', seen: '2024-01-05' }])
+      }));
+
+      const schema = await detectSchema(mockConn, 'events', ['code']);
+
+      expect(schema.code).toEqual({ type: 'VARCHAR', nullable: true, vizType: 'categorical', typeOverride: true });
+      expect(mockConn.query).toHaveBeenCalledWith(expect.stringContaining('SELECT seen'));
+      expect(mockConn.query).not.toHaveBeenCalledWith(expect.stringContaining('SELECT code'));
+    });
+
     it('should work with db.conn pattern', async () => {
       const mockSchemaResult = {
         toArray: () => [
@@ -294,6 +309,15 @@ describe('DuckDBHelpers', () => {
       
       expect(mockConn.query).toHaveBeenCalledWith(expect.stringContaining('LIMIT 50'));
     });
+
+    it('should quote column and table names that are not plain identifiers', async () => {
+      mockConn.query.mockResolvedValue({ toArray: () => [] });
+      
+      await getDistinctValues(mockConn, 'order', 'Product "Line"');
+      
+      expect(mockConn.query).toHaveBeenCalledWith(expect.stringContaining('FROM "order"'));
+      expect(mockConn.query).toHaveBeenCalledWith(expect.stringContaining('GROUP BY "Product ""Line"""'));
+    });
   });
 
   describe('getDataProfile', () => {
@@ -408,6 +432,104 @@ describe('DuckDBHelpers', () => {
       expect(detectColumnType('TIMESTAMP')).toBe('temporal');
       expect(detectColumnType('DATE')).toBe('temporal');
       expect(detectColumnType('BOOLEAN')).toBe('categorical');
+      expect(detectColumnType('GEOMETRY')).toBe('geometry');
+    });
+  });
+
+  describe('detectAndMarkGeometryColumns', () => {
+    it('should mark text columns holding WKT', async () => {
+      mockConn.query.mockResolvedValue({
+        toArray: () => [{ shape: 'POINT (13.4 52.5)' }, { shape: 'POLYGON ((0 0, 1 0, 1 1, 0 0))' }]
+      });
+
+      const schema = await detectAndMarkGeometryColumns(mockConn, 'places', {
+        shape: { type: 'VARCHAR', nullable: true, vizType: 'categorical' }
+      });
+
+      expect(schema.shape).toEqual({
+        type: 'VARCHAR',
+        nullable: true,
+        vizType: 'geometry',
+        isGeometry: true,
+        geometryFormat: 'wkt'
+      });
+    });
+
+    it('should leave ordinary text columns alone', async () => {
+      mockConn.query.mockResolvedValue({
+        toArray: () => [{ name: 'Point Reyes' }, { name: 'Harbor' }]
+      });
+
+      const schema = await detectAndMarkGeometryColumns(mockConn, 'places', {
+        name: { type: 'VARCHAR', nullable: true, vizType: 'categorical' }
+      });
+
+      expect(schema.name.isGeometry).toBeUndefined();
+      expect(schema.name.vizType).toBe('categorical');
+    });
+
+    it('should sample all candidate columns with one query', async () => {
+      mockConn.query.mockResolvedValue({
+        toArray: () => [{ name: 'Berlin', shape: 'POINT (13.4 52.5)' }, { name: 'Nowhere', shape: null }]
+      });
+
+      const schema = await detectAndMarkGeometryColumns(mockConn, 'places', {
+        id: { type: 'INTEGER', nullable: false, vizType: 'histogram' },
+        name: { type: 'VARCHAR', nullable: true, vizType: 'categorical' },
+        shape: { type: 'VARCHAR', nullable: true, vizType: 'categorical' }
+      });
+
+      expect(mockConn.query).toHaveBeenCalledTimes(1);
+      expect(mockConn.query.mock.calls[0][0]).toContain('WHERE name IS NOT NULL OR shape IS NOT NULL');
+      expect(schema.shape.geometryFormat).toBe('wkt');
+      expect(schema.name.isGeometry).toBeUndefined();
+    });
+
+    it('should mark spatial extension types without sampling', async () => {
+      mockConn.query.mockResolvedValue({ toArray: () => [{ loaded: true }] });
+
+      const schema = await detectAndMarkGeometryColumns(mockConn, 'places', {
+        geom: { type: 'GEOMETRY', nullable: true, vizType: 'geometry' }
+      });
+
+      expect(mockConn.query).toHaveBeenCalledTimes(1);
+      expect(mockConn.query.mock.calls[0][0]).toContain('duckdb_extensions()');
+      expect(schema.geom.geometryFormat).toBe('geometry');
+    });
+
+    describe('WKB columns', () => {
+      // POINT (13.4 52.5) as little-endian WKB
+      const point = new Uint8Array(21);
+      const view = new DataView(point.buffer);
+      point[0] = 1;
+      view.setUint32(1, 1, true);
+      view.setFloat64(5, 13.4, true);
+      view.setFloat64(13, 52.5, true);
+
+      const schema = { shape: { type: 'BLOB', nullable: true, vizType: 'categorical' } };
+      const respond = loaded => mockConn.query.mockImplementation(async (sql) => ({
+        toArray: () => (sql.includes('duckdb_extensions()') ? [{ loaded }] : [{ shape: point }, { shape: point }])
+      }));
+
+      it('should mark BLOB columns holding WKB while the spatial extension is loaded', async () => {
+        respond(true);
+
+        const marked = await detectAndMarkGeometryColumns(mockConn, 'places', schema);
+
+        expect(marked.shape).toMatchObject({ isGeometry: true, geometryFormat: 'wkb', vizType: 'geometry' });
+      });
+
+      it('should leave WKB columns alone without the spatial extension', async () => {
+        respond(false);
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const marked = await detectAndMarkGeometryColumns(mockConn, 'places', schema);
+
+        expect(marked.shape.isGeometry).toBeUndefined();
+        expect(marked.shape.vizType).toBe('categorical');
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('the spatial extension is not loaded: shape'));
+        warn.mockRestore();
+      });
     });
   });
 
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { Type } from '@uwdata/flechette';
+import {
+  openWorkbook,
+  readSheetRows,
+  sheetToColumns,
+  excelSerialToDate
+} from '../../src/data/ExcelWorkbook.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const workbookBytes = new Uint8Array(readFileSync(join(__dirname, '../fixtures/sample.xlsx')));
+
+describe('ExcelWorkbook', () => {
+  let workbook;
+
+  beforeAll(async () => {
+    workbook = await openWorkbook(workbookBytes);
+  });
+
+  describe('openWorkbook', () => {
+    it('should list sheets in workbook order with visibility', () => {
+      expect(workbook.sheets.map(({ name, hidden }) => ({ name, hidden }))).toEqual([
+        { name: 'Secret', hidden: true },
+        { name: 'Sales', hidden: false },
+        { name: 'Report', hidden: false }
+      ]);
+    });
+
+    it('should resolve relative and absolute sheet targets', () => {
+      expect(workbook.sheets.map(sheet => sheet.path)).toEqual([
+        'xl/worksheets/sheet1.xml',
+        'xl/worksheets/sheet2.xml',
+        'xl/worksheets/sheet3.xml'
+      ]);
+    });
+
+    it('should reject ZIP archives that are not workbooks', async () => {
+      const notAWorkbook = new Uint8Array([0x50, 0x4b, 0x05, 0x06, ...new Array(18).fill(0)]);
+      await expect(openWorkbook(notAWorkbook)).rejects.toThrow('Not an Excel workbook');
+    });
+  });
+
+  describe('readSheetRows', () => {
+    it('should read shared, rich, inline and boolean cells and date styles', async () => {
+      const rows = await readSheetRows(workbook, workbook.sheets[1]);
+
+      expect(rows[0]).toEqual(['Region', 'Order Date', 'Amount', 'Closed At', 'Won', 'Duration']);
+      expect(rows[1]).toEqual([
+        'North',
+        new Date('2024-01-01T00:00:00Z'),
+        1200.5,
+        new Date('2024-01-01T12:00:00Z'),
+        true,
+        0.25
+      ]);
+      expect(rows[2][3]).toBeNull();
+    });
+
+    it('should place sparse rows and cells by reference', async () => {
+      const rows = await readSheetRows(workbook, workbook.sheets[2]);
+
+      expect(rows[1]).toEqual([]);
+      expect(rows[3]).toEqual(['Ada', 9, null, null, 1]);
+      expect(rows[5]).toEqual(['Grace', 7]);
+    });
+  });
+
+  describe('sheetToColumns', () => {
+    it('should use the header row and skip title and blank rows', async () => {
+      const rows = await readSheetRows(workbook, workbook.sheets[2]);
+
+      const { columns } = sheetToColumns(rows, { headerRow: 3 });
+
+      expect(columns).toEqual({
+        Name: ['Ada', 'Grace'],
+        Score: [9, 7],
+        Score_2: [null, null],
+        column_4: [null, null],
+        column_5: [1, null]
+      });
+    });
+
+    it('should generate names when there is no header row', () => {
+      const { columns } = sheetToColumns([['a', 1], ['b', 2]], { headerRow: false });
+
+      expect(columns).toEqual({ column_1: ['a', 'b'], column_2: [1, 2] });
+    });
+
+    it('should type date columns as DATE or TIMESTAMP', async () => {
+      const rows = await readSheetRows(workbook, workbook.sheets[1]);
+
+      const { types } = sheetToColumns(rows);
+
+      expect(Object.keys(types)).toEqual(['Order Date', 'Closed At']);
+      expect(types['Order Date'].typeId).toBe(Type.Date);
+      expect(types['Closed At'].typeId).toBe(Type.Timestamp);
+    });
+
+    it('should reject invalid header rows', () => {
+      expect(() => sheetToColumns([], { headerRow: 'first' })).toThrow('Invalid headerRow: first');
+    });
+  });
+
+  describe('excelSerialToDate', () => {
+    it('should convert serials in the 1900 date system', () => {
+      expect(excelSerialToDate(1)).toEqual(new Date('1900-01-01T00:00:00Z'));
+      expect(excelSerialToDate(59)).toEqual(new Date('1900-02-28T00:00:00Z'));
+      expect(excelSerialToDate(61)).toEqual(new Date('1900-03-01T00:00:00Z'));
+      expect(excelSerialToDate(45292.75)).toEqual(new Date('2024-01-01T18:00:00Z'));
+    });
+
+    it('should convert serials in the 1904 date system', () => {
+      expect(excelSerialToDate(0, true)).toEqual(new Date('1904-01-01T00:00:00Z'));
+      expect(excelSerialToDate(43830, true)).toEqual(new Date('2024-01-01T00:00:00Z'));
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectFormatFromPath,
+  detectFormatFromContentType,
+  sniffFormat,
+  resolveFormat,
+  stripCompressionExtension,
+  getFileNameFromURL
+} from '../../src/data/FormatDetection.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+
+describe('FormatDetection', () => {
+  describe('detectFormatFromPath', () => {
+    it('should map known extensions', () => {
+      expect(detectFormatFromPath('sales.csv')).toBe('csv');
+      expect(detectFormatFromPath('sales.TSV')).toBe('tsv');
+      expect(detectFormatFromPath('events.json')).toBe('json');
+      expect(detectFormatFromPath('events.parquet')).toBe('parquet');
+      expect(detectFormatFromPath('events.jsonl')).toBe('ndjson');
+      expect(detectFormatFromPath('events.ndjson')).toBe('ndjson');
+      expect(detectFormatFromPath('events.feather')).toBe('arrow');
+      expect(detectFormatFromPath('Budget 2024.XLSX')).toBe('xlsx');
+      expect(detectFormatFromPath('exports.zip')).toBe('zip');
+      expect(detectFormatFromPath('inventory.sqlite3')).toBe('sqlite');
+      expect(detectFormatFromPath('app.db')).toBe('sqlite');
+      expect(detectFormatFromPath('parks.geojson')).toBe('geojson');
+      expect(detectFormatFromPath('data.csv.gz')).toBe('gzip');
+      expect(detectFormatFromPath('data.parquet.zst')).toBe('zstd');
+      expect(detectFormatFromPath('events.arrows')).toBe('arrow');
+    });
+
+    it('should ignore query strings and fragments in URLs', () => {
+      expect(detectFormatFromPath('https://example.com/a/b.parquet?sig=abc#x')).toBe('parquet');
+    });
+
+    it('should return null for missing or unknown extensions', () => {
+      expect(detectFormatFromPath('https://example.com/api/export')).toBeNull();
+      expect(detectFormatFromPath('https://example.com.au/export')).toBeNull();
+      expect(detectFormatFromPath('notes.txt')).toBeNull();
+      expect(detectFormatFromPath('')).toBeNull();
+    });
+  });
+
+  describe('detectFormatFromContentType', () => {
+    it('should map data MIME types and ignore parameters', () => {
+      expect(detectFormatFromContentType('text/csv; charset=utf-8')).toBe('csv');
+      expect(detectFormatFromContentType('application/json')).toBe('json');
+      expect(detectFormatFromContentType('application/ld+json')).toBe('json');
+      expect(detectFormatFromContentType('application/geo+json')).toBe('geojson');
+      expect(detectFormatFromContentType('application/vnd.apache.parquet')).toBe('parquet');
+      expect(detectFormatFromContentType('application/vnd.apache.arrow.stream')).toBe('arrow');
+    });
+
+    it('should treat generic types as unknown', () => {
+      expect(detectFormatFromContentType('application/octet-stream')).toBeNull();
+      expect(detectFormatFromContentType('text/plain')).toBeNull();
+      expect(detectFormatFromContentType(null)).toBeNull();
+    });
+  });
+
+  describe('sniffFormat', () => {
+    it('should recognize Parquet magic bytes', () => {
+      expect(sniffFormat(new Uint8Array([0x50, 0x41, 0x52, 0x31, 0, 0]))).toBe('parquet');
+    });
+
+    it('should recognize SQLite database headers', () => {
+      expect(sniffFormat(encode('SQLite format 3\0\u0010\u0000'))).toBe('sqlite');
+      expect(sniffFormat(encode('SQLite format 3 is a file header'))).not.toBe('sqlite');
+    });
+
+    it('should recognize JSON documents', () => {
+      expect(sniffFormat(encode('  [{"a": 1}]'))).toBe('json');
+      expect(sniffFormat(encode('\uFEFF{"data": []}'))).toBe('json');
+    });
+
+    it('should tell newline-delimited JSON from pretty-printed JSON', () => {
+      expect(sniffFormat(encode('{"a": 1}\n{"a": 2}\n'))).toBe('ndjson');
+      expect(sniffFormat(encode('{\n  "a": 1\n}\n'))).toBe('json');
+      expect(sniffFormat(encode('{"a": 1}'))).toBe('json');
+    });
+
+    it('should recognize GeoJSON feature collections and features', () => {
+      expect(sniffFormat(encode('{"type": "FeatureCollection", "features": []}'))).toBe('geojson');
+      expect(sniffFormat(encode('{\n  "type": "Feature",\n  "geometry": null\n}'))).toBe('geojson');
+      expect(sniffFormat(encode('{"items": [{"type": "Feature"}]}'))).toBe('json');
+    });
+
+    it('should distinguish tab and comma delimited text', () => {
+      expect(sniffFormat(encode('a\tb\tc\n1\t2\t3\n'))).toBe('tsv');
+      expect(sniffFormat(encode('a,b,c\n1,2,3\n').buffer)).toBe('csv');
+    });
+
+    it('should recognize binary signatures', () => {
+      expect(sniffFormat(encode('ARROW1\0\0'))).toBe('arrow');
+      expect(sniffFormat(new Uint8Array([0xff, 0xff, 0xff, 0xff, 0x10, 0, 0, 0]))).toBe('arrow');
+      expect(sniffFormat(new Uint8Array([0x1f, 0x8b, 0x08, 0x00]))).toBe('gzip');
+      expect(sniffFormat(new Uint8Array([0x28, 0xb5, 0x2f, 0xfd, 0x24]))).toBe('zstd');
+      expect(sniffFormat(new Uint8Array([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00]))).toBe('zip');
+    });
+
+    it('should recognize text in UTF-16 and legacy single-byte encodings', () => {
+      const utf16 = new Uint8Array([0xff, 0xfe, ...Array.from('a\tb\n1\t2\n', char => [char.charCodeAt(0), 0]).flat()]);
+      expect(sniffFormat(utf16)).toBe('tsv');
+      expect(sniffFormat(new Uint8Array([0x63, 0x61, 0x66, 0xe9, 0x2c, 0x6e, 0x0a, 0x31, 0x2c, 0x32, 0x0a]))).toBe('csv');
+    });
+
+    it('should return null for empty content and unknown binary data', () => {
+      expect(sniffFormat(new Uint8Array(0))).toBeNull();
+      expect(sniffFormat(new Uint8Array([0x00, 0x01, 0x02, 0x03]))).toBeNull();
+      expect(sniffFormat(new Uint8Array([0x07, 0x08, 0x0e, 0x41]))).toBeNull();
+    });
+  });
+
+  describe('resolveFormat', () => {
+    it('should trust binary signatures over declared formats', () => {
+      expect(resolveFormat('csv', 'parquet')).toBe('parquet');
+      expect(resolveFormat(null, 'zip')).toBe('zip');
+    });
+
+    it('should keep ZIP-based formats declared by name', () => {
+      expect(resolveFormat('xlsx', 'zip')).toBe('xlsx');
+      expect(resolveFormat('xlsx', 'csv')).toBe('csv');
+    });
+
+    it('should keep declared text formats for text content', () => {
+      expect(resolveFormat('tsv', 'csv')).toBe('tsv');
+      expect(resolveFormat('json', 'csv')).toBe('json');
+    });
+
+    it('should refine declared JSON to NDJSON', () => {
+      expect(resolveFormat('json', 'ndjson')).toBe('ndjson');
+      expect(resolveFormat('json', 'geojson')).toBe('geojson');
+    });
+
+    it('should use sniffed text when a binary format was declared', () => {
+      expect(resolveFormat('parquet', 'csv')).toBe('csv');
+    });
+
+    it('should only accept unrecognized content for declared binary formats', () => {
+      expect(resolveFormat('parquet', null)).toBe('parquet');
+      expect(resolveFormat('csv', null)).toBeNull();
+      expect(resolveFormat(null, null)).toBeNull();
+    });
+  });
+
+  describe('stripCompressionExtension', () => {
+    it('should remove gzip and zstd extensions only', () => {
+      expect(stripCompressionExtension('data.csv.gz')).toBe('data.csv');
+      expect(stripCompressionExtension('logs/events.ndjson.ZST')).toBe('logs/events.ndjson');
+      expect(stripCompressionExtension('data.csv')).toBe('data.csv');
+      expect(stripCompressionExtension('archive.zip')).toBe('archive.zip');
+      expect(stripCompressionExtension(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('getFileNameFromURL', () => {
+    it('should extract and decode the last path segment', () => {
+      expect(getFileNameFromURL('https://example.com/files/My%20Data.csv?x=1')).toBe('My Data.csv');
+    });
+
+    it('should fall back to a generic name', () => {
+      expect(getFileNameFromURL('https://example.com/')).toBe('data');
+      expect(getFileNameFromURL('not a url')).toBe('data');
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { createServer } from 'http';
+import { GCSStorage } from '../../src/data/GCSStorage.js';
+import { CloudStorage } from '../../src/data/CloudStorage.js';
+import { DataLoader } from '../../src/data/DataLoader.js';
+
+vi.mock('../../src/data/DuckDBHelpers.js', () => ({
+  detectSchema: vi.fn().mockResolvedValue({
+    region: { type: 'VARCHAR', nullable: true, vizType: 'categorical' },
+    amount: { type: 'BIGINT', nullable: true, vizType: 'histogram' }
+  }),
+  getRowCount: vi.fn().mockResolvedValue(2n),
+  getTableInfo: vi.fn()
+}));
+
+// Objects in the 'datasets' bucket of the local Cloud Storage stand-in
+const objects = {
+  'sales/2024.csv': 'region,amount\neast,30\nwest,40\n',
+  'sales/archive/2022.csv': 'region,amount\nnorth,5\n',
+  'readme.txt': 'Sales data'
+};
+
+describe('GCSStorage', () => {
+  let server;
+  let apiUrl;
+  let requests;
+
+  beforeAll(async () => {
+    // A fake-gcs-server style stand-in for the JSON API: object listing and ?alt=media downloads
+    server = createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const json = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+      requests.push({ path: url.pathname, params: url.searchParams, headers: req.headers });
+
+      if (req.headers.authorization !== 'Bearer gcs-token') {
+        return json(401, { error: { code: 401, message: 'Anonymous caller does not have storage.objects.get access' } });
+      }
+
+      const match = /^\/storage\/v1\/b\/([^/]+)\/o(?:\/(.+))?$/.exec(url.pathname);
+      if (!match || match[1] !== 'datasets') {
+        return json(404, { error: { code: 404, message: 'The specified bucket does not exist.' } });
+      }
+
+      if (!match[2]) {
+        const prefix = url.searchParams.get('prefix') || '';
+        const names = Object.keys(objects).filter(name => name.startsWith(prefix));
+        const items = names.filter(name => !name.slice(prefix.length).includes('/'));
+        const prefixes = [...new Set(names
+          .filter(name => name.slice(prefix.length).includes('/'))
+          .map(name => prefix + name.slice(prefix.length).split('/')[0] + '/'))];
+        return json(200, {
+          items: items.map(name => ({ name, size: String(objects[name].length), updated: '2024-03-01T12:00:00.000Z', etag: 'CAE=' })),
+          prefixes
+        });
+      }
+
+      const name = decodeURIComponent(match[2]);
+      if (!(name in objects) || url.searchParams.get('alt') !== 'media') {
+        return json(404, { error: { code: 404, message: `No such object: datasets/${name}` } });
+      }
+      const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+      const body = range ? objects[name].slice(Number(range[1]), range[2] ? Number(range[2]) + 1 : undefined) : objects[name];
+      res.writeHead(range ? 206 : 200, { 'Content-Type': 'text/csv', 'Content-Length': body.length });
+      res.end(body);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    apiUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  let gcs;
+
+  beforeEach(() => {
+    requests = [];
+    gcs = new GCSStorage({ token: 'gcs-token', apiUrl });
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should parse gs:// URIs and bucket/key objects', () => {
+    expect(gcs.parseLocation('gs://datasets/sales/2024.csv')).toEqual({ bucket: 'datasets', key: 'sales/2024.csv' });
+    expect(gcs.parseLocation({ bucket: 'datasets' })).toEqual({ bucket: 'datasets', key: '' });
+    expect(() => gcs.parseLocation('s3://datasets/a.csv')).toThrow('Invalid Cloud Storage location');
+  });
+
+  it('should list objects and folders under a prefix', async () => {
+    const listing = await gcs.list('gs://datasets/sales/');
+
+    expect(requests[0].params.get('delimiter')).toBe('/');
+    expect(listing.folders).toEqual([{ prefix: 'sales/archive/', name: 'archive' }]);
+    expect(listing.files).toEqual([expect.objectContaining({ key: 'sales/2024.csv', name: '2024.csv', size: 30, format: 'csv' })]);
+    expect(listing.nextToken).toBeNull();
+  });
+
+  it('should read objects and byte ranges with the token', async () => {
+    const { response, details } = await gcs.read('gs://datasets/sales/2024.csv', { range: { start: 7 } });
+
+    expect(requests[0].params.get('alt')).toBe('media');
+    expect(response.status).toBe(206);
+    expect(await response.text()).toBe('amount\neast,30\nwest,40\n');
+    expect(details).toEqual({ bucket: 'datasets', key: 'sales/2024.csv' });
+  });
+
+  it('should report Cloud Storage errors', async () => {
+    await expect(gcs.read('gs://datasets/missing.csv')).rejects.toThrow('Failed to read gs://datasets/missing.csv: HTTP 404: No such object');
+    await expect(new GCSStorage({ apiUrl }).list('gs://datasets/')).rejects.toThrow('HTTP 401');
+    await expect(gcs.read('gs://datasets/')).rejects.toThrow('names a bucket, not an object');
+  });
+
+  it('should give public URLs for lazy reads only without a token', async () => {
+    await expect(gcs.resolveURL('gs://datasets/sales/2024.csv')).resolves.toBeNull();
+    await expect(new GCSStorage({ apiUrl }).resolveURL('gs://datasets/sales/Q1 2024.parquet'))
+      .resolves.toEqual({ url: `${apiUrl}/datasets/sales/Q1%202024.parquet`, details: { bucket: 'datasets', key: 'sales/Q1 2024.parquet' } });
+  });
+
+  describe('loading', () => {
+    let dataLoader;
+    let storage;
+
+    beforeEach(() => {
+      storage = new CloudStorage({ gcs: { token: async () => 'gcs-token', apiUrl } });
+      dataLoader = new DataLoader({
+        log: { info: vi.fn(), debug: vi.fn(), warn: vi.fn(), error: vi.fn() },
+        options: {},
+        db: { registerFileText: vi.fn().mockResolvedValue(), dropFile: vi.fn().mockResolvedValue() },
+        conn: { query: vi.fn().mockResolvedValue({ toArray: () => [] }) },
+        cloudStorage: storage
+      });
+    });
+
+    it('should load gs:// objects through the registered provider', async () => {
+      const onProgress = vi.fn();
+      const result = await dataLoader.load('gs://datasets/sales/2024.csv', { onProgress });
+
+      expect(result).toMatchObject({ format: 'csv', bucket: 'datasets', key: 'sales/2024.csv' });
+      expect(dataLoader.dataTable.db.registerFileText).toHaveBeenCalledWith(expect.any(String), objects['sales/2024.csv']);
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ stage: 'downloading', loaded: 30 }));
+    });
+
+    it('should load listed objects through CloudStorage.loadFromGCS', async () => {
+      const { files } = await storage.listGCS('gs://datasets/sales/');
+      dataLoader.dataTable.cloudStorage = null;
+      const dataTable = { loadData: vi.fn((source, options) => dataLoader.load(source, options)) };
+
+      const result = await storage.loadFromGCS({ bucket: 'datasets', key: files[0].key }, dataTable);
+
+      expect(dataTable.loadData).toHaveBeenCalledWith('gs://datasets/sales/2024.csv', { cloudStorage: storage });
+      expect(result.key).toBe('sales/2024.csv');
+    });
+  });
+});
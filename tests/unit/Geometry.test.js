@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import {
+  readGeoJSONFeatures,
+  featuresToRecords,
+  geometryToWKT,
+  isWKT,
+  isWKB,
+  geometryPointSQL
+} from '../../src/data/Geometry.js';
+
+describe('Geometry', () => {
+  describe('geometryToWKT', () => {
+    it('should convert every GeoJSON geometry type', () => {
+      expect(geometryToWKT({ type: 'Point', coordinates: [30, 10] })).toBe('POINT (30 10)');
+      expect(geometryToWKT({ type: 'Point', coordinates: [30, 10, 5] })).toBe('POINT Z (30 10 5)');
+      expect(geometryToWKT({ type: 'MultiPoint', coordinates: [[10, 40], [40, 30]] })).toBe('MULTIPOINT ((10 40), (40 30))');
+      expect(geometryToWKT({ type: 'LineString', coordinates: [[30, 10], [10, 30], [40, 40]] }))
+        .toBe('LINESTRING (30 10, 10 30, 40 40)');
+      expect(geometryToWKT({ type: 'MultiLineString', coordinates: [[[10, 10], [20, 20]], [[40, 40], [30, 30]]] }))
+        .toBe('MULTILINESTRING ((10 10, 20 20), (40 40, 30 30))');
+      expect(geometryToWKT({ type: 'Polygon', coordinates: [[[30, 10], [40, 40], [20, 40], [30, 10]]] }))
+        .toBe('POLYGON ((30 10, 40 40, 20 40, 30 10))');
+      expect(geometryToWKT({ type: 'MultiPolygon', coordinates: [[[[30, 20], [45, 40], [10, 40], [30, 20]]], [[[15, 5], [40, 10], [10, 20], [15, 5]]]] }))
+        .toBe('MULTIPOLYGON (((30 20, 45 40, 10 40, 30 20)), ((15 5, 40 10, 10 20, 15 5)))');
+      expect(geometryToWKT({
+        type: 'GeometryCollection',
+        geometries: [{ type: 'Point', coordinates: [40, 10] }, { type: 'LineString', coordinates: [[10, 10], [20, 20]] }]
+      })).toBe('GEOMETRYCOLLECTION (POINT (40 10), LINESTRING (10 10, 20 20))');
+    });
+
+    it('should handle missing and empty geometries', () => {
+      expect(geometryToWKT(null)).toBeNull();
+      expect(geometryToWKT({ type: 'Polygon', coordinates: [] })).toBe('POLYGON EMPTY');
+      expect(geometryToWKT({ type: 'GeometryCollection', geometries: [] })).toBe('GEOMETRYCOLLECTION EMPTY');
+      expect(() => geometryToWKT({ type: 'Circle', coordinates: [0, 0] })).toThrow('Unsupported geometry type: Circle');
+    });
+  });
+
+  describe('readGeoJSONFeatures and featuresToRecords', () => {
+    it('should turn features into rows of properties and WKT', () => {
+      const features = readGeoJSONFeatures({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', id: 'a', properties: { name: 'Harbor', geometry: 'shadowed' }, geometry: { type: 'Point', coordinates: [1, 2] } },
+          { type: 'Feature', properties: null, geometry: null }
+        ]
+      });
+
+      expect(featuresToRecords(features, 'geometry')).toEqual([
+        { id: 'a', name: 'Harbor', geometry: 'POINT (1 2)' },
+        { geometry: null }
+      ]);
+    });
+
+    it('should accept single features and bare geometries', () => {
+      expect(readGeoJSONFeatures({ type: 'Feature', properties: {}, geometry: null })).toHaveLength(1);
+      expect(featuresToRecords(readGeoJSONFeatures({ type: 'Point', coordinates: [1, 2] }), 'shape'))
+        .toEqual([{ shape: 'POINT (1 2)' }]);
+    });
+
+    it('should reject other JSON', () => {
+      expect(() => readGeoJSONFeatures([{ a: 1 }])).toThrow('Not a GeoJSON document');
+      expect(() => readGeoJSONFeatures({ type: 'FeatureCollection' })).toThrow('FeatureCollection has no features array');
+      expect(() => featuresToRecords([{ type: 'Point', coordinates: [0, 0] }])).toThrow('Feature 0 is not a GeoJSON Feature');
+    });
+  });
+
+  describe('isWKT and isWKB', () => {
+    it('should recognize WKT and EWKT text', () => {
+      expect(isWKT('POINT (30 10)')).toBe(true);
+      expect(isWKT('SRID=4326;MultiPolygon(((1 1, 2 2, 1 2, 1 1)))')).toBe(true);
+      expect(isWKT('LINESTRING Z (1 2 3, 4 5 6)')).toBe(true);
+      expect(isWKT('POLYGON EMPTY')).toBe(true);
+      expect(isWKT('Point of sale')).toBe(false);
+      expect(isWKT(42)).toBe(false);
+    });
+
+    it('should recognize WKB in either byte order', () => {
+      const point = new Uint8Array(21);
+      point[0] = 1;
+      point[1] = 1; // Little-endian type 1 (Point)
+      expect(isWKB(point)).toBe(true);
+
+      const polygon = new Uint8Array(13);
+      polygon[4] = 3; // Big-endian type 3 (Polygon)
+      expect(isWKB(polygon)).toBe(true);
+
+      expect(isWKB(new Uint8Array([1, 9, 0, 0, 0, 0, 0, 0, 0]))).toBe(false);
+      expect(isWKB(new TextEncoder().encode('PNG image data'))).toBe(false);
+    });
+  });
+
+  describe('geometryPointSQL', () => {
+    it('should read the first WKT coordinate without the spatial extension', () => {
+      const { x, y } = geometryPointSQL('geom', 'wkt');
+
+      expect(x).toMatch(/^TRY_CAST\(regexp_extract\(geom, '.+', 1\) AS DOUBLE\)$/);
+      expect(y).toMatch(/, 2\) AS DOUBLE\)$/);
+    });
+
+    it('should use centroids for binary and native geometries', () => {
+      expect(geometryPointSQL('geom', 'wkb')).toEqual({
+        x: 'ST_X(ST_Centroid(ST_GeomFromWKB(geom)))',
+        y: 'ST_Y(ST_Centroid(ST_GeomFromWKB(geom)))'
+      });
+      expect(geometryPointSQL('geom', 'geometry').x).toBe('ST_X(ST_Centroid(geom))');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  quoteIdentifier,
+  sqlString,
+  sanitizeTableName,
+  toSnakeCase,
+  normalizeColumnNames,
+  validateIfExists,
+  suffixTableName
+} from '../../src/data/Identifiers.js';
+
+describe('Identifiers', () => {
+  describe('quoteIdentifier', () => {
+    it('should leave plain identifiers readable', () => {
+      expect(quoteIdentifier('sales')).toBe('sales');
+      expect(quoteIdentifier('Sales_2024')).toBe('Sales_2024');
+      expect(quoteIdentifier('_tmp')).toBe('_tmp');
+    });
+
+    it('should quote reserved words and other characters', () => {
+      expect(quoteIdentifier('order')).toBe('"order"');
+      expect(quoteIdentifier('Group')).toBe('"Group"');
+      expect(quoteIdentifier('unit price')).toBe('"unit price"');
+      expect(quoteIdentifier('2024')).toBe('"2024"');
+      expect(quoteIdentifier('Umsätze')).toBe('"Umsätze"');
+      expect(quoteIdentifier('say "hi"')).toBe('"say ""hi"""');
+    });
+  });
+
+  describe('sqlString', () => {
+    it('should quote values as string literals', () => {
+      expect(sqlString('sales.csv')).toBe("'sales.csv'");
+      expect(sqlString("O'Brien")).toBe("'O''Brien'");
+      expect(sqlString(42)).toBe("'42'");
+    });
+  });
+
+  describe('sanitizeTableName', () => {
+    it('should replace characters SQL names cannot hold', () => {
+      expect(sanitizeTableName('sales')).toBe('sales');
+      expect(sanitizeTableName(' Sales 2024 (Q1) ')).toBe('Sales_2024_Q1');
+      expect(sanitizeTableName('orders.csv')).toBe('orders_csv');
+      expect(sanitizeTableName('Umsätze')).toBe('Umsätze');
+      expect(sanitizeTableName('2024 sales')).toBe('table_2024_sales');
+    });
+
+    it('should reject names without any usable character', () => {
+      expect(() => sanitizeTableName('')).toThrow('Invalid table name: ""');
+      expect(() => sanitizeTableName('(*)')).toThrow('Invalid table name: "(*)"');
+    });
+  });
+
+  describe('toSnakeCase', () => {
+    it('should split words at spaces, punctuation and case changes', () => {
+      expect(toSnakeCase('Unit Price (USD)')).toBe('unit_price_usd');
+      expect(toSnakeCase('customerID')).toBe('customer_id');
+      expect(toSnakeCase('HTTPStatus')).toBe('http_status');
+      expect(toSnakeCase('order.total')).toBe('order_total');
+      expect(toSnakeCase('Umsatz Österreich')).toBe('umsatz_österreich');
+      expect(toSnakeCase('already_snake')).toBe('already_snake');
+      expect(toSnakeCase(' (*) ')).toBe('');
+    });
+  });
+
+  describe('normalizeColumnNames', () => {
+    it('should give every column a unique snake_case name', () => {
+      expect(normalizeColumnNames(['Order ID', 'order_id', 'Name', '2024', ''])).toEqual([
+        { name: 'order_id_2', original: 'Order ID' },
+        { name: 'order_id', original: 'order_id' },
+        { name: 'name', original: 'Name' },
+        { name: 'column_2024', original: '2024' },
+        { name: 'column_5', original: '' }
+      ]);
+    });
+
+    it('should suffix names that collide after normalizing', () => {
+      expect(normalizeColumnNames(['unit price', 'Unit-Price']).map(({ name }) => name)).toEqual(['unit_price', 'unit_price_2']);
+    });
+  });
+
+  describe('validateIfExists', () => {
+    it('should accept the known modes only', () => {
+      expect(validateIfExists('suffix')).toBe('suffix');
+      expect(() => validateIfExists('overwrite')).toThrow('Invalid ifExists: overwrite (expected fail, replace, suffix)');
+    });
+  });
+
+  describe('suffixTableName', () => {
+    it('should count up to the first free name', async () => {
+      const taken = new Set(['sales_2', 'sales_3']);
+      const isTaken = vi.fn(async (name) => taken.has(name));
+
+      expect(await suffixTableName('sales', isTaken)).toBe('sales_4');
+      expect(isTaken).toHaveBeenCalledTimes(3);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { extractJSONRecords, flattenRecord, toNDJSON } from '../../src/data/JSONRecords.js';
+
+describe('JSONRecords', () => {
+  describe('extractJSONRecords', () => {
+    it('should return the top-level array of a JSON document', () => {
+      expect(extractJSONRecords('[{"a": 1}, {"a": 2}]')).toEqual([{ a: 1 }, { a: 2 }]);
+    });
+
+    it('should follow dotted and array records paths', () => {
+      const text = JSON.stringify({ response: { items: [{ id: 1 }], total: 1 } });
+
+      expect(extractJSONRecords(text, { recordsPath: 'response.items' })).toEqual([{ id: 1 }]);
+      expect(extractJSONRecords(text, { recordsPath: ['response', 'items'] })).toEqual([{ id: 1 }]);
+    });
+
+    it('should apply the records path to every NDJSON line', () => {
+      const text = '{"page": [{"id": 1}, {"id": 2}]}\n\n{"page": [{"id": 3}]}\n';
+
+      const records = extractJSONRecords(text, { newlineDelimited: true, recordsPath: 'page' });
+
+      expect(records).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    });
+
+    it('should report invalid lines and missing paths', () => {
+      expect(() => extractJSONRecords('{"a": 1}\n{oops}', { newlineDelimited: true }))
+        .toThrow(/^Invalid JSON on line 2/);
+      expect(() => extractJSONRecords('{"a": 1}', { recordsPath: 'data' }))
+        .toThrow('recordsPath "data" was not found in the JSON document');
+    });
+  });
+
+  describe('flattenRecord', () => {
+    it('should expand nested objects and keep arrays and empty objects', () => {
+      expect(flattenRecord({
+        id: 1,
+        user: { name: 'Alice', address: { city: 'NYC' } },
+        tags: [{ x: 1 }],
+        extra: {},
+        note: null
+      })).toEqual({
+        id: 1,
+        'user.name': 'Alice',
+        'user.address.city': 'NYC',
+        tags: [{ x: 1 }],
+        extra: {},
+        note: null
+      });
+    });
+
+    it('should support a custom separator and pass through non-objects', () => {
+      expect(flattenRecord({ a: { b: 1 } }, '_')).toEqual({ a_b: 1 });
+      expect(flattenRecord(5)).toBe(5);
+    });
+  });
+
+  describe('toNDJSON', () => {
+    it('should write one value per line', () => {
+      expect(toNDJSON([{ a: 1 }, { a: 2 }])).toBe('{"a":1}\n{"a":2}');
+    });
+  });
+});
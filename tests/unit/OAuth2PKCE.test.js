@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createHash } from 'crypto';
+import { OAuth2PKCE } from '../../src/data/OAuth2PKCE.js';
+
+const tokenResponse = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+describe('OAuth2PKCE', () => {
+  let fetchMock;
+  let onTokens;
+  let auth;
+
+  beforeEach(() => {
+    fetchMock = vi.spyOn(globalThis, 'fetch');
+    onTokens = vi.fn();
+    auth = new OAuth2PKCE({
+      clientId: 'client',
+      redirectUri: 'https://app.example.com/callback',
+      authorizeUrl: 'https://auth.example.com/authorize',
+      tokenUrl: 'https://auth.example.com/token',
+      onTokens
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should build an authorization URL with an S256 code challenge', async () => {
+    const { url, state, codeVerifier } = await auth.beginAuthorization();
+    const params = new URL(url).searchParams;
+
+    expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43,128}$/);
+    expect(params.get('response_type')).toBe('code');
+    expect(params.get('client_id')).toBe('client');
+    expect(params.get('redirect_uri')).toBe('https://app.example.com/callback');
+    expect(params.get('state')).toBe(state);
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('code_challenge')).toBe(createHash('sha256').update(codeVerifier).digest('base64url'));
+  });
+
+  it('should exchange the code from the redirect with the verifier', async () => {
+    fetchMock.mockResolvedValue(tokenResponse({ access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 3600 }));
+    const { state, codeVerifier } = await auth.beginAuthorization();
+
+    const tokens = await auth.completeAuthorization(`https://app.example.com/callback?code=abc&state=${state}`);
+
+    const body = fetchMock.mock.calls[0][1].body;
+    expect(Object.fromEntries(body)).toEqual({
+      grant_type: 'authorization_code',
+      code: 'abc',
+      redirect_uri: 'https://app.example.com/callback',
+      code_verifier: codeVerifier,
+      client_id: 'client'
+    });
+    expect(tokens).toMatchObject({ accessToken: 'access-1', refreshToken: 'refresh-1' });
+    expect(onTokens).toHaveBeenCalledWith(tokens);
+    await expect(auth.getAccessToken()).resolves.toBe('access-1');
+  });
+
+  it('should finish an authorization started before a page reload', async () => {
+    fetchMock.mockResolvedValue(tokenResponse({ access_token: 'access-1' }));
+    const pending = await new OAuth2PKCE({ clientId: 'client', authorizeUrl: 'https://auth.example.com/authorize' }).beginAuthorization();
+
+    await auth.completeAuthorization({ code: 'abc', state: pending.state }, pending);
+
+    expect(fetchMock.mock.calls[0][1].body.get('code_verifier')).toBe(pending.codeVerifier);
+  });
+
+  it('should reject redirects for another authorization or with an error', async () => {
+    await auth.beginAuthorization();
+
+    await expect(auth.completeAuthorization({ code: 'abc', state: 'forged' })).rejects.toThrow('state does not match');
+    await expect(auth.completeAuthorization({ error: 'access_denied', error_description: 'The user denied access' }))
+      .rejects.toThrow('Authorization failed: access_denied - The user denied access');
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('should keep the authorization pending when the redirect has no code', async () => {
+    fetchMock.mockResolvedValue(tokenResponse({ access_token: 'access-1' }));
+    const { state } = await auth.beginAuthorization();
+
+    await expect(auth.completeAuthorization({ state })).rejects.toThrow('Authorization failed: no authorization code');
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    await auth.completeAuthorization({ code: 'abc', state });
+    expect(fetchMock.mock.calls[0][1].body.get('code')).toBe('abc');
+  });
+
+  it('should refresh expiring tokens once for concurrent callers', async () => {
+    auth.tokens = { accessToken: 'old', refreshToken: 'refresh-1', expiresAt: Date.now() + 30 * 1000 };
+    fetchMock.mockResolvedValue(tokenResponse({ access_token: 'access-2', refresh_token: 'refresh-2', expires_in: 3600 }));
+
+    const tokens = await Promise.all([auth.getAccessToken(), auth.getAccessToken()]);
+
+    expect(tokens).toEqual(['access-2', 'access-2']);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][1].body.get('refresh_token')).toBe('refresh-1');
+    expect(auth.tokens.refreshToken).toBe('refresh-2');
+  });
+
+  it('should keep the refresh token when the provider does not rotate it', async () => {
+    auth.tokens = { accessToken: 'old', refreshToken: 'refresh-1', expiresAt: null };
+    fetchMock.mockResolvedValue(tokenResponse({ access_token: 'access-2' }));
+
+    await expect(auth.getAccessToken({ forceRefresh: true })).resolves.toBe('access-2');
+    expect(auth.tokens.refreshToken).toBe('refresh-1');
+  });
+
+  it('should report token endpoint errors', async () => {
+    auth.tokens = { accessToken: 'old', refreshToken: 'used', expiresAt: 0 };
+    fetchMock.mockResolvedValue(tokenResponse({ error: 'invalid_grant', error_description: 'Refresh token has expired' }, 400));
+
+    await expect(auth.getAccessToken()).rejects.toThrow('Failed to get an access token: invalid_grant - Refresh token has expired');
+  });
+
+  it('should require a sign-in before handing out tokens', async () => {
+    await expect(auth.getAccessToken()).rejects.toThrow('Not signed in');
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { httpError, retryableError, sendRequest, rangeHeader, isRetryable, retryDelay, wait } from '../../src/data/Retry.js';
+
+describe('Retry', () => {
+  it('should keep the status and Retry-After of failed responses', () => {
+    const error = httpError('Failed to fetch: HTTP 429', new Response(null, { status: 429, headers: { 'Retry-After': '2' } }));
+
+    expect(error.message).toBe('Failed to fetch: HTTP 429');
+    expect(error).toMatchObject({ status: 429, retryAfter: 2 });
+    expect(httpError('HTTP 503', new Response(null, { status: 503 }))).not.toHaveProperty('retryAfter');
+  });
+
+  it('should retry temporary failures only', () => {
+    expect(isRetryable({ status: 503 })).toBe(true);
+    expect(isRetryable({ status: 429 })).toBe(true);
+    expect(isRetryable({ status: 404 })).toBe(false);
+    expect(isRetryable(retryableError('Failed to fetch: fetch failed', new TypeError('fetch failed')))).toBe(true);
+    expect(isRetryable(Object.assign(new TypeError('network error'), { retryable: true }))).toBe(true);
+    expect(isRetryable(new Error('Invalid S3 location'))).toBe(false);
+    // Only errors the fetch wrappers mark are retried, not any TypeError
+    expect(isRetryable(new TypeError("Cannot read properties of undefined (reading 'getReader')"))).toBe(false);
+    expect(isRetryable(new DOMException('aborted', 'AbortError'))).toBe(false);
+  });
+
+  describe('sendRequest', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should reject failed responses with their status and detail', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('{"code":"not_found"}', { status: 404 })));
+
+      const sending = sendRequest('https://api.example.com/files/1', {}, 'read file 1', async response => `: ${(await response.json()).code}`);
+
+      await expect(sending).rejects.toThrow('Failed to read file 1: HTTP 404: not_found');
+      await expect(sending).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should mark network failures retryable and pass aborts through', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockRejectedValueOnce(new TypeError('fetch failed')).mockRejectedValueOnce(new DOMException('aborted', 'AbortError')));
+
+      await expect(sendRequest('https://api.example.com', {}, 'list files')).rejects.toMatchObject({ message: 'Failed to list files: fetch failed', retryable: true });
+      await expect(sendRequest('https://api.example.com', {}, 'list files')).rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+
+  it('should build Range headers for byte range reads', () => {
+    expect(rangeHeader({ start: 10 })).toEqual({ Range: 'bytes=10-' });
+    expect(rangeHeader({ start: 0, end: 99 })).toEqual({ Range: 'bytes=0-99' });
+    expect(rangeHeader(null)).toEqual({});
+  });
+
+  it('should double the delay for each retry up to 30 seconds', () => {
+    expect([0, 1, 2, 3].map(attempt => retryDelay(attempt, 500))).toEqual([500, 1000, 2000, 4000]);
+    expect(retryDelay(10, 500)).toBe(30000);
+    expect(retryDelay(0, 500, { retryAfter: 5 })).toBe(5000);
+  });
+
+  it('should end a wait when the signal aborts', async () => {
+    const controller = new AbortController();
+    const waiting = wait(60000, controller.signal);
+    controller.abort();
+
+    await expect(waiting).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(wait(1)).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { parseSampleOption, sampleQuery, coversAllRows } from '../../src/data/Sampling.js';
+
+describe('Sampling', () => {
+  describe('parseSampleOption', () => {
+    it('should accept row counts and percentages', () => {
+      expect(parseSampleOption({ size: 10000, seed: 42 })).toEqual({ size: 10000, unit: 'rows', method: 'reservoir', seed: 42 });
+      expect(parseSampleOption({ size: '2.5%', method: 'systematic', seed: 7 })).toEqual({ size: 2.5, unit: 'percent', method: 'systematic', seed: 7 });
+      expect(parseSampleOption('5000')).toMatchObject({ size: 5000, unit: 'rows' });
+    });
+
+    it('should pick a seed when none is given', () => {
+      const { seed } = parseSampleOption(100);
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(seed).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should reject invalid sizes, methods and seeds', () => {
+      expect(() => parseSampleOption(0)).toThrow('Invalid sample size: 0');
+      expect(() => parseSampleOption('150%')).toThrow('Invalid sample size: 150%');
+      expect(() => parseSampleOption(1.5)).toThrow('Invalid sample size: 1.5');
+      expect(() => parseSampleOption({ size: 10, method: 'bernoulli' })).toThrow('Invalid sample method: bernoulli (expected reservoir, systematic)');
+      expect(() => parseSampleOption({ size: 10, seed: -1 })).toThrow('Invalid sample seed: -1');
+    });
+  });
+
+  describe('sampleQuery', () => {
+    it('should use repeatable reservoir sampling', () => {
+      expect(sampleQuery('sales', { size: 1000, unit: 'rows', method: 'reservoir', seed: 42 }, 50000))
+        .toBe('SELECT * FROM sales USING SAMPLE 1000 ROWS (reservoir, 42)');
+      expect(sampleQuery('"order"', { size: 0.5, unit: 'percent', method: 'reservoir', seed: 1 }, 50000))
+        .toBe('SELECT * FROM "order" USING SAMPLE 0.5 PERCENT (reservoir, 1)');
+    });
+
+    it('should take every k-th row from a seeded start for systematic sampling', () => {
+      expect(sampleQuery('sales', { size: 1000, unit: 'rows', method: 'systematic', seed: 42 }, 50000))
+        .toBe('SELECT * FROM sales QUALIFY (row_number() OVER () - 1) % 50 = 42 LIMIT 1000');
+      expect(sampleQuery('sales', { size: 10, unit: 'percent', method: 'systematic', seed: 13 }, 50000))
+        .toBe('SELECT * FROM sales QUALIFY (row_number() OVER () - 1) % 10 = 3');
+    });
+  });
+
+  describe('coversAllRows', () => {
+    it('should tell when a sample would keep every row', () => {
+      expect(coversAllRows({ size: 1000, unit: 'rows' }, 800)).toBe(true);
+      expect(coversAllRows({ size: 1000, unit: 'rows' }, 5000)).toBe(false);
+      expect(coversAllRows({ size: 100, unit: 'percent' }, 5000)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { mergeSchemas, areTypesCompatible, getSourceColumnName } from '../../src/data/SchemaMerge.js';
+
+describe('SchemaMerge', () => {
+  describe('mergeSchemas', () => {
+    it('should combine columns by name in order of appearance', () => {
+      const merged = mergeSchemas([
+        { name: 'january.csv', schema: { id: { type: 'INTEGER' }, amount: { type: 'DOUBLE' } } },
+        { name: 'february.csv', schema: { amount: { type: 'DOUBLE' }, id: { type: 'BIGINT' }, region: { type: 'VARCHAR' } } }
+      ]);
+
+      expect(merged).toEqual({ id: 'INTEGER', amount: 'DOUBLE', region: 'VARCHAR' });
+    });
+
+    it('should report every conflicting column with the files involved', () => {
+      expect(() => mergeSchemas([
+        { name: 'a.csv', schema: { id: { type: 'INTEGER' }, day: { type: 'DATE' } } },
+        { name: 'b.csv', schema: { id: { type: 'VARCHAR' }, day: { type: 'BOOLEAN' } } }
+      ])).toThrow('Schema conflict: column "id" is INTEGER in a.csv but VARCHAR in b.csv; column "day" is DATE in a.csv but BOOLEAN in b.csv');
+    });
+  });
+
+  describe('areTypesCompatible', () => {
+    it('should accept types DuckDB widens between', () => {
+      expect(areTypesCompatible('INTEGER', 'DOUBLE')).toBe(true);
+      expect(areTypesCompatible('DECIMAL(10,2)', 'BIGINT')).toBe(true);
+      expect(areTypesCompatible('DATE', 'TIMESTAMP')).toBe(true);
+      expect(areTypesCompatible('varchar', 'VARCHAR')).toBe(true);
+    });
+
+    it('should reject types from different families', () => {
+      expect(areTypesCompatible('INTEGER', 'VARCHAR')).toBe(false);
+      expect(areTypesCompatible('INTERVAL', 'INTEGER')).toBe(false);
+      expect(areTypesCompatible('INTEGER[]', 'INTEGER')).toBe(false);
+      expect(areTypesCompatible('STRUCT(a INTEGER)', 'STRUCT(a VARCHAR)')).toBe(false);
+    });
+  });
+
+  describe('getSourceColumnName', () => {
+    it('should default the name and allow overriding it', () => {
+      expect(getSourceColumnName(true)).toBe('source_file');
+      expect(getSourceColumnName('file')).toBe('file');
+      expect(getSourceColumnName(undefined)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { parseSchemaOverride, textColumnTypes, coercionExpression, coercionFailure } from '../../src/data/SchemaOverride.js';
+
+describe('SchemaOverride', () => {
+  describe('parseSchemaOverride', () => {
+    it('should accept type names and types with parse formats', () => {
+      expect(parseSchemaOverride({
+        zip: 'varchar',
+        amount: 'DECIMAL(10, 2)',
+        tags: 'VARCHAR[]',
+        shipped: { type: 'DATE', format: '%d/%m/%Y' }
+      })).toEqual({
+        zip: { type: 'VARCHAR' },
+        amount: { type: 'DECIMAL(10, 2)' },
+        tags: { type: 'VARCHAR[]' },
+        shipped: { type: 'DATE', format: '%d/%m/%Y' }
+      });
+    });
+
+    it('should reject types that are not plain type names', () => {
+      expect(() => parseSchemaOverride(['zip'])).toThrow('Invalid schema: expected an object');
+      expect(() => parseSchemaOverride({ zip: 'VARCHAR); DROP TABLE sales; --' })).toThrow('Invalid schema type for zip');
+      expect(() => parseSchemaOverride({ zip: {} })).toThrow('Invalid schema type for zip: undefined');
+    });
+
+    it('should only accept formats for dates and times', () => {
+      expect(() => parseSchemaOverride({ id: { type: 'INTEGER', format: '%d' } })).toThrow('Invalid schema format for id');
+      expect(parseSchemaOverride({ at: { type: 'timestamp', format: '%Y%m%d %H%M' } }).at.type).toBe('TIMESTAMP');
+    });
+  });
+
+  describe('textColumnTypes', () => {
+    it('should read every overridden column as text', () => {
+      expect(textColumnTypes({ zip: { type: 'VARCHAR' }, shipped: { type: 'DATE', format: '%d/%m/%Y' } }))
+        .toEqual({ zip: 'VARCHAR', shipped: 'VARCHAR' });
+    });
+  });
+
+  describe('coercionExpression', () => {
+    it('should convert with TRY_CAST, parsing formatted values first', () => {
+      expect(coercionExpression('id', { type: 'INTEGER' })).toBe('TRY_CAST(id AS INTEGER)');
+      expect(coercionExpression('"ship date"', { type: 'DATE', format: "%d %b '%y" }))
+        .toBe(`TRY_CAST(TRY_STRPTIME(CAST("ship date" AS VARCHAR), '%d %b ''%y') AS DATE)`);
+    });
+
+    it('should count only present values that do not convert as failures', () => {
+      expect(coercionFailure('id', { type: 'INTEGER' })).toBe('(id IS NOT NULL AND TRY_CAST(id AS INTEGER) IS NULL)');
+    });
+  });
+});
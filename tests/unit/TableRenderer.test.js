@@ -70,7 +70,8 @@ vi.mock('@uwdata/mosaic-sql', () => {
   return {
     Query: mockQuery,
     asc: vi.fn((field) => ({ field, order: 'ASC' })),
-    desc: vi.fn((field) => ({ field, order: 'DESC' }))
+    desc: vi.fn((field) => ({ field, order: 'DESC' })),
+    sql: vi.fn((strings, ...values) => String.raw({ raw: strings }, ...values))
   };
 });
 
@@ -243,6 +244,17 @@ describe('TableRenderer', () => {
       expect(ageColumn.textContent).toContain('age');
     });
 
+    it('should show renamed columns by their names as loaded', () => {
+      tableRenderer.columnLabels = { unit_price: 'Unit Price' };
+      tableRenderer.renderHeader(['name', 'unit_price']);
+
+      const [nameColumn, priceColumn] = container.querySelectorAll('.header-top > div:first-child');
+      expect(nameColumn.textContent).toBe('name');
+      expect(nameColumn.title).toBe('');
+      expect(priceColumn.textContent).toBe('Unit Price');
+      expect(priceColumn.title).toBe('unit_price');
+    });
+
     it('should add click handlers for sorting', () => {
       const fields = ['name', 'age'];
       tableRenderer.renderHeader(fields);
@@ -259,6 +271,32 @@ describe('TableRenderer', () => {
       const vizContainers = container.querySelectorAll('.column-viz');
       expect(vizContainers).toHaveLength(2);
     });
+
+    it('should recognize geometry columns', () => {
+      expect(tableRenderer.isGeometryField({ type: 'GEOMETRY' })).toBe(true);
+      expect(tableRenderer.isGeometryField({ type: 'POINT_2D' })).toBe(true);
+      expect(tableRenderer.isGeometryField({ type: 'VARCHAR', isGeometry: true, geometryFormat: 'wkt' })).toBe(true);
+      expect(tableRenderer.isGeometryField({ type: 'VARCHAR' })).toBe(false);
+    });
+
+    it('should point visualizations at a renamed table', () => {
+      tableRenderer.renderHeader(['name', 'age']);
+      tableRenderer.setTable('people');
+
+      expect(tableRenderer.table).toBe('people');
+      expect(tableRenderer.visualizations.size).toBe(2);
+      tableRenderer.visualizations.forEach(visualization => {
+        expect(visualization.table).toBe('people');
+      });
+    });
+
+    it('should create a map for geometry columns', () => {
+      tableRenderer.schema = { shape: { type: 'VARCHAR', isGeometry: true, geometryFormat: 'wkt' } };
+      tableRenderer.renderHeader(['shape']);
+
+      expect(container.querySelector('.geometry-map-visualization')).toBeTruthy();
+      expect(mockCoordinator.connect).toHaveBeenCalledWith(tableRenderer.visualizations.get('shape'));
+    });
   });
 
   describe('Data Rendering', () => {
@@ -462,6 +500,16 @@ describe('TableRenderer', () => {
       expect(tableRenderer.orderBy.value[1].field).toBe('age');
     });
 
+    it('should quote sort columns that are not plain names', async () => {
+      const { asc, desc } = await import('@uwdata/mosaic-sql');
+      tableRenderer.orderBy.value = [{ field: 'name', order: 'ASC' }, { field: 'order.total', order: 'DESC' }];
+
+      tableRenderer.query();
+
+      expect(asc).toHaveBeenCalledWith('name');
+      expect(desc).toHaveBeenCalledWith('"order.total"');
+    });
+
     it('should clear data when sorting changes', () => {
       tableRenderer.data = [{ name: 'Alice' }];
       tableRenderer.clearData = vi.fn();
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectBOM,
+  detectEncoding,
+  decodeText,
+  resolveEncoding,
+  stripBOM
+} from '../../src/data/TextEncoding.js';
+
+const utf16le = (text) => new Uint8Array(Array.from(text, char => [char.charCodeAt(0), 0]).flat());
+const utf16be = (text) => new Uint8Array(Array.from(text, char => [0, char.charCodeAt(0)]).flat());
+
+// 'Müller;Café\n' in Windows-1252
+const windows1252 = new Uint8Array([0x4d, 0xfc, 0x6c, 0x6c, 0x65, 0x72, 0x3b, 0x43, 0x61, 0x66, 0xe9, 0x0a]);
+
+describe('TextEncoding', () => {
+  describe('detectEncoding', () => {
+    it('should follow byte order marks', () => {
+      expect(detectBOM(new Uint8Array([0xef, 0xbb, 0xbf, 0x61]))).toBe('utf-8');
+      expect(detectBOM(new Uint8Array([0xff, 0xfe, 0x61, 0x00]))).toBe('utf-16le');
+      expect(detectBOM(new Uint8Array([0xfe, 0xff, 0x00, 0x61]))).toBe('utf-16be');
+      expect(detectBOM(new Uint8Array([0x61, 0x62]))).toBeNull();
+    });
+
+    it('should recognize UTF-16 without a byte order mark', () => {
+      expect(detectEncoding(utf16le('name,age\n'))).toBe('utf-16le');
+      expect(detectEncoding(utf16be('name,age\n'))).toBe('utf-16be');
+    });
+
+    it('should keep valid UTF-8, even when the sample ends inside a character', () => {
+      const bytes = new TextEncoder().encode('name\nCafé');
+      expect(detectEncoding(bytes)).toBe('utf-8');
+      expect(detectEncoding(bytes.subarray(0, bytes.length - 1))).toBe('utf-8');
+    });
+
+    it('should fall back to Windows-1252 for invalid UTF-8', () => {
+      expect(detectEncoding(windows1252)).toBe('windows-1252');
+    });
+  });
+
+  describe('decodeText', () => {
+    it('should decode legacy exports instead of producing mojibake', () => {
+      expect(decodeText(windows1252)).toEqual({ text: 'Müller;Café\n', encoding: 'windows-1252' });
+    });
+
+    it('should strip byte order marks so the first column name stays clean', () => {
+      expect(decodeText(new Uint8Array([0xef, 0xbb, 0xbf, ...new TextEncoder().encode('id,name')])).text).toBe('id,name');
+      expect(decodeText(new Uint8Array([0xff, 0xfe, ...utf16le('id,name')]))).toEqual({ text: 'id,name', encoding: 'utf-16le' });
+      expect(decodeText('\uFEFFid,name')).toEqual({ text: 'id,name', encoding: null });
+    });
+
+    it('should use the requested encoding unless a byte order mark says otherwise', () => {
+      const bytes = new TextEncoder().encode('Ã©');
+
+      expect(decodeText(bytes, 'latin1').text).toBe('Ã\u0083Â©');
+      expect(decodeText(bytes, 'auto').text).toBe('Ã©');
+      expect(resolveEncoding(new Uint8Array([0xff, 0xfe, 0x61, 0x00]), 'latin1')).toBe('utf-16le');
+    });
+
+    it('should reject unknown encodings', () => {
+      expect(() => decodeText(windows1252, 'klingon')).toThrow('Unsupported encoding: klingon');
+    });
+  });
+
+  it('should only strip a leading byte order mark', () => {
+    expect(stripBOM('a\uFEFFb')).toBe('a\uFEFFb');
+    expect(stripBOM('')).toBe('');
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readZipEntries, extractZipEntry } from '../../src/data/ZipArchive.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const archive = new Uint8Array(readFileSync(join(__dirname, '../fixtures/sample.xlsx')));
+
+describe('ZipArchive', () => {
+  it('should list entries from the central directory', () => {
+    const entries = readZipEntries(archive);
+
+    expect(entries.map(entry => entry.name)).toContain('xl/workbook.xml');
+    expect(entries.every(entry => entry.method === 8)).toBe(true);
+  });
+
+  it('should inflate deflated entries', async () => {
+    const entry = readZipEntries(archive).find(({ name }) => name === 'xl/workbook.xml');
+
+    const contents = await extractZipEntry(archive, entry);
+
+    expect(contents.length).toBe(entry.size);
+    expect(new TextDecoder().decode(contents)).toContain('<sheet name="Sales"');
+  });
+
+  it('should read stored entries and folders', async () => {
+    const exports = new Uint8Array(readFileSync(join(__dirname, '../fixtures/exports.zip')));
+    const entries = readZipEntries(exports);
+    const stored = entries.find(({ name }) => name === 'exports/customers.json');
+
+    expect(entries.map(({ name }) => name)).toContain('exports/');
+    expect(stored.method).toBe(0);
+    expect(new TextDecoder().decode(await extractZipEntry(exports, stored))).toBe('[{"id": 1, "name": "Ada"}]');
+  });
+
+  it('should reject data without an end of central directory record', () => {
+    expect(() => readZipEntries(new Uint8Array(64))).toThrow(
+      'Invalid ZIP archive: end of central directory not found'
+    );
+  });
+
+  it('should reject unsupported compression methods', async () => {
+    const entry = { ...readZipEntries(archive)[0], method: 14 };
+
+    await expect(extractZipEntry(archive, entry)).rejects.toThrow(
+      `Unsupported ZIP compression method 14 for ${entry.name}`
+    );
+  });
+});